@@ -0,0 +1,31 @@
+// scripts/reconcile-stats.js
+// Rebuild the quiz and question stats counters from the attempts.
+// Usage: `npm run stats:reconcile` or `node scripts/reconcile-stats.js [quizId]`
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/db/mongoose');
+const logger = require('../src/config/logger');
+const { reconcileStats } = require('../src/services/attemptStats.service');
+
+const run = async () => {
+    const quizId = process.argv[2];
+
+    if (quizId && !mongoose.Types.ObjectId.isValid(quizId)) {
+        logger.error(`Invalid quiz ID: ${quizId}`);
+        process.exit(1);
+    }
+
+    try {
+        await connectDB();
+        const result = await reconcileStats({ quizId });
+        logger.info(`Reconciliation complete: ${JSON.stringify(result)}`);
+    } catch (error) {
+        logger.error('Stats reconciliation failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+    }
+};
+
+run();
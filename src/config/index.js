@@ -10,6 +10,28 @@ const config = {
     // Redis
     redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
 
+    // Background jobs
+    queue: {
+        driver: process.env.QUEUE_DRIVER || 'auto', // 'auto' | 'redis' | 'memory'
+        redisProbeTimeoutMs: 2000,
+        runWorkerInProcess: process.env.GRADING_WORKER_INLINE !== 'false',
+        grading: {
+            attempts: parseInt(process.env.GRADING_JOB_ATTEMPTS, 10) || 3,
+            backoffMs: 2000,
+            concurrency: parseInt(process.env.GRADING_WORKER_CONCURRENCY, 10) || 5
+        },
+        // Sweep for attempts left open past their deadline
+        attemptTimeout: {
+            intervalMs: parseInt(process.env.ATTEMPT_TIMEOUT_INTERVAL_MS, 10) || 30000,
+            batchSize: 200
+        }
+    },
+
+    // Live attempt channel (socket.io)
+    sockets: {
+        attemptTickMs: parseInt(process.env.ATTEMPT_TICK_MS, 10) || 5000
+    },
+
     // JWT
     jwt: {
         accessSecret: process.env.JWT_ACCESS_SECRET,
@@ -10,6 +10,8 @@ const enumerateErrorFormat = winston.format((info) => {
 
 const logger = winston.createLogger({
     level: config.env === 'development' ? 'debug' : 'info',
+    // Jest runs with NODE_ENV=test; keep its output to the test results
+    silent: config.env === 'test',
     format: winston.format.combine(
         enumerateErrorFormat(),
         winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
@@ -3,11 +3,30 @@
 const Quiz = require('../models/Quiz');
 const Question = require('../models/Question');
 const QuizAttempt = require('../models/QuizAttempt');
+const { isGraded, isResultReleased } = require('../models/QuizAttempt');
 const AuditLog = require('../models/AuditLog');
+const QuizEnrollment = require('../models/QuizEnrollment');
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const logger = require('../config/logger');
 const config = require('../config');
 const gradingService = require('../services/grading.service');
+const moderationService = require('../services/moderation.service');
+const questionSelectionService = require('../services/questionSelection.service');
+const accommodationService = require('../services/accommodation.service');
+const { syncAttemptStats, countFinishedAttempt } = require('../services/attemptStats.service');
+const {
+    PAUSED_ERROR,
+    saveAnswers: saveAttemptAnswers,
+    recordAuditEvent,
+    resolveDeadline,
+    isPastDeadline
+} = require('../services/attemptSession.service');
+const { publishAttemptUpdate } = require('../services/proctoring.service');
+const { notifyAttemptFinalized } = require('../sockets/attempt.socket');
+const gradingJob = require('../jobs/grading.job');
+const { finalizeAttempt } = require('../jobs/attemptTimeout.job');
+const { QUEUE_NAMES, listDeadLetters } = require('../jobs/queues');
 
 class AttemptsController {
     /**
@@ -23,9 +42,7 @@ class AttemptsController {
             const userId = req.user._id;
 
             // Fetch quiz with validation
-            const quiz = await Quiz.findById(quizId)
-                .populate('questionIds')
-                .session(session);
+            const quiz = await Quiz.findById(quizId).session(session);
 
             if (!quiz) {
                 await session.abortTransaction();
@@ -44,23 +61,27 @@ class AttemptsController {
                 });
             }
 
+            // The student's accommodations replace the quiz's own limits
+            const enrollment = await QuizEnrollment.findOne({ quiz: quizId, student: userId }).session(session);
+            const schedule = accommodationService.getEffectiveSchedule(quiz, enrollment);
+
             // Check time window
             const now = new Date();
-            if (now < quiz.startTime) {
+            if (now < schedule.startTime) {
                 await session.abortTransaction();
                 return res.status(403).json({
                     success: false,
                     error: 'Quiz has not started yet',
-                    startsAt: quiz.startTime
+                    startsAt: schedule.startTime
                 });
             }
 
-            if (now > quiz.endTime) {
+            if (now > schedule.endTime) {
                 await session.abortTransaction();
                 return res.status(403).json({
                     success: false,
                     error: 'Quiz has ended',
-                    endedAt: quiz.endTime
+                    endedAt: schedule.endTime
                 });
             }
 
@@ -72,13 +93,13 @@ class AttemptsController {
 
             const attemptCount = existingAttempts.length;
 
-            if (attemptCount >= quiz.attemptsAllowed) {
+            if (attemptCount >= schedule.attemptsAllowed) {
                 await session.abortTransaction();
                 return res.status(403).json({
                     success: false,
                     error: 'Maximum attempts reached',
                     attemptCount,
-                    attemptsAllowed: quiz.attemptsAllowed
+                    attemptsAllowed: schedule.attemptsAllowed
                 });
             }
 
@@ -96,53 +117,40 @@ class AttemptsController {
                 });
             }
 
-            // Get questions for this attempt
-            let questions = [];
-            if (quiz.questionMode === 'fixed_list') {
-                questions = quiz.questionIds;
-            } else if (quiz.questionMode === 'pool_random') {
-                // Fetch random questions based on pool filter
-                const filter = quiz.questionPoolFilter;
-                const query = {};
-
-                if (filter.subject) {
-                    query.subject = filter.subject;
-                }
-                if (filter.difficulty && filter.difficulty.length > 0) {
-                    query['metadata.difficulty'] = { $in: filter.difficulty };
-                }
-                if (filter.tags && filter.tags.length > 0) {
-                    query['metadata.tags'] = { $in: filter.tags };
-                }
-
-                questions = await Question.aggregate([
-                    { $match: query },
-                    { $sample: { size: filter.count || 10 } }
-                ]).session(session);
-            }
-
-            if (questions.length === 0) {
+            // Section timing and adaptive serving are only handled by the quizzes start path
+            if (quiz.questionMode === 'sectioned' || quiz.questionMode === 'adaptive') {
                 await session.abortTransaction();
                 return res.status(400).json({
                     success: false,
-                    error: 'No questions available for this quiz'
+                    error: `${quiz.questionMode === 'sectioned' ? 'Sectioned' : 'Adaptive'} quizzes must be started from /quizzes/:id/start`
                 });
             }
 
-            // Shuffle questions if enabled
-            if (quiz.shuffleQuestions) {
-                questions = this.shuffleArray(questions);
+            // Get questions for this attempt (shuffled by the selection module if enabled)
+            const selection = await questionSelectionService.selectQuestions(quiz, { session });
+
+            if (selection.error) {
+                await session.abortTransaction();
+                return res.status(400).json({
+                    success: false,
+                    error: selection.error
+                });
             }
 
-            // Calculate max score
-            const maxScore = questions.reduce((sum, q) => sum + (q.marks || 1), 0);
+            // Only the questions served here are accepted and graded
+            const { selectedQuestions, questionsServed, maxScore } =
+                questionSelectionService.buildAttemptQuestions(selection, quiz);
 
             // Create attempt
             const attempt = new QuizAttempt({
                 quiz: quizId,
                 user: userId,
+                attemptToken: crypto.randomBytes(32).toString('hex'),
                 startTime: now,
+                accommodation: accommodationService.toAttemptAccommodation(schedule),
                 status: 'in_progress',
+                selectedQuestions,
+                questionsServed,
                 rawAnswers: [],
                 attemptIndex: attemptCount + 1,
                 maxScore,
@@ -153,31 +161,10 @@ class AttemptsController {
 
             await attempt.save({ session });
 
-            // Update quiz stats
-            quiz.totalAttempts += 1;
-            await quiz.save({ session });
-
             await session.commitTransaction();
 
-            // Prepare questions for client (strip correct answers)
-            const clientQuestions = questions.map(q => {
-                const question = q.toObject ? q.toObject() : q;
-
-                // Shuffle choices if enabled
-                if (quiz.shuffleChoices && question.choices) {
-                    question.choices = this.shuffleArray([...question.choices]);
-                }
-
-                // Remove correct answer info
-                return {
-                    _id: question._id,
-                    type: question.type,
-                    prompt: question.prompt,
-                    choices: question.choices,
-                    marks: question.marks,
-                    // DO NOT send 'correct' field to client
-                };
-            });
+            // Served snapshot carries no answer keys
+            const clientQuestions = selectedQuestions.map(({ question: _id, ...served }) => ({ _id, ...served }));
 
             logger.info(`Quiz attempt started: ${attempt._id} by ${req.user.email}`);
 
@@ -189,7 +176,7 @@ class AttemptsController {
                         id: quiz._id,
                         title: quiz.title,
                         description: quiz.description,
-                        durationMinutes: quiz.durationMinutes,
+                        durationMinutes: schedule.durationMinutes,
                         totalMarks: quiz.totalMarks,
                         instructions: quiz.instructions,
                         antiCheatSettings: quiz.antiCheatSettings
@@ -234,16 +221,22 @@ class AttemptsController {
                 });
             }
 
-            // Check if attempt has expired
+            if (attempt.pausedAt) {
+                return res.status(403).json({
+                    success: false,
+                    error: PAUSED_ERROR,
+                    paused: true
+                });
+            }
+
+            // Past the deadline: submit what was saved before it, as the timeout sweep would
             const quiz = await Quiz.findById(quizId);
-            const timeLimit = quiz.durationMinutes * 60 * 1000; // Convert to ms
-            const elapsed = new Date() - attempt.startTime;
 
-            if (elapsed > timeLimit) {
-                // Auto-submit if time expired
-                attempt.status = 'submitted';
-                attempt.endTime = new Date(attempt.startTime.getTime() + timeLimit);
-                await attempt.save();
+            if (isPastDeadline(attempt, quiz)) {
+                const finalized = await finalizeAttempt(attempt._id, resolveDeadline(attempt, quiz));
+                if (finalized) {
+                    notifyAttemptFinalized(req.app.get('io'), finalized);
+                }
 
                 return res.status(400).json({
                     success: false,
@@ -252,37 +245,19 @@ class AttemptsController {
                 });
             }
 
-            // Merge/update answers
-            const existingAnswers = attempt.rawAnswers || [];
-
-            answers.forEach(newAnswer => {
-                const existingIndex = existingAnswers.findIndex(
-                    a => a.questionId.toString() === newAnswer.questionId.toString()
-                );
-
-                if (existingIndex >= 0) {
-                    // Update existing answer
-                    existingAnswers[existingIndex] = {
-                        ...newAnswer,
-                        serverTimestamp: new Date()
-                    };
-                } else {
-                    // Add new answer
-                    existingAnswers.push({
-                        ...newAnswer,
-                        serverTimestamp: new Date()
-                    });
-                }
-            });
+            // Locked sections and answered adaptive questions stay as they are
+            const { accepted, rejected } = saveAttemptAnswers(attempt, answers);
 
-            attempt.rawAnswers = existingAnswers;
             await attempt.save();
 
+            publishAttemptUpdate(req.app.get('io'), attempt, 'progress', { quiz });
+
             res.json({
                 success: true,
                 message: 'Answers saved',
-                savedCount: answers.length,
-                totalAnswered: existingAnswers.length
+                savedCount: accepted.length,
+                totalAnswered: attempt.rawAnswers.length,
+                ...(rejected.length > 0 && { rejectedQuestionIds: rejected })
             });
         } catch (error) {
             logger.error('Save answers error:', error);
@@ -327,6 +302,16 @@ class AttemptsController {
                 });
             }
 
+            // The proctor holds the attempt open until they resume it
+            if (attempt.pausedAt) {
+                await session.abortTransaction();
+                return res.status(423).json({
+                    success: false,
+                    error: PAUSED_ERROR,
+                    paused: true
+                });
+            }
+
             const quiz = await Quiz.findById(quizId).session(session);
             const now = new Date();
 
@@ -359,70 +344,38 @@ class AttemptsController {
             }
 
             if (flaggedReasons.length > 0) {
-                attempt.status = 'flagged';
-                attempt.flaggedReasons = flaggedReasons;
+                attempt.isFlagged = true;
+                flaggedReasons.forEach(reason => attempt.flaggedReasons.push({
+                    reason,
+                    timestamp: now,
+                    severity: 'medium'
+                }));
             }
 
-            // Auto-grade the attempt
-            const gradingResult = await gradingService.autoGrade(attempt, quiz);
-
-            attempt.autoGradeResult = gradingResult.results;
-            attempt.totalScore = gradingResult.totalScore;
-
-            // Determine final status
-            if (flaggedReasons.length > 0) {
-                attempt.status = 'flagged';
-            } else if (gradingResult.needsManualReview) {
-                attempt.status = 'needs_manual_review';
-            } else {
-                attempt.status = 'auto_graded';
-            }
+            attempt.timeSpentSeconds = Math.floor(actualTime / 1000);
 
             await attempt.save({ session });
-
-            // Update quiz average score
-            const allGradedAttempts = await QuizAttempt.find({
-                quiz: quizId,
-                status: { $in: ['auto_graded', 'flagged'] }
-            }).session(session);
-
-            if (allGradedAttempts.length > 0) {
-                const avgScore = allGradedAttempts.reduce(
-                    (sum, a) => sum + (a.totalScore || 0),
-                    0
-                ) / allGradedAttempts.length;
-
-                quiz.averageScore = avgScore;
-                await quiz.save({ session });
-            }
+            await countFinishedAttempt(attempt, { session });
 
             await session.commitTransaction();
 
+            // Grade in the background; the worker moves the attempt to
+            // auto_graded or needs_manual_review
+            await gradingJob.enqueueGrading(attempt._id);
+
             logger.info(`Quiz attempt submitted: ${attempt._id} by ${req.user.email}`);
 
-            // Prepare response based on quiz settings
-            const response = {
+            res.status(202).json({
                 success: true,
+                message: 'Attempt submitted. Grading in progress.',
                 data: {
                     attemptId: attempt._id,
                     status: attempt.status,
                     endTime: attempt.endTime,
+                    isFlagged: attempt.isFlagged,
                     flaggedReasons: attempt.flaggedReasons
                 }
-            };
-
-            if (quiz.showResultsImmediately && attempt.status === 'auto_graded') {
-                response.data.totalScore = attempt.totalScore;
-                response.data.maxScore = attempt.maxScore;
-                response.data.percentage = ((attempt.totalScore / attempt.maxScore) * 100).toFixed(2);
-                response.data.passed = attempt.totalScore >= quiz.passingMarks;
-            }
-
-            if (quiz.showCorrectAnswers && attempt.status === 'auto_graded') {
-                response.data.results = attempt.autoGradeResult;
-            }
-
-            res.json(response);
+            });
         } catch (error) {
             await session.abortTransaction();
             logger.error('Submit attempt error:', error);
@@ -481,17 +434,40 @@ class AttemptsController {
                 };
 
                 // Show results based on quiz settings
-                if (attempt.status === 'auto_graded' || attempt.status === 'flagged') {
-                    if (quiz.showResultsImmediately) {
+                const timeoutGraded = attempt.status === 'timeout' && attempt.grading?.status === 'completed';
+
+                const released = isResultReleased(attempt, quiz);
+
+                if (['auto_graded', 'manually_graded', 'flagged'].includes(attempt.status) || timeoutGraded) {
+                    if (released) {
                         response.data.totalScore = attempt.totalScore;
                         response.data.maxScore = attempt.maxScore;
                         response.data.percentage = ((attempt.totalScore / attempt.maxScore) * 100).toFixed(2);
-                        response.data.passed = attempt.totalScore >= quiz.passingMarks;
+                        response.data.passed = attempt.passed; // Failed sections fail the attempt
+                        response.data.grade = attempt.grade;
+                        if (attempt.sections?.length > 0) {
+                            response.data.sections = attempt.sections;
+                        }
                     }
 
                     if (quiz.showCorrectAnswers) {
                         response.data.results = attempt.autoGradeResult;
                     }
+
+                    // Grader feedback, including rubric breakdowns
+                    if (released && attempt.manualGradeResult.length > 0) {
+                        response.data.manualGrades = attempt.manualGradeResult.map(m => ({
+                            questionId: m.questionId,
+                            score: m.score,
+                            maxScore: m.maxScore,
+                            feedback: m.feedback,
+                            rubricScores: m.rubricScores
+                        }));
+                    }
+                }
+
+                if (attempt.status === 'submitted' || (attempt.status === 'timeout' && !timeoutGraded)) {
+                    response.data.message = 'Your answers are being graded';
                 }
 
                 if (attempt.status === 'needs_manual_review') {
@@ -568,26 +544,44 @@ class AttemptsController {
      */
     async getPendingGrading(req, res, next) {
         try {
-            const { page = 1, limit = 20 } = req.query;
+            const { page = 1, limit = 20, assignedToMe, disagreements } = req.query;
             const skip = (parseInt(page) - 1) * parseInt(limit);
 
+            const query = { status: 'needs_manual_review' };
+
+            // Double-marking: a grader's own queue, or a moderator's queue
+            if (assignedToMe === 'true') {
+                query['graders.grader'] = req.user._id;
+            }
+            if (disagreements === 'true') {
+                query.disagreements = { $elemMatch: { status: 'open' } };
+            }
+
             const [attempts, total] = await Promise.all([
-                QuizAttempt.find({
-                    status: 'needs_manual_review'
-                })
+                QuizAttempt.find(query)
                     .populate('user', 'name email')
-                    .populate('quiz', 'title subject')
+                    .populate('quiz', 'title subject doubleMarking')
                     .sort({ endTime: 1 }) // Oldest first
                     .skip(skip)
                     .limit(parseInt(limit)),
-                QuizAttempt.countDocuments({
-                    status: 'needs_manual_review'
-                })
+                QuizAttempt.countDocuments(query)
             ]);
 
+            const data = attempts.map(attempt => {
+                if (!moderationService.isDoubleMarked(attempt.quiz) ||
+                    moderationService.canModerate(attempt, attempt.quiz, req.user)) {
+                    return attempt;
+                }
+
+                return {
+                    ...moderationService.redactForGrader(attempt.toObject(), req.user._id),
+                    myPendingQuestions: moderationService.getPendingForGrader(attempt, req.user._id)
+                };
+            });
+
             res.json({
                 success: true,
-                data: attempts,
+                data,
                 pagination: {
                     page: parseInt(page),
                     limit: parseInt(limit),
@@ -601,6 +595,30 @@ class AttemptsController {
         }
     }
 
+    /**
+     * GET /api/grading/dead-letter
+     * List grading jobs that exhausted their retries (Admin)
+     */
+    async listGradingDeadLetters(req, res, next) {
+        try {
+            const { page = 1, limit = 50 } = req.query;
+            const start = (parseInt(page) - 1) * parseInt(limit);
+
+            const jobs = await listDeadLetters(QUEUE_NAMES.GRADING, {
+                start,
+                end: start + parseInt(limit) - 1
+            });
+
+            res.json({
+                success: true,
+                data: jobs
+            });
+        } catch (error) {
+            logger.error('List grading dead letters error:', error);
+            next(error);
+        }
+    }
+
     /**
      * GET /api/grading/:attemptId
      * Get attempt details for grading (Trainer/Admin)
@@ -621,38 +639,67 @@ class AttemptsController {
             }
 
             const quiz = attempt.quiz;
-
-            // Get questions with student answers
-            let questions;
-            if (quiz.questionMode === 'fixed_list') {
-                questions = await Question.find({
-                    _id: { $in: quiz.questionIds }
-                });
-            } else {
-                // Extract question IDs from rawAnswers
-                const questionIds = attempt.rawAnswers.map(a => a.questionId);
-                questions = await Question.find({
-                    _id: { $in: questionIds }
+            const doubleMarked = moderationService.isDoubleMarked(quiz);
+            const isModerator = doubleMarked && moderationService.canModerate(attempt, quiz, req.user);
+
+            // Blind graders only see their own scores; other trainers are kept out once both slots are taken
+            const blindView = doubleMarked && !isModerator;
+            if (blindView &&
+                !moderationService.isAssignedGrader(attempt, req.user._id) &&
+                attempt.graders.length >= 2) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'You are not assigned to grade this attempt'
                 });
             }
 
+            // The questions this attempt was served, in the order served; the
+            // quiz's current question list may have changed since
+            const questionRefs = gradingService.getAttemptQuestionRefs(attempt);
+            const found = await Question.find({
+                _id: { $in: questionRefs.map(ref => ref.questionId) }
+            });
+            const byId = new Map(found.map(q => [q._id.toString(), q]));
+            const questions = questionRefs
+                .map(ref => byId.get(ref.questionId.toString()))
+                .filter(Boolean);
+
             // Combine questions with student answers
             const questionsWithAnswers = questions.map(question => {
                 const studentAnswer = attempt.rawAnswers.find(
                     a => a.questionId.toString() === question._id.toString()
                 );
 
-                const autoGrade = attempt.autoGradeResult?.[question._id.toString()];
+                const autoGrade = attempt.autoGradeResult.find(
+                    r => r.questionId.toString() === question._id.toString()
+                );
+                const manualGrade = attempt.manualGradeResult.find(
+                    m => m.questionId.toString() === question._id.toString()
+                );
+                const blindGrades = attempt.blindGrades.filter(bg =>
+                    bg.questionId.toString() === question._id.toString() &&
+                    (!blindView || bg.grader.toString() === req.user._id.toString())
+                );
 
                 return {
                     question: question,
                     studentAnswer: studentAnswer?.answer,
                     autoGrade: autoGrade,
+                    manualGrade: blindView ? undefined : manualGrade,
+                    ...(doubleMarked && { blindGrades }),
                     clientTimestamp: studentAnswer?.clientTimestamp,
                     serverTimestamp: studentAnswer?.serverTimestamp
                 };
             });
 
+            const doubleMarking = doubleMarked ? {
+                graders: attempt.graders,
+                isModerator,
+                disagreements: blindView
+                    ? attempt.disagreements.map(d => ({ questionId: d.questionId, status: d.status }))
+                    : attempt.disagreements
+            } : undefined;
+
             res.json({
                 success: true,
                 data: {
@@ -661,11 +708,12 @@ class AttemptsController {
                         status: attempt.status,
                         startTime: attempt.startTime,
                         endTime: attempt.endTime,
-                        totalScore: attempt.totalScore,
+                        totalScore: blindView ? undefined : attempt.totalScore,
                         maxScore: attempt.maxScore,
                         tabSwitches: attempt.tabSwitches,
                         flaggedReasons: attempt.flaggedReasons
                     },
+                    doubleMarking,
                     student: attempt.user,
                     quiz: {
                         id: quiz._id,
@@ -673,7 +721,8 @@ class AttemptsController {
                         totalMarks: quiz.totalMarks,
                         passingMarks: quiz.passingMarks
                     },
-                    questionsWithAnswers
+                    questionsWithAnswers,
+                    gradingHistory: blindView ? undefined : attempt.gradingHistory
                 }
             });
         } catch (error) {
@@ -689,7 +738,7 @@ class AttemptsController {
     async gradeAnswer(req, res, next) {
         try {
             const { attemptId } = req.params;
-            const { questionId, score, feedback } = req.body;
+            const { questionId, feedback } = req.body;
 
             const attempt = await QuizAttempt.findById(attemptId);
 
@@ -700,44 +749,104 @@ class AttemptsController {
                 });
             }
 
-            // Get question to validate score
-            const question = await Question.findById(questionId);
-            if (!question) {
+            const quiz = await Quiz.findById(attempt.quiz);
+
+            if (!moderationService.canGrade(attempt, quiz, req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'You can only grade attempts on your own quizzes'
+                });
+            }
+
+            // Grades override automatic results, so the attempt must have them
+            if (!isGraded(attempt)) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Attempt has not been submitted and graded yet',
+                    status: attempt.status
+                });
+            }
+
+            const autoGrade = attempt.autoGradeResult.find(
+                r => r.questionId.toString() === questionId.toString()
+            );
+
+            if (!autoGrade) {
                 return res.status(404).json({
                     success: false,
-                    error: 'Question not found'
+                    error: 'Question not found in this attempt'
                 });
             }
 
-            if (score > question.marks) {
+            // Rubric grading: score each criterion, derive the question score
+            const { score, rubricScores, error: scoreError } = await gradingService.resolveManualScore(
+                questionId,
+                req.body,
+                autoGrade.maxScore
+            );
+
+            if (scoreError) {
                 return res.status(400).json({
                     success: false,
-                    error: `Score cannot exceed ${question.marks} marks`
+                    error: scoreError
                 });
             }
 
-            // Update autoGradeResult with manual grade
-            if (!attempt.autoGradeResult) {
-                attempt.autoGradeResult = {};
+            // Double-marking: record a blind score; the released score waits for the second grader
+            if (moderationService.isDoubleMarked(quiz)) {
+                if (!moderationService.ensureGraderSlot(attempt, req.user._id)) {
+                    return res.status(403).json({
+                        success: false,
+                        error: 'Two other graders are already assigned to this attempt'
+                    });
+                }
+
+                moderationService.recordBlindGrade(attempt, quiz, {
+                    questionId,
+                    score,
+                    maxScore: autoGrade.maxScore,
+                    feedback,
+                    rubricScores,
+                    grader: req.user._id
+                });
+
+                await attempt.save();
+                await syncAttemptStats(attempt);
+
+                logger.info(`Blind grade recorded: attempt ${attemptId}, question ${questionId} by ${req.user.email}`);
+
+                return res.json({
+                    success: true,
+                    message: 'Blind grade recorded',
+                    data: {
+                        questionId,
+                        score,
+                        rubricScores,
+                        remainingQuestions: moderationService.getPendingForGrader(attempt, req.user._id)
+                    }
+                });
             }
 
-            attempt.autoGradeResult[questionId] = {
+            gradingService.recordManualGrade(attempt, quiz, {
+                questionId,
                 score,
+                maxScore: autoGrade.maxScore,
                 feedback,
-                manuallyGraded: true,
-                gradedBy: req.user._id,
-                gradedAt: new Date()
-            };
-
-            // Recalculate total score
-            const totalScore = Object.values(attempt.autoGradeResult).reduce(
-                (sum, result) => sum + (result.score || 0),
-                0
-            );
-
-            attempt.totalScore = totalScore;
+                rubricScores,
+                gradedBy: req.user._id
+            });
+            moderationService.appendHistory(attempt, {
+                action: 'graded',
+                questionId,
+                actor: req.user._id,
+                score,
+                maxScore: autoGrade.maxScore,
+                feedback,
+                rubricScores
+            });
 
             await attempt.save();
+            await syncAttemptStats(attempt);
 
             logger.info(`Answer graded: attempt ${attemptId}, question ${questionId} by ${req.user.email}`);
 
@@ -747,6 +856,7 @@ class AttemptsController {
                 data: {
                     questionId,
                     score,
+                    rubricScores,
                     totalScore: attempt.totalScore,
                     maxScore: attempt.maxScore
                 }
@@ -781,25 +891,40 @@ class AttemptsController {
                 });
             }
 
-            // Verify all questions are graded
-            const quiz = await Quiz.findById(attempt.quiz);
-            const expectedQuestionCount = quiz.questionMode === 'fixed_list'
-                ? quiz.questionIds.length
-                : quiz.questionPoolFilter.count;
+            // Double-marking: every disagreement needs a moderator's decision first
+            const openDisagreements = moderationService.getOpenDisagreements(attempt);
 
-            const gradedCount = Object.keys(attempt.autoGradeResult || {}).length;
+            if (openDisagreements.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Grader disagreements must be resolved by a moderator',
+                    openDisagreements
+                });
+            }
+
+            // Verify every answer that needs a human has been graded
+            const pendingQuestions = gradingService.getPendingManualQuestions(attempt);
 
-            if (gradedCount < expectedQuestionCount) {
+            if (pendingQuestions.length > 0) {
                 return res.status(400).json({
                     success: false,
                     error: 'Not all questions have been graded',
-                    gradedCount,
-                    expectedCount: expectedQuestionCount
+                    pendingQuestions
                 });
             }
 
-            attempt.status = 'auto_graded'; // Finalized status
+            const quiz = await Quiz.findById(attempt.quiz);
+            gradingService.recalculateScore(attempt, quiz);
+
+            attempt.status = 'manually_graded';
+            moderationService.appendHistory(attempt, {
+                action: 'finalized',
+                actor: req.user._id,
+                score: attempt.totalScore,
+                maxScore: attempt.maxScore
+            });
             await attempt.save();
+            await syncAttemptStats(attempt);
 
             logger.info(`Grading finalized: attempt ${attemptId} by ${req.user.email}`);
 
@@ -819,6 +944,172 @@ class AttemptsController {
         }
     }
 
+    /**
+     * POST /api/grading/:attemptId/assign
+     * Assign the two blind graders for a double-marked attempt (Trainer/Admin)
+     */
+    async assignGraders(req, res, next) {
+        try {
+            const { attemptId } = req.params;
+            const { graders } = req.body;
+
+            const attempt = await QuizAttempt.findById(attemptId).populate('quiz');
+
+            if (!attempt) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Attempt not found'
+                });
+            }
+
+            const quiz = attempt.quiz;
+
+            if (!moderationService.isDoubleMarked(quiz)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Double-marking is not enabled for this quiz'
+                });
+            }
+
+            if (req.user.role === 'trainer' && quiz.createdBy.toString() !== req.user._id.toString()) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Only the quiz owner or an admin can assign graders'
+                });
+            }
+
+            const assignError = moderationService.assignGraders(attempt, graders, req.user._id);
+            if (assignError) {
+                return res.status(400).json({
+                    success: false,
+                    error: assignError
+                });
+            }
+
+            await attempt.save();
+
+            logger.info(`Graders assigned: attempt ${attemptId} by ${req.user.email}`);
+
+            res.json({
+                success: true,
+                message: 'Graders assigned',
+                data: {
+                    attemptId: attempt._id,
+                    graders: attempt.graders
+                }
+            });
+        } catch (error) {
+            logger.error('Assign graders error:', error);
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/grading/:attemptId/moderate
+     * Resolve a grader disagreement with a final score (Moderator)
+     */
+    async moderateGrade(req, res, next) {
+        try {
+            const { attemptId } = req.params;
+            const { questionId, feedback } = req.body;
+
+            const attempt = await QuizAttempt.findById(attemptId).populate('quiz');
+
+            if (!attempt) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Attempt not found'
+                });
+            }
+
+            const quiz = attempt.quiz;
+
+            if (!moderationService.canGrade(attempt, quiz, req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'You can only grade attempts on your own quizzes'
+                });
+            }
+
+            if (!isGraded(attempt)) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Attempt has not been submitted and graded yet',
+                    status: attempt.status
+                });
+            }
+
+            if (!moderationService.isDoubleMarked(quiz) || !moderationService.canModerate(attempt, quiz, req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Only a moderator who is not grading this attempt can resolve disagreements'
+                });
+            }
+
+            const autoGrade = attempt.autoGradeResult.find(
+                r => r.questionId.toString() === questionId.toString()
+            );
+
+            if (!autoGrade) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Question not found in this attempt'
+                });
+            }
+
+            // Rubric grading: score each criterion, derive the question score
+            const { score, rubricScores, error: scoreError } = await gradingService.resolveManualScore(
+                questionId,
+                req.body,
+                autoGrade.maxScore
+            );
+
+            if (scoreError) {
+                return res.status(400).json({
+                    success: false,
+                    error: scoreError
+                });
+            }
+
+            const resolveError = moderationService.resolveDisagreement(attempt, quiz, {
+                questionId,
+                score,
+                maxScore: autoGrade.maxScore,
+                feedback,
+                rubricScores,
+                moderator: req.user._id
+            });
+
+            if (resolveError) {
+                return res.status(400).json({
+                    success: false,
+                    error: resolveError
+                });
+            }
+
+            await attempt.save();
+            await syncAttemptStats(attempt);
+
+            logger.info(`Disagreement resolved: attempt ${attemptId}, question ${questionId} by ${req.user.email}`);
+
+            res.json({
+                success: true,
+                message: 'Disagreement resolved',
+                data: {
+                    questionId,
+                    score,
+                    rubricScores,
+                    openDisagreements: moderationService.getOpenDisagreements(attempt),
+                    totalScore: attempt.totalScore,
+                    maxScore: attempt.maxScore
+                }
+            });
+        } catch (error) {
+            logger.error('Moderate grade error:', error);
+            next(error);
+        }
+    }
+
     /**
      * POST /api/audit/event
      * Log anti-cheat audit events
@@ -842,28 +1133,15 @@ class AttemptsController {
                 });
             }
 
-            // Create audit log
-            const auditLog = new AuditLog({
-                attemptId,
-                userId,
+            // Create audit log and update attempt counters
+            await recordAuditEvent(attempt, {
                 eventType,
                 meta,
-                timestamp: new Date()
+                ipAddress: (req.headers['x-forwarded-for'] || req.socket.remoteAddress || '').split(',')[0].trim(),
+                userAgent: req.headers['user-agent']
             });
 
-            await auditLog.save();
-
-            // Update attempt counters for specific events
-            if (eventType === 'tab_switch') {
-                attempt.tabSwitches += 1;
-
-                // Check threshold and flag if exceeded
-                if (attempt.tabSwitches >= config.antiCheat.tabSwitchWarning) {
-                    logger.warn(`High tab switches detected: ${attempt.tabSwitches} for attempt ${attemptId}`);
-                }
-
-                await attempt.save();
-            }
+            publishAttemptUpdate(req.app.get('io'), attempt, 'event', { eventType });
 
             res.json({
                 success: true,
@@ -920,18 +1198,6 @@ class AttemptsController {
             next(error);
         }
     }
-
-    /**
-     * Utility: Shuffle array (Fisher-Yates)
-     */
-    shuffleArray(array) {
-        const shuffled = [...array];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-        }
-        return shuffled;
-    }
 }
 
 module.exports = new AttemptsController();
\ No newline at end of file
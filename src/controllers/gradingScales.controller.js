@@ -0,0 +1,199 @@
+// ============================================
+// controllers/gradingScales.controller.js
+// ============================================
+const GradingScale = require('../models/GradingScale');
+const Quiz = require('../models/Quiz');
+const Subject = require('../models/Subject');
+const gradingScaleService = require('../services/gradingScale.service');
+
+/**
+ * Institution scales are admin-only; subject scales can be managed
+ * by the trainer who created them
+ */
+const canManage = (scale, user) => {
+    if (user.role === 'admin') return true;
+    return scale.scope === 'subject' && scale.createdBy?.toString() === user._id.toString();
+};
+
+const listScales = async (req, res, next) => {
+    try {
+        const { subject, scope, includeInactive } = req.query;
+
+        const filter = {};
+        if (scope) filter.scope = scope;
+        if (subject) {
+            // A subject can use its own scales plus the institution-wide ones
+            filter.$or = [{ scope: 'institution' }, { scope: 'subject', subject }];
+        }
+        if (includeInactive !== 'true') filter.isActive = true;
+
+        const scales = await GradingScale.find(filter)
+            .populate('subject', 'name code')
+            .sort({ scope: 1, name: 1 })
+            .lean();
+
+        return res.status(200).json({ success: true, data: scales });
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getScale = async (req, res, next) => {
+    try {
+        const scale = await GradingScale.findById(req.params.id)
+            .populate('subject', 'name code')
+            .lean();
+
+        if (!scale) {
+            return res.status(404).json({ success: false, error: 'Grading scale not found' });
+        }
+
+        const quizCount = await Quiz.countDocuments({ 'gradingScale.scale': scale._id });
+
+        return res.status(200).json({ success: true, data: { ...scale, quizCount } });
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+const createScale = async (req, res, next) => {
+    try {
+        const { name, description, scope = 'institution', subject, bands } = req.body;
+
+        if (scope === 'institution' && req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                error: 'Only admins can create institution-wide grading scales'
+            });
+        }
+
+        if (scope === 'subject') {
+            if (!subject) {
+                return res.status(400).json({ success: false, error: 'Subject scales need a subject' });
+            }
+            if (!(await Subject.exists({ _id: subject }))) {
+                return res.status(404).json({ success: false, error: 'Subject not found' });
+            }
+        }
+
+        const bandError = gradingScaleService.validateBands(bands);
+        if (bandError) {
+            return res.status(400).json({ success: false, error: bandError });
+        }
+
+        const scale = await GradingScale.create({
+            name: name.trim(),
+            description,
+            scope,
+            subject: scope === 'subject' ? subject : undefined,
+            bands,
+            createdBy: req.user._id
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Grading scale created successfully',
+            data: scale
+        });
+
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                error: 'A grading scale with this name already exists'
+            });
+        }
+        next(err);
+    }
+};
+
+/**
+ * Band changes are pushed to every quiz using the scale,
+ * and their attempts are re-graded
+ */
+const updateScale = async (req, res, next) => {
+    try {
+        const scale = await GradingScale.findById(req.params.id);
+
+        if (!scale) {
+            return res.status(404).json({ success: false, error: 'Grading scale not found' });
+        }
+
+        if (!canManage(scale, req.user)) {
+            return res.status(403).json({ success: false, error: 'Access denied: You cannot edit this grading scale' });
+        }
+
+        const { name, description, bands, isActive } = req.body;
+
+        if (bands) {
+            const bandError = gradingScaleService.validateBands(bands);
+            if (bandError) {
+                return res.status(400).json({ success: false, error: bandError });
+            }
+            scale.bands = bands;
+        }
+        if (name) scale.name = name.trim();
+        if (description !== undefined) scale.description = description;
+        if (isActive !== undefined) scale.isActive = isActive;
+
+        await scale.save();
+
+        const refresh = bands || name
+            ? await gradingScaleService.refreshQuizzesUsingScale(scale)
+            : { quizzesUpdated: 0, attemptsUpdated: 0 };
+
+        return res.status(200).json({
+            success: true,
+            message: 'Grading scale updated successfully',
+            data: { scale, ...refresh }
+        });
+
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                error: 'A grading scale with this name already exists'
+            });
+        }
+        next(err);
+    }
+};
+
+const deleteScale = async (req, res, next) => {
+    try {
+        const scale = await GradingScale.findById(req.params.id);
+
+        if (!scale) {
+            return res.status(404).json({ success: false, error: 'Grading scale not found' });
+        }
+
+        if (!canManage(scale, req.user)) {
+            return res.status(403).json({ success: false, error: 'Access denied: You cannot delete this grading scale' });
+        }
+
+        const inUse = await Quiz.countDocuments({ 'gradingScale.scale': scale._id });
+        if (inUse > 0) {
+            return res.status(409).json({
+                success: false,
+                error: `Grading scale is used by ${inUse} quiz(zes); detach it or deactivate it instead`
+            });
+        }
+
+        await scale.deleteOne();
+
+        return res.status(200).json({ success: true, message: 'Grading scale deleted successfully' });
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = {
+    listScales,
+    getScale,
+    createScale,
+    updateScale,
+    deleteScale
+};
@@ -384,6 +384,69 @@ const getQuestionStatistics = async (req, res, next) => {
     }
 };
 
+/**
+ * Bank-wide item analysis: analysed questions with their pooled statistics
+ * GET /api/questions/item-analysis
+ * Trainer/Admin only
+ */
+const getItemAnalysis = async (req, res, next) => {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            subject,
+            flag,
+            sortBy = 'discrimination',
+            sortOrder = 'asc'
+        } = req.query;
+
+        const filter = { 'itemStats.analyzedAt': { $exists: true } };
+
+        if (subject) filter.subject = subject;
+        if (flag) filter['itemStats.flags'] = flag;
+
+        const sortFields = {
+            pValue: 'itemStats.pValue',
+            discrimination: 'itemStats.discrimination',
+            timesUsed: 'timesUsed'
+        };
+
+        const result = await questionService.listQuestions(filter, {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            sort: { [sortFields[sortBy]]: sortOrder === 'asc' ? 1 : -1 },
+            populate: [{ path: 'subject', select: 'name' }]
+        });
+
+        res.status(200).json({
+            success: true,
+            data: result.docs.map(q => ({
+                _id: q._id,
+                prompt: q.prompt,
+                type: q.type,
+                subject: q.subject,
+                difficulty: q.difficulty,
+                topic: q.topic,
+                timesUsed: q.timesUsed,
+                averageScore: q.averageScore,
+                itemStats: q.itemStats,
+                calibration: q.calibration
+            })),
+            pagination: {
+                total: result.totalDocs,
+                page: result.page,
+                limit: result.limit,
+                totalPages: result.totalPages,
+                hasNextPage: result.hasNextPage,
+                hasPrevPage: result.hasPrevPage
+            }
+        });
+    } catch (error) {
+        logger.error('Error fetching item analysis:', error);
+        next(error);
+    }
+};
+
 /**
  * Verify a question (mark as reviewed and approved)
  * PATCH /api/questions/:id/verify
@@ -425,5 +488,6 @@ module.exports = {
     deleteQuestion,
     bulkImportQuestions,
     getQuestionStatistics,
+    getItemAnalysis,
     verifyQuestion
 };
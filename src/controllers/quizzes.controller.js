@@ -3,19 +3,37 @@ const Quiz = require('../models/Quiz');
 const Question = require('../models/Question');
 const QuizAttempt = require('../models/QuizAttempt');
 const Subject = require('../models/Subject');
+const User = require('../models/User');
 const mongoose = require('mongoose');
 const logger = require('../config/logger');
 const QuizEnrollment = require('../models/QuizEnrollment');
+const GradingScale = require('../models/GradingScale');
+const gradingJob = require('../jobs/grading.job');
+const { finalizeAttempt } = require('../jobs/attemptTimeout.job');
+const questionService = require('../services/question.service');
+const regradeService = require('../services/regrade.service');
+const gradingScaleService = require('../services/gradingScale.service');
+const sectionService = require('../services/section.service');
+const blueprintService = require('../services/blueprint.service');
+const questionSelectionService = require('../services/questionSelection.service');
+const adaptiveService = require('../services/adaptive.service');
+const itemAnalysisService = require('../services/itemAnalysis.service');
+const quizStatisticsService = require('../services/quizStatistics.service');
+const attemptStatsService = require('../services/attemptStats.service');
+const {
+    PAUSED_ERROR,
+    mergeRawAnswers,
+    getVisibleQuestions,
+    saveAnswers,
+    getAllowedSeconds,
+    resolveDeadline,
+    getAttemptTimeRemaining,
+    isPastDeadline
+} = require('../services/attemptSession.service');
+const accommodationService = require('../services/accommodation.service');
+const { publishAttemptUpdate } = require('../services/proctoring.service');
+const { notifyAttemptFinalized, notifyAttemptClock } = require('../sockets/attempt.socket');
 const crypto = require('crypto');
-function shuffleArray(arr) {
-    const newArr = [...arr];
-    for (let i = newArr.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [newArr[i], newArr[j]] = [newArr[j], newArr[i]];
-    }
-    return newArr;
-}
-
 function generateAttemptToken() {
     return crypto.randomBytes(32).toString('hex');
 }
@@ -48,16 +66,6 @@ class QuizzesController {
 
         return quiz;
     }
-    calculateMedian(values) {
-        if (values.length === 0) return 0;
-
-        const sorted = [...values].sort((a, b) => a - b);
-        const mid = Math.floor(sorted.length / 2);
-
-        return sorted.length % 2 !== 0
-            ? sorted[mid]
-            : (sorted[mid - 1] + sorted[mid]) / 2;
-    }
 
     /**
    * GET /api/quizzes
@@ -177,14 +185,21 @@ class QuizzesController {
                         };
                     }
 
+                    const enrollment = enrollmentMap.get(quizId);
+                    const schedule = accommodationService.getEffectiveSchedule(quiz, enrollment);
+
                     return {
                         ...quiz,
+                        startTime: schedule.startTime,
+                        endTime: schedule.endTime,
+                        attemptsAllowed: schedule.attemptsAllowed,
                         isEnrolled: true,
                         attemptCount: attemptData?.count || 0,
-                        attemptsRemaining: quiz.attemptsAllowed - (attemptData?.count || 0),
+                        attemptsRemaining: schedule.attemptsAllowed - (attemptData?.count || 0),
                         bestScore: attemptData?.bestScore || null,
                         lastAttemptDate: attemptData?.lastAttempt || null,
-                        canAttempt: (attemptData?.count || 0) < quiz.attemptsAllowed
+                        canAttempt: (attemptData?.count || 0) < schedule.attemptsAllowed,
+                        accommodations: accommodationService.describeAccommodations(enrollment)
                     };
                 });
 
@@ -283,21 +298,23 @@ class QuizzesController {
                     });
                 }
 
+                const schedule = accommodationService.getEffectiveSchedule(quiz, enrollment);
+
                 // Time window check
                 const now = new Date();
-                if (now < quiz.startTime) {
+                if (now < schedule.startTime) {
                     return res.status(403).json({
                         success: false,
                         error: 'Quiz has not started yet',
-                        availableFrom: quiz.startTime
+                        availableFrom: schedule.startTime
                     });
                 }
 
-                if (now > quiz.endTime) {
+                if (now > schedule.endTime) {
                     return res.status(403).json({
                         success: false,
                         error: 'Quiz has ended',
-                        endedAt: quiz.endTime
+                        endedAt: schedule.endTime
                     });
                 }
 
@@ -312,12 +329,12 @@ class QuizzesController {
                     ? Math.max(...attempts.map(a => a.totalScore || 0))
                     : null;
 
-                if (attemptCount >= quiz.attemptsAllowed) {
+                if (attemptCount >= schedule.attemptsAllowed) {
                     return res.status(403).json({
                         success: false,
                         error: 'Maximum attempts reached',
                         attemptCount,
-                        attemptsAllowed: quiz.attemptsAllowed,
+                        attemptsAllowed: schedule.attemptsAllowed,
                         bestScore
                     });
                 }
@@ -330,17 +347,18 @@ class QuizzesController {
                         title: quiz.title,
                         description: quiz.description,
                         subject: quiz.subject,
-                        durationMinutes: quiz.durationMinutes,
+                        durationMinutes: schedule.durationMinutes,
                         totalMarks: quiz.totalMarks,
                         passingMarks: quiz.passingMarks,
-                        attemptsAllowed: quiz.attemptsAllowed,
-                        startTime: quiz.startTime,
-                        endTime: quiz.endTime,
+                        attemptsAllowed: schedule.attemptsAllowed,
+                        startTime: schedule.startTime,
+                        endTime: schedule.endTime,
                         instructions: quiz.instructions,
                         antiCheatSettings: quiz.antiCheatSettings,
                         isEnrolled: true,
+                        accommodations: accommodationService.describeAccommodations(enrollment),
                         attemptCount,
-                        attemptsRemaining: quiz.attemptsAllowed - attemptCount,
+                        attemptsRemaining: schedule.attemptsAllowed - attemptCount,
                         bestScore,
                         previousAttempts: attempts.map(a => ({
                             score: a.totalScore,
@@ -392,10 +410,14 @@ class QuizzesController {
                 questionMode = 'none',
                 questionIds = [],
                 questionPoolFilter,
+                sections = [],
+                adaptiveSettings,
                 durationMinutes,
                 durationSeconds,
                 totalMarks,
                 passingMarks,
+                partialCreditPolicy,
+                doubleMarking,
                 attemptsAllowed = 1,
                 startTime,
                 endTime,
@@ -421,7 +443,7 @@ class QuizzesController {
 
             // ✅ FIXED: Clean up questionPoolFilter
             let cleanQuestionPoolFilter = undefined;
-            if (questionMode === 'pool_random' && questionPoolFilter) {
+            if ((questionMode === 'pool_random' || questionMode === 'adaptive') && questionPoolFilter) {
                 const poolSubject = questionPoolFilter.subject &&
                     questionPoolFilter.subject.trim() !== ''
                     ? questionPoolFilter.subject
@@ -431,7 +453,8 @@ class QuizzesController {
                     subject: poolSubject,
                     difficulty: questionPoolFilter.difficulty || [],
                     tags: questionPoolFilter.tags || [],
-                    count: questionPoolFilter.count || 10
+                    count: questionPoolFilter.count || 10,
+                    blueprint: questionPoolFilter.blueprint
                 };
 
                 // Remove undefined subject if not provided
@@ -452,6 +475,33 @@ class QuizzesController {
                 }
             }
 
+            // ✅ VALIDATE: blueprint quotas must fit the paper size
+            if (cleanQuestionPoolFilter?.blueprint) {
+                const blueprintError = blueprintService.validateBlueprint(
+                    cleanQuestionPoolFilter.blueprint,
+                    cleanQuestionPoolFilter.count
+                );
+                if (blueprintError) {
+                    await session.abortTransaction();
+                    return res.status(400).json({
+                        success: false,
+                        error: blueprintError
+                    });
+                }
+            }
+
+            // ✅ VALIDATE: adaptive stopping rules
+            if (questionMode === 'adaptive') {
+                const adaptiveError = adaptiveService.validateAdaptiveSettings(adaptiveSettings);
+                if (adaptiveError) {
+                    await session.abortTransaction();
+                    return res.status(400).json({
+                        success: false,
+                        error: adaptiveError
+                    });
+                }
+            }
+
             // ✅ VALIDATE: questionPoolFilter.subject only if provided
             if (cleanQuestionPoolFilter?.subject) {
                 const poolSubjectExists = await Subject.findById(cleanQuestionPoolFilter.subject).session(session);
@@ -493,6 +543,28 @@ class QuizzesController {
                 if (!totalMarks) {
                     calculatedTotalMarks = (cleanQuestionPoolFilter.count || 10) * 1;
                 }
+            } else if (questionMode === 'adaptive') {
+                // One mark per question served, as pool quizzes do
+                if (!totalMarks) {
+                    calculatedTotalMarks = adaptiveSettings?.maxQuestions || 20;
+                }
+            } else if (questionMode === 'sectioned') {
+                const sectionError = sectionService.validateSections(sections, quizDuration);
+                const sectionMarks = sectionError
+                    ? { error: sectionError }
+                    : await sectionService.calculateSectionMarks(sections, { session });
+
+                if (sectionMarks.error) {
+                    await session.abortTransaction();
+                    return res.status(400).json({
+                        success: false,
+                        error: sectionMarks.error
+                    });
+                }
+
+                if (!totalMarks) {
+                    calculatedTotalMarks = sectionMarks.totalMarks;
+                }
             }
 
             // Validate time window only if both are provided
@@ -524,9 +596,13 @@ class QuizzesController {
                 questionMode,
                 questionIds: questionMode === 'fixed_list' ? questionIds : [],
                 questionPoolFilter: cleanQuestionPoolFilter,
+                sections: questionMode === 'sectioned' ? sections : [],
+                adaptiveSettings,
                 durationMinutes: quizDuration,
                 totalMarks: calculatedTotalMarks,
                 passingMarks: finalPassingMarks,
+                partialCreditPolicy,
+                doubleMarking,
                 attemptsAllowed,
                 startTime: startTime || undefined,
                 endTime: endTime || undefined,
@@ -617,6 +693,7 @@ class QuizzesController {
                     'endTime',
                     'showResultsImmediately',
                     'showCorrectAnswers',
+                    'doubleMarking',
                     'tags',
                     'category'
                 ];
@@ -673,6 +750,65 @@ class QuizzesController {
                 }
             }
 
+            // Validate blueprint quotas against the paper size
+            if (updates.questionPoolFilter?.blueprint) {
+                const blueprintError = blueprintService.validateBlueprint(
+                    updates.questionPoolFilter.blueprint,
+                    updates.questionPoolFilter.count || quiz.questionPoolFilter?.count
+                );
+                if (blueprintError) {
+                    await session.abortTransaction();
+                    return res.status(400).json({
+                        success: false,
+                        error: blueprintError
+                    });
+                }
+            }
+
+            // Validate sections if they (or the duration) change on a sectioned quiz
+            const newQuestionMode = updates.questionMode || quiz.questionMode;
+            if (newQuestionMode === 'sectioned' &&
+                (updates.sections || updates.questionMode || updates.durationMinutes)) {
+                const sections = updates.sections || quiz.sections;
+                const sectionError = sectionService.validateSections(
+                    sections,
+                    updates.durationMinutes || quiz.durationMinutes
+                );
+                const sectionMarks = sectionError
+                    ? { error: sectionError }
+                    : await sectionService.calculateSectionMarks(sections, { session });
+
+                if (sectionMarks.error) {
+                    await session.abortTransaction();
+                    return res.status(400).json({
+                        success: false,
+                        error: sectionMarks.error
+                    });
+                }
+
+                // Auto-update total marks
+                if (updates.sections && !updates.totalMarks) {
+                    updates.totalMarks = sectionMarks.totalMarks;
+                }
+            }
+
+            // Validate adaptive stopping rules
+            if (newQuestionMode === 'adaptive' && updates.adaptiveSettings) {
+                const adaptiveError = adaptiveService.validateAdaptiveSettings(updates.adaptiveSettings);
+                if (adaptiveError) {
+                    await session.abortTransaction();
+                    return res.status(400).json({
+                        success: false,
+                        error: adaptiveError
+                    });
+                }
+
+                // Adaptive quizzes are worth one mark per question served
+                if (updates.adaptiveSettings.maxQuestions && !updates.totalMarks) {
+                    updates.totalMarks = updates.adaptiveSettings.maxQuestions;
+                }
+            }
+
             // Validate time window if being updated
             const newStartTime = updates.startTime || quiz.startTime;
             const newEndTime = updates.endTime || quiz.endTime;
@@ -701,6 +837,21 @@ class QuizzesController {
             quiz.modifiedBy = req.user._id;
             quiz.lastAutoSave = new Date();
 
+            // A published pool quiz must still meet its blueprint, as at publish time
+            const poolInputsChanged = ['questionPoolFilter', 'questionMode', 'subject', 'totalMarks']
+                .some(key => key in updates);
+            if (quiz.isPublished && quiz.questionMode === 'pool_random' && poolInputsChanged) {
+                const blueprintErrors = await questionSelectionService.checkQuizBlueprint(quiz);
+                if (blueprintErrors.length > 0) {
+                    await session.abortTransaction();
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Question pool cannot satisfy the blueprint',
+                        errors: blueprintErrors
+                    });
+                }
+            }
+
             await quiz.save({ session });
             await session.commitTransaction();
 
@@ -757,6 +908,13 @@ class QuizzesController {
             if (isPublished) {
                 const validation = quiz.isReadyToPublish();
 
+                // The question bank must be able to satisfy the pool blueprint
+                if (quiz.questionMode === 'pool_random') {
+                    const blueprintErrors = await questionSelectionService.checkQuizBlueprint(quiz);
+                    validation.errors.push(...blueprintErrors);
+                    validation.ready = validation.errors.length === 0;
+                }
+
                 if (!validation.ready) {
                     return res.status(400).json({
                         success: false,
@@ -790,6 +948,79 @@ class QuizzesController {
         }
     }
 
+    /**
+     * POST /api/quizzes/:id/end
+     * Close a running quiz now. Attempts still in progress are submitted
+     * with their last autosaved answers, and students connected over the
+     * attempt socket are told to stop.
+     */
+    async endQuiz(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            const quiz = await this.verifyQuizOwnership(id, req.user._id, req.user.role);
+
+            const now = new Date();
+            if (!quiz.isPublished || !quiz.startTime || now < quiz.startTime) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Quiz has not started yet'
+                });
+            }
+
+            if (quiz.endTime && now > quiz.endTime) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Quiz has already ended',
+                    endedAt: quiz.endTime
+                });
+            }
+
+            // Closing first stops new attempts from starting
+            quiz.endTime = now;
+            quiz.modifiedBy = req.user._id;
+            await quiz.save();
+
+            const openAttempts = await QuizAttempt.find({ quiz: quiz._id, status: 'in_progress' })
+                .select('_id')
+                .lean();
+
+            // Any that fail here are picked up by the timeout sweep
+            let attemptsSubmitted = 0;
+            for (const { _id } of openAttempts) {
+                try {
+                    const attempt = await finalizeAttempt(_id, { deadline: now, reason: 'quiz_closed' });
+                    if (attempt) {
+                        attemptsSubmitted++;
+                        notifyAttemptFinalized(req.app.get('io'), attempt);
+                    }
+                } catch (error) {
+                    logger.error(`Failed to submit attempt ${_id} on quiz end:`, error);
+                }
+            }
+
+            logger.info(`Quiz ended: ${quiz._id} by ${req.user.email}, ${attemptsSubmitted} attempts submitted`);
+
+            res.json({
+                success: true,
+                message: `Quiz ended, ${attemptsSubmitted} attempts submitted`,
+                data: {
+                    endTime: now,
+                    attemptsSubmitted
+                }
+            });
+        } catch (error) {
+            logger.error('End quiz error:', error);
+            if (error.message.includes('Access denied')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message === 'Quiz not found') {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    }
+
     /**
      * DELETE /api/quizzes/:id
      * Delete quiz (admin only, only if no attempts)
@@ -854,78 +1085,47 @@ class QuizzesController {
             // Verify ownership
             const quiz = await this.verifyQuizOwnership(id, req.user._id, req.user.role);
 
-            // Get all enrollments and attempts
-            const [enrollments, attempts] = await Promise.all([
+            const [enrollments, overview] = await Promise.all([
                 QuizEnrollment.countDocuments({ quiz: id }),
-                QuizAttempt.find({ quiz: id })
+                quizStatisticsService.getQuizOverview(quiz._id)
             ]);
 
-            const completedAttempts = attempts.filter(a =>
-                ['submitted', 'auto_graded', 'manually_graded'].includes(a.status)
-            );
+            const { attempts, completed } = overview;
 
-            // Calculate statistics
             const statistics = {
                 enrollment: {
                     total: enrollments,
-                    attempted: new Set(attempts.map(a => a.user.toString())).size,
-                    notAttempted: enrollments - new Set(attempts.map(a => a.user.toString())).size
+                    attempted: overview.attemptedStudents,
+                    notAttempted: enrollments - overview.attemptedStudents
                 },
                 attempts: {
-                    total: attempts.length,
-                    inProgress: attempts.filter(a => a.status === 'in_progress').length,
-                    completed: completedAttempts.length,
-                    flagged: attempts.filter(a => a.isFlagged).length
+                    total: attempts.total,
+                    inProgress: attempts.inProgress,
+                    completed: completed.count,
+                    flagged: attempts.flagged
                 },
                 scores: {
-                    average: completedAttempts.length > 0
-                        ? completedAttempts.reduce((sum, a) => sum + (a.totalScore || 0), 0) / completedAttempts.length
-                        : 0,
-                    highest: completedAttempts.length > 0
-                        ? Math.max(...completedAttempts.map(a => a.totalScore || 0))
-                        : 0,
-                    lowest: completedAttempts.length > 0
-                        ? Math.min(...completedAttempts.map(a => a.totalScore || 0))
-                        : 0,
-                    median: this.calculateMedian(completedAttempts.map(a => a.totalScore || 0))
+                    average: completed.averageScore,
+                    highest: completed.highest,
+                    lowest: completed.lowest,
+                    median: overview.median
                 },
                 performance: {
-                    passRate: completedAttempts.length > 0
-                        ? (completedAttempts.filter(a => a.passed).length / completedAttempts.length) * 100
+                    passRate: completed.count > 0
+                        ? (completed.passed / completed.count) * 100
                         : 0,
-                    averagePercentage: completedAttempts.length > 0
-                        ? completedAttempts.reduce((sum, a) => sum + (a.percentage || 0), 0) / completedAttempts.length
-                        : 0
+                    averagePercentage: completed.averagePercentage
                 },
                 timing: {
-                    averageTimeSpent: completedAttempts.length > 0
-                        ? completedAttempts.reduce((sum, a) => sum + (a.timeSpentSeconds || 0), 0) / completedAttempts.length
-                        : 0
+                    averageTimeSpent: completed.averageTimeSpent
                 },
                 antiCheat: {
-                    totalFlagged: attempts.filter(a => a.isFlagged).length,
-                    averageTabSwitches: attempts.length > 0
-                        ? attempts.reduce((sum, a) => sum + (a.tabSwitches || 0), 0) / attempts.length
-                        : 0
-                }
+                    totalFlagged: attempts.flagged,
+                    averageTabSwitches: attempts.averageTabSwitches
+                },
+                distribution: overview.distribution
             };
 
-            // Score distribution
-            const scoreRanges = [
-                { label: '0-20%', min: 0, max: 20 },
-                { label: '21-40%', min: 21, max: 40 },
-                { label: '41-60%', min: 41, max: 60 },
-                { label: '61-80%', min: 61, max: 80 },
-                { label: '81-100%', min: 81, max: 100 }
-            ];
-
-            statistics.distribution = scoreRanges.map(range => ({
-                label: range.label,
-                count: completedAttempts.filter(a =>
-                    a.percentage >= range.min && a.percentage <= range.max
-                ).length
-            }));
-
             res.json({
                 success: true,
                 data: {
@@ -948,6 +1148,70 @@ class QuizzesController {
         }
     }
 
+    /**
+     * GET /api/quizzes/:id/statistics/summary
+     * Headline figures from the quiz's running counters (no attempt scan)
+     */
+    async getQuizStatsSummary(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            const quiz = await this.verifyQuizOwnership(id, req.user._id, req.user.role);
+
+            res.json({
+                success: true,
+                data: {
+                    quizId: quiz._id,
+                    ...attemptStatsService.describeQuizStats(quiz)
+                }
+            });
+        } catch (error) {
+            logger.error('Get quiz stats summary error:', error);
+            if (error.message.includes('Access denied')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message === 'Quiz not found') {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/quizzes/:id/statistics/reliability
+     * KR-20 / Cronbach's alpha, standard error of measurement and percentiles
+     */
+    async getQuizReliability(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            const quiz = await this.verifyQuizOwnership(id, req.user._id, req.user.role);
+            const reliability = await quizStatisticsService.getReliability(quiz);
+
+            res.json({
+                success: true,
+                data: {
+                    reliability,
+                    quiz: {
+                        id: quiz._id,
+                        title: quiz.title,
+                        questionMode: quiz.questionMode,
+                        totalMarks: quiz.totalMarks
+                    }
+                }
+            });
+        } catch (error) {
+            logger.error('Get quiz reliability error:', error);
+            if (error.message.includes('Access denied')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message === 'Quiz not found') {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    }
+
     /**
      * GET /api/quizzes/:id/results
      * Get all attempts for a quiz (trainer/admin only)
@@ -966,27 +1230,12 @@ class QuizzesController {
                 });
             }
 
-            const query = { quiz: id };
-
-            if (status) {
-                query.status = status;
-            }
-
-            if (userId) {
-                query.user = userId;
-            }
-
-            const skip = (parseInt(page) - 1) * parseInt(limit);
-
-            const [attempts, total] = await Promise.all([
-                QuizAttempt.find(query)
-                    .populate('user', 'name email')
-                    .select('-rawAnswers -autoGradeResult') // Exclude large fields in list
-                    .sort({ startTime: -1 })
-                    .skip(skip)
-                    .limit(parseInt(limit)),
-                QuizAttempt.countDocuments(query)
-            ]);
+            const { attempts, total } = await quizStatisticsService.listQuizResults(quiz._id, {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                status,
+                userId
+            });
 
             res.json({
                 success: true,
@@ -1470,42 +1719,55 @@ class QuizzesController {
                 });
             }
 
+            // The student's accommodations (extra time or attempts, a makeup
+            // window) replace the quiz's own limits
+            const schedule = accommodationService.getEffectiveSchedule(quiz, enrollment);
+
             // Security: Time window validation
             const now = new Date();
-            if (now < quiz.startTime) {
+            if (now < schedule.startTime) {
                 await session.abortTransaction();
                 return res.status(403).json({
                     success: false,
                     error: "Quiz has not started yet",
-                    availableFrom: quiz.startTime,
+                    availableFrom: schedule.startTime,
                     serverTime: now
                 });
             }
 
-            if (now > quiz.endTime) {
-                await session.abortTransaction();
-                return res.status(403).json({
-                    success: false,
-                    error: "Quiz has ended",
-                    endedAt: quiz.endTime,
-                    serverTime: now
-                });
+            if (now > schedule.endTime) {
+                // Attempts with extra time may still be resumed
+                const openAttempt = await QuizAttempt.findOne({
+                    quiz: quizId,
+                    user: studentId,
+                    status: "in_progress"
+                }).session(session);
+
+                if (!openAttempt || isPastDeadline(openAttempt, quiz, now)) {
+                    await session.abortTransaction();
+                    return res.status(403).json({
+                        success: false,
+                        error: "Quiz has ended",
+                        endedAt: schedule.endTime,
+                        serverTime: now
+                    });
+                }
             }
 
             // Security: Check attempt limits
             const completedAttempts = await QuizAttempt.countDocuments({
                 quiz: quizId,
                 user: studentId,
-                status: { $in: ['submitted', 'auto_graded', 'timeout', 'manually_graded'] }
+                status: { $in: ['submitted', 'auto_graded', 'needs_manual_review', 'timeout', 'manually_graded'] }
             }).session(session);
 
-            if (completedAttempts >= quiz.attemptsAllowed) {
+            if (completedAttempts >= schedule.attemptsAllowed) {
                 await session.abortTransaction();
                 return res.status(403).json({
                     success: false,
                     error: "Maximum attempts reached",
                     attemptCount: completedAttempts,
-                    attemptsAllowed: quiz.attemptsAllowed
+                    attemptsAllowed: schedule.attemptsAllowed
                 });
             }
 
@@ -1518,24 +1780,24 @@ class QuizzesController {
 
             if (activeAttempt) {
                 const attemptStartTime = new Date(activeAttempt.startTime);
-                const durationMs = quiz.durationMinutes * 60 * 1000;
                 const elapsed = Date.now() - attemptStartTime.getTime();
                 const gracePeriod = 60000; // 1 minute grace
 
-                if (elapsed > (durationMs + gracePeriod)) {
-                    // Time expired, auto-submit
-                    activeAttempt.status = "timeout";
-                    activeAttempt.endTime = new Date();
-                    activeAttempt.timeSpentSeconds = Math.floor(elapsed / 1000);
-                    activeAttempt.isFlagged = true;
-                    activeAttempt.flaggedReasons.push({
-                        reason: "Attempt resumed after time limit expired",
-                        timestamp: new Date(),
-                        severity: "high",
-                        details: `Elapsed: ${Math.floor(elapsed / 1000)}s, Allowed: ${quiz.durationMinutes * 60}s`
+                if (isPastDeadline(activeAttempt, quiz, now, gracePeriod)) {
+                    await session.abortTransaction();
+
+                    // Time expired: close it as the timeout sweep would and grade whatever was autosaved
+                    const finalized = await finalizeAttempt(activeAttempt._id, resolveDeadline(activeAttempt, quiz), {
+                        flag: {
+                            reason: "Attempt resumed after time limit expired",
+                            timestamp: now,
+                            severity: "high",
+                            details: `Elapsed: ${Math.floor(elapsed / 1000)}s, Allowed: ${getAllowedSeconds(activeAttempt, quiz)}s`
+                        }
                     });
-                    await activeAttempt.save({ session });
-                    await session.commitTransaction();
+                    if (finalized) {
+                        notifyAttemptFinalized(req.app.get('io'), finalized);
+                    }
 
                     return res.status(400).json({
                         success: false,
@@ -1561,20 +1823,17 @@ class QuizzesController {
                         const question = questions.find(q => q._id.toString() === qs.question.toString());
                         if (!question) return null;
 
-                        return {
-                            question: question._id,
-                            prompt: question.prompt,
-                            type: question.type,
-                            marks: question.marks,
-                            choices: quiz.shuffleChoices && question.choices
-                                ? shuffleArray(question.choices.map(c => ({ id: c.id, text: c.text })))
-                                : question.choices?.map(c => ({ id: c.id, text: c.text })) || []
-                        };
+                        return questionService.buildServedQuestion(question, {
+                            shuffleChoices: quiz.shuffleChoices
+                        });
                     }).filter(Boolean);
 
                     await activeAttempt.save({ session });
                 }
 
+                // Lock any sections whose time ran out while away
+                sectionService.syncSections(activeAttempt, now);
+
                 // Update resume metadata
                 activeAttempt.resumeCount = (activeAttempt.resumeCount || 0) + 1;
                 activeAttempt.lastResumeTime = new Date();
@@ -1592,104 +1851,41 @@ class QuizzesController {
 
                 logger.info(`Resuming attempt: ${activeAttempt._id} for student ${studentId}`);
 
+                publishAttemptUpdate(req.app.get('io'), activeAttempt, 'resumed', { quiz });
+
                 return res.json({
                     success: true,
                     resumed: true,
                     message: "Resuming existing attempt",
                     data: {
                         ...activeAttempt.toObject(),
-                        timeRemaining: Math.max(0, Math.floor((durationMs - elapsed) / 1000)),
+                        adaptive: undefined,
+                        selectedQuestions: getVisibleQuestions(activeAttempt),
+                        currentSectionInfo: sectionService.describeCurrentSection(activeAttempt, now),
+                        adaptiveProgress: adaptiveService.describeProgress(activeAttempt, quiz),
+                        timeRemaining: getAttemptTimeRemaining(activeAttempt, quiz, now),
+                        paused: !!activeAttempt.pausedAt,
                         serverTime: now
                     }
                 });
             }
 
             // Create new attempt: Build question set
-            let selectedQuestions = [];
-
-            if (quiz.questionMode === "fixed_list") {
-                if (!quiz.questionIds || quiz.questionIds.length === 0) {
-                    await session.abortTransaction();
-                    return res.status(400).json({
-                        success: false,
-                        error: "Quiz has no questions configured"
-                    });
-                }
-
-                const questions = await Question.find({
-                    _id: { $in: quiz.questionIds },
-                    isActive: true
-                }).session(session);
-
-                if (questions.length === 0) {
-                    await session.abortTransaction();
-                    return res.status(400).json({
-                        success: false,
-                        error: "No active questions available"
-                    });
-                }
-
-                selectedQuestions = questions.map(q => ({
-                    question: q._id,
-                    prompt: q.prompt,
-                    type: q.type,
-                    marks: q.marks || 1,
-                    choices: quiz.shuffleChoices && q.choices
-                        ? shuffleArray(q.choices.map(c => ({ id: c.id, text: c.text })))
-                        : q.choices?.map(c => ({ id: c.id, text: c.text })) || []
-                }));
-            }
-            else if (quiz.questionMode === "pool_random") {
-                const qFilter = {
-                    subject: quiz.subject._id,
-                    isActive: true
-                };
+            const selection = await questionSelectionService.selectQuestions(quiz, { session });
 
-                if (quiz.questionPoolFilter?.difficulty?.length) {
-                    qFilter.difficulty = { $in: quiz.questionPoolFilter.difficulty };
-                }
-
-                if (quiz.questionPoolFilter?.tags?.length) {
-                    qFilter.tags = { $in: quiz.questionPoolFilter.tags };
-                }
-
-                const pool = await Question.find(qFilter).session(session);
-
-                if (pool.length === 0) {
-                    await session.abortTransaction();
-                    return res.status(400).json({
-                        success: false,
-                        error: "No questions available in the question pool"
-                    });
-                }
-
-                const count = Math.min(
-                    quiz.questionPoolFilter.count || 10,
-                    pool.length
-                );
-
-                selectedQuestions = shuffleArray(pool).slice(0, count).map(q => ({
-                    question: q._id,
-                    prompt: q.prompt,
-                    type: q.type,
-                    marks: q.marks || 1,
-                    choices: quiz.shuffleChoices && q.choices
-                        ? shuffleArray(q.choices.map(c => ({ id: c.id, text: c.text })))
-                        : q.choices?.map(c => ({ id: c.id, text: c.text })) || []
-                }));
-            }
-
-            // Shuffle question order if enabled
-            if (quiz.shuffleQuestions) {
-                selectedQuestions = shuffleArray(selectedQuestions);
+            if (selection.error) {
+                await session.abortTransaction();
+                return res.status(400).json({
+                    success: false,
+                    error: selection.error
+                });
             }
 
-            // Calculate total marks
-            const attemptMaxScore = selectedQuestions.reduce(
-                (sum, q) => sum + (q.marks || 1), 0
-            );
+            const { selectedQuestions, questionsServed, maxScore: attemptMaxScore } =
+                questionSelectionService.buildAttemptQuestions(selection, quiz);
 
             // Create new attempt
+            const attemptStartTime = new Date();
             const newAttempt = new QuizAttempt({
                 quiz: quizId,
                 user: studentId,
@@ -1697,18 +1893,25 @@ class QuizzesController {
                 attemptToken: generateAttemptToken(),
                 status: "in_progress",
                 selectedQuestions,
-                startTime: new Date(),
+                sections: quiz.questionMode === "sectioned"
+                    ? sectionService.initSectionProgress(
+                        quiz,
+                        attemptStartTime,
+                        accommodationService.getSectionTimeFactor(quiz, schedule)
+                    )
+                    : [],
+                adaptive: quiz.questionMode === "adaptive"
+                    ? adaptiveService.initAdaptiveState(quiz)
+                    : undefined,
+                startTime: attemptStartTime,
+                accommodation: accommodationService.toAttemptAccommodation(schedule),
                 totalScore: 0,
                 maxScore: attemptMaxScore,
                 tabSwitches: 0,
                 ipAtStart: clientIP,
                 userAgentStart: userAgent,
                 clientFingerprint: fingerprint,
-                questionsServed: selectedQuestions.map((q, idx) => ({
-                    question: q.question,
-                    orderIndex: idx,
-                    marks: q.marks
-                })),
+                questionsServed,
                 browserInfo: {
                     userAgent: userAgent,
                     platform: req.headers['sec-ch-ua-platform'] || 'unknown'
@@ -1717,6 +1920,18 @@ class QuizzesController {
                 resumeIPs: [clientIP]
             });
 
+            // Adaptive quizzes start with a single question; the rest follow one by one
+            if (adaptiveService.isAdaptive(newAttempt)) {
+                const first = await adaptiveService.serveNextQuestion(quiz, newAttempt, { session });
+                if (!first) {
+                    await session.abortTransaction();
+                    return res.status(400).json({
+                        success: false,
+                        error: "No questions available in the question pool"
+                    });
+                }
+            }
+
             await newAttempt.save({ session });
             await session.commitTransaction();
 
@@ -1726,13 +1941,19 @@ class QuizzesController {
 
             logger.info(`Quiz started: ${quizId} by student ${studentId}, attempt ${newAttempt._id}`);
 
+            publishAttemptUpdate(req.app.get('io'), newAttempt, 'started', { quiz });
+
             return res.json({
                 success: true,
                 message: "Quiz started successfully",
                 data: {
                     ...newAttempt.toObject(),
+                    adaptive: undefined,
+                    selectedQuestions: getVisibleQuestions(newAttempt),
+                    currentSectionInfo: sectionService.describeCurrentSection(newAttempt, attemptStartTime),
+                    adaptiveProgress: adaptiveService.describeProgress(newAttempt, quiz),
                     serverTime: now,
-                    timeRemaining: quiz.durationMinutes * 60
+                    timeRemaining: getAttemptTimeRemaining(newAttempt, quiz, attemptStartTime)
                 }
             });
 
@@ -1806,27 +2027,39 @@ class QuizzesController {
                 });
             }
 
-            const quiz = attempt.quiz;
-
+            // The proctor holds the attempt open until they resume it
+            if (attempt.pausedAt) {
+                await session.abortTransaction();
+                return res.status(423).json({
+                    success: false,
+                    error: PAUSED_ERROR,
+                    paused: true
+                });
+            }
+
+            const quiz = attempt.quiz;
+
             // Security: Time validation with precise calculations
             const attemptStartTime = new Date(attempt.startTime);
             const actualTimeSpent = Math.floor((submitTime - attemptStartTime) / 1000);
-            const allowedDuration = quiz.durationMinutes * 60;
+            const allowedDuration = getAllowedSeconds(attempt, quiz);
             const gracePeriod = 30; // 30 seconds grace period
 
-            if (actualTimeSpent > (allowedDuration + gracePeriod)) {
-                attempt.status = "timeout";
-                attempt.endTime = submitTime;
-                attempt.timeSpentSeconds = actualTimeSpent;
-                attempt.isFlagged = true;
-                attempt.flaggedReasons.push({
-                    reason: "Submission after time limit expired",
-                    timestamp: submitTime,
-                    severity: "high",
-                    details: `Time spent: ${actualTimeSpent}s, Allowed: ${allowedDuration}s`
+            if (isPastDeadline(attempt, quiz, submitTime, gracePeriod * 1000)) {
+                await session.abortTransaction();
+
+                // Late answers are rejected; close it at its deadline and grade the autosaved ones
+                const finalized = await finalizeAttempt(attempt._id, resolveDeadline(attempt, quiz), {
+                    flag: {
+                        reason: "Submission after time limit expired",
+                        timestamp: submitTime,
+                        severity: "high",
+                        details: `Time spent: ${actualTimeSpent}s, Allowed: ${allowedDuration}s`
+                    }
                 });
-                await attempt.save({ session });
-                await session.commitTransaction();
+                if (finalized) {
+                    notifyAttemptFinalized(req.app.get('io'), finalized);
+                }
 
                 logger.warn(`Time exceeded submission: attemptId=${attemptId}, time=${actualTimeSpent}s`);
 
@@ -1849,13 +2082,35 @@ class QuizzesController {
             }
 
             // Store raw answers with server timestamps
-            attempt.rawAnswers = answers.map(ans => ({
+            const submittedAnswers = answers.map(ans => ({
                 questionId: ans.questionId,
                 answer: ans.answer,
                 clientTimestamp: ans.clientTimestamp ? new Date(ans.clientTimestamp) : undefined,
                 serverTimestamp: submitTime
             }));
 
+            if (sectionService.isSectioned(attempt)) {
+                // Locked sections keep the answers saved before they closed;
+                // only the open section takes answers from this submission
+                sectionService.syncSections(attempt, submitTime);
+                const { accepted, rejected } = sectionService.filterOpenAnswers(attempt, submittedAnswers);
+
+                mergeRawAnswers(attempt, accepted, submitTime);
+                sectionService.lockOpenSection(attempt, submitTime);
+
+                if (rejected.length > 0) {
+                    logger.warn(`Ignored ${rejected.length} answers to locked sections: attemptId=${attemptId}`);
+                }
+            } else if (adaptiveService.isAdaptive(attempt)) {
+                // Earlier adaptive answers were graded as they came in; only the pending one is taken
+                const { accepted } = adaptiveService.filterOpenAnswers(attempt, submittedAnswers);
+
+                mergeRawAnswers(attempt, accepted, submitTime);
+                await adaptiveService.recordAnswer(attempt, quiz, accepted[0]?.answer, { session, now: submitTime });
+            } else {
+                attempt.rawAnswers = submittedAnswers;
+            }
+
             // Anti-cheat: Update tracking
             attempt.tabSwitches = Math.max(attempt.tabSwitches || 0, tabSwitches || 0);
             attempt.ipAtEnd = submitIP;
@@ -1920,251 +2175,36 @@ class QuizzesController {
                 });
             }
 
-            // Grading: Load questions with correct answers
-            const questionIds = attempt.selectedQuestions.map(sq => sq.question);
-            const questions = await Question.find({
-                _id: { $in: questionIds }
-            }).session(session);
-
-            const questionMap = new Map(
-                questions.map(q => [q._id.toString(), q])
-            );
-
-            // Grading: Calculate scores
-            let totalScore = 0;
-            let correctCount = 0;
-            let wrongCount = 0;
-            let partialCount = 0;
-            let unansweredCount = 0;
-            const autoGradeResult = [];
-
-            for (const sq of attempt.selectedQuestions) {
-                const questionId = sq.question.toString();
-                const questionData = questionMap.get(questionId);
-
-                if (!questionData) {
-                    logger.error(`Question ${questionId} not found during grading`);
-                    continue;
-                }
-
-                const submitted = answers.find(a => a.questionId.toString() === questionId);
-                const marks = sq.marks || questionData.marks || 1;
-                const negativeMarks = questionData.negativeMarks || 0;
-
-                // Not answered
-                if (!submitted || submitted.answer === null ||
-                    submitted.answer === undefined || submitted.answer === '') {
-                    autoGradeResult.push({
-                        questionId: questionData._id,
-                        score: 0,
-                        maxScore: marks,
-                        isCorrect: false,
-                        isPartial: false,
-                        feedback: "Not answered",
-                        correctAnswer: quiz.showCorrectAnswers ? questionData.correct : undefined
-                    });
-                    unansweredCount++;
-                    continue;
-                }
-
-                // MCQ Single Correct
-                if (questionData.type === "mcq_single") {
-                    const correctAnswer = questionData.correct;
-                    const submittedAnswer = submitted.answer;
-                    const isCorrect = submittedAnswer.toString() === correctAnswer.toString();
-
-                    let earnedScore = isCorrect ? marks : -negativeMarks;
-                    totalScore += earnedScore;
-
-                    if (isCorrect) correctCount++;
-                    else wrongCount++;
-
-                    autoGradeResult.push({
-                        questionId: questionData._id,
-                        score: earnedScore,
-                        maxScore: marks,
-                        isCorrect,
-                        isPartial: false,
-                        feedback: isCorrect ? "Correct" : "Incorrect",
-                        submittedAnswer: submittedAnswer,
-                        correctAnswer: quiz.showCorrectAnswers ? correctAnswer : undefined
-                    });
-                }
-
-                // MCQ Multiple Correct
-                else if (questionData.type === "mcq_multi") {
-                    const correctChoices = questionData.choices
-                        .filter(c => c.isCorrect)
-                        .map(c => c.id)
-                        .sort();
-
-                    const submittedChoices = Array.isArray(submitted.answer)
-                        ? submitted.answer.map(a => a.toString()).sort()
-                        : [];
-
-                    const isExactMatch = JSON.stringify(correctChoices) === JSON.stringify(submittedChoices);
-
-                    if (isExactMatch) {
-                        totalScore += marks;
-                        correctCount++;
-
-                        autoGradeResult.push({
-                            questionId: questionData._id,
-                            score: marks,
-                            maxScore: marks,
-                            isCorrect: true,
-                            isPartial: false,
-                            feedback: "All correct answers selected",
-                            submittedAnswer: submittedChoices,
-                            correctAnswer: quiz.showCorrectAnswers ? correctChoices : undefined
-                        });
-                    } else {
-                        const correctSelected = submittedChoices.filter(sc =>
-                            correctChoices.includes(sc)
-                        ).length;
-                        const wrongSelected = submittedChoices.filter(sc =>
-                            !correctChoices.includes(sc)
-                        ).length;
-
-                        const partialScore = Math.max(0,
-                            ((correctSelected - wrongSelected) / correctChoices.length) * marks
-                        );
-
-                        totalScore += partialScore;
-
-                        if (partialScore > 0) {
-                            partialCount++;
-                        } else {
-                            wrongCount++;
-                        }
-
-                        autoGradeResult.push({
-                            questionId: questionData._id,
-                            score: partialScore,
-                            maxScore: marks,
-                            isCorrect: false,
-                            isPartial: partialScore > 0,
-                            feedback: partialScore > 0
-                                ? `Partially correct (${correctSelected}/${correctChoices.length} correct, ${wrongSelected} wrong)`
-                                : "Incorrect",
-                            submittedAnswer: submittedChoices,
-                            correctAnswer: quiz.showCorrectAnswers ? correctChoices : undefined
-                        });
-                    }
-                }
-
-                // True/False
-                else if (questionData.type === "true_false") {
-                    const correctAnswer = questionData.correct;
-                    const submittedAnswer = submitted.answer;
-                    const isCorrect = submittedAnswer.toString().toLowerCase() ===
-                        correctAnswer.toString().toLowerCase();
-
-                    let earnedScore = isCorrect ? marks : -negativeMarks;
-                    totalScore += earnedScore;
-
-                    if (isCorrect) correctCount++;
-                    else wrongCount++;
-
-                    autoGradeResult.push({
-                        questionId: questionData._id,
-                        score: earnedScore,
-                        maxScore: marks,
-                        isCorrect,
-                        isPartial: false,
-                        feedback: isCorrect ? "Correct" : "Incorrect",
-                        submittedAnswer,
-                        correctAnswer: quiz.showCorrectAnswers ? correctAnswer : undefined
-                    });
-                }
-
-                // Numeric
-                else if (questionData.type === "numeric") {
-                    const correctAnswer = parseFloat(questionData.correct);
-                    const submittedAnswer = parseFloat(submitted.answer);
-                    const tolerance = questionData.tolerance || 0.01;
-
-                    const isCorrect = Math.abs(submittedAnswer - correctAnswer) <= tolerance;
-
-                    let earnedScore = isCorrect ? marks : -negativeMarks;
-                    totalScore += earnedScore;
-
-                    if (isCorrect) correctCount++;
-                    else wrongCount++;
-
-                    autoGradeResult.push({
-                        questionId: questionData._id,
-                        score: earnedScore,
-                        maxScore: marks,
-                        isCorrect,
-                        isPartial: false,
-                        feedback: isCorrect ? "Correct" : "Incorrect",
-                        submittedAnswer,
-                        correctAnswer: quiz.showCorrectAnswers ? correctAnswer : undefined
-                    });
-                }
-            }
-
-            // Ensure totalScore is not negative
-            totalScore = Math.max(0, totalScore);
-
-            // Finalize attempt
-            attempt.totalScore = totalScore;
-            attempt.correctCount = correctCount;
-            attempt.wrongCount = wrongCount;
-            attempt.partialCount = partialCount;
-            attempt.unansweredCount = unansweredCount;
+            // Finalize attempt; grading runs in the background worker
             attempt.status = "submitted";
             attempt.endTime = submitTime;
             attempt.timeSpentSeconds = timeSpentSeconds || actualTimeSpent;
-            attempt.autoGradeResult = autoGradeResult;
-            attempt.passed = totalScore >= quiz.passingMarks;
-            attempt.percentage = (totalScore / attempt.maxScore) * 100;
             attempt.isAutoSubmit = isAutoSubmit || false;
 
             await attempt.save({ session });
+            await attemptStatsService.countFinishedAttempt(attempt, { session });
 
-            // Update quiz statistics
-            const allAttempts = await QuizAttempt.find({
-                quiz: quiz._id,
-                status: { $in: ['submitted', 'auto_graded', 'manually_graded'] }
-            }).session(session);
-
-            const avgScore = allAttempts.length > 0
-                ? allAttempts.reduce((sum, a) => sum + (a.totalScore || 0), 0) / allAttempts.length
-                : 0;
+            await session.commitTransaction();
 
-            await Quiz.findByIdAndUpdate(
-                quiz._id,
-                {
-                    $inc: { totalAttempts: 1 },
-                    $set: { averageScore: avgScore }
-                },
-                { session }
-            );
+            await gradingJob.enqueueGrading(attempt._id);
 
-            await session.commitTransaction();
+            // Other open tabs stop their countdown
+            notifyAttemptFinalized(req.app.get('io'), attempt);
 
-            logger.info(`Quiz submitted: attemptId=${attemptId}, score=${totalScore}/${attempt.maxScore}, user=${studentId}`);
+            logger.info(`Quiz submitted: attemptId=${attemptId}, user=${studentId}, grading queued`);
 
-            return res.json({
+            return res.status(202).json({
                 success: true,
-                message: "Quiz submitted successfully",
+                message: "Quiz submitted successfully. Your answers are being graded.",
                 data: {
                     attemptId,
-                    totalScore,
+                    status: attempt.status,
+                    submittedAt: attempt.endTime,
                     maxScore: attempt.maxScore,
-                    correctCount,
-                    wrongCount,
-                    partialCount,
-                    unansweredCount,
-                    percentage: attempt.percentage.toFixed(2),
-                    passed: attempt.passed,
                     passingMarks: quiz.passingMarks,
                     isFlagged: attempt.isFlagged,
                     flaggedReasons: attempt.isFlagged ? attempt.flaggedReasons : undefined,
-                    showCorrectAnswers: quiz.showCorrectAnswers,
-                    results: quiz.showCorrectAnswers ? autoGradeResult : undefined
+                    showCorrectAnswers: quiz.showCorrectAnswers
                 }
             });
 
@@ -2252,6 +2292,7 @@ class QuizzesController {
             const enrolledQuizzes = await Promise.all(
                 enrollments.map(async (en) => {
                     const quiz = en.quiz;
+                    const schedule = accommodationService.getEffectiveSchedule(quiz, en);
 
                     // Count attempts
                     const attemptCount = await QuizAttempt.countDocuments({
@@ -2264,12 +2305,13 @@ class QuizzesController {
                         title: quiz.title,
                         description: quiz.description,
                         subject: quiz.subject,
-                        startTime: quiz.startTime,
-                        endTime: quiz.endTime,
-                        durationMinutes: quiz.durationMinutes,
-                        attemptsAllowed: quiz.attemptsAllowed,
+                        startTime: schedule.startTime,
+                        endTime: schedule.endTime,
+                        durationMinutes: schedule.durationMinutes,
+                        attemptsAllowed: schedule.attemptsAllowed,
                         userAttemptCount: attemptCount,
-                        attemptsRemaining: quiz.attemptsAllowed - attemptCount,
+                        attemptsRemaining: schedule.attemptsAllowed - attemptCount,
+                        accommodations: accommodationService.describeAccommodations(en),
                         isPublished: quiz.isPublished,
                         createdBy: quiz.createdBy,
                     };
@@ -2317,30 +2359,35 @@ class QuizzesController {
                 });
             }
 
-            // Update raw answers (don't replace, merge)
-            if (answers && answers.length > 0) {
-                const answerMap = new Map();
+            if (attempt.pausedAt) {
+                return res.status(403).json({
+                    success: false,
+                    error: PAUSED_ERROR,
+                    paused: true
+                });
+            }
 
-                // First add existing answers
-                if (attempt.rawAnswers) {
-                    attempt.rawAnswers.forEach(ans => {
-                        answerMap.set(ans.questionId.toString(), ans);
-                    });
+            // Past the deadline: submit what was saved before it, as the timeout sweep would
+            const quiz = await Quiz.findById(attempt.quiz);
+            const now = new Date();
+
+            if (isPastDeadline(attempt, quiz, now)) {
+                const finalized = await finalizeAttempt(attempt._id, resolveDeadline(attempt, quiz));
+                if (finalized) {
+                    notifyAttemptFinalized(req.app.get('io'), finalized);
                 }
 
-                // Update with new answers
-                answers.forEach(ans => {
-                    answerMap.set(ans.questionId.toString(), {
-                        questionId: ans.questionId,
-                        answer: ans.answer,
-                        clientTimestamp: ans.clientTimestamp,
-                        serverTimestamp: new Date()
-                    });
+                return res.status(400).json({
+                    success: false,
+                    error: "Time limit exceeded. Attempt auto-submitted.",
+                    timeExpired: true
                 });
-
-                attempt.rawAnswers = Array.from(answerMap.values());
             }
 
+            // Answers to locked or not-yet-started sections (or already graded
+            // adaptive questions) are not saved
+            const { rejected, sectionsChanged } = saveAnswers(attempt, answers, now);
+
             // Update tab switches
             if (tabSwitches !== undefined) {
                 attempt.tabSwitches = Math.max(attempt.tabSwitches || 0, tabSwitches);
@@ -2348,10 +2395,14 @@ class QuizzesController {
 
             await attempt.save();
 
+            publishAttemptUpdate(req.app.get('io'), attempt, 'progress', { quiz });
+
             return res.json({
                 success: true,
                 message: "Progress saved",
-                savedAt: new Date()
+                savedAt: now,
+                ...(rejected.length > 0 && { rejectedQuestionIds: rejected }),
+                ...(sectionsChanged && { currentSectionInfo: sectionService.describeCurrentSection(attempt, now) })
             });
 
         } catch (error) {
@@ -2359,6 +2410,199 @@ class QuizzesController {
             next(error);
         }
     }
+    /**
+     * POST /api/quizzes/:attemptId/sections/next
+     * Close the current section (saving any final answers) and start the next.
+     * A closed section's answers can no longer change.
+     */
+    async nextSection(req, res, next) {
+        try {
+            const { attemptId } = req.params;
+            const { answers = [] } = req.body;
+            const studentId = req.user._id;
+
+            const attempt = await QuizAttempt.findById(attemptId);
+
+            if (!attempt) {
+                return res.status(404).json({
+                    success: false,
+                    error: "Attempt not found"
+                });
+            }
+
+            if (attempt.user.toString() !== studentId.toString()) {
+                return res.status(403).json({
+                    success: false,
+                    error: "Not authorized"
+                });
+            }
+
+            if (attempt.status !== "in_progress") {
+                return res.status(400).json({
+                    success: false,
+                    error: "Attempt is not in progress"
+                });
+            }
+
+            if (!sectionService.isSectioned(attempt)) {
+                return res.status(400).json({
+                    success: false,
+                    error: "This quiz has no sections"
+                });
+            }
+
+            if (attempt.pausedAt) {
+                return res.status(403).json({
+                    success: false,
+                    error: PAUSED_ERROR,
+                    paused: true
+                });
+            }
+
+            const now = new Date();
+            sectionService.syncSections(attempt, now);
+
+            const { accepted, rejected } = sectionService.filterOpenAnswers(attempt, answers);
+            if (accepted.length > 0) {
+                mergeRawAnswers(attempt, accepted, now);
+            }
+
+            const advanceError = sectionService.advanceSection(attempt, now);
+            if (advanceError) {
+                await attempt.save();
+                return res.status(400).json({
+                    success: false,
+                    error: advanceError
+                });
+            }
+
+            await attempt.save();
+
+            publishAttemptUpdate(req.app.get('io'), attempt, 'progress');
+
+            const currentSectionInfo = sectionService.describeCurrentSection(attempt, now);
+
+            return res.json({
+                success: true,
+                message: `Moved to section '${currentSectionInfo.title}'`,
+                data: {
+                    currentSectionInfo,
+                    questions: sectionService.getVisibleQuestions(attempt)
+                        .filter(sq => sq.section.toString() === currentSectionInfo.sectionId.toString()),
+                    ...(rejected.length > 0 && { rejectedQuestionIds: rejected }),
+                    serverTime: now
+                }
+            });
+
+        } catch (error) {
+            logger.error("Next section error:", error);
+            next(error);
+        }
+    }
+    /**
+     * POST /api/quizzes/:attemptId/next-question
+     * Adaptive quizzes: answer the pending question and get the next one,
+     * chosen from the updated ability estimate. An answered question can no
+     * longer change. Returns no question once a stopping rule is met.
+     */
+    async nextQuestion(req, res, next) {
+        try {
+            const { attemptId } = req.params;
+            const { questionId, answer, clientTimestamp } = req.body;
+            const studentId = req.user._id;
+
+            const attempt = await QuizAttempt.findById(attemptId).populate("quiz");
+
+            if (!attempt) {
+                return res.status(404).json({
+                    success: false,
+                    error: "Attempt not found"
+                });
+            }
+
+            if (attempt.user.toString() !== studentId.toString()) {
+                return res.status(403).json({
+                    success: false,
+                    error: "Not authorized"
+                });
+            }
+
+            if (attempt.status !== "in_progress") {
+                return res.status(400).json({
+                    success: false,
+                    error: "Attempt is not in progress"
+                });
+            }
+
+            if (!adaptiveService.isAdaptive(attempt)) {
+                return res.status(400).json({
+                    success: false,
+                    error: "This quiz is not adaptive"
+                });
+            }
+
+            if (attempt.pausedAt) {
+                return res.status(403).json({
+                    success: false,
+                    error: PAUSED_ERROR,
+                    paused: true
+                });
+            }
+
+            const quiz = attempt.quiz;
+            const now = new Date();
+
+            if (isPastDeadline(attempt, quiz, now)) {
+                return res.status(400).json({
+                    success: false,
+                    error: "Quiz time expired",
+                    timeExpired: true
+                });
+            }
+
+            const pending = adaptiveService.getPendingQuestion(attempt);
+
+            if (pending) {
+                // Guards against a stale client answering a question already moved past
+                if (!questionId || questionId.toString() !== pending.question.toString()) {
+                    return res.status(409).json({
+                        success: false,
+                        error: "Answer the current question first",
+                        currentQuestionId: pending.question
+                    });
+                }
+
+                mergeRawAnswers(attempt, [{
+                    questionId,
+                    answer,
+                    clientTimestamp: clientTimestamp ? new Date(clientTimestamp) : undefined
+                }], now);
+
+                await adaptiveService.recordAnswer(attempt, quiz, answer, { now });
+            }
+
+            const served = await adaptiveService.serveNextQuestion(quiz, attempt);
+
+            await attempt.save();
+
+            publishAttemptUpdate(req.app.get('io'), attempt, 'progress', { quiz });
+
+            return res.json({
+                success: true,
+                message: served ? "Next question" : "No more questions; submit the quiz to finish",
+                data: {
+                    question: served ? getVisibleQuestions(attempt)[0] : null,
+                    adaptiveProgress: adaptiveService.describeProgress(attempt, quiz),
+                    timeRemaining: getAttemptTimeRemaining(attempt, quiz, now),
+                    serverTime: now
+                }
+            });
+
+        } catch (error) {
+            logger.error("Next question error:", error);
+            next(error);
+        }
+    }
     async getAttemptById(req, res, next) {
         try {
             const { attemptId } = req.params;
@@ -2393,42 +2637,34 @@ class QuizzesController {
 
             // SECURITY: Check if quiz time window is still valid
             const now = new Date();
-            if (attempt.status === "in_progress") {
-                if (now > attempt.quiz.endTime) {
-                    attempt.status = "timeout";
-                    attempt.endTime = now;
-                    attempt.timeSpentSeconds = Math.floor(
-                        (now - new Date(attempt.startTime)) / 1000
-                    );
-                    await attempt.save();
-
-                    return res.status(400).json({
-                        success: false,
-                        error: "Quiz time window has ended",
-                        timeExpired: true
-                    });
+            if (attempt.status === "in_progress" && isPastDeadline(attempt, attempt.quiz, now)) {
+                const timing = resolveDeadline(attempt, attempt.quiz);
+                const finalized = await finalizeAttempt(attempt._id, timing);
+                if (finalized) {
+                    notifyAttemptFinalized(req.app.get('io'), finalized);
                 }
 
-                const durationMs = attempt.quiz.durationMinutes * 60 * 1000;
-                const elapsed = now - new Date(attempt.startTime);
-
-                if (elapsed > durationMs) {
-                    attempt.status = "timeout";
-                    attempt.endTime = now;
-                    attempt.timeSpentSeconds = Math.floor(elapsed / 1000);
-                    await attempt.save();
-
-                    return res.status(400).json({
-                        success: false,
-                        error: "Quiz duration exceeded",
-                        timeExpired: true
-                    });
-                }
+                return res.status(400).json({
+                    success: false,
+                    error: timing.reason === "quiz_closed" ? "Quiz time window has ended" : "Quiz duration exceeded",
+                    timeExpired: true
+                });
             }
 
             // SECURITY: Don't expose correct answers during attempt
             if (attempt.status === "in_progress") {
+                if (sectionService.syncSections(attempt, now)) {
+                    await attempt.save();
+                }
+
                 const sanitizedAttempt = attempt.toObject();
+                sanitizedAttempt.selectedQuestions = getVisibleQuestions(attempt).map(sq => sq.toObject());
+                sanitizedAttempt.currentSectionInfo = sectionService.describeCurrentSection(attempt, now);
+                sanitizedAttempt.adaptiveProgress = adaptiveService.describeProgress(attempt, attempt.quiz);
+                sanitizedAttempt.timeRemaining = getAttemptTimeRemaining(attempt, attempt.quiz, now);
+                sanitizedAttempt.paused = !!attempt.pausedAt;
+                sanitizedAttempt.serverTime = now;
+                delete sanitizedAttempt.adaptive;
 
                 if (sanitizedAttempt.selectedQuestions) {
                     sanitizedAttempt.selectedQuestions = sanitizedAttempt.selectedQuestions.map(sq => ({
@@ -2436,7 +2672,12 @@ class QuizzesController {
                         prompt: sq.prompt,
                         type: sq.type,
                         marks: sq.marks,
-                        choices: sq.choices
+                        section: sq.section,
+                        choices: sq.choices,
+                        matchItems: sq.matchItems,
+                        matchOptions: sq.matchOptions,
+                        blanks: sq.blanks,
+                        parts: sq.parts
                     }));
                 }
 
@@ -2522,6 +2763,7 @@ class QuizzesController {
                         _id: enrollment._id,
                         student: enrollment.student,
                         enrolledAt: enrollment.enrolledAt,
+                        accommodations: enrollment.accommodations || null,
                         stats: {
                             totalAttempts: attempts.length,
                             completedAttempts: completedAttempts.length,
@@ -2561,6 +2803,80 @@ class QuizzesController {
         }
     }
 
+    /**
+     * PUT /api/quizzes/:id/enrollments/:studentId/accommodations
+     * DELETE /api/quizzes/:id/enrollments/:studentId/accommodations
+     * Grant a student documented accommodations: extra time, extra attempts
+     * or a makeup window. The student is enrolled if not already; DELETE
+     * removes them. An attempt in progress picks up the new time limit.
+     */
+    async setEnrollmentAccommodations(req, res, next) {
+        try {
+            const { id, studentId } = req.params;
+            const granting = req.method !== 'DELETE';
+
+            const quiz = await this.verifyQuizOwnership(id, req.user._id, req.user.role);
+
+            const student = await User.findById(studentId).select('role');
+            if (!student || student.role !== 'student') {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Student not found'
+                });
+            }
+
+            let enrollment = await QuizEnrollment.findOne({ quiz: quiz._id, student: studentId });
+
+            if (!granting && !enrollment?.accommodations) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Student has no accommodations on this quiz'
+                });
+            }
+
+            if (!enrollment) {
+                enrollment = new QuizEnrollment({ quiz: quiz._id, student: studentId });
+            }
+
+            enrollment.accommodations = granting
+                ? { ...req.body, grantedBy: req.user._id, grantedAt: new Date() }
+                : undefined;
+            await enrollment.save();
+
+            const attempt = await QuizAttempt.findOne({ quiz: quiz._id, user: studentId, status: 'in_progress' });
+            if (attempt) {
+                accommodationService.applyToOpenAttempt(attempt, quiz, enrollment);
+                await attempt.save();
+
+                const io = req.app.get('io');
+                await notifyAttemptClock(io, attempt, quiz, 'accommodation_changed');
+                publishAttemptUpdate(io, attempt, 'accommodation_changed', { quiz });
+            }
+
+            logger.info(`Accommodations on quiz ${id} for student ${studentId} ${granting ? 'set' : 'removed'} by ${req.user.email}`);
+
+            res.json({
+                success: true,
+                message: granting ? 'Accommodations saved' : 'Accommodations removed',
+                data: {
+                    enrollmentId: enrollment._id,
+                    accommodations: enrollment.accommodations || null,
+                    schedule: accommodationService.getEffectiveSchedule(quiz, enrollment),
+                    attemptUpdated: !!attempt
+                }
+            });
+        } catch (error) {
+            logger.error('Set accommodations error:', error);
+            if (error.message.includes('Access denied')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message === 'Quiz not found') {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    }
+
     // ============================================
     // GET QUIZ ATTEMPTS (Trainer/Admin)
     // ============================================
@@ -2572,14 +2888,8 @@ class QuizzesController {
             // Verify ownership
             const quiz = await this.verifyQuizOwnership(id, req.user._id, req.user.role);
 
-            const skip = (parseInt(page) - 1) * parseInt(limit);
-
-            // Build query
-            const query = { quiz: id };
-            if (status) query.status = status;
-            if (studentId) query.user = studentId;
-
             // Search by student name/email if provided
+            let userIds = studentId ? [studentId] : undefined;
             if (search) {
                 const students = await User.find({
                     $or: [
@@ -2588,31 +2898,16 @@ class QuizzesController {
                     ]
                 }).select('_id');
 
-                query.user = { $in: students.map(s => s._id) };
+                userIds = students.map(s => s._id);
             }
 
-            // Get attempts with pagination
-            const [attempts, total] = await Promise.all([
-                QuizAttempt.find(query)
-                    .populate('user', 'name email registrationNumber semester department')
-                    .sort({ startTime: -1 })
-                    .skip(skip)
-                    .limit(parseInt(limit)),
-                QuizAttempt.countDocuments(query)
-            ]);
-
-            // Calculate summary statistics
-            const allAttempts = await QuizAttempt.find({ quiz: id });
-            const summary = {
-                total: allAttempts.length,
-                inProgress: allAttempts.filter(a => a.status === 'in_progress').length,
-                submitted: allAttempts.filter(a => a.status === 'submitted').length,
-                graded: allAttempts.filter(a => ['auto_graded', 'manually_graded'].includes(a.status)).length,
-                flagged: allAttempts.filter(a => a.status === 'flagged').length,
-                averageScore: allAttempts.length > 0
-                    ? allAttempts.reduce((sum, a) => sum + (a.totalScore || 0), 0) / allAttempts.length
-                    : 0
-            };
+            // One page of attempts plus the quiz-wide summary
+            const { attempts, total, summary } = await quizStatisticsService.listQuizAttempts(quiz._id, {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                status,
+                userIds
+            });
 
             res.json({
                 success: true,
@@ -2642,6 +2937,313 @@ class QuizzesController {
         }
     }
 
+    // ============================================
+    // ITEM ANALYSIS (Trainer/Admin)
+    // ============================================
+    /**
+     * GET /api/quizzes/:id/item-analysis
+     * Stored per-question analysis (p-value, discrimination, options picked)
+     */
+    async getItemAnalysis(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            const quiz = await this.verifyQuizOwnership(id, req.user._id, req.user.role);
+            const items = await itemAnalysisService.getQuizItemAnalysis(quiz);
+
+            res.json({
+                success: true,
+                data: {
+                    quizClosed: !!quiz.endTime && quiz.endTime < new Date(),
+                    computedAt: items.length > 0 ? items[0].computedAt : null,
+                    items
+                }
+            });
+        } catch (error) {
+            logger.error('Get item analysis error:', error);
+            if (error.message.includes('Access denied')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message === 'Quiz not found') {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/quizzes/:id/item-analysis
+     * Recompute the analysis from graded attempts and update the question bank
+     */
+    async runItemAnalysis(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            const quiz = await this.verifyQuizOwnership(id, req.user._id, req.user.role);
+            const summary = await itemAnalysisService.analyzeQuiz(quiz);
+            const items = await itemAnalysisService.getQuizItemAnalysis(quiz);
+
+            res.json({
+                success: true,
+                message: `Item analysis computed from ${summary.attemptCount} graded attempts`,
+                data: {
+                    ...summary,
+                    quizClosed: !!quiz.endTime && quiz.endTime < new Date(),
+                    items
+                }
+            });
+        } catch (error) {
+            logger.error('Run item analysis error:', error);
+            if (error.message.includes('Access denied')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message === 'Quiz not found') {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    }
+
+    // ============================================
+    // POOL PREVIEW (Trainer/Admin)
+    // ============================================
+    /**
+     * GET /api/quizzes/:id/pool-preview
+     * How many bank questions the pool filter matches, by difficulty and
+     * topic, plus a sample paper. Pass sectionId for a section's pool.
+     */
+    async getPoolPreview(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { sectionId } = req.query;
+
+            const quiz = await this.verifyQuizOwnership(id, req.user._id, req.user.role);
+
+            let source = quiz;
+            let targetMarks = quiz.totalMarks;
+
+            if (sectionId) {
+                source = quiz.sections.id(sectionId);
+                if (!source) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Section not found'
+                    });
+                }
+                targetMarks = undefined;
+            }
+
+            if (source.questionMode !== 'pool_random') {
+                return res.status(400).json({
+                    success: false,
+                    error: sectionId ? 'Section does not draw questions from a pool' : 'Quiz does not draw questions from a pool'
+                });
+            }
+
+            const filter = source.questionPoolFilter || {};
+            const preview = await questionSelectionService.previewPool(filter, {
+                subject: quiz.subject,
+                targetMarks
+            });
+
+            // Quiz-level blueprints get the same feasibility check as publishing
+            const blueprintErrors = sectionId ? [] : await questionSelectionService.checkQuizBlueprint(quiz);
+
+            res.json({
+                success: true,
+                data: {
+                    filter,
+                    ...preview,
+                    blueprintErrors
+                }
+            });
+        } catch (error) {
+            logger.error('Pool preview error:', error);
+            if (error.message.includes('Access denied')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message === 'Quiz not found') {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    }
+
+    // ============================================
+    // REGRADE (Trainer/Admin)
+    // ============================================
+    /**
+     * POST /api/quizzes/:id/regrade
+     * POST /api/quizzes/:id/questions/:questionId/regrade
+     * Re-run grading for graded attempts after an answer-key fix.
+     * With dryRun, returns each student's score delta without saving.
+     */
+    async regradeQuiz(req, res, next) {
+        try {
+            const { id, questionId } = req.params;
+            const { dryRun = false, reason } = req.body;
+
+            const quiz = await this.verifyQuizOwnership(id, req.user._id, req.user.role);
+
+            const result = await regradeService.regradeQuiz(quiz, {
+                questionId,
+                dryRun,
+                reason,
+                regradedBy: req.user._id
+            });
+
+            if (!dryRun) {
+                logger.info(`Quiz regraded: ${id}${questionId ? ` (question ${questionId})` : ''} by ${req.user.email}`);
+            }
+
+            res.json({
+                success: true,
+                message: dryRun
+                    ? 'Dry run complete, no changes saved'
+                    : `Regraded ${result.attemptsChanged} of ${result.attemptsChecked} attempts`,
+                data: result
+            });
+        } catch (error) {
+            logger.error('Regrade quiz error:', error);
+            if (error.message.includes('Access denied')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message === 'Quiz not found') {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    }
+
+    // ============================================
+    // QUESTION DISPOSITION (Trainer/Admin)
+    // ============================================
+    /**
+     * PUT /api/quizzes/:id/questions/:questionId/disposition
+     * DELETE /api/quizzes/:id/questions/:questionId/disposition
+     * Void a question, give everyone full credit, or make it a bonus;
+     * DELETE restores normal scoring. Affected attempts are regraded.
+     */
+    async setQuestionDisposition(req, res, next) {
+        try {
+            const { id, questionId } = req.params;
+            const { reason, dryRun = false } = req.body;
+            const disposition = req.method === 'DELETE' ? null : req.body.disposition;
+
+            const quiz = await this.verifyQuizOwnership(id, req.user._id, req.user.role);
+
+            const question = await Question.findById(questionId).select('marks');
+            if (!question) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Question not found'
+                });
+            }
+
+            if (quiz.questionMode === 'fixed_list' &&
+                !quiz.questionIds.some(qid => qid.toString() === questionId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Question is not part of this quiz'
+                });
+            }
+
+            const hasDisposition = quiz.questionDispositions.some(d => d.questionId.toString() === questionId);
+            if (!disposition && !hasDisposition) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Question has no disposition to clear'
+                });
+            }
+
+            const result = await regradeService.setQuestionDisposition(quiz, question, {
+                disposition,
+                reason,
+                dryRun,
+                appliedBy: req.user._id
+            });
+
+            if (!dryRun) {
+                logger.info(`Question ${questionId} on quiz ${id} set to ${disposition || 'normal scoring'} by ${req.user.email}`);
+            }
+
+            res.json({
+                success: true,
+                message: dryRun
+                    ? 'Dry run complete, no changes saved'
+                    : `Question ${disposition ? `marked as ${disposition}` : 'restored to normal scoring'}; ${result.attemptsChanged} attempts updated`,
+                data: result
+            });
+        } catch (error) {
+            logger.error('Set question disposition error:', error);
+            if (error.message.includes('Access denied')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message === 'Quiz not found') {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    }
+
+    // ============================================
+    // GRADING SCALE (Trainer/Admin)
+    // ============================================
+    /**
+     * PUT /api/quizzes/:id/grading-scale
+     * Attach a letter-grade scale (or detach it with null) and
+     * recompute the grade of every graded attempt
+     */
+    async setGradingScale(req, res, next) {
+        try {
+            const { id } = req.params;
+            const { scaleId } = req.body;
+
+            const quiz = await this.verifyQuizOwnership(id, req.user._id, req.user.role);
+
+            let scale = null;
+            if (scaleId) {
+                scale = await GradingScale.findById(scaleId);
+
+                if (!scale || !scale.isActive) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Grading scale not found'
+                    });
+                }
+
+                if (!gradingScaleService.isAvailableForQuiz(scale, quiz)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: "This grading scale belongs to a different subject than the quiz"
+                    });
+                }
+            }
+
+            const attemptsUpdated = await gradingScaleService.applyScaleToQuiz(quiz, scale);
+
+            logger.info(`Grading scale on quiz ${id} set to ${scale ? scale._id : 'none'} by ${req.user.email}`);
+
+            res.json({
+                success: true,
+                message: scale ? `Grading scale '${scale.name}' applied` : 'Grading scale removed',
+                data: {
+                    gradingScale: quiz.gradingScale,
+                    attemptsUpdated
+                }
+            });
+        } catch (error) {
+            logger.error('Set grading scale error:', error);
+            if (error.message.includes('Access denied')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message === 'Quiz not found') {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    }
+
     // ============================================
     // GET ATTEMPT DETAILS (Trainer/Admin)
     // ============================================
@@ -2678,6 +3280,9 @@ class QuizzesController {
                 const gradeResult = attempt.autoGradeResult.find(r =>
                     r.questionId.toString() === sq.question.toString()
                 );
+                const manualGrade = attempt.manualGradeResult.find(m =>
+                    m.questionId.toString() === sq.question.toString()
+                );
 
                 return {
                     question: {
@@ -2686,6 +3291,11 @@ class QuizzesController {
                         type: sq.type,
                         marks: sq.marks,
                         choices: sq.choices,
+                        matchItems: sq.matchItems,
+                        matchOptions: sq.matchOptions,
+                        blanks: sq.blanks,
+                        parts: sq.parts,
+                        rubric: fullQuestion.rubric,
                         correctAnswer: fullQuestion.correct
                     },
                     studentAnswer: studentAnswer?.answer,
@@ -2695,6 +3305,14 @@ class QuizzesController {
                         maxScore: gradeResult.maxScore,
                         isCorrect: gradeResult.isCorrect,
                         feedback: gradeResult.feedback
+                    } : null,
+                    manualGrade: manualGrade ? {
+                        score: manualGrade.score,
+                        maxScore: manualGrade.maxScore,
+                        feedback: manualGrade.feedback,
+                        rubricScores: manualGrade.rubricScores,
+                        gradedBy: manualGrade.gradedBy,
+                        gradedAt: manualGrade.gradedAt
                     } : null
                 };
             });
@@ -2718,6 +3336,9 @@ class QuizzesController {
                         maxScore: attempt.maxScore,
                         percentage: attempt.percentage,
                         passed: attempt.passed,
+                        grade: attempt.grade,
+                        sections: attempt.sections,
+                        adaptive: attempt.adaptive,
                         correctCount: attempt.correctCount,
                         wrongCount: attempt.wrongCount,
                         unansweredCount: attempt.unansweredCount
@@ -2,6 +2,7 @@
 // controllers/subjects.controller.js
 // ============================================
 const Subject = require('../models/Subject');
+const cohortAnalyticsService = require('../services/cohortAnalytics.service');
 
 const listSubjects = async (req, res, next) => {
     try {
@@ -116,9 +117,46 @@ const deleteSubject = async (req, res, next) => {
     }
 };
 
+/**
+ * GET /api/subjects/:id/analytics
+ * Cohort comparison across the subject's quizzes; `format=xlsx` downloads it
+ */
+const getCohortAnalytics = async (req, res, next) => {
+    try {
+        const { quizIds, groupBy, period, from, to, format } = req.query;
+
+        const subject = await Subject.findById(req.params.id).select('name code').lean();
+        if (!subject) {
+            return res.status(404).json({ error: 'Subject not found' });
+        }
+
+        const report = await cohortAnalyticsService.getCohortAnalytics(subject, req.user, {
+            quizIds: quizIds ? quizIds.split(',') : undefined,
+            groupBy: groupBy ? [...new Set(groupBy.split(','))] : undefined,
+            period,
+            from,
+            to
+        });
+
+        if (format === 'xlsx') {
+            const filename = `${subject.code}-cohort-analytics-${new Date().toISOString().slice(0, 10)}.xlsx`;
+
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            return res.status(200).send(cohortAnalyticsService.buildWorkbook(report));
+        }
+
+        return res.status(200).json({ data: report });
+
+    } catch (err) {
+        next(err);
+    }
+};
+
 module.exports = {
     listSubjects,
     createSubject,
     updateSubject,
-    deleteSubject
+    deleteSubject,
+    getCohortAnalytics
 };
@@ -0,0 +1,172 @@
+// ============================================
+// controllers/users.controller.js
+// ============================================
+const User = require('../models/User');
+const performanceService = require('../services/performance.service');
+
+// Account secrets never leave the server
+const PRIVATE_FIELDS = '-passwordHash -verificationToken -verificationTokenExpiry -resetPasswordToken -resetPasswordExpiry';
+
+const getMe = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user._id).select(PRIVATE_FIELDS).lean();
+
+        return res.status(200).json({ success: true, data: user });
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+const updateMe = async (req, res, next) => {
+    try {
+        const { name, email } = req.body;
+
+        const updates = {};
+        if (name) updates.name = name.trim();
+        if (email) updates.email = email.trim().toLowerCase();
+
+        const user = await User.findByIdAndUpdate(
+            req.user._id,
+            { $set: updates },
+            { new: true, runValidators: true }
+        ).select(PRIVATE_FIELDS);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Profile updated successfully',
+            data: user
+        });
+
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(409).json({ success: false, error: 'Email already in use' });
+        }
+        next(err);
+    }
+};
+
+const listUsers = async (req, res, next) => {
+    try {
+        const { role, search, isActive, page = 1, limit = 20 } = req.query;
+
+        const filter = {};
+        if (role) filter.role = role;
+        if (isActive !== undefined) filter.isActive = String(isActive) === 'true';
+        if (search) {
+            filter.$or = [
+                { name: { $regex: search, $options: 'i' } },
+                { email: { $regex: search, $options: 'i' } },
+                { rollNo: { $regex: search, $options: 'i' } }
+            ];
+        }
+
+        const pageNum = Math.max(1, parseInt(page));
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+        const [users, total] = await Promise.all([
+            User.find(filter)
+                .select(PRIVATE_FIELDS)
+                .sort({ createdAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .lean(),
+            User.countDocuments(filter)
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                users,
+                pagination: {
+                    page: pageNum,
+                    limit: limitNum,
+                    total,
+                    pages: Math.ceil(total / limitNum)
+                }
+            }
+        });
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+const getUser = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.id).select(PRIVATE_FIELDS).lean();
+
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        return res.status(200).json({ success: true, data: user });
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+const updateUser = async (req, res, next) => {
+    try {
+        const { name, role, isActive } = req.body;
+
+        if (req.params.id === req.user._id.toString() && (role !== undefined || isActive === false)) {
+            return res.status(400).json({
+                success: false,
+                error: 'You cannot change your own role or deactivate yourself'
+            });
+        }
+
+        const updates = {};
+        if (name) updates.name = name.trim();
+        if (role) updates.role = role;
+        if (isActive !== undefined) updates.isActive = isActive;
+
+        const user = await User.findByIdAndUpdate(
+            req.params.id,
+            { $set: updates },
+            { new: true, runValidators: true }
+        ).select(PRIVATE_FIELDS);
+
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'User updated successfully',
+            data: user
+        });
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * GET /api/users/me/performance
+ * The student's score trend, strengths and weaknesses, cohort percentile
+ * and pass-mark comparison across released results
+ */
+const getMyPerformance = async (req, res, next) => {
+    try {
+        const { from, to, subject } = req.query;
+
+        const performance = await performanceService.getStudentPerformance(req.user, { from, to, subject });
+
+        return res.status(200).json({ success: true, data: performance });
+
+    } catch (err) {
+        next(err);
+    }
+};
+
+module.exports = {
+    getMe,
+    updateMe,
+    listUsers,
+    getUser,
+    updateUser,
+    getMyPerformance
+};
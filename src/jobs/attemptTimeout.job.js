@@ -0,0 +1,209 @@
+// jobs/attemptTimeout.job.js
+// Server-side time enforcement. A periodic sweep finalizes attempts still
+// in progress after their deadline (the quiz duration, or the quiz closing
+// if that comes first, both moved by the student's accommodation and any
+// time a proctor granted): they are marked 'timeout' and auto-submitted,
+// and their last autosaved answers are queued for grading. Paused attempts
+// are left alone. Each run also re-queues submissions whose grading could
+// not be queued (Redis was down).
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const sectionService = require('../services/section.service');
+const config = require('../config');
+const logger = require('../config/logger');
+const { countFinishedAttempt } = require('../services/attemptStats.service');
+const { enqueueGrading, requeuePendingGrading } = require('./grading.job');
+
+const GRACE_PERIOD_MS = 30000; // Same grace as quiz submission
+
+let timer = null;
+let sweeping = false;
+
+/**
+ * In-progress attempts whose deadline (plus grace) has passed, oldest
+ * deadline first. The deadline is the earlier of startTime + duration
+ * and the quiz's endTime (or the student's makeup window end), plus the
+ * attempt's extra time (mirrors attemptSession.resolveDeadline).
+ */
+const findExpiredAttempts = (now, limit) =>
+    QuizAttempt.aggregate([
+        { $match: { status: 'in_progress', pausedAt: null } },
+        {
+            $lookup: {
+                from: Quiz.collection.name,
+                localField: 'quiz',
+                foreignField: '_id',
+                pipeline: [{ $project: { durationMinutes: 1, endTime: 1 } }],
+                as: 'quiz'
+            }
+        },
+        { $unwind: '$quiz' },
+        {
+            $set: {
+                extraMs: {
+                    $multiply: [
+                        {
+                            $add: [
+                                { $ifNull: ['$extraTimeSeconds', 0] },
+                                { $ifNull: ['$accommodation.extraTimeSeconds', 0] }
+                            ]
+                        },
+                        1000
+                    ]
+                },
+                closingTime: { $ifNull: ['$accommodation.endTime', '$quiz.endTime'] }
+            }
+        },
+        {
+            $set: {
+                durationDeadline: {
+                    $cond: [
+                        { $gt: ['$quiz.durationMinutes', 0] },
+                        { $add: ['$startTime', { $multiply: ['$quiz.durationMinutes', 60 * 1000] }, '$extraMs'] },
+                        null
+                    ]
+                },
+                closesAt: {
+                    $cond: [{ $ifNull: ['$closingTime', false] }, { $add: ['$closingTime', '$extraMs'] }, null]
+                }
+            }
+        },
+        // $min skips nulls: quizzes without a duration or end time
+        { $set: { deadline: { $min: ['$durationDeadline', '$closesAt'] } } },
+        { $match: { deadline: { $lt: new Date(now.getTime() - GRACE_PERIOD_MS) } } },
+        { $sort: { deadline: 1 } },
+        { $limit: limit },
+        {
+            $project: {
+                deadline: 1,
+                reason: {
+                    $cond: [{ $eq: ['$deadline', '$closesAt'] }, 'quiz_closed', 'time_expired']
+                }
+            }
+        }
+    ]);
+
+/**
+ * Close one expired attempt and queue it for grading. Returns the closed
+ * attempt, or null when it was no longer in progress (submitted
+ * meanwhile, or finalized by another instance). `flag`, when given, is
+ * added to the attempt's flaggedReasons in the same write.
+ */
+const finalizeAttempt = async (attemptId, { deadline, reason }, { flag } = {}) => {
+    const update = {
+        $set: {
+            status: 'timeout',
+            endTime: deadline,
+            isAutoSubmit: true,
+            autoSubmitReason: reason
+        },
+        $unset: { pausedAt: 1 }
+    };
+
+    if (flag) {
+        update.$set.isFlagged = true;
+        update.$push = { flaggedReasons: flag };
+    }
+
+    // Claiming with the status check makes the sweep safe to run on every instance
+    const attempt = await QuizAttempt.findOneAndUpdate(
+        { _id: attemptId, status: 'in_progress' },
+        update,
+        { new: true }
+    );
+
+    if (!attempt) return null;
+
+    attempt.timeSpentSeconds = Math.max(0, Math.floor((deadline - new Date(attempt.startTime)) / 1000));
+    sectionService.lockOpenSection(attempt, deadline);
+    await attempt.save();
+    await countFinishedAttempt(attempt);
+
+    await enqueueGrading(attempt._id, { reason: 'timeout' });
+
+    logger.info(`Attempt ${attempt._id} auto-submitted (${reason}) at ${deadline.toISOString()}`);
+    return attempt;
+};
+
+/**
+ * One sweep: finalize every expired attempt, in batches. onFinalized is
+ * called with each closed attempt (to tell connected clients).
+ */
+const sweepExpiredAttempts = async ({
+    now = new Date(),
+    batchSize = config.queue.attemptTimeout.batchSize,
+    onFinalized = () => {}
+} = {}) => {
+    let finalized = 0;
+    let batch;
+    let progressed;
+
+    // Stop once a batch is short, or makes no progress (every attempt failed)
+    do {
+        batch = await findExpiredAttempts(now, batchSize);
+        progressed = 0;
+
+        for (const expired of batch) {
+            try {
+                const attempt = await finalizeAttempt(expired._id, expired);
+                if (attempt) {
+                    progressed++;
+                    onFinalized(attempt);
+                }
+            } catch (error) {
+                logger.error(`Failed to auto-submit attempt ${expired._id}:`, error);
+            }
+        }
+
+        finalized += progressed;
+    } while (batch.length === batchSize && progressed > 0);
+
+    if (finalized > 0) {
+        logger.info(`Timeout sweep: ${finalized} attempts auto-submitted`);
+    }
+
+    return finalized;
+};
+
+/**
+ * Run the sweep, then grading recovery, on an interval. Runs never overlap.
+ */
+const startAttemptTimeoutScheduler = ({ intervalMs = config.queue.attemptTimeout.intervalMs, onFinalized } = {}) => {
+    if (timer) return;
+
+    const tick = async () => {
+        if (sweeping) return;
+        sweeping = true;
+
+        try {
+            await sweepExpiredAttempts({ onFinalized });
+            await requeuePendingGrading({ unqueuedOnly: true });
+        } catch (error) {
+            logger.error('Attempt timeout sweep failed:', error);
+        } finally {
+            sweeping = false;
+        }
+    };
+
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+    setImmediate(tick);
+
+    logger.info(`Attempt timeout scheduler started (every ${intervalMs / 1000}s)`);
+};
+
+const stopAttemptTimeoutScheduler = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+module.exports = {
+    GRACE_PERIOD_MS,
+    findExpiredAttempts,
+    finalizeAttempt,
+    sweepExpiredAttempts,
+    startAttemptTimeoutScheduler,
+    stopAttemptTimeoutScheduler
+};
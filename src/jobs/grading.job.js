@@ -0,0 +1,173 @@
+// jobs/grading.job.js
+// Enqueue and process auto-grading of submitted attempts.
+const QuizAttempt = require('../models/QuizAttempt');
+const gradingService = require('../services/grading.service');
+const { syncAttemptStats } = require('../services/attemptStats.service');
+const config = require('../config');
+const logger = require('../config/logger');
+const { QUEUE_NAMES, getQueue, getFallbackQueue } = require('./queues');
+
+const JOB_NAME = 'grade-attempt';
+
+// Unqueued submissions older than this were left for recovery, not caught mid-submit
+const RECOVERY_MIN_AGE_MS = 60000;
+
+const jobOptions = () => ({
+    attempts: config.queue.grading.attempts,
+    backoff: { type: 'exponential', delay: config.queue.grading.backoffMs },
+    removeOnComplete: true,
+    removeOnFail: true
+});
+
+/**
+ * Queue an attempt for grading. If Redis rejects the job it goes to the
+ * in-process queue when this process grades; otherwise the attempt is
+ * left for requeuePendingGrading and null is returned.
+ */
+const enqueueGrading = async (attemptId, { reason = 'submit' } = {}) => {
+    const data = { attemptId: attemptId.toString(), reason };
+    const opts = { ...jobOptions(), jobId: `grade-${attemptId}` };
+
+    // Mark as queued first so a fast worker's 'completed' is never overwritten
+    await QuizAttempt.updateOne(
+        { _id: attemptId },
+        {
+            $set: {
+                'grading.status': 'queued',
+                'grading.jobId': opts.jobId,
+                'grading.queuedAt': new Date()
+            }
+        }
+    );
+
+    try {
+        return await getQueue(QUEUE_NAMES.GRADING).add(JOB_NAME, data, opts);
+    } catch (error) {
+        const fallback = getFallbackQueue(QUEUE_NAMES.GRADING);
+
+        if (fallback.hasConsumer()) {
+            logger.error(`Failed to enqueue grading for ${attemptId}, using in-process queue:`, error);
+            return fallback.add(JOB_NAME, data, opts);
+        }
+
+        // Nothing here would run it; requeuePendingGrading picks it up once Redis is back
+        logger.error(`Failed to enqueue grading for ${attemptId}, left for recovery:`, error);
+        await QuizAttempt.updateOne(
+            { _id: attemptId },
+            { $unset: { 'grading.status': 1, 'grading.jobId': 1, 'grading.queuedAt': 1 } }
+        );
+        return null;
+    }
+};
+
+/**
+ * Submitted attempts, and timed-out ones not graded yet
+ */
+const isAwaitingGrading = (attempt) =>
+    attempt.status === 'submitted' ||
+    (attempt.status === 'timeout' && attempt.grading?.status !== 'completed');
+
+/**
+ * Job handler: grade a submitted attempt and move it to
+ * auto_graded or needs_manual_review. Timed-out attempts stay 'timeout'
+ * unless answers still need a grader.
+ */
+const processGradingJob = async (job) => {
+    const { attemptId } = job.data;
+
+    const attempt = await QuizAttempt.findById(attemptId).populate('quiz');
+
+    if (!attempt) {
+        logger.warn(`Grading skipped: attempt ${attemptId} not found`);
+        return { skipped: true, reason: 'not_found' };
+    }
+
+    // Idempotent: a retried or duplicated job must not regrade a finished attempt
+    if (!isAwaitingGrading(attempt)) {
+        logger.info(`Grading skipped: attempt ${attemptId} is ${attempt.status}`);
+        return { skipped: true, reason: attempt.status };
+    }
+
+    attempt.grading.status = 'processing';
+    attempt.grading.attempts = (job.attemptsMade || 0) + 1;
+
+    const quiz = attempt.quiz;
+    const grading = await gradingService.gradeAttempt(attempt, quiz);
+
+    gradingService.applyGrading(attempt, quiz, grading);
+    if (attempt.status !== 'timeout' || grading.needsManualReview) {
+        attempt.status = gradingService.resolveStatus(grading);
+    }
+    attempt.grading.status = 'completed';
+    attempt.grading.completedAt = new Date();
+    attempt.grading.lastError = undefined;
+
+    await attempt.save();
+    await syncAttemptStats(attempt);
+
+    logger.info(`Attempt graded: ${attemptId} -> ${attempt.status} (${attempt.totalScore}/${attempt.maxScore})`);
+
+    return {
+        status: attempt.status,
+        totalScore: attempt.totalScore,
+        maxScore: attempt.maxScore
+    };
+};
+
+/**
+ * Record a permanently failed grading job on the attempt
+ */
+const markGradingFailed = async (job, error) => {
+    await QuizAttempt.updateOne(
+        { _id: job.data.attemptId },
+        {
+            $set: {
+                'grading.status': 'failed',
+                'grading.attempts': job.attemptsMade,
+                'grading.lastError': error?.message || job.failedReason
+            }
+        }
+    );
+};
+
+/**
+ * Re-queue submissions left ungraded (e.g. the in-process queue was lost on
+ * restart). With unqueuedOnly, only those never queued or left for recovery
+ * when Redis was down; that is cheap enough to run periodically. Stops at
+ * the first one that cannot be queued yet.
+ */
+const requeuePendingGrading = async ({ unqueuedOnly = false, now = new Date() } = {}) => {
+    const filter = {
+        $or: [
+            { status: 'submitted', 'grading.status': { $ne: 'failed' } },
+            { status: 'timeout', 'grading.status': { $nin: ['failed', 'completed'] } }
+        ]
+    };
+
+    if (unqueuedOnly) {
+        filter['grading.status'] = { $exists: false };
+        filter.endTime = { $lt: new Date(now.getTime() - RECOVERY_MIN_AGE_MS) };
+    }
+
+    const pending = await QuizAttempt.find(filter).select('_id');
+    let requeued = 0;
+
+    for (const attempt of pending) {
+        if (!await enqueueGrading(attempt._id, { reason: 'recovery' })) break;
+        requeued++;
+    }
+
+    if (requeued > 0) {
+        logger.info(`Re-queued ${requeued} ungraded submissions`);
+    }
+
+    return requeued;
+};
+
+module.exports = {
+    JOB_NAME,
+    enqueueGrading,
+    processGradingJob,
+    markGradingFailed,
+    requeuePendingGrading
+};
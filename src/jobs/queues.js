@@ -0,0 +1,308 @@
+// jobs/queues.js
+// Job queues backed by BullMQ/Redis, with an in-process fallback
+// used when Redis is unavailable (local dev, tests).
+const { EventEmitter } = require('events');
+const { Queue } = require('bullmq');
+const IORedis = require('ioredis');
+const config = require('../config');
+const logger = require('../config/logger');
+
+const QUEUE_NAMES = {
+    GRADING: 'grading'
+};
+
+const DEAD_LETTER_SUFFIX = '-dead-letter';
+
+let driver = null;       // 'redis' | 'memory'
+let connection = null;   // shared ioredis connection for workers (redis driver only)
+let producerConnection = null; // queues' connection: fails fast while Redis is down
+const queues = new Map();
+const memoryDeadLetters = new Map();
+
+/**
+ * Minimal in-process queue with the subset of the BullMQ API we use:
+ * add(), retries with backoff, 'completed'/'failed' events.
+ */
+class InMemoryQueue extends EventEmitter {
+    constructor(name, { defaultJobOptions = {} } = {}) {
+        super();
+        this.name = name;
+        this.defaultJobOptions = defaultJobOptions;
+        this.waiting = [];
+        this.active = 0;
+        this.delayed = 0;
+        this.nextId = 1;
+        this.handler = null;
+        this.concurrency = 1;
+    }
+
+    async add(name, data, opts = {}) {
+        const jobOptions = { ...this.defaultJobOptions, ...opts };
+
+        if (jobOptions.jobId && this.waiting.some(j => j.id === jobOptions.jobId)) {
+            return this.waiting.find(j => j.id === jobOptions.jobId);
+        }
+
+        const job = {
+            id: jobOptions.jobId || String(this.nextId++),
+            name,
+            data,
+            opts: jobOptions,
+            attemptsMade: 0,
+            timestamp: Date.now()
+        };
+
+        this.waiting.push(job);
+        setImmediate(() => this.drain());
+        return job;
+    }
+
+    process(handler, { concurrency = 1 } = {}) {
+        this.handler = handler;
+        this.concurrency = concurrency;
+        setImmediate(() => this.drain());
+    }
+
+    drain() {
+        while (this.handler && this.active < this.concurrency && this.waiting.length > 0) {
+            this.run(this.waiting.shift());
+        }
+
+        if (this.isIdle()) {
+            this.emit('drained');
+        }
+    }
+
+    async run(job) {
+        this.active++;
+
+        try {
+            const result = await this.handler(job);
+            this.emit('completed', job, result);
+        } catch (error) {
+            job.attemptsMade++;
+            job.failedReason = error.message;
+
+            if (job.attemptsMade < (job.opts.attempts || 1)) {
+                this.delayed++;
+                setTimeout(() => {
+                    this.delayed--;
+                    this.waiting.push(job);
+                    this.drain();
+                }, getBackoffDelay(job.opts.backoff, job.attemptsMade));
+            } else {
+                this.emit('failed', job, error);
+            }
+        } finally {
+            this.active--;
+            this.drain();
+        }
+    }
+
+    hasConsumer() {
+        return !!this.handler;
+    }
+
+    isIdle() {
+        return this.waiting.length === 0 && this.active === 0 && this.delayed === 0;
+    }
+
+    /**
+     * Resolve once every queued job (including retries) has settled
+     */
+    whenIdle() {
+        if (this.isIdle()) return Promise.resolve();
+        return new Promise(resolve => this.once('drained', resolve));
+    }
+
+    async getJobCounts() {
+        return {
+            waiting: this.waiting.length,
+            active: this.active,
+            delayed: this.delayed
+        };
+    }
+
+    async close() {
+        this.handler = null;
+        this.removeAllListeners();
+    }
+}
+
+/**
+ * Delay before retry N, mirroring BullMQ's fixed/exponential backoff
+ */
+const getBackoffDelay = (backoff, attemptsMade) => {
+    if (!backoff) return 0;
+    if (typeof backoff === 'number') return backoff;
+    if (backoff.type === 'exponential') {
+        return backoff.delay * Math.pow(2, attemptsMade - 1);
+    }
+    return backoff.delay || 0;
+};
+
+/**
+ * Check whether Redis answers within a short timeout
+ */
+const probeRedis = async () => {
+    const probe = new IORedis(config.redisUrl, {
+        lazyConnect: true,
+        connectTimeout: config.queue.redisProbeTimeoutMs,
+        maxRetriesPerRequest: 0,
+        enableOfflineQueue: false,
+        retryStrategy: () => null
+    });
+    probe.on('error', () => {});
+
+    try {
+        await probe.connect();
+        await probe.ping();
+        return true;
+    } catch (error) {
+        logger.warn(`Redis unavailable at ${config.redisUrl}: ${error.message}`);
+        return false;
+    } finally {
+        probe.disconnect();
+    }
+};
+
+/**
+ * Choose the queue driver. Call once at startup; until then the
+ * in-process driver is used.
+ */
+const initQueues = async () => {
+    if (driver) return driver;
+
+    const requested = config.queue.driver;
+
+    if (requested === 'memory' || (requested === 'auto' && config.env === 'test')) {
+        driver = 'memory';
+    } else if (await probeRedis()) {
+        driver = 'redis';
+        connection = new IORedis(config.redisUrl, { maxRetriesPerRequest: null });
+        connection.on('error', (error) => logger.error('Redis connection error:', error));
+
+        // Workers block until Redis is back; add() must throw so callers can fall back
+        producerConnection = new IORedis(config.redisUrl, {
+            maxRetriesPerRequest: 1,
+            enableOfflineQueue: false,
+            lazyConnect: true
+        });
+        producerConnection.on('error', (error) => logger.error('Redis producer connection error:', error));
+        await producerConnection.connect();
+    } else if (requested === 'redis') {
+        throw new Error(`QUEUE_DRIVER=redis but Redis is unreachable at ${config.redisUrl}`);
+    } else {
+        driver = 'memory';
+    }
+
+    logger.info(`Job queues using ${driver === 'redis' ? 'BullMQ/Redis' : 'in-process'} driver`);
+    return driver;
+};
+
+const getDriver = () => driver || 'memory';
+
+const getConnection = () => connection;
+
+/**
+ * Get (or lazily create) a named queue for the active driver
+ */
+const getQueue = (name, options = {}) => {
+    const key = `${getDriver()}:${name}`;
+
+    if (!queues.has(key)) {
+        const queue = getDriver() === 'redis'
+            ? new Queue(name, { connection: producerConnection, ...options })
+            : new InMemoryQueue(name, options);
+        queues.set(key, queue);
+    }
+
+    return queues.get(key);
+};
+
+/**
+ * In-process queue for a name, regardless of the active driver.
+ * Used as a fallback when enqueueing to Redis fails.
+ */
+const getFallbackQueue = (name, options = {}) => {
+    const key = `memory:${name}`;
+
+    if (!queues.has(key)) {
+        queues.set(key, new InMemoryQueue(name, options));
+    }
+
+    return queues.get(key);
+};
+
+/**
+ * Park a job that exhausted its retries
+ */
+const moveToDeadLetter = async (queueName, job, error) => {
+    const entry = {
+        jobId: job.id,
+        name: job.name,
+        data: job.data,
+        attemptsMade: job.attemptsMade,
+        error: error?.message || job.failedReason,
+        failedAt: new Date()
+    };
+
+    if (getDriver() === 'redis') {
+        await getQueue(`${queueName}${DEAD_LETTER_SUFFIX}`).add(job.name, entry, {
+            removeOnComplete: false,
+            removeOnFail: false
+        });
+    } else {
+        if (!memoryDeadLetters.has(queueName)) memoryDeadLetters.set(queueName, []);
+        memoryDeadLetters.get(queueName).push(entry);
+    }
+
+    logger.error(`Job ${job.id} on '${queueName}' moved to dead-letter after ${job.attemptsMade} attempts: ${entry.error}`);
+    return entry;
+};
+
+/**
+ * List dead-lettered jobs for a queue (newest first)
+ */
+const listDeadLetters = async (queueName, { start = 0, end = 49 } = {}) => {
+    if (getDriver() === 'redis') {
+        const jobs = await getQueue(`${queueName}${DEAD_LETTER_SUFFIX}`)
+            .getJobs(['waiting', 'delayed', 'paused'], start, end, false);
+        return jobs.map(job => job.data);
+    }
+
+    return [...(memoryDeadLetters.get(queueName) || [])].reverse().slice(start, end + 1);
+};
+
+/**
+ * Close all queues and the Redis connection
+ */
+const closeQueues = async () => {
+    await Promise.all([...queues.values()].map(q => q.close()));
+    queues.clear();
+
+    if (connection) {
+        await connection.quit();
+        connection = null;
+    }
+
+    if (producerConnection) {
+        await producerConnection.quit();
+        producerConnection = null;
+    }
+
+    driver = null;
+};
+
+module.exports = {
+    QUEUE_NAMES,
+    InMemoryQueue,
+    initQueues,
+    getDriver,
+    getConnection,
+    getQueue,
+    getFallbackQueue,
+    moveToDeadLetter,
+    listDeadLetters,
+    closeQueues
+};
@@ -0,0 +1,73 @@
+// ============================================
+// models/GradingScale.js
+// ============================================
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const gradeBandSchema = new Schema({
+    label: {
+        type: String,
+        required: true,
+        trim: true
+    }, // e.g. 'A+', 'Distinction'
+    minPercentage: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+    }, // Lowest percentage that earns this band
+    description: String
+}, { _id: false });
+
+const gradingScaleSchema = new Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+
+    // Institution-wide scales can be used by any quiz;
+    // subject scales only by quizzes of that subject
+    scope: {
+        type: String,
+        enum: ['institution', 'subject'],
+        default: 'institution',
+        index: true
+    },
+    subject: {
+        type: Schema.Types.ObjectId,
+        ref: 'Subject'
+    },
+
+    bands: {
+        type: [gradeBandSchema],
+        required: true
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+gradingScaleSchema.index({ subject: 1, name: 1 }, { unique: true });
+
+// Keep bands ordered from highest to lowest threshold
+gradingScaleSchema.pre('save', function (next) {
+    if (this.isModified('bands')) {
+        this.bands.sort((a, b) => b.minPercentage - a.minPercentage);
+    }
+    next();
+});
+
+module.exports = mongoose.model('GradingScale', gradingScaleSchema);
@@ -0,0 +1,74 @@
+// ============================================
+// models/ItemAnalysis.js
+// ============================================
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// How one answer option fared: who picked it and how they scored overall
+const optionStatsSchema = new Schema({
+    optionId: {
+        type: String,
+        required: true
+    },
+    text: String,
+    isCorrect: Boolean,
+    count: {
+        type: Number,
+        default: 0
+    },
+    proportion: Number, // Share of responses that picked the option
+    upperCount: Number, // Picked by the top 27% of scorers
+    lowerCount: Number, // Picked by the bottom 27%
+    meanPercentage: Number // Average quiz percentage of those who picked it
+}, { _id: false });
+
+// Item statistics for one question in one quiz, from its graded attempts
+const itemAnalysisSchema = new Schema({
+    quiz: {
+        type: Schema.Types.ObjectId,
+        ref: 'Quiz',
+        required: true
+    },
+    question: {
+        type: Schema.Types.ObjectId,
+        ref: 'Question',
+        required: true,
+        index: true
+    },
+
+    responses: {
+        type: Number,
+        default: 0
+    }, // Attempts the question was served in
+    omitted: {
+        type: Number,
+        default: 0
+    },
+    pValue: Number, // Difficulty index: mean fraction of marks earned (0-1)
+    meanScore: Number,
+    maxScore: Number,
+
+    discrimination: {
+        pointBiserial: Number, // Item score vs. rest-of-test score correlation
+        upperLower: Number // pValue of the top 27% minus that of the bottom 27%
+    },
+
+    // Choice-based questions only
+    options: [optionStatsSchema],
+
+    flags: [{
+        type: String,
+        enum: ['too_easy', 'too_hard', 'low_discrimination', 'negative_discrimination', 'unused_distractor', 'distractor_outscores_key']
+    }],
+
+    computedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+itemAnalysisSchema.index({ quiz: 1, question: 1 }, { unique: true });
+
+module.exports = mongoose.model('ItemAnalysis', itemAnalysisSchema);
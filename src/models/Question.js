@@ -5,6 +5,137 @@
 
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+
+const AUTO_GRADED_TYPES = ['mcq_single', 'mcq_multi', 'short_answer', 'numeric', 'true_false'];
+const QUESTION_TYPES = [...AUTO_GRADED_TYPES, 'ordering', 'matching', 'cloze', 'multi_part', 'essay'];
+
+const choiceSchema = new Schema({
+    id: {
+        type: String,
+        required: true
+    },
+    text: {
+        type: String,
+        required: true
+    },
+    isCorrect: {
+        type: Boolean,
+        default: false
+    } // Hidden from students
+});
+
+// short_answer matching; `correct` is used when no accepted answers are set
+const shortAnswerSchema = new Schema({
+    acceptedAnswers: [{
+        _id: false,
+        text: {
+            type: String,
+            required: true
+        },
+        isRegex: {
+            type: Boolean,
+            default: false
+        },
+        credit: {
+            type: Number,
+            min: 0,
+            max: 1,
+            default: 1
+        } // Fraction of marks awarded for this answer
+    }],
+    caseSensitive: {
+        type: Boolean,
+        default: false
+    },
+    normalizeWhitespace: {
+        type: Boolean,
+        default: true
+    },
+    ignorePunctuation: {
+        type: Boolean,
+        default: true
+    },
+    maxEditDistance: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    reviewEditDistance: {
+        type: Number,
+        min: 0
+    } // Near misses up to this distance go to manual review
+}, { _id: false });
+
+// numeric answer spec; `correct` holds the expected value
+const numericAnswerSchema = new Schema({
+    toleranceType: {
+        type: String,
+        enum: ['absolute', 'relative'],
+        default: 'absolute'
+    },
+    tolerance: {
+        type: Number,
+        min: 0,
+        default: 0.01
+    },
+    ranges: [{
+        _id: false,
+        min: {
+            type: Number,
+            required: true
+        },
+        max: {
+            type: Number,
+            required: true
+        }
+    }], // Additional accepted intervals, inclusive
+    unit: String, // Unit of `correct`/ranges; compatible units are converted
+    requireUnit: {
+        type: Boolean,
+        default: false
+    },
+    significantFigures: {
+        type: Number,
+        min: 1
+    },
+    significantFiguresCredit: {
+        type: Number,
+        min: 0,
+        max: 1,
+        default: 0
+    } // Fraction of marks when the value is right but the figures are not
+}, { _id: false });
+
+// Sub-question of a multi_part question
+const partSchema = new Schema({
+    id: {
+        type: String,
+        required: true
+    },
+    prompt: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: AUTO_GRADED_TYPES,
+        required: true
+    },
+    choices: [choiceSchema],
+    correct: Schema.Types.Mixed,
+    marks: {
+        type: Number,
+        min: 0,
+        default: 1
+    },
+    partialCreditPolicy: {
+        type: String,
+        enum: ['all_or_nothing', 'proportional', 'right_minus_wrong', 'penalize_wrong']
+    },
+    shortAnswer: shortAnswerSchema,
+    numericAnswer: numericAnswerSchema
+}, { _id: false });
+
 const questionSchema = new Schema({
     author: {
         type: Schema.Types.ObjectId,
@@ -20,7 +151,7 @@ const questionSchema = new Schema({
     // Question details
     type: {
         type: String,
-        enum: ['mcq_single', 'mcq_multi', 'short_answer', 'numeric', 'true_false'],
+        enum: QUESTION_TYPES,
         required: true
     },
     prompt: {
@@ -28,7 +159,25 @@ const questionSchema = new Schema({
         required: true,
         trim: true
     },
-    choices: [{
+    choices: [choiceSchema], // For ordering: the items to arrange
+
+    // Correct answer(s)
+    correct: Schema.Types.Mixed, // Choice IDs (ordered for ordering), string, number, or { itemId: optionId } for matching
+
+    // matching: left-hand items and right-hand options (options may include distractors)
+    matchItems: [{
+        _id: false,
+        id: {
+            type: String,
+            required: true
+        },
+        text: {
+            type: String,
+            required: true
+        }
+    }],
+    matchOptions: [{
+        _id: false,
         id: {
             type: String,
             required: true
@@ -36,15 +185,68 @@ const questionSchema = new Schema({
         text: {
             type: String,
             required: true
+        }
+    }],
+
+    // cloze: blanks referenced in the prompt as {{id}}
+    blanks: [{
+        _id: false,
+        id: {
+            type: String,
+            required: true
         },
-        isCorrect: {
+        options: [{
+            _id: false,
+            id: String,
+            text: String
+        }], // Drop-down blank when set; acceptedAnswers then holds option IDs
+        acceptedAnswers: [String],
+        caseSensitive: {
             type: Boolean,
             default: false
-        } // Hidden from students
+        },
+        maxEditDistance: {
+            type: Number,
+            min: 0,
+            default: 0
+        }
     }],
 
-    // Correct answer(s)
-    correct: Schema.Types.Mixed, // Array of choice IDs, string, or number
+    // multi_part: sub-questions sharing the prompt as a stem
+    parts: [partSchema],
+
+    // essay: rubric graders score against; points are scaled to the question's marks
+    rubric: {
+        criteria: [{
+            _id: false,
+            id: {
+                type: String,
+                required: true
+            },
+            title: {
+                type: String,
+                required: true
+            },
+            description: String,
+            levels: [{
+                _id: false,
+                id: {
+                    type: String,
+                    required: true
+                },
+                label: {
+                    type: String,
+                    required: true
+                },
+                description: String,
+                points: {
+                    type: Number,
+                    min: 0,
+                    required: true
+                }
+            }]
+        }]
+    },
 
     // Grading
     marks: {
@@ -56,6 +258,14 @@ const questionSchema = new Schema({
         type: Number,
         default: 0
     },
+    // mcq_multi partial credit (all_or_nothing also applies to ordering, matching
+    // and cloze); falls back to the quiz setting when unset
+    partialCreditPolicy: {
+        type: String,
+        enum: ['all_or_nothing', 'proportional', 'right_minus_wrong', 'penalize_wrong']
+    },
+    shortAnswer: shortAnswerSchema,
+    numericAnswer: numericAnswerSchema,
 
     // Question metadata
     difficulty: {
@@ -66,6 +276,14 @@ const questionSchema = new Schema({
     tags: [String],
     topic: String,
 
+    // Rasch difficulty (logit scale) used by adaptive quizzes; uncalibrated
+    // questions fall back to their difficulty label
+    calibration: {
+        difficulty: Number,
+        sampleSize: Number,
+        calibratedAt: Date
+    },
+
     // Media attachments
     attachments: [{
         type: {
@@ -83,10 +301,40 @@ const questionSchema = new Schema({
     timesUsed: {
         type: Number,
         default: 0
-    },
+    }, // Graded responses across every analysed quiz
     averageScore: {
         type: Number,
         default: 0
+    }, // Mean percentage of marks earned, across every analysed quiz
+    // Bank-wide item analysis, pooled from each quiz's ItemAnalysis
+    itemStats: {
+        pValue: Number,
+        discrimination: Number, // Response-weighted point-biserial
+        quizCount: Number,
+        flags: [String],
+        analyzedAt: Date
+    },
+    // Running counters over graded responses in every quiz, kept up to
+    // date on each grade and regrade (unlike the figures above, which
+    // only change when item analysis runs)
+    responseStats: {
+        responses: {
+            type: Number,
+            default: 0
+        },
+        correctCount: {
+            type: Number,
+            default: 0
+        },
+        scoreSum: {
+            type: Number,
+            default: 0
+        },
+        maxScoreSum: {
+            type: Number,
+            default: 0
+        },
+        updatedAt: Date
     },
 
     // Status
@@ -108,3 +356,5 @@ questionSchema.index({ author: 1 });
 questionSchema.index({ type: 1, isActive: 1 });
 
 module.exports = mongoose.model('Question', questionSchema);
+module.exports.QUESTION_TYPES = QUESTION_TYPES;
+module.exports.AUTO_GRADED_TYPES = AUTO_GRADED_TYPES;
@@ -2,6 +2,40 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
 
+// A timed block of questions with its own selection and pass threshold
+const sectionSchema = new Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: String,
+    questionMode: {
+        type: String,
+        enum: ['pool_random', 'fixed_list'],
+        default: 'fixed_list'
+    },
+    questionIds: [{
+        type: Schema.Types.ObjectId,
+        ref: 'Question'
+    }],
+    questionPoolFilter: {
+        subject: { type: Schema.Types.ObjectId, ref: 'Subject' }, // Defaults to the quiz subject
+        difficulty: [String],
+        tags: [String],
+        count: { type: Number, default: 10 }
+    },
+    durationMinutes: {
+        type: Number,
+        min: 1
+    }, // Optional; untimed sections share what is left of the quiz duration
+    passingMarks: {
+        type: Number,
+        min: 0,
+        default: 0
+    } // Scoring below this in any section fails the quiz
+});
+
 const quizSchema = new Schema({
     title: {
         type: String,
@@ -24,7 +58,7 @@ const quizSchema = new Schema({
     // Question selection strategy
     questionMode: {
         type: String,
-        enum: ['pool_random', 'fixed_list', 'none'],  // Added 'none'
+        enum: ['pool_random', 'fixed_list', 'sectioned', 'adaptive', 'none'],  // Added 'none'
         required: true,
         default: 'none'  // Changed default
     },
@@ -40,7 +74,36 @@ const quizSchema = new Schema({
         subject: { type: Schema.Types.ObjectId, ref: 'Subject' },
         difficulty: [String],
         tags: [String],
-        count: { type: Number, default: 10 }
+        count: { type: Number, default: 10 },
+        // Stratified selection, e.g. 4 easy / 4 medium / 2 hard, at least 2 on a topic
+        blueprint: {
+            quotas: [{
+                _id: false,
+                dimension: { type: String, enum: ['difficulty', 'topic', 'tag'], required: true },
+                value: { type: String, required: true },
+                count: { type: Number, min: 1, required: true },
+                mode: { type: String, enum: ['exact', 'at_least'], default: 'exact' }
+            }],
+            // Every paper totals exactly totalMarks
+            balanceMarks: { type: Boolean, default: false }
+        }
+    },
+
+    // For sectioned mode - taken in order, each section's questions in turn
+    sections: [sectionSchema],
+
+    // For adaptive mode - questions are drawn one at a time from questionPoolFilter,
+    // each chosen to match the student's current ability estimate
+    adaptiveSettings: {
+        stoppingRule: {
+            type: String,
+            enum: ['fixed_length', 'precision'],
+            default: 'fixed_length'
+        },
+        minQuestions: { type: Number, min: 1, default: 5 },
+        maxQuestions: { type: Number, min: 1, default: 20 }, // Test length for fixed_length, cap for precision
+        targetStandardError: { type: Number, min: 0.05, default: 0.4 }, // precision: stop once the estimate is this tight
+        startingAbility: { type: Number, default: 0 }
     },
 
     // Quiz configuration
@@ -63,6 +126,47 @@ const quizSchema = new Schema({
         default: 0
     },
 
+    // Letter-grade scale applied at grading time. Bands are copied from the
+    // GradingScale so attempts can be graded without another lookup.
+    gradingScale: {
+        scale: { type: Schema.Types.ObjectId, ref: 'GradingScale' },
+        name: String,
+        bands: [{
+            _id: false,
+            label: String,
+            minPercentage: Number,
+            description: String
+        }]
+    },
+
+    // Default partial credit for mcq_multi questions (a question's own policy wins)
+    partialCreditPolicy: {
+        type: String,
+        enum: ['all_or_nothing', 'proportional', 'right_minus_wrong', 'penalize_wrong'],
+        default: 'right_minus_wrong'
+    },
+
+    // Blind double-marking of manually graded answers
+    doubleMarking: {
+        enabled: { type: Boolean, default: false },
+        // Max grader difference, as % of the question's marks, before moderation is needed
+        disagreementThreshold: { type: Number, min: 0, max: 100, default: 20 },
+        moderators: [{ type: Schema.Types.ObjectId, ref: 'User' }]
+    },
+
+    // Post-publication decisions on individual questions
+    questionDispositions: [{
+        _id: false,
+        questionId: { type: Schema.Types.ObjectId, ref: 'Question', required: true },
+        // void: not counted at all; full_credit: everyone gets full marks;
+        // bonus: scored, but left out of the maximum
+        disposition: { type: String, enum: ['void', 'full_credit', 'bonus'], required: true },
+        marks: Number, // Question marks when the disposition was set
+        reason: String,
+        appliedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+        appliedAt: Date
+    }],
+
     // Attempt rules
     attemptsAllowed: {
         type: Number,
@@ -164,6 +268,33 @@ const quizSchema = new Schema({
         type: Number,
         default: 0
     },
+    // Running counters over graded attempts, kept up to date on every
+    // grade and regrade; rebuilt by `npm run stats:reconcile`
+    stats: {
+        gradedAttempts: {
+            type: Number,
+            default: 0
+        },
+        passCount: {
+            type: Number,
+            default: 0
+        },
+        scoreSum: {
+            type: Number,
+            default: 0
+        },
+        percentageSum: {
+            type: Number,
+            default: 0
+        },
+        // Graded attempts per score range (see SCORE_RANGES)
+        histogram: {
+            type: Map,
+            of: Number,
+            default: {}
+        },
+        updatedAt: Date
+    },
 
     // ✅ NEW: Version control
     version: {
@@ -222,6 +353,25 @@ quizSchema.methods.isReadyToPublish = function () {
         errors.push('Question pool configuration is required');
     }
 
+    if (this.questionMode === 'sectioned') {
+        if (!this.sections || this.sections.length === 0) {
+            errors.push('At least one section is required');
+        }
+
+        (this.sections || []).forEach(section => {
+            if (section.questionMode === 'fixed_list' && (!section.questionIds || section.questionIds.length === 0)) {
+                errors.push(`Section '${section.title}' needs at least one question`);
+            }
+            if (section.questionMode === 'pool_random' && !section.questionPoolFilter?.count) {
+                errors.push(`Section '${section.title}' needs a question pool configuration`);
+            }
+        });
+    }
+
+    if (this.questionMode === 'adaptive' && !this.adaptiveSettings?.maxQuestions) {
+        errors.push('Adaptive settings are required');
+    }
+
     if (this.totalMarks === 0 && this.questionMode !== 'none') {
         errors.push('Total marks must be set');
     }
@@ -239,7 +389,7 @@ quizSchema.methods.getCompletionPercentage = function () {
 
     if (this.title) completed++;
     if (this.subject) completed++;
-    if (this.questionIds?.length > 0 || this.questionPoolFilter?.count > 0) completed++;
+    if (this.questionIds?.length > 0 || this.questionPoolFilter?.count > 0 || this.sections?.length > 0) completed++;
     if (this.durationMinutes) completed++;
     if (this.totalMarks > 0) completed++;
     if (this.startTime) completed++;
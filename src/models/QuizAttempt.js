@@ -2,6 +2,37 @@
 
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { QUESTION_TYPES } = require('./Question');
+
+// Statuses of attempts that have a result. Timed-out attempts are graded
+// from their autosaved answers and keep the 'timeout' status, so they only
+// have a result once their grading has completed (see gradedFilter).
+const GRADED_STATUSES = ['auto_graded', 'needs_manual_review', 'manually_graded', 'flagged'];
+
+/**
+ * Query for attempts with one of `statuses`, or timed out and graded
+ */
+const gradedFilter = (statuses = GRADED_STATUSES) => ({
+    $or: [
+        { status: { $in: statuses } },
+        { status: 'timeout', 'grading.status': 'completed' }
+    ]
+});
+
+/**
+ * Same test as gradedFilter, for a loaded attempt
+ */
+const isGraded = (attempt, statuses = GRADED_STATUSES) =>
+    statuses.includes(attempt.status) ||
+    (attempt.status === 'timeout' && attempt.grading?.status === 'completed');
+
+/**
+ * Whether a student may see the attempt's score: finalized manual grading
+ * releases it, automatic grading only on quizzes that show results immediately
+ */
+const isResultReleased = (attempt, quiz) =>
+    attempt.status === 'manually_graded' ||
+    (!!quiz.showResultsImmediately && isGraded(attempt, ['auto_graded']));
 
 // Enhanced IP validation function that supports both IPv4 and IPv6
 function isValidIP(ip) {
@@ -30,6 +61,17 @@ function isValidIP(ip) {
     return false;
 }
 
+// Per-criterion rubric score
+const rubricScoreSchema = new Schema({
+    criterionId: String,
+    criterion: String,
+    levelId: String,
+    level: String,
+    points: Number,
+    maxPoints: Number,
+    comment: String
+}, { _id: false });
+
 const quizAttemptSchema = new Schema({
     quiz: {
         type: Schema.Types.ObjectId,
@@ -104,13 +146,14 @@ const quizAttemptSchema = new Schema({
         type: {
             type: String,
             required: true,
-            enum: ['mcq_single', 'mcq_multi', 'short_answer', 'numeric', 'true_false']
+            enum: QUESTION_TYPES
         },
         marks: {
             type: Number,
             required: true,
             min: 0
         },
+        section: Schema.Types.ObjectId, // Quiz section the question was drawn for
         choices: [{
             id: {
                 type: String,
@@ -120,6 +163,24 @@ const quizAttemptSchema = new Schema({
                 type: String,
                 required: true
             }
+        }],
+        // matching
+        matchItems: [{ _id: false, id: String, text: String }],
+        matchOptions: [{ _id: false, id: String, text: String }],
+        // cloze: drop-down options only, never the accepted answers
+        blanks: [{
+            _id: false,
+            id: String,
+            options: [{ _id: false, id: String, text: String }]
+        }],
+        // multi_part
+        parts: [{
+            _id: false,
+            id: String,
+            prompt: String,
+            type: { type: String },
+            marks: Number,
+            choices: [{ _id: false, id: String, text: String }]
         }]
     }],
 
@@ -137,6 +198,50 @@ const quizAttemptSchema = new Schema({
         }
     }],
 
+    // Section progress and results (sectioned quizzes only), in quiz order
+    sections: [{
+        _id: false,
+        sectionId: Schema.Types.ObjectId,
+        title: String,
+        durationMinutes: Number,
+        passingMarks: Number,
+        startedAt: Date,
+        lockedAt: Date, // Answers can no longer change once set
+        score: Number,
+        maxScore: Number,
+        percentage: Number,
+        passed: Boolean
+    }],
+    currentSection: {
+        type: Number,
+        default: 0
+    },
+
+    // Adaptive quizzes only: running ability estimate (logit scale) and the
+    // responses it was estimated from, one per question served
+    adaptive: {
+        type: new Schema({
+            ability: { type: Number, default: 0 },
+            standardError: Number,
+            history: [{
+                _id: false,
+                question: { type: Schema.Types.ObjectId, ref: 'Question' },
+                difficulty: Number,
+                correct: Boolean,
+                score: Number,
+                abilityAfter: Number,
+                standardErrorAfter: Number,
+                answeredAt: Date
+            }],
+            isComplete: { type: Boolean, default: false },
+            stopReason: {
+                type: String,
+                enum: ['max_questions', 'precision_reached', 'pool_exhausted']
+            }
+        }, { _id: false }),
+        default: undefined
+    },
+
     // Student's answers with timestamps
     rawAnswers: [{
         questionId: {
@@ -166,9 +271,16 @@ const quizAttemptSchema = new Schema({
         maxScore: Number,
         isCorrect: Boolean,
         isPartial: Boolean,
+        needsManualReview: Boolean,
+        scoringPolicy: String,
         feedback: String,
         submittedAnswer: Schema.Types.Mixed,
-        correctAnswer: Schema.Types.Mixed
+        correctAnswer: Schema.Types.Mixed,
+        parts: Schema.Types.Mixed, // Per-part results for multi_part questions
+        disposition: {
+            type: String,
+            enum: ['void', 'full_credit', 'bonus']
+        }
     }],
 
     // Manual grading (if needed)
@@ -180,6 +292,8 @@ const quizAttemptSchema = new Schema({
         score: Number,
         maxScore: Number,
         feedback: String,
+        // Per-criterion breakdown for rubric-graded (essay) questions
+        rubricScores: [rubricScoreSchema],
         gradedBy: {
             type: Schema.Types.ObjectId,
             ref: 'User'
@@ -187,6 +301,135 @@ const quizAttemptSchema = new Schema({
         gradedAt: Date
     }],
 
+    // Blind double-marking: assigned graders and their independent scores.
+    // Agreed or moderated scores are written to manualGradeResult.
+    graders: [{
+        _id: false,
+        grader: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        assignedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        assignedAt: Date
+    }],
+    blindGrades: [{
+        _id: false,
+        questionId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Question'
+        },
+        grader: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        score: Number,
+        maxScore: Number,
+        feedback: String,
+        rubricScores: [rubricScoreSchema],
+        gradedAt: Date
+    }],
+    disagreements: [{
+        _id: false,
+        questionId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Question'
+        },
+        scores: [Number],
+        difference: Number,
+        threshold: Number,
+        status: {
+            type: String,
+            enum: ['open', 'resolved'],
+            default: 'open'
+        },
+        resolvedScore: Number,
+        resolvedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        resolvedAt: Date
+    }],
+
+    // Results replaced by regrades (newest last), kept for audit
+    regradeHistory: [{
+        _id: false,
+        regradedAt: Date,
+        regradedBy: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reason: String,
+        questionId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Question'
+        }, // Set when only one question was regraded
+        previous: Schema.Types.Mixed
+    }],
+
+    // Append-only log of every manual grading action
+    gradingHistory: [{
+        _id: false,
+        action: {
+            type: String,
+            enum: ['assigned', 'graded', 'blind_graded', 'agreed', 'disagreement', 'moderated', 'finalized']
+        },
+        questionId: {
+            type: Schema.Types.ObjectId,
+            ref: 'Question'
+        },
+        actor: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        score: Number,
+        maxScore: Number,
+        feedback: String,
+        rubricScores: [rubricScoreSchema],
+        details: Schema.Types.Mixed,
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+
+    // Background grading job state
+    grading: {
+        status: {
+            type: String,
+            enum: ['queued', 'processing', 'completed', 'failed']
+        },
+        jobId: String,
+        attempts: Number,
+        queuedAt: Date,
+        completedAt: Date,
+        lastError: String
+    },
+
+    // What this attempt currently adds to the quiz and question stats
+    // counters; unset until it is graded (see attemptStats.service)
+    statsContribution: {
+        type: new Schema({
+            score: Number,
+            percentage: Number,
+            passed: Boolean,
+            bucket: String,
+            questions: [{
+                _id: false,
+                question: {
+                    type: Schema.Types.ObjectId,
+                    ref: 'Question'
+                },
+                score: Number,
+                maxScore: Number,
+                isCorrect: Boolean
+            }]
+        }, { _id: false }),
+        default: undefined
+    },
+
     // Final scores
     totalScore: {
         type: Number,
@@ -198,10 +441,15 @@ const quizAttemptSchema = new Schema({
         required: true,
         min: 0
     },
+    // Marks of voided/bonus questions left out of maxScore
+    excludedMarks: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
     percentage: {
         type: Number,
-        min: 0,
-        max: 100
+        min: 0 // Bonus questions can take it above 100
     },
     grade: String,
     passed: {
@@ -349,6 +597,51 @@ const quizAttemptSchema = new Schema({
         type: Boolean,
         default: false
     },
+    // Why the server closed the attempt (see attemptTimeout.job)
+    autoSubmitReason: {
+        type: String,
+        enum: ['time_expired', 'quiz_closed', 'force_submitted']
+    },
+
+    // The student's accommodations, fixed when the attempt starts (see
+    // services/accommodation.service.js): extra time on top of the quiz
+    // duration, and the end of their makeup window if they have one
+    accommodation: {
+        type: new Schema({
+            extraTimeSeconds: Number,
+            endTime: Date
+        }, { _id: false }),
+        default: undefined
+    },
+
+    // Live proctoring (see sockets/proctor.socket.js)
+    // Time granted by the trainer, including time spent paused; it moves
+    // both the duration deadline and the quiz closing for this attempt
+    extraTimeSeconds: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Set while paused by the trainer; the clock stops until resumed
+    pausedAt: Date,
+    proctorActions: [{
+        _id: false,
+        action: {
+            type: String,
+            enum: ['extend_time', 'warn', 'pause', 'resume', 'force_submit'],
+            required: true
+        },
+        by: {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        at: {
+            type: Date,
+            default: Date.now
+        },
+        seconds: Number,
+        message: String
+    }],
 
     // Additional metadata
     metadata: {
@@ -447,7 +740,7 @@ quizAttemptSchema.statics.getQuizStats = async function (quizId) {
     const stats = await this.aggregate([
         {
             $match: {
-                quiz: mongoose.Types.ObjectId(quizId),
+                quiz: new mongoose.Types.ObjectId(quizId),
                 status: { $in: ['submitted', 'auto_graded', 'manually_graded'] }
             }
         },
@@ -478,4 +771,7 @@ quizAttemptSchema.statics.getQuizStats = async function (quizId) {
     };
 };
 
-module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
\ No newline at end of file
+module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
+module.exports.GRADED_STATUSES = GRADED_STATUSES;
+module.exports.gradedFilter = gradedFilter;
+module.exports.isGraded = isGraded;module.exports.isResultReleased = isResultReleased;
@@ -15,6 +15,46 @@ const quizEnrollmentSchema = new Schema({
     enrolledAt: {
         type: Date,
         default: Date.now
+    },
+
+    // Documented per-student adjustments to the quiz's limits
+    // (see services/accommodation.service.js)
+    accommodations: {
+        type: new Schema({
+            // Added to the quiz duration: a percentage, then fixed minutes
+            extraTimePercent: {
+                type: Number,
+                min: 0,
+                max: 300,
+                default: 0
+            },
+            extraTimeMinutes: {
+                type: Number,
+                min: 0,
+                default: 0
+            },
+            extraAttempts: {
+                type: Number,
+                min: 0,
+                default: 0
+            },
+            // Makeup window; replaces the quiz's start and end for this student
+            startTime: Date,
+            endTime: Date,
+            reason: {
+                type: String,
+                maxlength: 500
+            },
+            grantedBy: {
+                type: Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            grantedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }, { _id: false }),
+        default: undefined
     }
 });
 
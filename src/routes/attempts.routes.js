@@ -7,6 +7,21 @@ const { validateRequest, validationSchemas, Joi, Segments } = require('../middle
 
 const router = express.Router();
 
+// Manual score: a direct score or per-criterion rubric selections
+const manualGradeSchema = Joi.object({
+    questionId: validationSchemas.objectId.required(),
+    score: Joi.number().min(0),
+    rubricScores: Joi.array().items(
+        Joi.object({
+            criterionId: Joi.string().required(),
+            levelId: Joi.string(),
+            points: Joi.number().min(0),
+            comment: Joi.string().max(500).allow('')
+        }).or('levelId', 'points')
+    ).min(1),
+    feedback: Joi.string().max(500)
+}).xor('score', 'rubricScores');
+
 // POST /api/quizzes/:quizId/start (Student)
 router.post('/quizzes/:quizId/start',
     authMiddleware,
@@ -35,7 +50,8 @@ router.post('/quizzes/:quizId/save',
                     answer: Joi.alternatives().try(
                         Joi.string(),
                         Joi.number(),
-                        Joi.array().items(Joi.string())
+                        Joi.array().items(Joi.string()),
+                        Joi.object()
                     ),
                     clientTimestamp: Joi.date()
                 })
@@ -91,6 +107,13 @@ router.get('/grading/pending',
     attemptsController.getPendingGrading
 );
 
+// GET /api/grading/dead-letter (Admin)
+router.get('/grading/dead-letter',
+    authMiddleware,
+    authorize('admin'),
+    attemptsController.listGradingDeadLetters
+);
+
 // GET /api/grading/:attemptId (Trainer)
 router.get('/grading/:attemptId',
     authMiddleware,
@@ -105,6 +128,19 @@ router.get('/grading/:attemptId',
 
 // POST /api/grading/:attemptId (Trainer)
 router.post('/grading/:attemptId',
+    authMiddleware,
+    authorize('trainer', 'admin'),
+    validateRequest({
+        [Segments.PARAMS]: Joi.object({
+            attemptId: validationSchemas.objectId.required()
+        }),
+        [Segments.BODY]: manualGradeSchema
+    }),
+    attemptsController.gradeAnswer
+);
+
+// POST /api/grading/:attemptId/assign (Trainer/Admin - double-marking)
+router.post('/grading/:attemptId/assign',
     authMiddleware,
     authorize('trainer', 'admin'),
     validateRequest({
@@ -112,12 +148,23 @@ router.post('/grading/:attemptId',
             attemptId: validationSchemas.objectId.required()
         }),
         [Segments.BODY]: Joi.object({
-            questionId: validationSchemas.objectId.required(),
-            score: Joi.number().min(0).required(),
-            feedback: Joi.string().max(500)
+            graders: Joi.array().items(validationSchemas.objectId).length(2).required()
         })
     }),
-    attemptsController.gradeAnswer
+    attemptsController.assignGraders
+);
+
+// POST /api/grading/:attemptId/moderate (Moderator - double-marking)
+router.post('/grading/:attemptId/moderate',
+    authMiddleware,
+    authorize('trainer', 'admin'),
+    validateRequest({
+        [Segments.PARAMS]: Joi.object({
+            attemptId: validationSchemas.objectId.required()
+        }),
+        [Segments.BODY]: manualGradeSchema
+    }),
+    attemptsController.moderateGrade
 );
 
 // PATCH /api/grading/:attemptId/finalize (Trainer)
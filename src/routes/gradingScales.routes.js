@@ -0,0 +1,85 @@
+// routes/gradingScales.routes.js
+const express = require('express');
+const gradingScalesController = require('../controllers/gradingScales.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const { authorize } = require('../middlewares/role.middleware');
+const { validateRequest, validationSchemas, Joi, Segments } = require('../middlewares/validation.middleware');
+
+const router = express.Router();
+
+const bandSchema = Joi.object({
+    label: Joi.string().min(1).max(50).required(),
+    minPercentage: Joi.number().min(0).max(100).required(),
+    description: Joi.string().max(200).allow('')
+});
+
+router.get('/',
+    authMiddleware,
+    validateRequest({
+        [Segments.QUERY]: Joi.object({
+            subject: validationSchemas.objectId,
+            scope: Joi.string().valid('institution', 'subject'),
+            includeInactive: Joi.string().valid('true', 'false')
+        })
+    }),
+    gradingScalesController.listScales
+);
+
+router.get('/:id',
+    authMiddleware,
+    validateRequest({
+        [Segments.PARAMS]: Joi.object({
+            id: validationSchemas.objectId.required()
+        })
+    }),
+    gradingScalesController.getScale
+);
+
+router.post('/',
+    authMiddleware,
+    authorize('trainer', 'admin'),
+    validateRequest({
+        [Segments.BODY]: Joi.object({
+            name: Joi.string().min(2).max(100).required(),
+            description: Joi.string().max(500).allow(''),
+            scope: Joi.string().valid('institution', 'subject').default('institution'),
+            subject: validationSchemas.objectId.when('scope', {
+                is: 'subject',
+                then: Joi.required(),
+                otherwise: Joi.forbidden()
+            }),
+            bands: Joi.array().items(bandSchema).min(1).required()
+        })
+    }),
+    gradingScalesController.createScale
+);
+
+router.put('/:id',
+    authMiddleware,
+    authorize('trainer', 'admin'),
+    validateRequest({
+        [Segments.PARAMS]: Joi.object({
+            id: validationSchemas.objectId.required()
+        }),
+        [Segments.BODY]: Joi.object({
+            name: Joi.string().min(2).max(100),
+            description: Joi.string().max(500).allow(''),
+            bands: Joi.array().items(bandSchema).min(1),
+            isActive: Joi.boolean()
+        }).min(1)
+    }),
+    gradingScalesController.updateScale
+);
+
+router.delete('/:id',
+    authMiddleware,
+    authorize('trainer', 'admin'),
+    validateRequest({
+        [Segments.PARAMS]: Joi.object({
+            id: validationSchemas.objectId.required()
+        })
+    }),
+    gradingScalesController.deleteScale
+);
+
+module.exports = router;
@@ -5,14 +5,117 @@ const authMiddleware = require('../middlewares/auth.middleware');
 const { authorize } = require('../middlewares/role.middleware');
 const { validateRequest, validationSchemas, Joi, Segments } = require('../middlewares/validation.middleware');
 
+const { QUESTION_TYPES, AUTO_GRADED_TYPES } = require('../models/Question');
+
 const router = express.Router();
 
+// Shared body schemas for question create/update
+const itemSchema = Joi.object({
+    id: Joi.string().required(),
+    text: Joi.string().required()
+});
+
+const correctSchema = Joi.alternatives().try(
+    Joi.array().items(Joi.string()),
+    Joi.string(),
+    Joi.number(),
+    Joi.object().pattern(Joi.string(), Joi.string()), // matching: { itemId: optionId }
+    Joi.any().valid(null)
+);
+
+const partialCreditPolicySchema = Joi.string().valid('all_or_nothing', 'proportional', 'right_minus_wrong', 'penalize_wrong');
+
+const numericAnswerSchema = Joi.object({
+    toleranceType: Joi.string().valid('absolute', 'relative'),
+    tolerance: Joi.number().min(0),
+    ranges: Joi.array().items(
+        Joi.object({
+            min: Joi.number().required(),
+            max: Joi.number().required()
+        })
+    ),
+    unit: Joi.string().allow(''),
+    requireUnit: Joi.boolean(),
+    significantFigures: Joi.number().integer().min(1),
+    significantFiguresCredit: Joi.number().min(0).max(1)
+});
+
+const shortAnswerSchema = Joi.object({
+    acceptedAnswers: Joi.array().items(
+        Joi.object({
+            text: Joi.string().required(),
+            isRegex: Joi.boolean(),
+            credit: Joi.number().min(0).max(1)
+        })
+    ),
+    caseSensitive: Joi.boolean(),
+    normalizeWhitespace: Joi.boolean(),
+    ignorePunctuation: Joi.boolean(),
+    maxEditDistance: Joi.number().integer().min(0),
+    reviewEditDistance: Joi.number().integer().min(0)
+});
+
+const blankSchema = Joi.object({
+    id: Joi.string().pattern(/^[\w-]+$/).required(),
+    options: Joi.array().items(itemSchema),
+    acceptedAnswers: Joi.array().items(Joi.string()).min(1).required(),
+    caseSensitive: Joi.boolean(),
+    maxEditDistance: Joi.number().integer().min(0)
+});
+
+const rubricSchema = Joi.object({
+    criteria: Joi.array().items(
+        Joi.object({
+            id: Joi.string().required(),
+            title: Joi.string().required(),
+            description: Joi.string().allow(''),
+            levels: Joi.array().items(
+                Joi.object({
+                    id: Joi.string().required(),
+                    label: Joi.string().required(),
+                    description: Joi.string().allow(''),
+                    points: Joi.number().min(0).required()
+                })
+            ).min(1).required()
+        })
+    )
+});
+
+const partSchema = Joi.object({
+    id: Joi.string().required(),
+    prompt: Joi.string().required(),
+    type: Joi.string().valid(...AUTO_GRADED_TYPES).required(),
+    choices: Joi.array().items(itemSchema),
+    correct: correctSchema,
+    marks: Joi.number().min(0).default(1),
+    partialCreditPolicy: partialCreditPolicySchema,
+    numericAnswer: numericAnswerSchema,
+    shortAnswer: shortAnswerSchema
+});
+
 // GET /api/questions
 router.get('/',
     authMiddleware,
     questionsController.listQuestions
 );
 
+// GET /api/questions/item-analysis (Trainer/Admin)
+router.get('/item-analysis',
+    authMiddleware,
+    authorize('trainer', 'admin'),
+    validateRequest({
+        [Segments.QUERY]: Joi.object({
+            page: Joi.number().integer().min(1).optional(),
+            limit: Joi.number().integer().min(1).max(100).optional(),
+            subject: validationSchemas.objectId.optional(),
+            flag: Joi.string().valid('too_easy', 'too_hard', 'low_discrimination', 'negative_discrimination').optional(),
+            sortBy: Joi.string().valid('pValue', 'discrimination', 'timesUsed').optional(),
+            sortOrder: Joi.string().valid('asc', 'desc').optional()
+        })
+    }),
+    questionsController.getItemAnalysis
+);
+
 // GET /api/questions/:id
 router.get('/:id',
     authMiddleware,
@@ -24,6 +127,18 @@ router.get('/:id',
     questionsController.getQuestion
 );
 
+// GET /api/questions/:id/statistics (Trainer/Admin)
+router.get('/:id/statistics',
+    authMiddleware,
+    authorize('trainer', 'admin'),
+    validateRequest({
+        [Segments.PARAMS]: Joi.object({
+            id: validationSchemas.objectId.required()
+        })
+    }),
+    questionsController.getQuestionStatistics
+);
+
 // POST /api/questions (Trainer/Admin)
 router.post('/',
     authMiddleware,
@@ -31,21 +146,20 @@ router.post('/',
     validateRequest({
         [Segments.BODY]: Joi.object({
             subject: validationSchemas.objectId.required(),
-            type: Joi.string().valid('mcq_single', 'mcq_multi', 'short_answer', 'numeric').required(),
+            type: Joi.string().valid(...QUESTION_TYPES).required(),
             prompt: Joi.string().min(5).required(),
-            choices: Joi.array().items(
-                Joi.object({
-                    id: Joi.string().required(),
-                    text: Joi.string().required()
-                })
-            ),
-            correct: Joi.alternatives().try(
-                Joi.array().items(Joi.string()),
-                Joi.string(),
-                Joi.number(),
-                Joi.any().valid(null)
-            ),
+            choices: Joi.array().items(itemSchema),
+            correct: correctSchema,
             marks: Joi.number().min(0).default(1),
+            negativeMarks: Joi.number().min(0),
+            partialCreditPolicy: partialCreditPolicySchema,
+            matchItems: Joi.array().items(itemSchema),
+            matchOptions: Joi.array().items(itemSchema),
+            blanks: Joi.array().items(blankSchema),
+            parts: Joi.array().items(partSchema),
+            numericAnswer: numericAnswerSchema,
+            shortAnswer: shortAnswerSchema,
+            rubric: rubricSchema,
             metadata: Joi.object()
         })
     }),
@@ -62,21 +176,20 @@ router.put('/:id',
         }),
         [Segments.BODY]: Joi.object({
             subject: validationSchemas.objectId,
-            type: Joi.string().valid('mcq_single', 'mcq_multi', 'short_answer', 'numeric'),
+            type: Joi.string().valid(...QUESTION_TYPES),
             prompt: Joi.string().min(5),
-            choices: Joi.array().items(
-                Joi.object({
-                    id: Joi.string().required(),
-                    text: Joi.string().required()
-                })
-            ),
-            correct: Joi.alternatives().try(
-                Joi.array().items(Joi.string()),
-                Joi.string(),
-                Joi.number(),
-                Joi.any().valid(null)
-            ),
+            choices: Joi.array().items(itemSchema),
+            correct: correctSchema,
             marks: Joi.number().min(0),
+            negativeMarks: Joi.number().min(0),
+            partialCreditPolicy: partialCreditPolicySchema,
+            matchItems: Joi.array().items(itemSchema),
+            matchOptions: Joi.array().items(itemSchema),
+            blanks: Joi.array().items(blankSchema),
+            parts: Joi.array().items(partSchema),
+            numericAnswer: numericAnswerSchema,
+            shortAnswer: shortAnswerSchema,
+            rubric: rubricSchema,
             metadata: Joi.object()
         })
     }),
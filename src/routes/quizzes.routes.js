@@ -10,6 +10,43 @@ const { validateRequest, validationSchemas, Joi, Segments } = require('../middle
 
 const router = express.Router();
 
+// Stratified pool blueprint
+const blueprintSchema = Joi.object({
+    quotas: Joi.array().items(Joi.object({
+        dimension: Joi.string().valid('difficulty', 'topic', 'tag').required(),
+        value: Joi.string().min(1).max(100).required(),
+        count: Joi.number().integer().min(1).required(),
+        mode: Joi.string().valid('exact', 'at_least').default('exact')
+    })).optional(),
+    balanceMarks: Joi.boolean().optional()
+});
+
+// Section of a sectioned quiz
+const sectionSchema = Joi.object({
+    _id: validationSchemas.objectId.optional(),
+    title: Joi.string().min(1).max(200).required(),
+    description: Joi.string().max(1000).allow('', null).optional(),
+    questionMode: Joi.string().valid('pool_random', 'fixed_list').default('fixed_list'),
+    questionIds: Joi.array().items(validationSchemas.objectId).optional(),
+    questionPoolFilter: Joi.object({
+        subject: validationSchemas.objectId.optional(),
+        difficulty: Joi.array().items(Joi.string()).optional(),
+        tags: Joi.array().items(Joi.string()).optional(),
+        count: Joi.number().min(1).optional()
+    }).optional(),
+    durationMinutes: Joi.number().min(1).optional(),
+    passingMarks: Joi.number().min(0).optional()
+});
+
+// Stopping rules for adaptive quizzes
+const adaptiveSettingsSchema = Joi.object({
+    stoppingRule: Joi.string().valid('fixed_length', 'precision').optional(),
+    minQuestions: Joi.number().integer().min(1).optional(),
+    maxQuestions: Joi.number().integer().min(1).optional(),
+    targetStandardError: Joi.number().min(0.05).max(2).optional(),
+    startingAbility: Joi.number().min(-4).max(4).optional()
+});
+
 //! Get all the enrolled quiz which enrolled by me 
 // GET /api/quizzes/enrolled
 // Get enrolled quizzes (Student only)
@@ -52,8 +89,9 @@ router.post('/',
                 Joi.string().allow('', null)
             ).optional(),
 
-            questionMode: Joi.string().valid('pool_random', 'fixed_list', 'none').default('none'),
+            questionMode: Joi.string().valid('pool_random', 'fixed_list', 'sectioned', 'adaptive', 'none').default('none'),
             questionIds: Joi.array().items(validationSchemas.objectId).optional(),
+            sections: Joi.array().items(sectionSchema).optional(),
 
             // FIXED: Allow empty subject in questionPoolFilter
             questionPoolFilter: Joi.object({
@@ -63,8 +101,10 @@ router.post('/',
                 ).optional(),
                 difficulty: Joi.array().items(Joi.string()).optional(),
                 tags: Joi.array().items(Joi.string()).optional(),
-                count: Joi.number().min(1).optional()
+                count: Joi.number().min(1).optional(),
+                blueprint: blueprintSchema.optional()
             }).optional(),
+            adaptiveSettings: adaptiveSettingsSchema.optional(),
 
             durationMinutes: Joi.number().min(1).optional(),
             durationSeconds: Joi.number().min(60).optional(),
@@ -78,6 +118,12 @@ router.post('/',
 
             totalMarks: Joi.number().min(0).optional(),
             passingMarks: Joi.number().min(0).optional(),
+            partialCreditPolicy: Joi.string().valid('all_or_nothing', 'proportional', 'right_minus_wrong', 'penalize_wrong').optional(),
+            doubleMarking: Joi.object({
+                enabled: Joi.boolean().optional(),
+                disagreementThreshold: Joi.number().min(0).max(100).optional(),
+                moderators: Joi.array().items(validationSchemas.objectId).optional()
+            }).optional(),
 
             showResultsImmediately: Joi.boolean().optional(),
             showCorrectAnswers: Joi.boolean().optional(),
@@ -125,8 +171,9 @@ router.put('/:id',
                 validationSchemas.objectId,
                 Joi.string().allow('', null)
             ).optional(),
-            questionMode: Joi.string().valid('pool_random', 'fixed_list', 'none').optional(),
+            questionMode: Joi.string().valid('pool_random', 'fixed_list', 'sectioned', 'adaptive', 'none').optional(),
             questionIds: Joi.array().items(validationSchemas.objectId).optional(),
+            sections: Joi.array().items(sectionSchema).optional(),
             questionPoolFilter: Joi.object({
                 subject: Joi.alternatives().try(
                     validationSchemas.objectId,
@@ -134,11 +181,19 @@ router.put('/:id',
                 ).optional(),
                 difficulty: Joi.array().items(Joi.string()).optional(),
                 tags: Joi.array().items(Joi.string()).optional(),
-                count: Joi.number().min(1).optional()
+                count: Joi.number().min(1).optional(),
+                blueprint: blueprintSchema.optional()
             }).optional(),
+            adaptiveSettings: adaptiveSettingsSchema.optional(),
             durationMinutes: Joi.number().min(1).optional(),
             totalMarks: Joi.number().min(0).optional(),
             passingMarks: Joi.number().min(0).optional(),
+            partialCreditPolicy: Joi.string().valid('all_or_nothing', 'proportional', 'right_minus_wrong', 'penalize_wrong').optional(),
+            doubleMarking: Joi.object({
+                enabled: Joi.boolean().optional(),
+                disagreementThreshold: Joi.number().min(0).max(100).optional(),
+                moderators: Joi.array().items(validationSchemas.objectId).optional()
+            }).optional(),
             attemptsAllowed: Joi.number().min(1).optional(),
             startTime: Joi.date().optional(),
             endTime: Joi.date().optional(),
@@ -181,6 +236,33 @@ router.patch('/:id/publish',
     quizzesController.publishQuiz
 );
 
+// POST /api/quizzes/:id/end - Close now and submit open attempts (Trainer/Admin)
+router.post('/:id/end',
+    authMiddleware,
+    authorize('trainer', 'admin'),
+    validateRequest({
+        [Segments.PARAMS]: Joi.object({
+            id: validationSchemas.objectId.required()
+        })
+    }),
+    (req, res, next) => quizzesController.endQuiz(req, res, next)
+);
+
+// GET /api/quizzes/:id/pool-preview - What the question pool matches
+router.get('/:id/pool-preview',
+    authMiddleware,
+    authorize('trainer', 'admin'),
+    validateRequest({
+        [Segments.PARAMS]: Joi.object({
+            id: validationSchemas.objectId.required()
+        }),
+        [Segments.QUERY]: Joi.object({
+            sectionId: validationSchemas.objectId.optional()
+        })
+    }),
+    (req, res, next) => quizzesController.getPoolPreview(req, res, next)
+);
+
 // Quiz Question Management Routes
 
 //! Get Questions of a Quiz
@@ -299,7 +381,9 @@ router.post('/:attemptId/submit',
                     questionId: validationSchemas.objectId.required(),
                     answer: Joi.alternatives().try(
                         Joi.string(),
-                        Joi.array().items(Joi.string())
+                        Joi.number(),
+                        Joi.array().items(Joi.string()),
+                        Joi.object()
                     ).required(),
                     clientTimestamp: Joi.date().optional()
                 })
@@ -351,7 +435,9 @@ router.post('/:attemptId/auto-save',
                     questionId: validationSchemas.objectId.required(),
                     answer: Joi.alternatives().try(
                         Joi.string(),
-                        Joi.array().items(Joi.string())
+                        Joi.number(),
+                        Joi.array().items(Joi.string()),
+                        Joi.object()
                     ).allow(null),
                     clientTimestamp: Joi.date().optional()
                 })
@@ -362,6 +448,54 @@ router.post('/:attemptId/auto-save',
     quizzesController.autoSaveAnswers
 );
 
+// Finish the current section and start the next (Student only)
+router.post('/:attemptId/sections/next',
+    authMiddleware,
+    authorize('student'),
+    validateRequest({
+        [Segments.PARAMS]: Joi.object({
+            attemptId: validationSchemas.objectId.required()
+        }),
+        [Segments.BODY]: Joi.object({
+            answers: Joi.array().items(
+                Joi.object({
+                    questionId: validationSchemas.objectId.required(),
+                    answer: Joi.alternatives().try(
+                        Joi.string(),
+                        Joi.number(),
+                        Joi.array().items(Joi.string()),
+                        Joi.object()
+                    ).allow(null),
+                    clientTimestamp: Joi.date().optional()
+                })
+            ).optional()
+        })
+    }),
+    quizzesController.nextSection
+);
+
+// Answer the current adaptive question and get the next (Student only)
+router.post('/:attemptId/next-question',
+    authMiddleware,
+    authorize('student'),
+    validateRequest({
+        [Segments.PARAMS]: Joi.object({
+            attemptId: validationSchemas.objectId.required()
+        }),
+        [Segments.BODY]: Joi.object({
+            questionId: validationSchemas.objectId.optional(),
+            answer: Joi.alternatives().try(
+                Joi.string(),
+                Joi.number(),
+                Joi.array().items(Joi.string()),
+                Joi.object()
+            ).allow(null).optional(),
+            clientTimestamp: Joi.date().optional()
+        })
+    }),
+    quizzesController.nextQuestion
+);
+
 
 // ============================================
 // ENROLLMENT & ATTEMPT TRACKING (Trainer/Admin)
@@ -382,6 +516,38 @@ router.get('/:id/enrollments',
     }),
     (req, res, next) => quizzesController.getQuizEnrollments(req, res, next)
 );
+// Grant a student extra time, extra attempts or a makeup window (Trainer/Admin - with ownership check)
+router.put('/:id/enrollments/:studentId/accommodations',
+    authMiddleware,
+    authorize('trainer', 'admin'),
+    validateRequest({
+        [Segments.PARAMS]: Joi.object({
+            id: validationSchemas.objectId.required(),
+            studentId: validationSchemas.objectId.required()
+        }),
+        [Segments.BODY]: Joi.object({
+            extraTimePercent: Joi.number().min(0).max(300).default(0),
+            extraTimeMinutes: Joi.number().integer().min(0).max(600).default(0),
+            extraAttempts: Joi.number().integer().min(0).max(10).default(0),
+            startTime: Joi.date().iso().optional(),
+            endTime: Joi.date().iso().greater(Joi.ref('startTime')).optional(),
+            reason: Joi.string().trim().min(1).max(500).required()
+        }).and('startTime', 'endTime')
+    }),
+    (req, res, next) => quizzesController.setEnrollmentAccommodations(req, res, next)
+);
+// Remove a student's accommodations (Trainer/Admin - with ownership check)
+router.delete('/:id/enrollments/:studentId/accommodations',
+    authMiddleware,
+    authorize('trainer', 'admin'),
+    validateRequest({
+        [Segments.PARAMS]: Joi.object({
+            id: validationSchemas.objectId.required(),
+            studentId: validationSchemas.objectId.required()
+        })
+    }),
+    (req, res, next) => quizzesController.setEnrollmentAccommodations(req, res, next)
+);
 // Get all attempts for a quiz (Trainer/Admin - with ownership check)
 router.get('/:id/attempts',
     authMiddleware,
@@ -427,5 +593,130 @@ router.get('/:id/statistics',
     (req, res, next) => quizzesController.getQuizStatistics(req, res, next)
 );
 
+// Running stats counters (Trainer/Admin)
+router.get('/:id/statistics/summary',
+    authMiddleware,
+    authorize('trainer', 'admin'),
+    validateRequest({
+        [Segments.PARAMS]: Joi.object({
+            id: validationSchemas.objectId.required()
+        })
+    }),
+    (req, res, next) => quizzesController.getQuizStatsSummary(req, res, next)
+);
+
+// Test reliability (Trainer/Admin)
+router.get('/:id/statistics/reliability',
+    authMiddleware,
+    authorize('trainer', 'admin'),
+    validateRequest({
+        [Segments.PARAMS]: Joi.object({
+            id: validationSchemas.objectId.required()
+        })
+    }),
+    (req, res, next) => quizzesController.getQuizReliability(req, res, next)
+);
+
+// Per-question item analysis (Trainer/Admin)
+router.get('/:id/item-analysis',
+    authMiddleware,
+    authorize('trainer', 'admin'),
+    validateRequest({
+        [Segments.PARAMS]: Joi.object({
+            id: validationSchemas.objectId.required()
+        })
+    }),
+    (req, res, next) => quizzesController.getItemAnalysis(req, res, next)
+);
+
+router.post('/:id/item-analysis',
+    authMiddleware,
+    authorize('trainer', 'admin'),
+    validateRequest({
+        [Segments.PARAMS]: Joi.object({
+            id: validationSchemas.objectId.required()
+        })
+    }),
+    (req, res, next) => quizzesController.runItemAnalysis(req, res, next)
+);
+
+// Regrade all graded attempts (Trainer/Admin - with ownership check)
+router.post('/:id/regrade',
+    authMiddleware,
+    authorize('trainer', 'admin'),
+    validateRequest({
+        [Segments.PARAMS]: Joi.object({
+            id: validationSchemas.objectId.required()
+        }),
+        [Segments.BODY]: Joi.object({
+            dryRun: Joi.boolean().default(false),
+            reason: Joi.string().max(500).optional()
+        })
+    }),
+    (req, res, next) => quizzesController.regradeQuiz(req, res, next)
+);
+// Regrade a single question across attempts (Trainer/Admin - with ownership check)
+router.post('/:id/questions/:questionId/regrade',
+    authMiddleware,
+    authorize('trainer', 'admin'),
+    validateRequest({
+        [Segments.PARAMS]: Joi.object({
+            id: validationSchemas.objectId.required(),
+            questionId: validationSchemas.objectId.required()
+        }),
+        [Segments.BODY]: Joi.object({
+            dryRun: Joi.boolean().default(false),
+            reason: Joi.string().max(500).optional()
+        })
+    }),
+    (req, res, next) => quizzesController.regradeQuiz(req, res, next)
+);
+// Void / full-credit / bonus a question after publication (Trainer/Admin - with ownership check)
+router.put('/:id/questions/:questionId/disposition',
+    authMiddleware,
+    authorize('trainer', 'admin'),
+    validateRequest({
+        [Segments.PARAMS]: Joi.object({
+            id: validationSchemas.objectId.required(),
+            questionId: validationSchemas.objectId.required()
+        }),
+        [Segments.BODY]: Joi.object({
+            disposition: Joi.string().valid('void', 'full_credit', 'bonus').required(),
+            reason: Joi.string().max(500).optional(),
+            dryRun: Joi.boolean().default(false)
+        })
+    }),
+    (req, res, next) => quizzesController.setQuestionDisposition(req, res, next)
+);
+// Restore normal scoring for a question (Trainer/Admin - with ownership check)
+router.delete('/:id/questions/:questionId/disposition',
+    authMiddleware,
+    authorize('trainer', 'admin'),
+    validateRequest({
+        [Segments.PARAMS]: Joi.object({
+            id: validationSchemas.objectId.required(),
+            questionId: validationSchemas.objectId.required()
+        }),
+        [Segments.BODY]: Joi.object({
+            reason: Joi.string().max(500).optional(),
+            dryRun: Joi.boolean().default(false)
+        })
+    }),
+    (req, res, next) => quizzesController.setQuestionDisposition(req, res, next)
+);
+// Attach or detach a letter-grade scale (Trainer/Admin - with ownership check)
+router.put('/:id/grading-scale',
+    authMiddleware,
+    authorize('trainer', 'admin'),
+    validateRequest({
+        [Segments.PARAMS]: Joi.object({
+            id: validationSchemas.objectId.required()
+        }),
+        [Segments.BODY]: Joi.object({
+            scaleId: validationSchemas.objectId.allow(null).required()
+        })
+    }),
+    (req, res, next) => quizzesController.setGradingScale(req, res, next)
+);
 
 module.exports = router;
\ No newline at end of file
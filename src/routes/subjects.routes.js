@@ -40,6 +40,27 @@ router.put('/:id',
     subjectsController.updateSubject
 );
 
+// Cohort analytics across the subject's quizzes (Trainer/Admin)
+router.get('/:id/analytics',
+    authMiddleware,
+    authorize('trainer', 'admin'),
+    validateRequest({
+        [Segments.PARAMS]: Joi.object({
+            id: validationSchemas.objectId.required()
+        }),
+        [Segments.QUERY]: Joi.object({
+            // Comma-separated lists
+            quizIds: Joi.string().pattern(/^[0-9a-fA-F]{24}(,[0-9a-fA-F]{24})*$/),
+            groupBy: Joi.string().pattern(/^(semester|department|batch)(,(semester|department|batch))*$/),
+            period: Joi.string().valid('week', 'month').default('month'),
+            from: Joi.date().iso(),
+            to: Joi.date().iso().min(Joi.ref('from')),
+            format: Joi.string().valid('json', 'xlsx').default('json')
+        })
+    }),
+    subjectsController.getCohortAnalytics
+);
+
 router.delete('/:id',
     authMiddleware,
     authorize('admin'),
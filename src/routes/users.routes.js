@@ -22,10 +22,33 @@ router.put('/me',
     usersController.updateMe
 );
 
+// GET /api/users/me/performance (Student)
+router.get('/me/performance',
+    authMiddleware,
+    authorize('student'),
+    validateRequest({
+        [Segments.QUERY]: Joi.object({
+            from: Joi.date().iso(),
+            to: Joi.date().iso().min(Joi.ref('from')),
+            subject: validationSchemas.objectId
+        })
+    }),
+    usersController.getMyPerformance
+);
+
 // GET /api/users (Admin only)
 router.get('/',
     authMiddleware,
     authorize('admin'),
+    validateRequest({
+        [Segments.QUERY]: Joi.object({
+            role: Joi.string().valid('student', 'trainer', 'admin'),
+            search: Joi.string().max(100),
+            isActive: Joi.boolean(),
+            page: Joi.number().integer().min(1),
+            limit: Joi.number().integer().min(1).max(100)
+        })
+    }),
     usersController.listUsers
 );
 
@@ -6,7 +6,11 @@ const app = require('./app');
 const config = require('./config');
 const logger = require('./config/logger');
 const connectDB = require('./db/mongoose');
-// const initSocketHandlers = require('./sockets');
+const { initQueues, getDriver, closeQueues } = require('./jobs/queues');
+const { startGradingWorker, stopGradingWorker } = require('./workers/grading.worker');
+const { startAttemptTimeoutScheduler, stopAttemptTimeoutScheduler } = require('./jobs/attemptTimeout.job');
+const initSocketHandlers = require('./sockets');
+const { notifyAttemptFinalized } = require('./sockets/attempt.socket');
 
 const server = http.createServer(app);
 
@@ -25,15 +29,18 @@ const io = new Server(server, {
 app.set('io', io);
 
 // Initialize socket handlers
-// initSocketHandlers(io);
+initSocketHandlers(io);
 
 // Graceful shutdown
 const gracefulShutdown = (signal) => {
     logger.info(`${signal} received, shutting down gracefully...`);
     server.close(() => {
         logger.info('HTTP server closed');
-        io.close(() => {
+        io.close(async () => {
             logger.info('Socket.IO server closed');
+            stopAttemptTimeoutScheduler();
+            await stopGradingWorker();
+            await closeQueues();
             process.exit(0);
         });
     });
@@ -54,6 +61,17 @@ const startServer = async () => {
         await connectDB();
         logger.info('MongoDB connected successfully');
 
+        // The in-process queue only works with an in-process worker
+        await initQueues();
+        if (config.queue.runWorkerInProcess || getDriver() === 'memory') {
+            await startGradingWorker();
+        }
+
+        // Auto-submit attempts abandoned past their deadline
+        startAttemptTimeoutScheduler({
+            onFinalized: (attempt) => notifyAttemptFinalized(io, attempt)
+        });
+
         // server.listen(config.port, () => {
         //     logger.info(`Server running on port ${config.port} in ${config.env} mode`);
         // });
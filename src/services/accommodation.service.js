@@ -0,0 +1,94 @@
+// services/accommodation.service.js
+// Per-student accommodations, stored on the student's enrollment: extra
+// time (a percentage of the quiz duration and/or fixed minutes), extra
+// attempts and a makeup window replacing the quiz's own. They are resolved
+// into the student's schedule when an attempt starts, and the timing part
+// is copied onto the attempt so deadline checks never need the enrollment.
+const sectionService = require('./section.service');
+
+const hasAccommodations = (enrollment) => !!enrollment?.accommodations;
+
+/**
+ * Seconds added to the quiz duration for this student
+ */
+const getExtraTimeSeconds = (quiz, accommodations) => {
+    if (!accommodations || !(quiz.durationMinutes > 0)) return 0;
+
+    const percentSeconds = quiz.durationMinutes * 60 * (accommodations.extraTimePercent || 0) / 100;
+    return Math.round(percentSeconds + (accommodations.extraTimeMinutes || 0) * 60);
+};
+
+/**
+ * The quiz's limits as they apply to one student
+ */
+const getEffectiveSchedule = (quiz, enrollment) => {
+    const accommodations = enrollment?.accommodations;
+    const extraTimeSeconds = getExtraTimeSeconds(quiz, accommodations);
+
+    return {
+        startTime: accommodations?.startTime || quiz.startTime,
+        endTime: accommodations?.endTime || quiz.endTime,
+        durationMinutes: quiz.durationMinutes + extraTimeSeconds / 60,
+        attemptsAllowed: quiz.attemptsAllowed + (accommodations?.extraAttempts || 0),
+        extraTimeSeconds,
+        isMakeupWindow: !!accommodations?.endTime,
+        accommodated: hasAccommodations(enrollment)
+    };
+};
+
+/**
+ * What an attempt keeps of the schedule, or undefined when its timing is
+ * the quiz's own. The makeup end is stored because it replaces the quiz's;
+ * the quiz's end is not, so later changes to it still apply.
+ */
+const toAttemptAccommodation = (schedule) => {
+    if (!schedule.extraTimeSeconds && !schedule.isMakeupWindow) return undefined;
+
+    return {
+        extraTimeSeconds: schedule.extraTimeSeconds,
+        ...(schedule.isMakeupWindow && { endTime: schedule.endTime })
+    };
+};
+
+/**
+ * Section time limits stretch in proportion to the quiz duration
+ */
+const getSectionTimeFactor = (quiz, schedule) =>
+    quiz.durationMinutes > 0 ? schedule.durationMinutes / quiz.durationMinutes : 1;
+
+/**
+ * Bring an attempt in progress in line with changed accommodations. Extra
+ * time added now goes to the open section; sections already timed are
+ * left alone.
+ */
+const applyToOpenAttempt = (attempt, quiz, enrollment) => {
+    const before = attempt.accommodation?.extraTimeSeconds || 0;
+    const schedule = getEffectiveSchedule(quiz, enrollment);
+
+    attempt.accommodation = toAttemptAccommodation(schedule);
+
+    const added = schedule.extraTimeSeconds - before;
+    if (added > 0) {
+        sectionService.extendOpenSection(attempt, added);
+    }
+};
+
+/**
+ * The student-facing summary, or null without accommodations
+ */
+const describeAccommodations = (enrollment) => {
+    if (!hasAccommodations(enrollment)) return null;
+
+    const { extraTimePercent, extraTimeMinutes, extraAttempts, startTime, endTime } = enrollment.accommodations;
+    return { extraTimePercent, extraTimeMinutes, extraAttempts, startTime, endTime };
+};
+
+module.exports = {
+    hasAccommodations,
+    getExtraTimeSeconds,
+    getEffectiveSchedule,
+    toAttemptAccommodation,
+    getSectionTimeFactor,
+    applyToOpenAttempt,
+    describeAccommodations
+};
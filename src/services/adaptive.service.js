@@ -0,0 +1,283 @@
+// services/adaptive.service.js
+// Adaptive quizzes: questions are served one at a time from the quiz pool,
+// each chosen to match the student's running ability estimate (Rasch model).
+// Answers are graded as they come in and can no longer change afterwards.
+const Question = require('../models/Question');
+const { AUTO_GRADED_TYPES } = require('../models/Question');
+const { buildPoolQuery } = require('./questionSelection.service');
+const { buildServedQuestion } = require('./question.service');
+const gradingService = require('./grading.service');
+const logger = require('../config/logger');
+
+// Logit difficulty for questions that have not been calibrated yet
+const LABEL_DIFFICULTY = { easy: -1, medium: 0, hard: 1 };
+
+// Abilities considered when estimating, -4 to 4 in steps of 0.1
+const ABILITY_GRID = Array.from({ length: 81 }, (_, i) => -4 + i / 10);
+
+// The next question is drawn at random from this many best matches,
+// so students of similar ability do not all see the same paper
+const CANDIDATE_SPREAD = 3;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const isAdaptive = (attempt) => !!attempt.adaptive;
+
+const getItemDifficulty = (question) =>
+    Number.isFinite(question.calibration?.difficulty)
+        ? question.calibration.difficulty
+        : LABEL_DIFFICULTY[question.difficulty] ?? 0;
+
+const probabilityCorrect = (ability, difficulty) => 1 / (1 + Math.exp(difficulty - ability));
+
+/**
+ * Expected a posteriori ability with a normal prior around `prior`.
+ * Unlike maximum likelihood it stays finite when every answer so far is
+ * right (or wrong). Returns { ability, standardError }.
+ */
+const estimateAbility = (responses, { prior = 0 } = {}) => {
+    const weights = ABILITY_GRID.map(theta =>
+        responses.reduce((weight, r) => {
+            const p = probabilityCorrect(theta, r.difficulty);
+            return weight * (r.correct ? p : 1 - p);
+        }, Math.exp(-((theta - prior) ** 2) / 2))
+    );
+
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    const ability = ABILITY_GRID.reduce((sum, theta, i) => sum + theta * weights[i], 0) / total;
+    const variance = ABILITY_GRID.reduce((sum, theta, i) => sum + (theta - ability) ** 2 * weights[i], 0) / total;
+
+    return { ability: round(ability), standardError: round(Math.sqrt(variance)) };
+};
+
+/**
+ * Check stopping-rule settings.
+ * Returns an error message, or null when valid.
+ */
+const validateAdaptiveSettings = (settings = {}) => {
+    const { minQuestions = 5, maxQuestions = 20 } = settings;
+
+    if (minQuestions > maxQuestions) {
+        return `Adaptive minQuestions (${minQuestions}) cannot exceed maxQuestions (${maxQuestions})`;
+    }
+
+    return null;
+};
+
+/**
+ * Adaptive state for a new attempt
+ */
+const initAdaptiveState = (quiz) => {
+    const prior = quiz.adaptiveSettings?.startingAbility || 0;
+
+    return {
+        ...estimateAbility([], { prior }),
+        history: [],
+        isComplete: false
+    };
+};
+
+/**
+ * The served question still waiting for an answer, or null
+ */
+const getPendingQuestion = (attempt) => {
+    const answered = new Set(attempt.adaptive.history.map(h => h.question.toString()));
+    return (attempt.selectedQuestions || []).find(sq => !answered.has(sq.question.toString())) || null;
+};
+
+/**
+ * Why the test should end now, or null to keep going
+ */
+const getStopReason = (attempt, settings = {}) => {
+    const answered = attempt.adaptive.history.length;
+    const { stoppingRule = 'fixed_length', minQuestions = 5, maxQuestions = 20, targetStandardError = 0.4 } = settings;
+
+    if (answered >= maxQuestions) return 'max_questions';
+
+    if (stoppingRule === 'precision' &&
+        answered >= minQuestions &&
+        attempt.adaptive.standardError <= targetStandardError) {
+        return 'precision_reached';
+    }
+
+    return null;
+};
+
+const finish = (attempt, stopReason) => {
+    attempt.adaptive.isComplete = true;
+    attempt.adaptive.stopReason = stopReason;
+};
+
+/**
+ * Grade the pending question's answer and update the ability estimate.
+ * Returns the graded result, or null when nothing is pending.
+ */
+const recordAnswer = async (attempt, quiz, answer, { session, now = new Date() } = {}) => {
+    const pending = getPendingQuestion(attempt);
+    if (!pending) return null;
+
+    const question = await Question.findById(pending.question).session(session || null);
+    let result = { score: 0, isCorrect: false };
+
+    if (question) {
+        result = gradingService.gradeQuestion(question, answer, { marks: pending.marks, quiz });
+    } else {
+        logger.error(`Question ${pending.question} not found during adaptive grading`);
+    }
+
+    attempt.adaptive.history.push({
+        question: pending.question,
+        difficulty: question ? getItemDifficulty(question) : 0,
+        correct: !!result.isCorrect,
+        score: result.score,
+        answeredAt: now
+    });
+
+    const estimate = estimateAbility(attempt.adaptive.history, {
+        prior: quiz.adaptiveSettings?.startingAbility || 0
+    });
+
+    const entry = attempt.adaptive.history[attempt.adaptive.history.length - 1];
+    entry.abilityAfter = estimate.ability;
+    entry.standardErrorAfter = estimate.standardError;
+    attempt.adaptive.ability = estimate.ability;
+    attempt.adaptive.standardError = estimate.standardError;
+
+    return result;
+};
+
+/**
+ * Replay the ability estimate after a regrade: each answered question takes
+ * its regraded result, and the running and final estimates are recomputed.
+ * The questions served stay as they were.
+ */
+const rescoreHistory = (attempt, quiz, results) => {
+    if (!isAdaptive(attempt)) return;
+
+    const byQuestion = new Map(results.map(r => [r.questionId.toString(), r]));
+    const prior = quiz.adaptiveSettings?.startingAbility || 0;
+    let estimate = estimateAbility([], { prior });
+
+    attempt.adaptive.history.forEach((entry, index) => {
+        const result = byQuestion.get(entry.question.toString());
+        if (result) {
+            entry.correct = !!result.isCorrect;
+            entry.score = result.score;
+        }
+
+        estimate = estimateAbility(attempt.adaptive.history.slice(0, index + 1), { prior });
+        entry.abilityAfter = estimate.ability;
+        entry.standardErrorAfter = estimate.standardError;
+    });
+
+    attempt.adaptive.ability = estimate.ability;
+    attempt.adaptive.standardError = estimate.standardError;
+};
+
+/**
+ * Serve the most informative unseen question (difficulty closest to the
+ * current ability), or end the test when a stopping rule is met or the
+ * pool runs out. Returns the served question, or null when finished.
+ */
+const serveNextQuestion = async (quiz, attempt, { session } = {}) => {
+    if (attempt.adaptive.isComplete) return null;
+
+    const stopReason = getStopReason(attempt, quiz.adaptiveSettings);
+    if (stopReason) {
+        finish(attempt, stopReason);
+        return null;
+    }
+
+    // Only auto-graded types: the next choice depends on this answer's score
+    const query = {
+        ...buildPoolQuery(quiz.questionPoolFilter || {}, {
+            subject: quiz.subject,
+            excludeIds: attempt.selectedQuestions.map(sq => sq.question)
+        }),
+        type: { $in: AUTO_GRADED_TYPES }
+    };
+
+    const candidates = await Question.find(query)
+        .select('difficulty calibration')
+        .session(session || null)
+        .lean();
+
+    if (candidates.length === 0) {
+        finish(attempt, 'pool_exhausted');
+        return null;
+    }
+
+    const closest = candidates
+        .map(c => ({ id: c._id, distance: Math.abs(getItemDifficulty(c) - attempt.adaptive.ability) }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, CANDIDATE_SPREAD);
+
+    const { id } = closest[Math.floor(Math.random() * closest.length)];
+    const question = await Question.findById(id).session(session || null);
+
+    const served = buildServedQuestion(question, { shuffleChoices: quiz.shuffleChoices });
+
+    attempt.selectedQuestions.push(served);
+    attempt.questionsServed.push({
+        question: question._id,
+        orderIndex: attempt.questionsServed.length,
+        marks: served.marks
+    });
+    attempt.maxScore = (attempt.maxScore || 0) + served.marks;
+
+    return attempt.selectedQuestions[attempt.selectedQuestions.length - 1];
+};
+
+/**
+ * Only answers to the pending question are accepted
+ */
+const filterOpenAnswers = (attempt, answers) => {
+    const pending = getPendingQuestion(attempt);
+    const isOpen = (a) => !!pending && a.questionId.toString() === pending.question.toString();
+
+    return {
+        accepted: answers.filter(isOpen),
+        rejected: answers.filter(a => !isOpen(a)).map(a => a.questionId)
+    };
+};
+
+/**
+ * Questions the student may see: just the pending one
+ */
+const getVisibleQuestions = (attempt) => {
+    const pending = getPendingQuestion(attempt);
+    return pending ? [pending] : [];
+};
+
+/**
+ * Progress summary for the student (the ability estimate stays hidden),
+ * or null for non-adaptive attempts
+ */
+const describeProgress = (attempt, quiz) => {
+    if (!isAdaptive(attempt)) return null;
+
+    return {
+        questionNumber: attempt.selectedQuestions.length,
+        answered: attempt.adaptive.history.length,
+        maxQuestions: quiz?.adaptiveSettings?.maxQuestions,
+        isComplete: attempt.adaptive.isComplete,
+        stopReason: attempt.adaptive.stopReason
+    };
+};
+
+module.exports = {
+    isAdaptive,
+    getItemDifficulty,
+    probabilityCorrect,
+    estimateAbility,
+    validateAdaptiveSettings,
+    initAdaptiveState,
+    getPendingQuestion,
+    getStopReason,
+    recordAnswer,
+    rescoreHistory,
+    serveNextQuestion,
+    filterOpenAnswers,
+    getVisibleQuestions,
+    describeProgress
+};
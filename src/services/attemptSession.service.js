@@ -0,0 +1,247 @@
+// services/attemptSession.service.js
+// Shared handling of an attempt while it is being taken, whether the
+// student talks to us over HTTP or over the attempt socket: saving
+// answers, recording anti-cheat events and the server-side deadline.
+const AuditLog = require('../models/AuditLog');
+const sectionService = require('./section.service');
+const adaptiveService = require('./adaptive.service');
+const config = require('../config');
+const logger = require('../config/logger');
+
+// Answers are refused while a proctor has the attempt paused
+const PAUSED_ERROR = 'Attempt is paused by the proctor';
+
+/**
+ * Merge answers into an attempt's saved answers, replacing any for the same question
+ */
+const mergeRawAnswers = (attempt, answers, serverTimestamp) => {
+    const answerMap = new Map();
+
+    (attempt.rawAnswers || []).forEach(ans => {
+        answerMap.set(ans.questionId.toString(), ans);
+    });
+
+    answers.forEach(ans => {
+        answerMap.set(ans.questionId.toString(), {
+            questionId: ans.questionId,
+            answer: ans.answer,
+            clientTimestamp: ans.clientTimestamp,
+            serverTimestamp
+        });
+    });
+
+    attempt.rawAnswers = Array.from(answerMap.values());
+};
+
+/**
+ * Questions the student may currently see: those of started sections, or the pending adaptive question
+ */
+const getVisibleQuestions = (attempt) =>
+    adaptiveService.isAdaptive(attempt)
+        ? adaptiveService.getVisibleQuestions(attempt)
+        : sectionService.getVisibleQuestions(attempt);
+
+/**
+ * Split answers into those that may still change and those that may not
+ */
+const filterOpenAnswers = (attempt, answers) =>
+    adaptiveService.isAdaptive(attempt)
+        ? adaptiveService.filterOpenAnswers(attempt, answers)
+        : sectionService.filterOpenAnswers(attempt, answers);
+
+/**
+ * Autosave: merge the answers that may still change. Answers to locked or
+ * not-yet-started sections (or already graded adaptive questions) are
+ * rejected. The caller saves the attempt.
+ */
+const saveAnswers = (attempt, answers, now = new Date()) => {
+    const sectionsChanged = sectionService.syncSections(attempt, now);
+    const { accepted, rejected } = filterOpenAnswers(attempt, answers || []);
+
+    if (accepted.length > 0) {
+        mergeRawAnswers(attempt, accepted, now);
+    }
+
+    return { accepted, rejected, sectionsChanged };
+};
+
+/**
+ * Log an anti-cheat event against an in-progress attempt and update its
+ * counters
+ */
+const recordAuditEvent = async (attempt, { eventType, meta, ipAddress, userAgent }) => {
+    const auditLog = await AuditLog.create({
+        attemptId: attempt._id,
+        userId: attempt.user,
+        quizId: attempt.quiz,
+        eventType,
+        meta,
+        ipAddress,
+        userAgent,
+        timestamp: new Date()
+    });
+
+    if (eventType === 'tab_switch') {
+        attempt.tabSwitches += 1;
+
+        // Check threshold and flag if exceeded
+        if (attempt.tabSwitches >= config.antiCheat.tabSwitchWarning) {
+            logger.warn(`High tab switches detected: ${attempt.tabSwitches} for attempt ${attempt._id}`);
+        }
+
+        // Flag as soon as the limit is passed, so proctors see it live
+        if (attempt.tabSwitches === config.antiCheat.maxTabSwitches + 1) {
+            attempt.isFlagged = true;
+            attempt.flaggedReasons.push({
+                reason: 'Excessive tab switches detected',
+                timestamp: new Date(),
+                severity: 'high',
+                details: `Count: ${attempt.tabSwitches}, Max allowed: ${config.antiCheat.maxTabSwitches}`
+            });
+        }
+
+        await attempt.save();
+    }
+
+    return auditLog;
+};
+
+/**
+ * Note the address a student (re)connects from. A new one is logged as an
+ * ip_changed event and, where the quiz forbids IP changes, flagged.
+ * Returns true when the address was new.
+ */
+const recordClientIP = async (attempt, quiz, { ipAddress, userAgent }) => {
+    attempt.resumeIPs = attempt.resumeIPs || [];
+    if (!ipAddress || attempt.resumeIPs.includes(ipAddress)) return false;
+
+    attempt.resumeIPs.push(ipAddress);
+
+    if (quiz.antiCheatSettings?.trackIPAddress && !quiz.antiCheatSettings?.allowIPChange) {
+        attempt.isFlagged = true;
+        attempt.flaggedReasons.push({
+            reason: 'IP address changed during quiz',
+            timestamp: new Date(),
+            severity: 'medium',
+            details: `Start IP: ${attempt.ipAtStart}, New IP: ${ipAddress}`
+        });
+    }
+
+    await attempt.save();
+
+    await AuditLog.create({
+        attemptId: attempt._id,
+        userId: attempt.user,
+        quizId: attempt.quiz,
+        eventType: 'ip_changed',
+        severity: 'warning',
+        meta: { previous: attempt.resumeIPs.slice(0, -1) },
+        ipAddress,
+        userAgent,
+        timestamp: new Date()
+    });
+
+    return true;
+};
+
+/**
+ * Extra seconds on top of the quiz duration: the student's accommodation
+ * plus any time the trainer granted
+ */
+const getExtraTimeSeconds = (attempt) =>
+    (attempt.accommodation?.extraTimeSeconds || 0) + (attempt.extraTimeSeconds || 0);
+
+/**
+ * Seconds the attempt may run, or null when untimed
+ */
+const getAllowedSeconds = (attempt, quiz) =>
+    quiz.durationMinutes > 0 ? quiz.durationMinutes * 60 + getExtraTimeSeconds(attempt) : null;
+
+/**
+ * When the attempt must end: the earlier of startTime + duration and the
+ * quiz closing (or the student's makeup window closing). Extra time moves
+ * both, so it is never cut short by the window. Null when neither
+ * applies. While paused this is provisional: it moves on resume.
+ */
+const resolveDeadline = (attempt, quiz) => {
+    const extraMs = getExtraTimeSeconds(attempt) * 1000;
+    const durationDeadline = quiz.durationMinutes > 0
+        ? new Date(new Date(attempt.startTime).getTime() + quiz.durationMinutes * 60 * 1000 + extraMs)
+        : null;
+    const endTime = attempt.accommodation?.endTime || quiz.endTime;
+    const closesAt = endTime ? new Date(new Date(endTime).getTime() + extraMs) : null;
+
+    if (!durationDeadline && !closesAt) return null;
+
+    if (closesAt && (!durationDeadline || closesAt <= durationDeadline)) {
+        return { deadline: closesAt, reason: 'quiz_closed' };
+    }
+
+    return { deadline: durationDeadline, reason: 'time_expired' };
+};
+
+/**
+ * Seconds left before the deadline, or null when the attempt is untimed.
+ * A paused clock reads as of the pause.
+ */
+const getTimeRemaining = (deadline, now = new Date(), pausedAt = null) =>
+    deadline ? Math.max(0, Math.floor((deadline - (pausedAt || now)) / 1000)) : null;
+
+const getAttemptTimeRemaining = (attempt, quiz, now = new Date()) => {
+    const { deadline = null } = resolveDeadline(attempt, quiz) || {};
+    return getTimeRemaining(deadline, now, attempt.pausedAt);
+};
+
+/**
+ * Whether the attempt ran out of time more than graceMs ago. Paused
+ * attempts never expire.
+ */
+const isPastDeadline = (attempt, quiz, now = new Date(), graceMs = 0) => {
+    if (attempt.pausedAt) return false;
+
+    const timing = resolveDeadline(attempt, quiz);
+    return !!timing && now.getTime() > timing.deadline.getTime() + graceMs;
+};
+
+/**
+ * The server's view of an in-progress attempt, for clients resuming it
+ */
+const describeAttemptState = (attempt, quiz, now = new Date()) => {
+    const { deadline = null } = resolveDeadline(attempt, quiz) || {};
+
+    return {
+        attemptId: attempt._id,
+        quizId: quiz._id,
+        status: attempt.status,
+        answers: (attempt.rawAnswers || []).map(ans => ({
+            questionId: ans.questionId,
+            answer: ans.answer,
+            clientTimestamp: ans.clientTimestamp,
+            serverTimestamp: ans.serverTimestamp
+        })),
+        tabSwitches: attempt.tabSwitches,
+        currentSectionInfo: sectionService.describeCurrentSection(attempt, attempt.pausedAt || now),
+        adaptiveProgress: adaptiveService.describeProgress(attempt, quiz),
+        deadline,
+        timeRemaining: getTimeRemaining(deadline, now, attempt.pausedAt),
+        paused: !!attempt.pausedAt,
+        serverTime: now
+    };
+};
+
+module.exports = {
+    PAUSED_ERROR,
+    mergeRawAnswers,
+    getVisibleQuestions,
+    filterOpenAnswers,
+    saveAnswers,
+    recordAuditEvent,
+    recordClientIP,
+    getExtraTimeSeconds,
+    getAllowedSeconds,
+    resolveDeadline,
+    getTimeRemaining,
+    getAttemptTimeRemaining,
+    isPastDeadline,
+    describeAttemptState
+};
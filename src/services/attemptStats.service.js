@@ -0,0 +1,355 @@
+// services/attemptStats.service.js
+// Running counters behind quiz and question dashboards (Quiz.stats,
+// Question.responseStats). Each graded attempt remembers what it added
+// (statsContribution); whenever it is graded or regraded only the difference
+// is applied with $inc, so reading the totals never scans attempts.
+const mongoose = require('mongoose');
+const Quiz = require('../models/Quiz');
+const Question = require('../models/Question');
+const QuizAttempt = require('../models/QuizAttempt');
+const { isGraded } = require('../models/QuizAttempt');
+const logger = require('../config/logger');
+
+// Score distribution buckets by percentage; the last one is open-ended
+const SCORE_RANGES = [
+    { label: '0-20%', below: 21 },
+    { label: '21-40%', below: 41 },
+    { label: '41-60%', below: 61 },
+    { label: '61-80%', below: 81 },
+    { label: '81-100%' }
+];
+
+const round = (value) => Math.round((value || 0) * 1000) / 1000;
+
+const getScoreRange = (percentage) =>
+    (SCORE_RANGES.find(r => r.below !== undefined && percentage < r.below) || SCORE_RANGES[SCORE_RANGES.length - 1]).label;
+
+const getQuizId = (attempt) => attempt.quiz?._id || attempt.quiz;
+
+/**
+ * What an attempt adds to the counters, or null while it is not graded.
+ * Manual grades override automatic ones; voided questions and answers
+ * still waiting for a grader are left out.
+ */
+const buildContribution = (attempt) => {
+    if (!isGraded(attempt)) return null;
+
+    const manual = new Map((attempt.manualGradeResult || []).map(m => [m.questionId.toString(), m]));
+    const questions = [];
+
+    for (const result of attempt.autoGradeResult || []) {
+        if (result.disposition === 'void') continue;
+
+        const override = manual.get(result.questionId.toString());
+        if (result.needsManualReview && !override) continue;
+
+        const maxScore = result.maxScore || override?.maxScore || 1;
+        const score = override ? override.score || 0 : result.score || 0;
+
+        questions.push({
+            question: result.questionId,
+            score,
+            maxScore,
+            isCorrect: override ? score >= maxScore : !!result.isCorrect
+        });
+    }
+
+    const percentage = attempt.percentage || 0;
+
+    return {
+        score: attempt.totalScore || 0,
+        percentage,
+        passed: !!attempt.passed,
+        bucket: getScoreRange(percentage),
+        questions
+    };
+};
+
+const nonZero = (inc) => Object.fromEntries(Object.entries(inc).filter(([, value]) => value !== 0));
+
+/**
+ * $inc for Quiz.stats that replaces `previous` with `next`
+ */
+const quizIncrements = (previous, next) => {
+    const inc = {};
+    const add = (path, value) => { inc[path] = (inc[path] || 0) + value; };
+
+    for (const [contribution, sign] of [[previous, -1], [next, 1]]) {
+        if (!contribution) continue;
+
+        add('stats.gradedAttempts', sign);
+        add('stats.passCount', contribution.passed ? sign : 0);
+        add('stats.scoreSum', sign * contribution.score);
+        add('stats.percentageSum', sign * contribution.percentage);
+        add(`stats.histogram.${contribution.bucket}`, sign);
+    }
+
+    return nonZero(inc);
+};
+
+/**
+ * $inc for each question's responseStats that replaces `previous` with `next`
+ */
+const questionIncrements = (previous, next) => {
+    const byQuestion = new Map();
+
+    for (const [contribution, sign] of [[previous, -1], [next, 1]]) {
+        for (const q of contribution?.questions || []) {
+            const key = q.question.toString();
+            const inc = byQuestion.get(key) || {
+                'responseStats.responses': 0,
+                'responseStats.correctCount': 0,
+                'responseStats.scoreSum': 0,
+                'responseStats.maxScoreSum': 0
+            };
+
+            inc['responseStats.responses'] += sign;
+            inc['responseStats.correctCount'] += q.isCorrect ? sign : 0;
+            inc['responseStats.scoreSum'] += sign * q.score;
+            inc['responseStats.maxScoreSum'] += sign * q.maxScore;
+            byQuestion.set(key, inc);
+        }
+    }
+
+    return [...byQuestion.entries()]
+        .map(([questionId, inc]) => ({ questionId, inc: nonZero(inc) }))
+        .filter(({ inc }) => Object.keys(inc).length > 0);
+};
+
+/**
+ * Keep the legacy averageScore in step with the counters
+ */
+const refreshQuizAverage = (quizId, { session } = {}) =>
+    Quiz.updateOne({ _id: quizId }, [{
+        $set: {
+            averageScore: {
+                $cond: [
+                    { $gt: ['$stats.gradedAttempts', 0] },
+                    { $divide: ['$stats.scoreSum', '$stats.gradedAttempts'] },
+                    0
+                ]
+            }
+        }
+    }], { session: session || null });
+
+/**
+ * Bring the counters in line with an attempt's current (saved) result.
+ * Call after every save that grades, regrades or ungrades an attempt;
+ * nothing changes when its result is the same as last time.
+ */
+const syncAttemptStats = async (attempt, { session } = {}) => {
+    const next = buildContribution(attempt);
+
+    // Swap the stored contribution and read the old one in a single step, so
+    // concurrent syncs of the same attempt each apply their own difference
+    const stored = await QuizAttempt.findOneAndUpdate(
+        { _id: attempt._id },
+        next ? { $set: { statsContribution: next } } : { $unset: { statsContribution: 1 } },
+        { new: false, projection: { statsContribution: 1 }, session: session || null }
+    ).lean();
+
+    const previous = stored?.statsContribution || null;
+    const now = new Date();
+    const quizInc = quizIncrements(previous, next);
+
+    if (Object.keys(quizInc).length > 0) {
+        const quizId = getQuizId(attempt);
+
+        await Quiz.updateOne(
+            { _id: quizId },
+            { $inc: quizInc, $set: { 'stats.updatedAt': now } },
+            { session: session || null }
+        );
+        await refreshQuizAverage(quizId, { session });
+    }
+
+    const questionOps = questionIncrements(previous, next).map(({ questionId, inc }) => ({
+        updateOne: {
+            filter: { _id: questionId },
+            update: { $inc: inc, $set: { 'responseStats.updatedAt': now } }
+        }
+    }));
+
+    if (questionOps.length > 0) {
+        await Question.bulkWrite(questionOps, { session: session || null });
+    }
+};
+
+/**
+ * Count a finished attempt in its quiz's totalAttempts. Whatever ends the
+ * attempt (submit, timeout, proctor or quiz end) calls this exactly once;
+ * reconcileStats counts the same attempts.
+ */
+const countFinishedAttempt = (attempt, { session } = {}) =>
+    Quiz.updateOne(
+        { _id: getQuizId(attempt) },
+        { $inc: { totalAttempts: 1 } },
+        { session: session || null }
+    );
+
+/**
+ * Rebuild every counter from the attempts themselves: recompute each graded
+ * attempt's contribution, then the quiz and question totals from those.
+ * Quizzes and questions without graded attempts are reset to zero.
+ */
+const reconcileStats = async ({ quizId } = {}) => {
+    const filter = quizId ? { quiz: new mongoose.Types.ObjectId(quizId) } : {};
+    const now = new Date();
+    let attemptsUpdated = 0;
+
+    const cursor = QuizAttempt.find(filter)
+        .select('quiz status grading.status totalScore percentage passed autoGradeResult manualGradeResult')
+        .lean()
+        .cursor();
+
+    let batch = [];
+    const flush = async () => {
+        if (batch.length > 0) await QuizAttempt.bulkWrite(batch);
+        batch = [];
+    };
+
+    for await (const attempt of cursor) {
+        const contribution = buildContribution(attempt);
+        batch.push({
+            updateOne: {
+                filter: { _id: attempt._id },
+                update: contribution ? { $set: { statsContribution: contribution } } : { $unset: { statsContribution: 1 } }
+            }
+        });
+        attemptsUpdated++;
+        if (batch.length >= 500) await flush();
+    }
+    await flush();
+
+    const quizTotals = await QuizAttempt.aggregate([
+        { $match: { ...filter, statsContribution: { $exists: true } } },
+        {
+            $group: {
+                _id: { quiz: '$quiz', bucket: '$statsContribution.bucket' },
+                gradedAttempts: { $sum: 1 },
+                passCount: { $sum: { $cond: ['$statsContribution.passed', 1, 0] } },
+                scoreSum: { $sum: '$statsContribution.score' },
+                percentageSum: { $sum: '$statsContribution.percentage' }
+            }
+        },
+        {
+            $group: {
+                _id: '$_id.quiz',
+                gradedAttempts: { $sum: '$gradedAttempts' },
+                passCount: { $sum: '$passCount' },
+                scoreSum: { $sum: '$scoreSum' },
+                percentageSum: { $sum: '$percentageSum' },
+                histogram: { $push: { k: '$_id.bucket', v: '$gradedAttempts' } }
+            }
+        }
+    ]);
+
+    // Submitted attempts, however they ended
+    const submitted = await QuizAttempt.aggregate([
+        { $match: { ...filter, status: { $nin: ['in_progress', 'abandoned'] } } },
+        { $group: { _id: '$quiz', count: { $sum: 1 } } }
+    ]);
+    const submittedByQuiz = new Map(submitted.map(s => [s._id.toString(), s.count]));
+
+    const totalsByQuiz = new Map(quizTotals.map(t => [t._id.toString(), t]));
+    const quizIds = quizId
+        ? [new mongoose.Types.ObjectId(quizId)]
+        : await Quiz.distinct('_id');
+
+    const quizOps = quizIds.map(id => {
+        const t = totalsByQuiz.get(id.toString());
+
+        return {
+            updateOne: {
+                filter: { _id: id },
+                update: {
+                    $set: {
+                        stats: {
+                            gradedAttempts: t?.gradedAttempts || 0,
+                            passCount: t?.passCount || 0,
+                            scoreSum: t?.scoreSum || 0,
+                            percentageSum: t?.percentageSum || 0,
+                            histogram: Object.fromEntries((t?.histogram || []).map(h => [h.k, h.v])),
+                            updatedAt: now
+                        },
+                        totalAttempts: submittedByQuiz.get(id.toString()) || 0,
+                        averageScore: t?.gradedAttempts ? t.scoreSum / t.gradedAttempts : 0
+                    }
+                }
+            }
+        };
+    });
+
+    if (quizOps.length > 0) {
+        await Quiz.bulkWrite(quizOps);
+    }
+
+    // Question totals pool every quiz, so they are always rebuilt in full
+    const questionTotals = await QuizAttempt.aggregate([
+        { $match: { statsContribution: { $exists: true } } },
+        { $unwind: '$statsContribution.questions' },
+        {
+            $group: {
+                _id: '$statsContribution.questions.question',
+                responses: { $sum: 1 },
+                correctCount: { $sum: { $cond: ['$statsContribution.questions.isCorrect', 1, 0] } },
+                scoreSum: { $sum: '$statsContribution.questions.score' },
+                maxScoreSum: { $sum: '$statsContribution.questions.maxScore' }
+            }
+        }
+    ]);
+
+    await Question.updateMany(
+        { 'responseStats.responses': { $gt: 0 } },
+        { $set: { responseStats: { responses: 0, correctCount: 0, scoreSum: 0, maxScoreSum: 0, updatedAt: now } } }
+    );
+
+    if (questionTotals.length > 0) {
+        await Question.bulkWrite(questionTotals.map(({ _id, ...totals }) => ({
+            updateOne: {
+                filter: { _id },
+                update: { $set: { responseStats: { ...totals, updatedAt: now } } }
+            }
+        })));
+    }
+
+    logger.info(`Stats reconciled: ${attemptsUpdated} attempts, ${quizOps.length} quizzes, ${questionTotals.length} questions`);
+
+    return {
+        attemptsUpdated,
+        quizzesUpdated: quizOps.length,
+        questionsUpdated: questionTotals.length
+    };
+};
+
+/**
+ * Dashboard figures from a quiz's counters
+ */
+const describeQuizStats = (quiz) => {
+    const stats = quiz.stats || {};
+    const graded = stats.gradedAttempts || 0;
+    const histogram = stats.histogram instanceof Map
+        ? stats.histogram
+        : new Map(Object.entries(stats.histogram || {}));
+
+    return {
+        totalAttempts: quiz.totalAttempts || 0,
+        gradedAttempts: graded,
+        passCount: stats.passCount || 0,
+        passRate: graded > 0 ? round((stats.passCount || 0) / graded * 100) : 0,
+        averageScore: graded > 0 ? round(stats.scoreSum / graded) : 0,
+        averagePercentage: graded > 0 ? round(stats.percentageSum / graded) : 0,
+        distribution: SCORE_RANGES.map(r => ({ label: r.label, count: histogram.get(r.label) || 0 })),
+        updatedAt: stats.updatedAt || null
+    };
+};
+
+module.exports = {
+    SCORE_RANGES,
+    getScoreRange,
+    buildContribution,
+    syncAttemptStats,
+    countFinishedAttempt,
+    reconcileStats,
+    describeQuizStats
+};
@@ -0,0 +1,198 @@
+// services/blueprint.service.js
+// Stratified pool selection: draw a paper that meets difficulty/topic/tag
+// quotas and, optionally, a fixed marks total so every student's paper
+// is worth the same.
+const { shuffle } = require('./question.service');
+
+const DEFAULT_MAX_TRIES = 50;
+const MAX_BALANCE_STEPS = 100;
+
+const roundMarks = (value) => Math.round(value * 100) / 100;
+
+const hasBlueprint = (filter) =>
+    (filter?.blueprint?.quotas || []).length > 0 || !!filter?.blueprint?.balanceMarks;
+
+/**
+ * Whether a question counts towards a quota
+ */
+const matchesQuota = (question, quota) => {
+    const value = quota.value.toLowerCase();
+
+    if (quota.dimension === 'difficulty') return (question.difficulty || '').toLowerCase() === value;
+    if (quota.dimension === 'topic') return (question.topic || '').toLowerCase() === value;
+    if (quota.dimension === 'tag') return (question.tags || []).some(t => t.toLowerCase() === value);
+    return false;
+};
+
+const describeQuota = (quota) =>
+    `${quota.mode === 'at_least' ? 'at least ' : ''}${quota.count} ${quota.dimension} '${quota.value}'`;
+
+/**
+ * Static checks on a blueprint against the paper size.
+ * Returns an error message, or null when valid.
+ */
+const validateBlueprint = (blueprint, count) => {
+    const quotas = blueprint?.quotas || [];
+    const paperSize = count || 10;
+
+    for (const quota of quotas) {
+        if (quota.count > paperSize) {
+            return `Quota ${describeQuota(quota)} exceeds the paper size of ${paperSize}`;
+        }
+    }
+
+    // A question has one difficulty and one topic, so exact quotas on those cannot overlap
+    for (const dimension of ['difficulty', 'topic']) {
+        const exact = quotas.filter(q => q.dimension === dimension && q.mode !== 'at_least');
+        const total = exact.reduce((sum, q) => sum + q.count, 0);
+
+        if (total > paperSize) {
+            return `Exact ${dimension} quotas add up to ${total}, more than the paper size of ${paperSize}`;
+        }
+
+        const values = exact.map(q => q.value.toLowerCase());
+        if (new Set(values).size !== values.length) {
+            return `Duplicate ${dimension} quota`;
+        }
+    }
+
+    return null;
+};
+
+const countMatches = (questions, quota) => questions.filter(q => matchesQuota(q, quota)).length;
+
+/**
+ * Whether a paper satisfies every quota
+ */
+const meetsQuotas = (questions, quotas) =>
+    quotas.every(quota => {
+        const n = countMatches(questions, quota);
+        return quota.mode === 'at_least' ? n >= quota.count : n === quota.count;
+    });
+
+const sumMarks = (questions) => roundMarks(questions.reduce((sum, q) => sum + (q.marks || 1), 0));
+
+/**
+ * Swap questions in and out (keeping every quota met) until the paper
+ * totals targetMarks. Returns false if it cannot get there.
+ */
+const balanceMarks = (picked, rest, quotas, targetMarks) => {
+    for (let step = 0; step < MAX_BALANCE_STEPS; step++) {
+        const gap = roundMarks(targetMarks - sumMarks(picked));
+        if (gap === 0) return true;
+
+        let best = null;
+
+        for (let i = 0; i < picked.length; i++) {
+            for (let j = 0; j < rest.length; j++) {
+                const change = (rest[j].marks || 1) - (picked[i].marks || 1);
+                const remaining = Math.abs(roundMarks(gap - change));
+
+                if (remaining >= Math.abs(gap) || (best && remaining >= best.remaining)) continue;
+
+                const swapped = [...picked];
+                swapped[i] = rest[j];
+                if (!meetsQuotas(swapped, quotas)) continue;
+
+                best = { i, j, remaining };
+                if (remaining === 0) break;
+            }
+            if (best?.remaining === 0) break;
+        }
+
+        if (!best) return false;
+
+        [picked[best.i], rest[best.j]] = [rest[best.j], picked[best.i]];
+    }
+
+    return sumMarks(picked) === roundMarks(targetMarks);
+};
+
+/**
+ * One randomized attempt at a paper: meet the scarcest quotas first,
+ * then fill the remaining places without breaking an exact quota
+ */
+const drawPaper = (candidates, quotas, count) => {
+    const shuffled = shuffle(candidates);
+    const picked = [];
+    const pickedIds = new Set();
+
+    const canAdd = (question) =>
+        picked.length < count &&
+        !pickedIds.has(question._id.toString()) &&
+        quotas.every(quota =>
+            quota.mode === 'at_least' ||
+            !matchesQuota(question, quota) ||
+            countMatches(picked, quota) < quota.count
+        );
+
+    const add = (question) => {
+        picked.push(question);
+        pickedIds.add(question._id.toString());
+    };
+
+    const byScarcity = [...quotas].sort(
+        (a, b) => countMatches(candidates, a) - countMatches(candidates, b)
+    );
+
+    for (const quota of byScarcity) {
+        for (const question of shuffled) {
+            if (countMatches(picked, quota) >= quota.count) break;
+            if (matchesQuota(question, quota) && canAdd(question)) add(question);
+        }
+    }
+
+    for (const question of shuffled) {
+        if (picked.length >= count) break;
+        if (canAdd(question)) add(question);
+    }
+
+    return {
+        picked,
+        rest: shuffled.filter(q => !pickedIds.has(q._id.toString()))
+    };
+};
+
+/**
+ * Draw `count` questions from the candidates that meet the blueprint.
+ * Returns { questions } or { error }.
+ */
+const selectByBlueprint = (candidates, { blueprint, count, targetMarks }, { maxTries = DEFAULT_MAX_TRIES } = {}) => {
+    const quotas = blueprint?.quotas || [];
+    const paperSize = count || 10;
+
+    if (candidates.length < paperSize) {
+        return { error: `The pool has ${candidates.length} questions but the paper needs ${paperSize}` };
+    }
+
+    for (const quota of quotas) {
+        const available = countMatches(candidates, quota);
+        if (available < quota.count) {
+            return { error: `Quota ${describeQuota(quota)} cannot be met: only ${available} matching questions in the pool` };
+        }
+    }
+
+    const balance = blueprint?.balanceMarks && targetMarks > 0;
+
+    for (let attempt = 0; attempt < maxTries; attempt++) {
+        const { picked, rest } = drawPaper(candidates, quotas, paperSize);
+
+        if (picked.length < paperSize || !meetsQuotas(picked, quotas)) continue;
+        if (balance && !balanceMarks(picked, rest, quotas, targetMarks)) continue;
+
+        return { questions: picked };
+    }
+
+    return {
+        error: balance
+            ? `No combination of pool questions meets the blueprint with a total of ${targetMarks} marks`
+            : 'No combination of pool questions meets every blueprint quota'
+    };
+};
+
+module.exports = {
+    hasBlueprint,
+    matchesQuota,
+    validateBlueprint,
+    selectByBlueprint
+};
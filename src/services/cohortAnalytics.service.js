@@ -0,0 +1,362 @@
+// services/cohortAnalytics.service.js
+// Trainer analytics across the quizzes of a subject, comparing cohorts of
+// students (same semester, department and/or batch): mean and pass rate per
+// quiz and over time, topic mastery and students falling behind. Each
+// student counts once per quiz, with their best graded attempt.
+const XLSX = require('xlsx');
+const Quiz = require('../models/Quiz');
+const Question = require('../models/Question');
+const QuizAttempt = require('../models/QuizAttempt');
+const { gradedFilter } = require('../models/QuizAttempt');
+const User = require('../models/User');
+const { itemScoreStages } = require('./quizStatistics.service');
+const { COHORT_FIELDS } = require('./performance.service');
+
+const PERIOD_FORMATS = {
+    week: '%G-W%V',
+    month: '%Y-%m'
+};
+
+// Falling-behind rules, in percentage points
+const FAILING_PASS_RATE = 50;
+const BELOW_COHORT_GAP = 15;
+const DECLINE_GAP = 15;
+const MIN_RESULTS_FOR_DECLINE = 3;
+
+const round = (value) =>
+    value === null || value === undefined ? value : Math.round(value * 100) / 100;
+
+const passRate = (passed, results) => (results > 0 ? round(passed / results * 100) : 0);
+
+const cohortLabel = (cohort, groupBy) =>
+    groupBy.map(field => {
+        const value = cohort?.[field];
+        if (value === undefined || value === null || value === '') return 'Unassigned';
+        return field === 'semester' ? `Semester ${value}` : value;
+    }).join(' / ');
+
+/**
+ * Quizzes of the subject the user may analyse: every quiz for admins,
+ * their own for trainers. `quizIds` narrows the selection.
+ */
+const getScopeQuizzes = (subjectId, user, { quizIds } = {}) => {
+    const filter = { subject: subjectId };
+    if (user.role !== 'admin') filter.createdBy = user._id;
+    if (quizIds?.length > 0) filter._id = { $in: quizIds };
+
+    return Quiz.find(filter)
+        .select('title startTime endTime totalMarks passingMarks')
+        .sort({ startTime: 1, createdAt: 1 })
+        .lean();
+};
+
+/**
+ * Each student's best graded attempt per quiz, with the student's profile
+ * and cohort joined in
+ */
+const bestAttemptStages = (quizIds, groupBy, { from, to } = {}) => {
+    const match = { quiz: { $in: quizIds }, ...gradedFilter() };
+    if (from || to) {
+        match.endTime = {};
+        if (from) match.endTime.$gte = new Date(from);
+        if (to) match.endTime.$lte = new Date(to);
+    }
+
+    return [
+        { $match: match },
+        { $project: { quiz: 1, user: 1, percentage: { $ifNull: ['$percentage', 0] }, passed: 1, endTime: 1 } },
+        { $sort: { percentage: -1, endTime: 1 } },
+        { $group: { _id: { quiz: '$quiz', user: '$user' }, attempt: { $first: '$$ROOT' } } },
+        { $replaceRoot: { newRoot: '$attempt' } },
+        {
+            $lookup: {
+                from: User.collection.name,
+                localField: 'user',
+                foreignField: '_id',
+                pipeline: [{ $project: { name: 1, email: 1, rollNo: 1, semester: 1, department: 1, batch: 1 } }],
+                as: 'user'
+            }
+        },
+        { $unwind: '$user' },
+        { $set: { cohort: Object.fromEntries(groupBy.map(field => [field, `$user.${field}`])) } }
+    ];
+};
+
+const resultGroup = (key) => ({
+    $group: {
+        _id: key,
+        results: { $sum: 1 },
+        mean: { $avg: '$percentage' },
+        passed: { $sum: { $cond: ['$passed', 1, 0] } }
+    }
+});
+
+/**
+ * Topic mastery (share of marks earned) per cohort over the given attempts
+ */
+const getTopicMastery = async (attemptIds, cohortOfUser) => {
+    if (attemptIds.length === 0) return [];
+
+    const byUserTopic = await QuizAttempt.aggregate([
+        ...itemScoreStages({ _id: { $in: attemptIds } }),
+        {
+            $lookup: {
+                from: Question.collection.name,
+                localField: 'questionId',
+                foreignField: '_id',
+                pipeline: [{ $project: { topic: 1 } }],
+                as: 'question'
+            }
+        },
+        { $unwind: '$question' },
+        { $match: { 'question.topic': { $nin: [null, ''] } } },
+        {
+            $group: {
+                _id: { user: '$user', topic: '$question.topic' },
+                questions: { $sum: 1 },
+                score: { $sum: { $max: ['$score', 0] } },
+                maxScore: { $sum: '$maxScore' }
+            }
+        }
+    ]);
+
+    const cells = new Map();
+
+    for (const row of byUserTopic) {
+        const cohort = cohortOfUser.get(row._id.user.toString());
+        const key = `${cohort}\u0000${row._id.topic}`;
+        const cell = cells.get(key) || { cohort, topic: row._id.topic, students: 0, questions: 0, score: 0, maxScore: 0 };
+
+        cell.students += 1;
+        cell.questions += row.questions;
+        cell.score += row.score;
+        cell.maxScore += row.maxScore;
+        cells.set(key, cell);
+    }
+
+    return [...cells.values()].map(cell => ({
+        cohort: cell.cohort,
+        topic: cell.topic,
+        students: cell.students,
+        questions: cell.questions,
+        mastery: cell.maxScore > 0 ? round(cell.score / cell.maxScore * 100) : 0
+    }));
+};
+
+/**
+ * Students failing most quizzes, well below their cohort, or whose latest
+ * result dropped well below their earlier ones
+ */
+const findFallingBehind = (students, cohortMeans) =>
+    students
+        .map(student => {
+            const percentages = student.results.map(r => r.percentage);
+            const mean = percentages.reduce((sum, p) => sum + p, 0) / percentages.length;
+            const passed = student.results.filter(r => r.passed).length;
+            const cohortMean = cohortMeans.get(student.cohort);
+            const reasons = [];
+
+            if (passRate(passed, percentages.length) < FAILING_PASS_RATE) reasons.push('failing');
+            if (cohortMean !== undefined && mean < cohortMean - BELOW_COHORT_GAP) reasons.push('below_cohort');
+
+            if (percentages.length >= MIN_RESULTS_FOR_DECLINE) {
+                const earlier = percentages.slice(0, -1);
+                const earlierMean = earlier.reduce((sum, p) => sum + p, 0) / earlier.length;
+                if (percentages[percentages.length - 1] < earlierMean - DECLINE_GAP) reasons.push('declining');
+            }
+
+            return {
+                student: {
+                    id: student.user._id,
+                    name: student.user.name,
+                    email: student.user.email,
+                    rollNo: student.user.rollNo
+                },
+                cohort: student.cohort,
+                results: percentages.length,
+                mean: round(mean),
+                passRate: passRate(passed, percentages.length),
+                cohortMean: round(cohortMean),
+                latest: round(percentages[percentages.length - 1]),
+                reasons
+            };
+        })
+        .filter(s => s.reasons.length > 0)
+        .sort((a, b) => b.reasons.length - a.reasons.length || a.mean - b.mean);
+
+/**
+ * Cohort comparison across the subject's quizzes
+ */
+const getCohortAnalytics = async (subject, user, {
+    quizIds,
+    groupBy = COHORT_FIELDS,
+    period = 'month',
+    from,
+    to
+} = {}) => {
+    const quizzes = await getScopeQuizzes(subject._id, user, { quizIds });
+
+    const [result] = await QuizAttempt.aggregate([
+        ...bestAttemptStages(quizzes.map(q => q._id), groupBy, { from, to }),
+        {
+            $facet: {
+                cohorts: [
+                    {
+                        $group: {
+                            _id: '$cohort',
+                            students: { $addToSet: '$user._id' },
+                            results: { $sum: 1 },
+                            mean: { $avg: '$percentage' },
+                            passed: { $sum: { $cond: ['$passed', 1, 0] } }
+                        }
+                    }
+                ],
+                byQuiz: [resultGroup({ cohort: '$cohort', quiz: '$quiz' })],
+                trend: [
+                    resultGroup({
+                        cohort: '$cohort',
+                        period: { $dateToString: { format: PERIOD_FORMATS[period], date: '$endTime' } }
+                    }),
+                    { $sort: { '_id.period': 1 } }
+                ],
+                students: [
+                    { $sort: { endTime: 1 } },
+                    {
+                        $group: {
+                            _id: '$user._id',
+                            user: { $first: '$user' },
+                            cohort: { $first: '$cohort' },
+                            results: { $push: { attemptId: '$_id', quiz: '$quiz', percentage: '$percentage', passed: '$passed' } }
+                        }
+                    }
+                ]
+            }
+        }
+    ]);
+
+    const label = (cohort) => cohortLabel(cohort, groupBy);
+
+    const cohorts = result.cohorts
+        .map(c => ({
+            cohort: label(c._id),
+            profile: c._id,
+            students: c.students.length,
+            results: c.results,
+            mean: round(c.mean),
+            passRate: passRate(c.passed, c.results)
+        }))
+        .sort((a, b) => a.cohort.localeCompare(b.cohort));
+
+    const comparison = quizzes.map(quiz => ({
+        quizId: quiz._id,
+        title: quiz.title,
+        startTime: quiz.startTime,
+        cohorts: result.byQuiz
+            .filter(r => r._id.quiz.toString() === quiz._id.toString())
+            .map(r => ({
+                cohort: label(r._id.cohort),
+                results: r.results,
+                mean: round(r.mean),
+                passRate: passRate(r.passed, r.results)
+            }))
+            .sort((a, b) => a.cohort.localeCompare(b.cohort))
+    }));
+
+    const trend = result.trend.map(r => ({
+        period: r._id.period,
+        cohort: label(r._id.cohort),
+        results: r.results,
+        mean: round(r.mean),
+        passRate: passRate(r.passed, r.results)
+    }));
+
+    const students = result.students.map(s => ({ ...s, cohort: label(s.cohort) }));
+    const cohortOfUser = new Map(students.map(s => [s._id.toString(), s.cohort]));
+
+    const topicMastery = await getTopicMastery(
+        students.flatMap(s => s.results.map(r => r.attemptId)),
+        cohortOfUser
+    );
+
+    const fallingBehind = findFallingBehind(students, new Map(cohorts.map(c => [c.cohort, c.mean])));
+
+    return {
+        subject: { id: subject._id, name: subject.name, code: subject.code },
+        groupBy,
+        period,
+        quizzes: quizzes.map(q => ({ id: q._id, title: q.title, startTime: q.startTime, endTime: q.endTime })),
+        cohorts,
+        comparison,
+        trend,
+        topicMastery,
+        fallingBehind
+    };
+};
+
+/**
+ * The analytics report as an XLSX workbook, one sheet per view
+ */
+const buildWorkbook = (report) => {
+    const workbook = XLSX.utils.book_new();
+
+    const addSheet = (name, rows) => {
+        const sheet = rows.length > 0 ? XLSX.utils.json_to_sheet(rows) : XLSX.utils.aoa_to_sheet([['No data']]);
+        XLSX.utils.book_append_sheet(workbook, sheet, name);
+    };
+
+    addSheet('Cohorts', report.cohorts.map(c => ({
+        'Cohort': c.cohort,
+        'Students': c.students,
+        'Results': c.results,
+        'Mean %': c.mean,
+        'Pass rate %': c.passRate
+    })));
+
+    addSheet('By quiz', report.comparison.flatMap(q => q.cohorts.map(c => ({
+        'Quiz': q.title,
+        'Start': q.startTime ? new Date(q.startTime) : '',
+        'Cohort': c.cohort,
+        'Results': c.results,
+        'Mean %': c.mean,
+        'Pass rate %': c.passRate
+    }))));
+
+    addSheet('Trend', report.trend.map(t => ({
+        'Period': t.period,
+        'Cohort': t.cohort,
+        'Results': t.results,
+        'Mean %': t.mean,
+        'Pass rate %': t.passRate
+    })));
+
+    // Heatmap: one row per topic, one column per cohort
+    const cohortNames = report.cohorts.map(c => c.cohort);
+    const topics = [...new Set(report.topicMastery.map(t => t.topic))].sort();
+    const mastery = new Map(report.topicMastery.map(t => [`${t.topic}\u0000${t.cohort}`, t.mastery]));
+
+    addSheet('Topic mastery', topics.map(topic => ({
+        'Topic': topic,
+        ...Object.fromEntries(cohortNames.map(cohort => [cohort, mastery.get(`${topic}\u0000${cohort}`) ?? '']))
+    })));
+
+    addSheet('Falling behind', report.fallingBehind.map(s => ({
+        'Name': s.student.name,
+        'Email': s.student.email,
+        'Roll no': s.student.rollNo || '',
+        'Cohort': s.cohort,
+        'Results': s.results,
+        'Mean %': s.mean,
+        'Cohort mean %': s.cohortMean,
+        'Latest %': s.latest,
+        'Pass rate %': s.passRate,
+        'Reasons': s.reasons.join(', ')
+    })));
+
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+module.exports = {
+    PERIOD_FORMATS,
+    getCohortAnalytics,
+    buildWorkbook
+};
@@ -0,0 +1,111 @@
+// services/graders/cloze.grader.js
+const { resolvePolicy } = require('./mcq_multi.grader');
+const shortAnswer = require('./short_answer.grader');
+
+const BLANK_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+/**
+ * Blank IDs referenced in a prompt as {{id}}, in order of appearance
+ */
+const getPromptBlankIds = (prompt) =>
+    [...String(prompt || '').matchAll(BLANK_PATTERN)].map(m => m[1]);
+
+/**
+ * Normalize an answer to { blankId: value }.
+ * Accepts a plain object or an array of values in blank order.
+ */
+const toBlankAnswers = (answer, blanks) => {
+    if (Array.isArray(answer)) {
+        return blanks.reduce((answers, blank, idx) => {
+            answers[blank.id] = answer[idx];
+            return answers;
+        }, {});
+    }
+
+    if (answer && typeof answer === 'object') {
+        return answer instanceof Map ? Object.fromEntries(answer) : { ...answer };
+    }
+
+    return {};
+};
+
+/**
+ * Grade one blank: drop-down blanks compare option IDs,
+ * free-text blanks use short-answer matching
+ */
+const gradeBlank = (blank, value) => {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return { correct: false, review: false };
+    }
+
+    if (blank.options && blank.options.length > 0) {
+        return {
+            correct: (blank.acceptedAnswers || []).includes(value.toString()),
+            review: false
+        };
+    }
+
+    const result = shortAnswer.grade({
+        question: {
+            shortAnswer: {
+                acceptedAnswers: (blank.acceptedAnswers || []).map(text => ({ text })),
+                caseSensitive: blank.caseSensitive,
+                maxEditDistance: blank.maxEditDistance || 0
+            }
+        },
+        answer: value,
+        marks: 1
+    });
+
+    return { correct: result.isCorrect, review: !!result.needsManualReview };
+};
+
+/**
+ * Grade a fill-in-the-blanks answer. Each blank carries equal weight;
+ * a near miss on any blank sends the question to manual review.
+ */
+const grade = ({ question, answer, marks, quiz }) => {
+    const blanks = question.blanks || [];
+    const submittedAnswer = toBlankAnswers(answer, blanks);
+    const policy = resolvePolicy(question, quiz);
+    const correctAnswer = blanks.reduce((key, blank) => {
+        key[blank.id] = blank.acceptedAnswers;
+        return key;
+    }, {});
+
+    const results = blanks.map(blank => gradeBlank(blank, submittedAnswer[blank.id]));
+    const correctCount = results.filter(r => r.correct).length;
+    const reviewCount = results.filter(r => r.review).length;
+
+    const isCorrect = blanks.length > 0 && correctCount === blanks.length;
+    const score = isCorrect
+        ? marks
+        : (policy === 'all_or_nothing' || blanks.length === 0 ? 0 : (correctCount / blanks.length) * marks);
+
+    if (reviewCount > 0) {
+        return {
+            score,
+            isCorrect: false,
+            isPartial: score > 0,
+            needsManualReview: true,
+            feedback: `${reviewCount} blank(s) close to an accepted answer; awaiting manual review`,
+            scoringPolicy: policy,
+            submittedAnswer,
+            correctAnswer
+        };
+    }
+
+    return {
+        score,
+        isCorrect,
+        isPartial: !isCorrect && score > 0,
+        feedback: isCorrect
+            ? 'Correct'
+            : (score > 0 ? `Partially correct (${correctCount}/${blanks.length} blanks)` : 'Incorrect'),
+        scoringPolicy: policy,
+        submittedAnswer,
+        correctAnswer
+    };
+};
+
+module.exports = { grade, getPromptBlankIds, toBlankAnswers };
@@ -0,0 +1,35 @@
+// services/graders/index.js
+// Registry of per-type graders. Each grader exports
+// grade({ question, answer, marks, quiz }) and returns
+// { score, isCorrect, isPartial, feedback, submittedAnswer, correctAnswer, needsManualReview? }.
+// Graders that award partial credit also return the scoringPolicy they applied.
+// Question types without a grader are routed to manual review.
+
+const graders = {
+    mcq_single: require('./mcq_single.grader'),
+    mcq_multi: require('./mcq_multi.grader'),
+    true_false: require('./true_false.grader'),
+    numeric: require('./numeric.grader'),
+    short_answer: require('./short_answer.grader'),
+    ordering: require('./ordering.grader'),
+    matching: require('./matching.grader'),
+    cloze: require('./cloze.grader'),
+    multi_part: require('./multi_part.grader')
+};
+
+/**
+ * Get the grader registered for a question type
+ */
+const getGrader = (type) => graders[type] || null;
+
+/**
+ * Register (or replace) the grader for a question type
+ */
+const registerGrader = (type, grader) => {
+    if (!grader || typeof grader.grade !== 'function') {
+        throw new Error(`Grader for '${type}' must export a grade() function`);
+    }
+    graders[type] = grader;
+};
+
+module.exports = { getGrader, registerGrader };
@@ -0,0 +1,61 @@
+// services/graders/matching.grader.js
+const { resolvePolicy } = require('./mcq_multi.grader');
+
+/**
+ * Normalize a pairing to { itemId: optionId }.
+ * Accepts a plain object or an array of { itemId, optionId }.
+ */
+const toPairs = (value) => {
+    if (Array.isArray(value)) {
+        return value.reduce((pairs, p) => {
+            if (p && p.itemId !== undefined) pairs[p.itemId] = p.optionId;
+            return pairs;
+        }, {});
+    }
+
+    if (value && typeof value === 'object') {
+        return value instanceof Map ? Object.fromEntries(value) : { ...value };
+    }
+
+    return {};
+};
+
+/**
+ * Grade a matching answer. Partial credit is the share of items
+ * matched correctly, unless the policy is all_or_nothing.
+ */
+const grade = ({ question, answer, marks, quiz }) => {
+    const correctAnswer = toPairs(question.correct);
+    const submittedAnswer = toPairs(answer);
+    const policy = resolvePolicy(question, quiz);
+
+    const itemIds = (question.matchItems || []).map(i => i.id);
+    const keys = itemIds.length ? itemIds : Object.keys(correctAnswer);
+    const total = keys.length;
+
+    const matched = keys.filter(id =>
+        correctAnswer[id] !== undefined &&
+        submittedAnswer[id] !== undefined &&
+        submittedAnswer[id] !== null &&
+        submittedAnswer[id].toString() === correctAnswer[id].toString()
+    ).length;
+
+    const isCorrect = total > 0 && matched === total;
+    const score = isCorrect
+        ? marks
+        : (policy === 'all_or_nothing' || total === 0 ? 0 : (matched / total) * marks);
+
+    return {
+        score,
+        isCorrect,
+        isPartial: !isCorrect && score > 0,
+        feedback: isCorrect
+            ? 'Correct'
+            : (score > 0 ? `Partially correct (${matched}/${total} matched)` : 'Incorrect'),
+        scoringPolicy: policy,
+        submittedAnswer,
+        correctAnswer
+    };
+};
+
+module.exports = { grade, toPairs };
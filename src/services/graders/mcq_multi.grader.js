@@ -0,0 +1,120 @@
+// services/graders/mcq_multi.grader.js
+
+/**
+ * Partial-credit policies for multiple-choice questions:
+ *  - all_or_nothing:    full marks only for the exact set of correct choices
+ *  - proportional:      share of choices classified correctly (picked if correct, left if wrong)
+ *  - right_minus_wrong: (correct picks - wrong picks) / total correct, floored at 0
+ *  - penalize_wrong:    any wrong pick scores -negativeMarks, otherwise correct picks / total correct
+ */
+const POLICIES = ['all_or_nothing', 'proportional', 'right_minus_wrong', 'penalize_wrong'];
+const DEFAULT_POLICY = 'right_minus_wrong';
+
+/**
+ * Resolve the set of correct choice IDs.
+ * Choices flagged isCorrect win; `correct` is used for legacy questions.
+ */
+const getCorrectChoices = (question) => {
+    const flagged = (question.choices || [])
+        .filter(c => c.isCorrect)
+        .map(c => c.id);
+
+    if (flagged.length > 0) {
+        return flagged.sort();
+    }
+
+    const correct = Array.isArray(question.correct) ? question.correct : [question.correct];
+    return correct
+        .filter(c => c !== undefined && c !== null && c !== '')
+        .map(c => c.toString())
+        .sort();
+};
+
+/**
+ * Pick the policy for a question: question setting, then quiz setting, then default
+ */
+const resolvePolicy = (question, quiz) => {
+    if (POLICIES.includes(question.partialCreditPolicy)) return question.partialCreditPolicy;
+    if (quiz && POLICIES.includes(quiz.partialCreditPolicy)) return quiz.partialCreditPolicy;
+    return DEFAULT_POLICY;
+};
+
+/**
+ * Fraction of the marks earned (may be negative only for penalize_wrong)
+ */
+const computeScore = (policy, { marks, negativeMarks, totalChoices, totalCorrect, correctSelected, wrongSelected }) => {
+    switch (policy) {
+        case 'all_or_nothing':
+            return correctSelected === totalCorrect && wrongSelected === 0 ? marks : 0;
+
+        case 'proportional': {
+            const totalWrong = totalChoices - totalCorrect;
+            const classifiedRight = correctSelected + Math.max(0, totalWrong - wrongSelected);
+            return totalChoices > 0 ? (classifiedRight / totalChoices) * marks : 0;
+        }
+
+        case 'penalize_wrong':
+            return wrongSelected > 0
+                ? -negativeMarks
+                : (correctSelected / totalCorrect) * marks;
+
+        case 'right_minus_wrong':
+        default:
+            return Math.max(0, ((correctSelected - wrongSelected) / totalCorrect) * marks);
+    }
+};
+
+/**
+ * Grade a multiple-choice MCQ answer using the configured partial-credit policy
+ */
+const grade = ({ question, answer, marks, quiz }) => {
+    const policy = resolvePolicy(question, quiz);
+    const correctChoices = getCorrectChoices(question);
+    const submittedChoices = [...new Set((Array.isArray(answer) ? answer : [answer])
+        .map(a => a.toString()))]
+        .sort();
+
+    const correctSelected = submittedChoices.filter(sc => correctChoices.includes(sc)).length;
+    const wrongSelected = submittedChoices.length - correctSelected;
+
+    const isCorrect = correctChoices.length > 0 &&
+        wrongSelected === 0 &&
+        correctSelected === correctChoices.length;
+
+    if (isCorrect) {
+        return {
+            score: marks,
+            isCorrect: true,
+            isPartial: false,
+            feedback: 'All correct answers selected',
+            scoringPolicy: policy,
+            submittedAnswer: submittedChoices,
+            correctAnswer: correctChoices
+        };
+    }
+
+    const score = correctChoices.length > 0
+        ? computeScore(policy, {
+            marks,
+            negativeMarks: question.negativeMarks || 0,
+            totalChoices: Math.max((question.choices || []).length, correctChoices.length),
+            totalCorrect: correctChoices.length,
+            correctSelected,
+            wrongSelected
+        })
+        : 0;
+
+    return {
+        score,
+        isCorrect: false,
+        isPartial: score > 0,
+        feedback: score > 0
+            ? `Partially correct (${correctSelected}/${correctChoices.length} correct, ${wrongSelected} wrong; ${policy})`
+            : 'Incorrect',
+        scoringPolicy: policy,
+        submittedAnswer: submittedChoices,
+        correctAnswer: correctChoices
+    };
+};
+
+module.exports = { grade, getCorrectChoices, resolvePolicy, POLICIES, DEFAULT_POLICY };
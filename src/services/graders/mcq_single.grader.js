@@ -0,0 +1,37 @@
+// services/graders/mcq_single.grader.js
+
+/**
+ * Resolve the correct choice ID for a single-choice question.
+ * Falls back to the choice flagged isCorrect when `correct` is not set.
+ */
+const getCorrectChoice = (question) => {
+    const correct = Array.isArray(question.correct) ? question.correct[0] : question.correct;
+    if (correct !== undefined && correct !== null && correct !== '') {
+        return correct.toString();
+    }
+
+    const flagged = (question.choices || []).find(c => c.isCorrect);
+    return flagged ? flagged.id : null;
+};
+
+/**
+ * Grade a single-choice MCQ answer
+ */
+const grade = ({ question, answer, marks }) => {
+    const correctAnswer = getCorrectChoice(question);
+    const submittedAnswer = Array.isArray(answer) ? answer[0] : answer;
+    const isCorrect = correctAnswer !== null &&
+        submittedAnswer !== undefined &&
+        submittedAnswer.toString() === correctAnswer;
+
+    return {
+        score: isCorrect ? marks : -(question.negativeMarks || 0),
+        isCorrect,
+        isPartial: false,
+        feedback: isCorrect ? 'Correct' : 'Incorrect',
+        submittedAnswer,
+        correctAnswer
+    };
+};
+
+module.exports = { grade, getCorrectChoice };
@@ -0,0 +1,79 @@
+// services/graders/multi_part.grader.js
+
+/**
+ * Normalize an answer to { partId: answer }
+ */
+const toPartAnswers = (answer) => {
+    if (answer && typeof answer === 'object' && !Array.isArray(answer)) {
+        return answer instanceof Map ? Object.fromEntries(answer) : { ...answer };
+    }
+
+    return {};
+};
+
+const isBlank = (value) =>
+    value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+
+/**
+ * Grade a multi-part answer by grading each sub-question with its own
+ * grader. Part marks are weights; the total is scaled to the question's marks.
+ */
+const grade = ({ question, answer, marks, quiz }) => {
+    // Required lazily: the registry itself loads this grader
+    const { getGrader } = require('./index');
+
+    const parts = question.parts || [];
+    const submittedAnswer = toPartAnswers(answer);
+    const totalPartMarks = parts.reduce((sum, p) => sum + (p.marks ?? 1), 0);
+
+    const partResults = parts.map(part => {
+        const partMarks = part.marks ?? 1;
+        const value = submittedAnswer[part.id];
+        const grader = getGrader(part.type);
+
+        if (isBlank(value)) {
+            return { partId: part.id, score: 0, maxScore: partMarks, isCorrect: false, feedback: 'Not answered' };
+        }
+
+        if (!grader) {
+            return { partId: part.id, score: 0, maxScore: partMarks, isCorrect: false, needsManualReview: true };
+        }
+
+        const result = grader.grade({ question: part, answer: value, marks: partMarks, quiz });
+
+        return {
+            partId: part.id,
+            score: result.score,
+            maxScore: partMarks,
+            isCorrect: result.isCorrect,
+            needsManualReview: result.needsManualReview,
+            feedback: result.feedback,
+            correctAnswer: result.correctAnswer
+        };
+    });
+
+    const earned = Math.max(0, partResults.reduce((sum, r) => sum + (r.score || 0), 0));
+    const score = totalPartMarks > 0 ? (earned / totalPartMarks) * marks : 0;
+    const isCorrect = parts.length > 0 && partResults.every(r => r.isCorrect);
+    const needsManualReview = partResults.some(r => r.needsManualReview);
+    const correctCount = partResults.filter(r => r.isCorrect).length;
+
+    return {
+        score: isCorrect ? marks : score,
+        isCorrect,
+        isPartial: !isCorrect && score > 0,
+        ...(needsManualReview && { needsManualReview: true }),
+        feedback: needsManualReview
+            ? 'Some parts are awaiting manual review'
+            : (isCorrect ? 'Correct' : `${correctCount}/${parts.length} parts correct`),
+        submittedAnswer,
+        correctAnswer: partResults.reduce((key, r) => {
+            key[r.partId] = r.correctAnswer;
+            return key;
+        }, {}),
+        parts: partResults.map(({ correctAnswer, ...rest }) => rest)
+    };
+};
+
+module.exports = { grade, toPartAnswers };
@@ -0,0 +1,188 @@
+// services/graders/numeric.grader.js
+const units = require('../../utils/units');
+
+/**
+ * Numeric answer spec (Question.numericAnswer):
+ *  - toleranceType:      'absolute' (|x - correct| <= tolerance) or
+ *                        'relative' (|x - correct| <= tolerance * |correct|)
+ *  - tolerance:          defaults to 0.01 absolute
+ *  - ranges:             extra accepted [min, max] intervals (inclusive)
+ *  - unit:               unit `correct` and `ranges` are expressed in; answers in
+ *                        compatible units are converted before comparing
+ *  - requireUnit:        reject answers that omit the unit
+ *  - significantFigures: required number of significant figures
+ *  - significantFiguresCredit: fraction of marks for a right value with the
+ *                        wrong number of significant figures (default 0)
+ */
+const DEFAULT_TOLERANCE = 0.01;
+
+const NUMBER_PATTERN = /^\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)\s*(.*?)\s*$/;
+
+// Commas in a typed number: groups of three digits are thousands separators
+// ("1,234.5"); any other single comma is a decimal comma ("9,81")
+const THOUSANDS_PATTERN = /^(\s*[-+]?\d{1,3}(?:,\d{3})+)(?![\d,])/;
+const DECIMAL_COMMA_PATTERN = /^(\s*[-+]?\d*),(\d+)(?![\d,.])/;
+
+const normalizeSeparators = (text) => {
+    if (THOUSANDS_PATTERN.test(text)) {
+        return text.replace(THOUSANDS_PATTERN, (number) => number.replace(/,/g, ''));
+    }
+    return text.replace(DECIMAL_COMMA_PATTERN, '$1.$2');
+};
+
+/**
+ * Split an answer into its number (as typed) and unit.
+ * Accepts numbers, strings like "9.81 m/s" and { value, unit } objects.
+ */
+const parseAnswer = (answer) => {
+    if (typeof answer === 'number') {
+        return { text: String(answer), value: answer, unit: null };
+    }
+
+    if (answer && typeof answer === 'object' && !Array.isArray(answer)) {
+        const parsed = parseAnswer(answer.value);
+        return { ...parsed, unit: answer.unit || parsed.unit };
+    }
+
+    const match = NUMBER_PATTERN.exec(normalizeSeparators(String(answer ?? '')));
+    if (!match) {
+        return { text: String(answer), value: NaN, unit: null };
+    }
+
+    return { text: match[1], value: parseFloat(match[1]), unit: match[2] || null };
+};
+
+/**
+ * Range of significant figures a typed number can represent.
+ * Trailing zeros of an integer without a decimal point are ambiguous,
+ * so "1200" counts as 2 to 4 significant figures.
+ */
+const countSignificantFigures = (text) => {
+    const mantissa = String(text).replace(/^[-+]/, '').split(/[eE]/)[0];
+
+    if (mantissa.includes('.')) {
+        const digits = mantissa.replace('.', '').replace(/^0+/, '');
+        const count = digits.length || 1;
+        return { min: count, max: count };
+    }
+
+    const digits = mantissa.replace(/^0+/, '');
+    if (!digits) return { min: 1, max: 1 };
+
+    return { min: digits.replace(/0+$/, '').length, max: digits.length };
+};
+
+const getSpec = (question) => {
+    const spec = question.numericAnswer || {};
+
+    return {
+        toleranceType: spec.toleranceType || 'absolute',
+        tolerance: spec.tolerance ?? DEFAULT_TOLERANCE,
+        ranges: spec.ranges || [],
+        unit: spec.unit || null,
+        requireUnit: !!spec.requireUnit,
+        significantFigures: spec.significantFigures || null,
+        significantFiguresCredit: spec.significantFiguresCredit || 0
+    };
+};
+
+/**
+ * Check a value (already in the spec's unit) against `correct` and the ranges
+ */
+const isWithinSpec = (value, correct, spec) => {
+    if (!Number.isNaN(correct)) {
+        const allowed = spec.toleranceType === 'relative'
+            ? spec.tolerance * Math.abs(correct)
+            : spec.tolerance;
+
+        // Small epsilon so binary rounding never rejects an exact answer
+        if (Math.abs(value - correct) <= allowed + Number.EPSILON * Math.max(1, Math.abs(correct))) {
+            return true;
+        }
+    }
+
+    return spec.ranges.some(r => value >= r.min && value <= r.max);
+};
+
+/**
+ * Human-readable correct answer for feedback
+ */
+const describeCorrect = (correct, spec) => {
+    const suffix = spec.unit ? ` ${spec.unit}` : '';
+
+    if (Number.isNaN(correct)) {
+        return spec.ranges.map(r => `${r.min} to ${r.max}${suffix}`).join(', ');
+    }
+
+    return spec.unit ? `${correct}${suffix}` : correct;
+};
+
+/**
+ * Grade a numeric answer against the question's numeric spec
+ */
+const grade = ({ question, answer, marks }) => {
+    const spec = getSpec(question);
+    const correct = parseFloat(question.correct);
+    const parsed = parseAnswer(answer);
+    const correctAnswer = describeCorrect(correct, spec);
+
+    const incorrect = (feedback) => ({
+        score: -(question.negativeMarks || 0),
+        isCorrect: false,
+        isPartial: false,
+        feedback,
+        submittedAnswer: Number.isNaN(parsed.value) ? answer : parsed.value,
+        correctAnswer
+    });
+
+    if (Number.isNaN(parsed.value)) {
+        return incorrect('Incorrect');
+    }
+
+    let value = parsed.value;
+
+    if (spec.unit) {
+        if (!parsed.unit) {
+            if (spec.requireUnit) return incorrect(`Missing unit (expected ${spec.unit})`);
+        } else {
+            const converted = units.convert(value, parsed.unit, spec.unit);
+            if (converted === null) {
+                return incorrect(`Unit '${parsed.unit}' is not compatible with ${spec.unit}`);
+            }
+            value = converted;
+        }
+    }
+
+    if (!isWithinSpec(value, correct, spec)) {
+        return incorrect('Incorrect');
+    }
+
+    const submittedAnswer = parsed.unit ? `${parsed.text} ${parsed.unit}` : parsed.value;
+
+    if (spec.significantFigures) {
+        const figures = countSignificantFigures(parsed.text);
+
+        if (spec.significantFigures < figures.min || spec.significantFigures > figures.max) {
+            const score = marks * Math.min(1, spec.significantFiguresCredit);
+            return {
+                score,
+                isCorrect: false,
+                isPartial: score > 0,
+                feedback: `Correct value, but expected ${spec.significantFigures} significant figures`,
+                submittedAnswer,
+                correctAnswer
+            };
+        }
+    }
+
+    return {
+        score: marks,
+        isCorrect: true,
+        isPartial: false,
+        feedback: 'Correct',
+        submittedAnswer,
+        correctAnswer
+    };
+};
+
+module.exports = { grade, parseAnswer, countSignificantFigures, DEFAULT_TOLERANCE };
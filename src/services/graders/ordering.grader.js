@@ -0,0 +1,47 @@
+// services/graders/ordering.grader.js
+const { resolvePolicy } = require('./mcq_multi.grader');
+
+/**
+ * Correct order of item IDs: `correct`, falling back to the authored choice order
+ */
+const getCorrectOrder = (question) => {
+    if (Array.isArray(question.correct) && question.correct.length > 0) {
+        return question.correct.map(id => id.toString());
+    }
+
+    return (question.choices || []).map(c => c.id);
+};
+
+/**
+ * Grade an ordering answer (array of item IDs).
+ * Partial credit is the share of items in their correct position,
+ * unless the policy is all_or_nothing.
+ */
+const grade = ({ question, answer, marks, quiz }) => {
+    const correctAnswer = getCorrectOrder(question);
+    const submittedAnswer = (Array.isArray(answer) ? answer : [answer]).map(a => a.toString());
+    const policy = resolvePolicy(question, quiz);
+
+    const inPlace = correctAnswer.filter((id, idx) => submittedAnswer[idx] === id).length;
+    const isCorrect = correctAnswer.length > 0 &&
+        inPlace === correctAnswer.length &&
+        submittedAnswer.length === correctAnswer.length;
+
+    const score = isCorrect
+        ? marks
+        : (policy === 'all_or_nothing' || correctAnswer.length === 0 ? 0 : (inPlace / correctAnswer.length) * marks);
+
+    return {
+        score,
+        isCorrect,
+        isPartial: !isCorrect && score > 0,
+        feedback: isCorrect
+            ? 'Correct'
+            : (score > 0 ? `Partially correct (${inPlace}/${correctAnswer.length} in position)` : 'Incorrect'),
+        scoringPolicy: policy,
+        submittedAnswer,
+        correctAnswer
+    };
+};
+
+module.exports = { grade, getCorrectOrder };
@@ -0,0 +1,281 @@
+// services/graders/short_answer.grader.js
+const vm = require('vm');
+
+/**
+ * Matching rules for short answers (Question.shortAnswer):
+ *  - acceptedAnswers:    literal answers or regex patterns, each with a credit fraction;
+ *                        a pattern must match the whole answer, not part of it
+ *  - caseSensitive:      compare with case (default: fold case)
+ *  - normalizeWhitespace: trim and collapse runs of whitespace (default: on)
+ *  - ignorePunctuation:  strip punctuation, but not symbols such as + or $,
+ *                        before comparing (default: on)
+ *  - maxEditDistance:    typos tolerated for an automatic match (default: 0)
+ *  - reviewEditDistance: answers within this distance but past maxEditDistance
+ *                        are sent to manual review (default: 2 x maxEditDistance)
+ */
+const DEFAULT_OPTIONS = {
+    caseSensitive: false,
+    normalizeWhitespace: true,
+    ignorePunctuation: true,
+    maxEditDistance: 0
+};
+
+const PUNCTUATION = /\p{P}/gu;
+
+// Longer answers are left to a grader rather than run through trainer regexes
+const MAX_ANSWER_LENGTH = 500;
+
+// Trainer regexes run under this time limit, so one that backtracks
+// catastrophically cannot stall grading
+const MATCH_TIMEOUT_MS = 50;
+
+const matchScript = new vm.Script('pattern.test(text)');
+const matchContext = vm.createContext({ pattern: null, text: '' });
+
+const getOptions = (question) => {
+    const settings = question.shortAnswer || {};
+    const options = { ...DEFAULT_OPTIONS };
+
+    for (const key of Object.keys(DEFAULT_OPTIONS)) {
+        if (settings[key] !== undefined && settings[key] !== null) {
+            options[key] = settings[key];
+        }
+    }
+
+    options.reviewEditDistance = settings.reviewEditDistance ?? options.maxEditDistance * 2;
+    return options;
+};
+
+/**
+ * Accepted answers; `correct` (string or array) is used for legacy questions
+ */
+const getAcceptedAnswers = (question) => {
+    const accepted = (question.shortAnswer?.acceptedAnswers || [])
+        .filter(a => a && a.text)
+        .map(a => ({ text: a.text, isRegex: !!a.isRegex, credit: a.credit ?? 1 }));
+
+    if (accepted.length > 0) {
+        return accepted;
+    }
+
+    const correct = Array.isArray(question.correct) ? question.correct : [question.correct];
+    return correct
+        .filter(c => c !== undefined && c !== null && c !== '')
+        .map(c => ({ text: c.toString(), isRegex: false, credit: 1 }));
+};
+
+/**
+ * Apply the question's normalization options to a string
+ */
+const normalize = (value, options) => {
+    let text = String(value).normalize('NFKC');
+
+    if (!options.caseSensitive) text = text.toLowerCase();
+    if (options.ignorePunctuation) text = text.replace(PUNCTUATION, options.normalizeWhitespace ? ' ' : '');
+    if (options.normalizeWhitespace) text = text.replace(/\s+/g, ' ').trim();
+
+    return text;
+};
+
+/**
+ * Levenshtein distance, stopping early once it exceeds `limit`
+ */
+const editDistance = (a, b, limit = Infinity) => {
+    if (a === b) return 0;
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + cost
+            );
+            rowMin = Math.min(rowMin, current[j]);
+        }
+
+        if (rowMin > limit) return limit + 1;
+        previous = current;
+    }
+
+    return previous[b.length];
+};
+
+// A quantified group that itself contains a quantifier, e.g. (a+)+ or (\w*)*:
+// the shape behind catastrophic backtracking
+const NESTED_QUANTIFIER = /\([^()]*[+*}][^()]*\)\s*[+*{]/;
+
+/**
+ * Compile an accepted-answer regex, anchored to the whole answer. Invalid
+ * patterns, and those with nested quantifiers, never match.
+ */
+const compilePattern = (pattern, options) => {
+    if (NESTED_QUANTIFIER.test(pattern)) return null;
+
+    try {
+        return new RegExp(`^(?:${pattern})$`, options.caseSensitive ? 'u' : 'iu');
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Test a compiled pattern against each text under the time limit.
+ * Returns null when the pattern ran out of time.
+ */
+const testPattern = (pattern, texts) => {
+    try {
+        for (const text of texts) {
+            matchContext.pattern = pattern;
+            matchContext.text = text;
+            if (matchScript.runInContext(matchContext, { timeout: MATCH_TIMEOUT_MS })) return true;
+        }
+        return false;
+    } catch (error) {
+        if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') return null;
+        throw error;
+    } finally {
+        matchContext.pattern = null;
+    }
+};
+
+/**
+ * Find the best match for a submitted answer: among the accepted answers
+ * it matches (within maxEditDistance), the one giving the most credit;
+ * failing that, the closest one. Returns { accepted, distance }, null, or
+ * { timedOut: true } when nothing matched but a pattern ran out of time.
+ */
+const findBestMatch = (submitted, acceptedAnswers, options) => {
+    const normalized = normalize(submitted, options);
+    const trimmed = String(submitted).trim();
+    let best = null;
+    let closest = null;
+    let timedOut = false;
+
+    for (const accepted of acceptedAnswers) {
+        let distance;
+
+        if (accepted.isRegex) {
+            const pattern = compilePattern(accepted.text, options);
+            if (!pattern) continue;
+
+            const matched = testPattern(pattern, [trimmed, normalized]);
+            if (matched === null) timedOut = true;
+            if (!matched) continue;
+            distance = 0;
+        } else {
+            distance = editDistance(
+                normalized,
+                normalize(accepted.text, options),
+                options.reviewEditDistance
+            );
+        }
+
+        if (distance <= options.maxEditDistance) {
+            if (!best || accepted.credit > best.accepted.credit ||
+                (accepted.credit === best.accepted.credit && distance < best.distance)) {
+                best = { accepted, distance };
+            }
+        } else if (!closest || distance < closest.distance ||
+            (distance === closest.distance && accepted.credit > closest.accepted.credit)) {
+            closest = { accepted, distance };
+        }
+    }
+
+    if (best) return best;
+    return timedOut ? { timedOut: true } : closest;
+};
+
+/**
+ * Grade a free-text answer against the accepted answers.
+ * Near misses beyond the edit-distance threshold are flagged for manual review.
+ */
+const grade = ({ question, answer, marks }) => {
+    const options = getOptions(question);
+    const acceptedAnswers = getAcceptedAnswers(question);
+    const submittedAnswer = String(answer).trim();
+    const correctAnswer = acceptedAnswers.filter(a => !a.isRegex && a.credit >= 1).map(a => a.text);
+
+    if (acceptedAnswers.length === 0) {
+        return {
+            score: 0,
+            isCorrect: false,
+            isPartial: false,
+            needsManualReview: true,
+            feedback: 'Awaiting manual grading',
+            submittedAnswer,
+            correctAnswer
+        };
+    }
+
+    if (submittedAnswer.length > MAX_ANSWER_LENGTH) {
+        return {
+            score: 0,
+            isCorrect: false,
+            isPartial: false,
+            needsManualReview: true,
+            feedback: 'Answer too long to grade automatically; awaiting manual review',
+            submittedAnswer,
+            correctAnswer
+        };
+    }
+
+    const match = findBestMatch(submittedAnswer, acceptedAnswers, options);
+
+    if (match?.timedOut) {
+        return {
+            score: 0,
+            isCorrect: false,
+            isPartial: false,
+            needsManualReview: true,
+            feedback: 'Answer could not be checked automatically; awaiting manual review',
+            submittedAnswer,
+            correctAnswer
+        };
+    }
+
+    if (match && match.distance <= options.maxEditDistance) {
+        const score = marks * Math.min(1, Math.max(0, match.accepted.credit));
+        const isCorrect = score >= marks;
+
+        return {
+            score,
+            isCorrect,
+            isPartial: !isCorrect && score > 0,
+            feedback: isCorrect
+                ? (match.distance > 0 ? 'Correct (minor spelling differences)' : 'Correct')
+                : 'Partially correct',
+            submittedAnswer,
+            correctAnswer
+        };
+    }
+
+    if (match && match.distance <= options.reviewEditDistance) {
+        return {
+            score: 0,
+            isCorrect: false,
+            isPartial: false,
+            needsManualReview: true,
+            feedback: 'Close to an accepted answer; awaiting manual review',
+            submittedAnswer,
+            correctAnswer
+        };
+    }
+
+    return {
+        score: -(question.negativeMarks || 0),
+        isCorrect: false,
+        isPartial: false,
+        feedback: 'Incorrect',
+        submittedAnswer,
+        correctAnswer
+    };
+};
+
+module.exports = { grade, normalize, editDistance, getAcceptedAnswers, compilePattern };
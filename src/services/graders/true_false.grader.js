@@ -0,0 +1,21 @@
+// services/graders/true_false.grader.js
+
+/**
+ * Grade a true/false answer (accepts booleans or "true"/"false" strings)
+ */
+const grade = ({ question, answer, marks }) => {
+    const correctAnswer = question.correct;
+    const isCorrect = correctAnswer !== undefined && correctAnswer !== null &&
+        answer.toString().toLowerCase() === correctAnswer.toString().toLowerCase();
+
+    return {
+        score: isCorrect ? marks : -(question.negativeMarks || 0),
+        isCorrect,
+        isPartial: false,
+        feedback: isCorrect ? 'Correct' : 'Incorrect',
+        submittedAnswer: answer,
+        correctAnswer
+    };
+};
+
+module.exports = { grade };
@@ -0,0 +1,476 @@
+// services/grading.service.js
+const Question = require('../models/Question');
+const logger = require('../config/logger');
+const { getGrader, registerGrader } = require('./graders');
+
+/**
+ * Check whether an answer counts as "not answered"
+ */
+const isUnanswered = (answer) =>
+    answer === null ||
+    answer === undefined ||
+    answer === '' ||
+    (Array.isArray(answer) && answer.length === 0) ||
+    (answer.constructor === Object && Object.keys(answer).length === 0);
+
+/**
+ * Collect the questions (and their served marks) that belong to an attempt.
+ * Answers to anything else are never graded. Older attempts may only have
+ * questionsServed populated; those with no snapshot at all grade nothing.
+ */
+const getAttemptQuestionRefs = (attempt) => {
+    if (attempt.selectedQuestions && attempt.selectedQuestions.length > 0) {
+        return attempt.selectedQuestions.map(sq => ({ questionId: sq.question, marks: sq.marks }));
+    }
+
+    if (attempt.questionsServed && attempt.questionsServed.length > 0) {
+        return attempt.questionsServed.map(qs => ({ questionId: qs.question, marks: qs.marks }));
+    }
+
+    logger.warn(`Attempt ${attempt._id} has no served questions; nothing to grade`);
+    return [];
+};
+
+/**
+ * Disposition a trainer set on the quiz for a question (void, full_credit, bonus), if any
+ */
+const getDisposition = (quiz, questionId) => {
+    const entry = (quiz?.questionDispositions || []).find(
+        d => d.questionId.toString() === questionId.toString()
+    );
+    return entry ? entry.disposition : null;
+};
+
+/**
+ * Override a graded result with the question's disposition.
+ * Bonus questions keep their score; only their marks leave the denominator.
+ */
+const applyDisposition = (result, disposition) => {
+    if (disposition === 'void') {
+        return {
+            ...result,
+            score: 0,
+            isCorrect: false,
+            isPartial: false,
+            needsManualReview: false,
+            disposition,
+            feedback: 'Question voided; not counted'
+        };
+    }
+
+    if (disposition === 'full_credit') {
+        return {
+            ...result,
+            score: result.maxScore,
+            isCorrect: true,
+            isPartial: false,
+            needsManualReview: false,
+            disposition,
+            feedback: 'Full credit awarded'
+        };
+    }
+
+    if (disposition === 'bonus') {
+        return { ...result, disposition };
+    }
+
+    return result;
+};
+
+/**
+ * Grade a single answer, then apply any disposition the quiz has for the question
+ */
+const gradeQuestion = (question, answer, options = {}) =>
+    applyDisposition(
+        gradeAnswer(question, answer, options),
+        getDisposition(options.quiz, question._id)
+    );
+
+/**
+ * Grade a single answer with the grader registered for the question type
+ */
+const gradeAnswer = (question, answer, { marks, quiz } = {}) => {
+    const maxScore = marks || question.marks || 1;
+    const showCorrectAnswers = !quiz || quiz.showCorrectAnswers;
+    // Graders with a partial-credit policy return it with their result
+    const base = {
+        questionId: question._id,
+        maxScore
+    };
+
+    if (isUnanswered(answer)) {
+        return {
+            ...base,
+            score: 0,
+            isCorrect: false,
+            isPartial: false,
+            feedback: 'Not answered',
+            correctAnswer: showCorrectAnswers ? question.correct : undefined
+        };
+    }
+
+    const grader = getGrader(question.type);
+
+    if (!grader) {
+        return {
+            ...base,
+            score: 0,
+            isCorrect: false,
+            isPartial: false,
+            needsManualReview: true,
+            feedback: 'Awaiting manual grading',
+            submittedAnswer: answer
+        };
+    }
+
+    const graded = grader.grade({ question, answer, marks: maxScore, quiz });
+
+    return {
+        ...base,
+        ...graded,
+        correctAnswer: showCorrectAnswers ? graded.correctAnswer : undefined
+    };
+};
+
+/**
+ * Sum scores and counters for a set of grade results.
+ * Manual grades, when present, override the automatic score for that question.
+ * Voided questions are skipped; voided and bonus marks are reported as excludedMarks.
+ */
+const summarizeResults = (results = [], manualResults = []) => {
+    const manualMap = new Map(
+        (manualResults || []).map(m => [m.questionId.toString(), m])
+    );
+
+    const summary = {
+        totalScore: 0,
+        correctCount: 0,
+        wrongCount: 0,
+        partialCount: 0,
+        unansweredCount: 0,
+        pendingCount: 0,
+        excludedMarks: 0
+    };
+
+    for (const result of results) {
+        if (result.disposition === 'void' || result.disposition === 'bonus') {
+            summary.excludedMarks += result.maxScore || 0;
+        }
+
+        if (result.disposition === 'void') continue;
+
+        if (result.disposition === 'full_credit') {
+            summary.totalScore += result.maxScore || 0;
+            summary.correctCount++;
+            continue;
+        }
+
+        const manual = manualMap.get(result.questionId.toString());
+
+        if (manual) {
+            const score = manual.score || 0;
+            summary.totalScore += score;
+
+            if (score >= result.maxScore) summary.correctCount++;
+            else if (score > 0) summary.partialCount++;
+            else summary.wrongCount++;
+            continue;
+        }
+
+        if (result.needsManualReview) {
+            summary.pendingCount++;
+            continue;
+        }
+
+        summary.totalScore += result.score || 0;
+
+        if (isUnanswered(result.submittedAnswer)) summary.unansweredCount++;
+        else if (result.isCorrect) summary.correctCount++;
+        else if (result.isPartial) summary.partialCount++;
+        else summary.wrongCount++;
+    }
+
+    // Negative marking never takes the total below zero
+    summary.totalScore = Math.max(0, summary.totalScore);
+
+    return summary;
+};
+
+/**
+ * Grade every question of an attempt.
+ * Uses `answers` when given, otherwise the attempt's saved rawAnswers.
+ */
+const gradeAttempt = async (attempt, quiz, { answers, session } = {}) => {
+    const refs = getAttemptQuestionRefs(attempt);
+
+    const questions = await Question.find({
+        _id: { $in: refs.map(r => r.questionId) }
+    }).session(session || null);
+
+    const questionMap = new Map(questions.map(q => [q._id.toString(), q]));
+    const answerMap = new Map(
+        (answers || attempt.rawAnswers || []).map(a => [a.questionId.toString(), a.answer])
+    );
+
+    const results = [];
+
+    for (const ref of refs) {
+        const questionId = ref.questionId.toString();
+        const question = questionMap.get(questionId);
+
+        if (!question) {
+            logger.error(`Question ${questionId} not found during grading`);
+            continue;
+        }
+
+        results.push(gradeQuestion(question, answerMap.get(questionId), { marks: ref.marks, quiz }));
+    }
+
+    const summary = summarizeResults(results, attempt.manualGradeResult);
+
+    return {
+        results,
+        ...summary,
+        needsManualReview: summary.pendingCount > 0
+    };
+};
+
+/**
+ * Label of the highest band the percentage reaches, or undefined without a scale
+ */
+const resolveGrade = (bands, percentage) => {
+    const band = [...(bands || [])]
+        .sort((a, b) => b.minPercentage - a.minPercentage)
+        .find(b => (percentage || 0) >= b.minPercentage);
+    return band ? band.label : undefined;
+};
+
+/**
+ * Score each section of a sectioned attempt from the stored results.
+ * Returns true when every section reached its passing marks.
+ */
+const scoreSections = (attempt) => {
+    const sectionOf = new Map(
+        (attempt.selectedQuestions || []).map(sq => [sq.question.toString(), sq.section?.toString()])
+    );
+
+    for (const section of attempt.sections) {
+        const results = (attempt.autoGradeResult || []).filter(
+            r => sectionOf.get(r.questionId.toString()) === section.sectionId.toString()
+        );
+        const summary = summarizeResults(results, attempt.manualGradeResult);
+        const maxScore = results.reduce((sum, r) => sum + (r.maxScore || 0), 0) - summary.excludedMarks;
+
+        section.score = summary.totalScore;
+        section.maxScore = maxScore;
+        section.percentage = maxScore > 0 ? (summary.totalScore / maxScore) * 100 : 0;
+        section.passed = summary.totalScore >= (section.passingMarks || 0);
+    }
+
+    return attempt.sections.every(s => s.passed);
+};
+
+/**
+ * Copy scores and counters onto the attempt and derive percentage/pass/grade
+ */
+const applyScores = (attempt, quiz, summary) => {
+    // maxScore leaves out voided and bonus marks; excludedMarks keeps the served total recoverable
+    const servedMaxScore = (attempt.maxScore || 0) + (attempt.excludedMarks || 0);
+    attempt.excludedMarks = summary.excludedMarks || 0;
+    attempt.maxScore = servedMaxScore - attempt.excludedMarks;
+
+    attempt.totalScore = summary.totalScore;
+    attempt.correctCount = summary.correctCount;
+    attempt.wrongCount = summary.wrongCount;
+    attempt.partialCount = summary.partialCount;
+    attempt.unansweredCount = summary.unansweredCount;
+    attempt.percentage = attempt.maxScore > 0
+        ? (summary.totalScore / attempt.maxScore) * 100
+        : 0;
+    attempt.passed = summary.totalScore >= (quiz.passingMarks || 0);
+
+    // Falling short in any section fails the whole quiz
+    if (attempt.sections?.length > 0) {
+        attempt.passed = scoreSections(attempt) && attempt.passed;
+    }
+
+    attempt.grade = resolveGrade(quiz.gradingScale?.bands, attempt.percentage);
+};
+
+/**
+ * Store grading output on the attempt
+ */
+const applyGrading = (attempt, quiz, grading) => {
+    attempt.autoGradeResult = grading.results;
+    applyScores(attempt, quiz, grading);
+};
+
+/**
+ * Status an attempt should move to once grading has run
+ */
+const resolveStatus = (grading) =>
+    grading.needsManualReview ? 'needs_manual_review' : 'auto_graded';
+
+/**
+ * Record (or replace) a grader's manual score for one question,
+ * then recompute the attempt totals
+ */
+const recordManualGrade = (attempt, quiz, { questionId, score, maxScore, feedback, rubricScores, gradedBy }) => {
+    const entry = {
+        questionId,
+        score,
+        maxScore,
+        feedback,
+        rubricScores,
+        gradedBy,
+        gradedAt: new Date()
+    };
+
+    const index = attempt.manualGradeResult.findIndex(
+        m => m.questionId.toString() === questionId.toString()
+    );
+
+    if (index >= 0) {
+        attempt.manualGradeResult.set(index, entry);
+    } else {
+        attempt.manualGradeResult.push(entry);
+    }
+
+    return recalculateScore(attempt, quiz);
+};
+
+/**
+ * Highest points available on a rubric
+ */
+const getRubricMaxPoints = (rubric) =>
+    (rubric?.criteria || []).reduce(
+        (sum, c) => sum + Math.max(0, ...(c.levels || []).map(l => l.points)),
+        0
+    );
+
+/**
+ * Turn per-criterion selections into a score out of `maxScore`.
+ * Each selection names a level (levelId) or gives points directly.
+ * Returns { score, rubricScores } or { error }.
+ */
+const scoreRubric = (rubric, selections, maxScore) => {
+    const criteria = rubric?.criteria || [];
+
+    if (criteria.length === 0) {
+        return { error: 'Question has no rubric' };
+    }
+
+    const selectionMap = new Map((selections || []).map(s => [s.criterionId, s]));
+    const unknown = [...selectionMap.keys()].find(id => !criteria.some(c => c.id === id));
+    if (unknown) {
+        return { error: `Criterion '${unknown}' not found in rubric` };
+    }
+
+    const rubricScores = [];
+
+    for (const criterion of criteria) {
+        const selection = selectionMap.get(criterion.id);
+        if (!selection) {
+            return { error: `Criterion '${criterion.title}' has not been scored` };
+        }
+
+        const maxPoints = Math.max(0, ...(criterion.levels || []).map(l => l.points));
+        let level = null;
+        let points = selection.points;
+
+        if (selection.levelId !== undefined) {
+            level = (criterion.levels || []).find(l => l.id === selection.levelId);
+            if (!level) {
+                return { error: `Level '${selection.levelId}' not found for criterion '${criterion.title}'` };
+            }
+            points = points ?? level.points;
+        }
+
+        if (points === undefined || points === null) {
+            return { error: `Criterion '${criterion.title}' needs a levelId or points` };
+        }
+
+        if (points < 0 || points > maxPoints) {
+            return { error: `Points for '${criterion.title}' must be between 0 and ${maxPoints}` };
+        }
+
+        rubricScores.push({
+            criterionId: criterion.id,
+            criterion: criterion.title,
+            levelId: level?.id,
+            level: level?.label,
+            points,
+            maxPoints,
+            comment: selection.comment
+        });
+    }
+
+    const totalPoints = rubricScores.reduce((sum, r) => sum + r.points, 0);
+    const rubricMax = getRubricMaxPoints(rubric);
+    const score = rubricMax > 0
+        ? Math.round((totalPoints / rubricMax) * maxScore * 100) / 100
+        : 0;
+
+    return { score, rubricScores };
+};
+
+/**
+ * Work out a grader's score from either a direct score or rubric selections.
+ * Returns { score, rubricScores } or { error }.
+ */
+const resolveManualScore = async (questionId, { score, rubricScores }, maxScore) => {
+    let result = { score };
+
+    if (rubricScores) {
+        const question = await Question.findById(questionId).select('rubric');
+        result = scoreRubric(question?.rubric, rubricScores, maxScore);
+        if (result.error) return result;
+    }
+
+    if (result.score > maxScore) {
+        return { error: `Score cannot exceed ${maxScore} marks` };
+    }
+
+    return result;
+};
+
+/**
+ * Recompute totals from stored auto and manual grade results
+ */
+const recalculateScore = (attempt, quiz) => {
+    const summary = summarizeResults(attempt.autoGradeResult, attempt.manualGradeResult);
+    applyScores(attempt, quiz, summary);
+    return summary;
+};
+
+/**
+ * Questions that still need a manual grade before the attempt can be finalized
+ */
+const getPendingManualQuestions = (attempt) => {
+    const manualIds = new Set(
+        (attempt.manualGradeResult || []).map(m => m.questionId.toString())
+    );
+
+    return (attempt.autoGradeResult || [])
+        .filter(r => r.needsManualReview && !manualIds.has(r.questionId.toString()))
+        .map(r => r.questionId);
+};
+
+module.exports = {
+    isUnanswered,
+    getAttemptQuestionRefs,
+    getDisposition,
+    gradeQuestion,
+    gradeAttempt,
+    summarizeResults,
+    applyGrading,
+    resolveStatus,
+    resolveGrade,
+    recordManualGrade,
+    scoreRubric,
+    resolveManualScore,
+    getRubricMaxPoints,
+    recalculateScore,
+    getPendingManualQuestions,
+    registerGrader
+};
@@ -0,0 +1,122 @@
+// services/gradingScale.service.js
+// Letter-grade scales: validation, attaching to quizzes and re-grading attempts.
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const { gradedFilter } = require('../models/QuizAttempt');
+const logger = require('../config/logger');
+
+/**
+ * Validate a scale's bands.
+ * Returns an error message, or null when valid.
+ */
+const validateBands = (bands) => {
+    if (!Array.isArray(bands) || bands.length === 0) {
+        return 'A grading scale needs at least one band';
+    }
+
+    const labels = bands.map(b => b.label.trim().toLowerCase());
+    if (new Set(labels).size !== labels.length) {
+        return 'Band labels must be unique';
+    }
+
+    const thresholds = bands.map(b => b.minPercentage);
+    if (new Set(thresholds).size !== thresholds.length) {
+        return 'Each band needs a different minPercentage';
+    }
+
+    if (!thresholds.includes(0)) {
+        return 'The lowest band must start at 0% so every score gets a grade';
+    }
+
+    return null;
+};
+
+/**
+ * Whether a quiz may use the scale: institution scales fit any quiz,
+ * subject scales only quizzes of the same subject
+ */
+const isAvailableForQuiz = (scale, quiz) => {
+    if (scale.scope !== 'subject') return true;
+    return !!quiz.subject && scale.subject?.toString() === (quiz.subject._id || quiz.subject).toString();
+};
+
+/**
+ * Copy of a scale's bands stored on the quiz
+ */
+const toQuizScale = (scale) => ({
+    scale: scale._id,
+    name: scale.name,
+    bands: [...scale.bands]
+        .sort((a, b) => b.minPercentage - a.minPercentage)
+        .map(b => ({ label: b.label, minPercentage: b.minPercentage, description: b.description }))
+});
+
+/**
+ * Set `grade` on every graded attempt of a quiz from its current scale.
+ * One update per band; without a scale, grades are cleared.
+ * Returns the number of attempts modified.
+ */
+const recomputeGrades = async (quiz) => {
+    const filter = {
+        quiz: quiz._id,
+        ...gradedFilter()
+    };
+    const bands = [...(quiz.gradingScale?.bands || [])]
+        .sort((a, b) => b.minPercentage - a.minPercentage);
+
+    if (bands.length === 0) {
+        const result = await QuizAttempt.updateMany(filter, { $unset: { grade: '' } });
+        return result.modifiedCount;
+    }
+
+    let modified = 0;
+
+    for (let i = 0; i < bands.length; i++) {
+        const percentage = { $gte: bands[i].minPercentage };
+        if (i > 0) percentage.$lt = bands[i - 1].minPercentage;
+
+        const result = await QuizAttempt.updateMany(
+            { ...filter, percentage },
+            { $set: { grade: bands[i].label } }
+        );
+        modified += result.modifiedCount;
+    }
+
+    return modified;
+};
+
+/**
+ * Attach a scale to a quiz (or detach it with null) and re-grade its attempts
+ */
+const applyScaleToQuiz = async (quiz, scale) => {
+    quiz.gradingScale = scale ? toQuizScale(scale) : undefined;
+    await quiz.save();
+
+    const attemptsUpdated = await recomputeGrades(quiz);
+    logger.info(`Quiz ${quiz._id} grading scale set to ${scale ? scale.name : 'none'}: ${attemptsUpdated} attempts re-graded`);
+
+    return attemptsUpdated;
+};
+
+/**
+ * Push an edited scale to every quiz using it
+ */
+const refreshQuizzesUsingScale = async (scale) => {
+    const quizzes = await Quiz.find({ 'gradingScale.scale': scale._id });
+    let attemptsUpdated = 0;
+
+    for (const quiz of quizzes) {
+        attemptsUpdated += await applyScaleToQuiz(quiz, scale);
+    }
+
+    return { quizzesUpdated: quizzes.length, attemptsUpdated };
+};
+
+module.exports = {
+    validateBands,
+    isAvailableForQuiz,
+    toQuizScale,
+    recomputeGrades,
+    applyScaleToQuiz,
+    refreshQuizzesUsingScale
+};
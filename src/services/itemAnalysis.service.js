@@ -0,0 +1,345 @@
+// services/itemAnalysis.service.js
+// Classical item analysis of a quiz's graded attempts: difficulty index
+// (p-value), discrimination and how often each option was picked. Results
+// are stored per quiz (ItemAnalysis) and pooled onto the question bank.
+const ItemAnalysis = require('../models/ItemAnalysis');
+const Question = require('../models/Question');
+const QuizAttempt = require('../models/QuizAttempt');
+const { gradedFilter } = require('../models/QuizAttempt');
+const { isUnanswered } = require('./grading.service');
+const logger = require('../config/logger');
+
+// Kelley's upper and lower groups
+const GROUP_FRACTION = 0.27;
+
+const TOO_EASY_P = 0.9;
+const TOO_HARD_P = 0.2;
+const LOW_DISCRIMINATION = 0.2;
+
+// Responses needed before a p-value is turned into an adaptive calibration
+const MIN_CALIBRATION_RESPONSES = 30;
+
+const round = (value) =>
+    value === null || value === undefined ? value : Math.round(value * 1000) / 1000;
+
+const mean = (values) =>
+    values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+/**
+ * Pearson correlation, or null when either side has no variance
+ */
+const correlation = (xs, ys) => {
+    if (xs.length < 2) return null;
+
+    const mx = mean(xs);
+    const my = mean(ys);
+    let sxy = 0;
+    let sxx = 0;
+    let syy = 0;
+
+    for (let i = 0; i < xs.length; i++) {
+        sxy += (xs[i] - mx) * (ys[i] - my);
+        sxx += (xs[i] - mx) ** 2;
+        syy += (ys[i] - my) ** 2;
+    }
+
+    return sxx === 0 || syy === 0 ? null : sxy / Math.sqrt(sxx * syy);
+};
+
+/**
+ * Answer options of a choice-based question with the key marked,
+ * or null for other types
+ */
+const getOptions = (question) => {
+    if (question.type === 'true_false') {
+        const key = String(question.correct).toLowerCase();
+        return [
+            { optionId: 'true', text: 'True', isCorrect: key === 'true' },
+            { optionId: 'false', text: 'False', isCorrect: key === 'false' }
+        ];
+    }
+
+    if (question.type === 'mcq_single' || question.type === 'mcq_multi') {
+        const keyed = [].concat(question.correct ?? []).filter(c => c !== '').map(String);
+
+        return (question.choices || []).map(choice => ({
+            optionId: choice.id,
+            text: choice.text,
+            isCorrect: keyed.length > 0 ? keyed.includes(choice.id) : !!choice.isCorrect
+        }));
+    }
+
+    return null;
+};
+
+const pickedOptionIds = (answer) =>
+    isUnanswered(answer) ? [] : [].concat(answer).map(a => String(a).toLowerCase());
+
+/**
+ * Score of every graded attempt on each of its questions. Manual grades
+ * override automatic ones; voided questions are left out.
+ */
+const collectAttempts = async (quizId) => {
+    const attempts = await QuizAttempt.find({
+        quiz: quizId,
+        ...gradedFilter()
+    })
+        .select('totalScore percentage rawAnswers autoGradeResult manualGradeResult')
+        .lean();
+
+    return attempts.map(attempt => {
+        const manual = new Map((attempt.manualGradeResult || []).map(m => [m.questionId.toString(), m]));
+        const answers = new Map((attempt.rawAnswers || []).map(a => [a.questionId.toString(), a.answer]));
+        const items = new Map();
+
+        for (const result of attempt.autoGradeResult || []) {
+            if (result.disposition === 'void') continue;
+
+            const questionId = result.questionId.toString();
+            const override = manual.get(questionId);
+
+            items.set(questionId, {
+                score: override ? override.score : result.score,
+                maxScore: result.maxScore || override?.maxScore || 1,
+                answer: answers.get(questionId)
+            });
+        }
+
+        return {
+            totalScore: attempt.totalScore || 0,
+            percentage: attempt.percentage || 0,
+            items
+        };
+    });
+};
+
+/**
+ * Indexes of the top and bottom scorers (27% each)
+ */
+const splitGroups = (attempts) => {
+    const size = Math.floor(attempts.length * GROUP_FRACTION);
+    const ranked = attempts
+        .map((attempt, idx) => ({ idx, percentage: attempt.percentage }))
+        .sort((a, b) => b.percentage - a.percentage);
+
+    return {
+        upper: new Set(ranked.slice(0, size).map(r => r.idx)),
+        lower: new Set(ranked.slice(ranked.length - size).map(r => r.idx))
+    };
+};
+
+const getFlags = ({ pValue, discrimination, options }) => {
+    const flags = [];
+    const r = discrimination.pointBiserial;
+
+    if (pValue > TOO_EASY_P) flags.push('too_easy');
+    if (pValue < TOO_HARD_P) flags.push('too_hard');
+    if (r !== null && r < 0) flags.push('negative_discrimination');
+    else if (r !== null && r < LOW_DISCRIMINATION) flags.push('low_discrimination');
+
+    if (options) {
+        const distractors = options.filter(o => !o.isCorrect);
+        const keyMeans = options.filter(o => o.isCorrect && o.count > 0).map(o => o.meanPercentage);
+
+        if (distractors.some(o => o.count === 0)) flags.push('unused_distractor');
+        if (keyMeans.length > 0 &&
+            distractors.some(o => o.count > 0 && o.meanPercentage > Math.max(...keyMeans))) {
+            flags.push('distractor_outscores_key');
+        }
+    }
+
+    return flags;
+};
+
+/**
+ * Item statistics for one question from the attempts it was served in
+ */
+const analyzeItem = (question, attempts, groups) => {
+    const responses = [];
+
+    attempts.forEach((attempt, idx) => {
+        const item = attempt.items.get(question._id.toString());
+        if (item) responses.push({ idx, attempt, item });
+    });
+
+    if (responses.length === 0) return null;
+
+    // Fraction of marks earned; negative marking counts as zero
+    const fraction = ({ item }) => Math.min(1, Math.max(0, item.score / item.maxScore));
+    const fractions = responses.map(fraction);
+    const groupP = (group) => mean(responses.filter(r => group.has(r.idx)).map(fraction));
+
+    const pUpper = groupP(groups.upper);
+    const pLower = groupP(groups.lower);
+
+    const discrimination = {
+        pointBiserial: round(correlation(
+            fractions,
+            responses.map(({ attempt, item }) => attempt.totalScore - item.score)
+        )),
+        upperLower: pUpper !== null && pLower !== null ? round(pUpper - pLower) : null
+    };
+
+    let options = getOptions(question);
+    if (options) {
+        options = options.map(option => {
+            const pickers = responses.filter(r =>
+                pickedOptionIds(r.item.answer).includes(option.optionId.toLowerCase())
+            );
+
+            return {
+                ...option,
+                count: pickers.length,
+                proportion: round(pickers.length / responses.length),
+                upperCount: pickers.filter(r => groups.upper.has(r.idx)).length,
+                lowerCount: pickers.filter(r => groups.lower.has(r.idx)).length,
+                meanPercentage: round(mean(pickers.map(r => r.attempt.percentage)))
+            };
+        });
+    }
+
+    const pValue = round(mean(fractions));
+
+    return {
+        question: question._id,
+        responses: responses.length,
+        omitted: responses.filter(r => isUnanswered(r.item.answer)).length,
+        pValue,
+        meanScore: round(mean(responses.map(r => r.item.score))),
+        maxScore: responses[0].item.maxScore,
+        discrimination,
+        options: options || [],
+        flags: getFlags({ pValue, discrimination, options })
+    };
+};
+
+/**
+ * Pool every quiz's analysis of the given questions onto the question bank:
+ * timesUsed, averageScore, itemStats and, with enough responses, the
+ * adaptive calibration (Rasch difficulty from the p-value).
+ */
+const refreshQuestionStats = async (questionIds) => {
+    const pooled = await ItemAnalysis.aggregate([
+        { $match: { question: { $in: questionIds } } },
+        {
+            $group: {
+                _id: '$question',
+                responses: { $sum: '$responses' },
+                weightedP: { $sum: { $multiply: ['$pValue', '$responses'] } },
+                weightedR: {
+                    $sum: { $multiply: [{ $ifNull: ['$discrimination.pointBiserial', 0] }, '$responses'] }
+                },
+                correlated: {
+                    $sum: { $cond: [{ $eq: [{ $ifNull: ['$discrimination.pointBiserial', null] }, null] }, 0, '$responses'] }
+                },
+                quizCount: { $sum: 1 }
+            }
+        }
+    ]);
+
+    const now = new Date();
+
+    const ops = pooled.filter(p => p.responses > 0).map(p => {
+        const pValue = p.weightedP / p.responses;
+        const discrimination = p.correlated > 0 ? round(p.weightedR / p.correlated) : null;
+        const set = {
+            timesUsed: p.responses,
+            averageScore: round(pValue * 100),
+            itemStats: {
+                pValue: round(pValue),
+                discrimination,
+                quizCount: p.quizCount,
+                flags: getFlags({ pValue, discrimination: { pointBiserial: discrimination } }),
+                analyzedAt: now
+            }
+        };
+
+        if (p.responses >= MIN_CALIBRATION_RESPONSES && pValue > 0 && pValue < 1) {
+            set.calibration = {
+                difficulty: round(Math.log((1 - pValue) / pValue)),
+                sampleSize: p.responses,
+                calibratedAt: now
+            };
+        }
+
+        return { updateOne: { filter: { _id: p._id }, update: { $set: set } } };
+    });
+
+    if (ops.length > 0) {
+        await Question.bulkWrite(ops);
+    }
+
+    return ops.length;
+};
+
+/**
+ * Analyse every question of a quiz from its graded attempts, store the
+ * results and refresh the questions' bank-wide statistics
+ */
+const analyzeQuiz = async (quiz) => {
+    const attempts = await collectAttempts(quiz._id);
+
+    const questionIds = [...new Set(attempts.flatMap(a => [...a.items.keys()]))];
+    const questions = await Question.find({ _id: { $in: questionIds } })
+        .select('type prompt choices correct')
+        .lean();
+
+    const groups = splitGroups(attempts);
+    const computedAt = new Date();
+
+    const items = questions
+        .map(question => analyzeItem(question, attempts, groups))
+        .filter(Boolean);
+
+    if (items.length > 0) {
+        await ItemAnalysis.bulkWrite(items.map(item => ({
+            updateOne: {
+                filter: { quiz: quiz._id, question: item.question },
+                update: { $set: { ...item, computedAt } },
+                upsert: true
+            }
+        })));
+    }
+
+    // Questions no longer answered in any graded attempt (e.g. voided) drop out
+    await ItemAnalysis.deleteMany({
+        quiz: quiz._id,
+        question: { $nin: items.map(i => i.question) }
+    });
+
+    const questionsUpdated = await refreshQuestionStats(items.map(i => i.question));
+
+    logger.info(`Item analysis for quiz ${quiz._id}: ${items.length} questions from ${attempts.length} attempts`);
+
+    return {
+        attemptCount: attempts.length,
+        questionsUpdated,
+        computedAt
+    };
+};
+
+/**
+ * Stored analysis of a quiz, in the order questions appear in the quiz
+ * when it has a fixed list
+ */
+const getQuizItemAnalysis = async (quiz) => {
+    const items = await ItemAnalysis.find({ quiz: quiz._id })
+        .populate('question', 'prompt type difficulty topic marks')
+        .lean();
+
+    const order = new Map((quiz.questionIds || []).map((id, idx) => [id.toString(), idx]));
+    items.sort((a, b) =>
+        (order.get(a.question?._id?.toString()) ?? Infinity) - (order.get(b.question?._id?.toString()) ?? Infinity)
+    );
+
+    return items;
+};
+
+module.exports = {
+    correlation,
+    getOptions,
+    analyzeItem,
+    analyzeQuiz,
+    refreshQuestionStats,
+    getQuizItemAnalysis
+};
@@ -0,0 +1,254 @@
+// services/moderation.service.js
+// Blind double-marking: two graders score each manually graded answer
+// independently; scores within the quiz threshold are averaged, larger
+// disagreements wait for a moderator.
+const gradingService = require('./grading.service');
+
+const GRADER_COUNT = 2;
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+/**
+ * Whether the quiz requires blind double-marking
+ */
+const isDoubleMarked = (quiz) => !!quiz?.doubleMarking?.enabled;
+
+/**
+ * Append an entry to the attempt's grading history
+ */
+const appendHistory = (attempt, entry) => {
+    attempt.gradingHistory.push({ ...entry, at: new Date() });
+};
+
+const isAssignedGrader = (attempt, userId) =>
+    (attempt.graders || []).some(g => sameId(g.grader, userId));
+
+/**
+ * Moderators are admins or users listed on the quiz, and never one of the attempt's graders
+ */
+const canModerate = (attempt, quiz, user) => {
+    if (isAssignedGrader(attempt, user._id)) return false;
+    if (user.role === 'admin') return true;
+    return (quiz.doubleMarking?.moderators || []).some(m => sameId(m, user._id));
+};
+
+/**
+ * Trainers grade attempts on quizzes they own, or that they were assigned
+ * to grade or moderate; admins grade any attempt
+ */
+const canGrade = (attempt, quiz, user) => {
+    if (user.role === 'admin' || sameId(quiz.createdBy, user._id)) return true;
+    if (!isDoubleMarked(quiz)) return false;
+    return isAssignedGrader(attempt, user._id) ||
+        (quiz.doubleMarking.moderators || []).some(m => sameId(m, user._id));
+};
+
+/**
+ * Assign the two graders for an attempt.
+ * Returns an error message, or null on success.
+ */
+const assignGraders = (attempt, graderIds, assignedBy) => {
+    const unique = [...new Set(graderIds.map(id => id.toString()))];
+
+    if (unique.length !== GRADER_COUNT) {
+        return `Exactly ${GRADER_COUNT} different graders must be assigned`;
+    }
+
+    const removedWithGrades = (attempt.blindGrades || []).find(bg => !unique.includes(bg.grader.toString()));
+    if (removedWithGrades) {
+        return 'Cannot unassign a grader who has already submitted scores';
+    }
+
+    attempt.graders = unique.map(grader => {
+        const existing = (attempt.graders || []).find(g => sameId(g.grader, grader));
+        return existing
+            ? { grader: existing.grader, assignedBy: existing.assignedBy, assignedAt: existing.assignedAt }
+            : { grader, assignedBy, assignedAt: new Date() };
+    });
+
+    appendHistory(attempt, { action: 'assigned', actor: assignedBy, details: { graders: unique } });
+    return null;
+};
+
+/**
+ * Make sure the user holds a grader slot, claiming a free one if available.
+ * Returns false when both slots belong to other graders.
+ */
+const ensureGraderSlot = (attempt, userId) => {
+    if (isAssignedGrader(attempt, userId)) return true;
+    if ((attempt.graders || []).length >= GRADER_COUNT) return false;
+
+    attempt.graders.push({ grader: userId, assignedBy: userId, assignedAt: new Date() });
+    appendHistory(attempt, { action: 'assigned', actor: userId, details: { graders: [userId.toString()], selfAssigned: true } });
+    return true;
+};
+
+const getDisagreement = (attempt, questionId) =>
+    (attempt.disagreements || []).find(d => sameId(d.questionId, questionId));
+
+/**
+ * Drop the released score for a question while it awaits agreement or moderation
+ */
+const clearManualGrade = (attempt, questionId) => {
+    const index = attempt.manualGradeResult.findIndex(m => sameId(m.questionId, questionId));
+    if (index >= 0) attempt.manualGradeResult.splice(index, 1);
+};
+
+/**
+ * Record one grader's blind score and reconcile with the other grader.
+ * Returns 'awaiting_second_grader', 'agreed' or 'disagreement'.
+ */
+const recordBlindGrade = (attempt, quiz, { questionId, score, maxScore, feedback, rubricScores, grader }) => {
+    const entry = { questionId, grader, score, maxScore, feedback, rubricScores, gradedAt: new Date() };
+    const index = attempt.blindGrades.findIndex(bg => sameId(bg.questionId, questionId) && sameId(bg.grader, grader));
+
+    if (index >= 0) {
+        attempt.blindGrades.set(index, entry);
+    } else {
+        attempt.blindGrades.push(entry);
+    }
+
+    appendHistory(attempt, { action: 'blind_graded', questionId, actor: grader, score, maxScore, feedback, rubricScores });
+
+    const grades = attempt.blindGrades.filter(bg => sameId(bg.questionId, questionId));
+
+    if (grades.length < GRADER_COUNT) {
+        clearManualGrade(attempt, questionId);
+        gradingService.recalculateScore(attempt, quiz);
+        return 'awaiting_second_grader';
+    }
+
+    const scores = grades.map(g => g.score);
+    const difference = Math.abs(scores[0] - scores[1]);
+    const threshold = ((quiz.doubleMarking?.disagreementThreshold ?? 20) / 100) * maxScore;
+    const existing = getDisagreement(attempt, questionId);
+
+    if (difference > threshold) {
+        const disagreement = { questionId, scores, difference, threshold, status: 'open' };
+
+        if (existing) {
+            Object.assign(existing, disagreement, { resolvedScore: undefined, resolvedBy: undefined, resolvedAt: undefined });
+        } else {
+            attempt.disagreements.push(disagreement);
+        }
+
+        clearManualGrade(attempt, questionId);
+        gradingService.recalculateScore(attempt, quiz);
+        appendHistory(attempt, { action: 'disagreement', questionId, details: { scores, difference, threshold } });
+        return 'disagreement';
+    }
+
+    const agreedScore = Math.round((scores.reduce((sum, s) => sum + s, 0) / scores.length) * 100) / 100;
+
+    if (existing && existing.status === 'open') {
+        Object.assign(existing, { scores, difference, status: 'resolved', resolvedScore: agreedScore, resolvedBy: grader, resolvedAt: new Date() });
+    }
+
+    gradingService.recordManualGrade(attempt, quiz, {
+        questionId,
+        score: agreedScore,
+        maxScore,
+        feedback: grades.map(g => g.feedback).filter(Boolean).join('\n') || undefined,
+        gradedBy: grader
+    });
+    appendHistory(attempt, { action: 'agreed', questionId, actor: grader, score: agreedScore, maxScore, details: { scores } });
+    return 'agreed';
+};
+
+/**
+ * Moderator's final score for a question the graders disagreed on.
+ * Returns an error message, or null on success.
+ */
+const resolveDisagreement = (attempt, quiz, { questionId, score, maxScore, feedback, rubricScores, moderator }) => {
+    const disagreement = getDisagreement(attempt, questionId);
+
+    if (!disagreement || disagreement.status !== 'open') {
+        return 'No open disagreement for this question';
+    }
+
+    Object.assign(disagreement, {
+        status: 'resolved',
+        resolvedScore: score,
+        resolvedBy: moderator,
+        resolvedAt: new Date()
+    });
+
+    gradingService.recordManualGrade(attempt, quiz, {
+        questionId,
+        score,
+        maxScore,
+        feedback,
+        rubricScores,
+        gradedBy: moderator
+    });
+    appendHistory(attempt, { action: 'moderated', questionId, actor: moderator, score, maxScore, feedback, rubricScores });
+    return null;
+};
+
+/**
+ * Questions whose grader disagreement still awaits a moderator
+ */
+const getOpenDisagreements = (attempt) =>
+    (attempt.disagreements || [])
+        .filter(d => d.status === 'open')
+        .map(d => d.questionId);
+
+/**
+ * Questions the user still has to blind-grade on this attempt
+ */
+const getPendingForGrader = (attempt, userId) =>
+    (attempt.autoGradeResult || [])
+        .filter(r => r.needsManualReview)
+        .filter(r => !(attempt.blindGrades || []).some(bg =>
+            sameId(bg.questionId, r.questionId) && sameId(bg.grader, userId)))
+        .map(r => r.questionId);
+
+// Attempt fields a blind grader sees as they are. Anything not listed
+// (scores, grades, statsContribution, regrade and grading history) could
+// reveal released or agreed marks and is left out.
+const BLIND_GRADER_FIELDS = [
+    '_id', 'quiz', 'user', 'status', 'attemptNumber', 'attemptIndex',
+    'startTime', 'endTime', 'timeSpentSeconds', 'maxScore',
+    'selectedQuestions', 'rawAnswers', 'autoGradeResult', 'graders',
+    'isFlagged', 'flaggedReasons', 'createdAt', 'updatedAt'
+];
+
+/**
+ * Hide the other grader's work from a blind grader: only allow-listed
+ * fields, the grader's own blind grades and bare disagreement states.
+ * Expects a plain object (attempt.toObject()).
+ */
+const redactForGrader = (attemptObj, userId) => {
+    const redacted = {};
+
+    for (const field of BLIND_GRADER_FIELDS) {
+        if (attemptObj[field] !== undefined) redacted[field] = attemptObj[field];
+    }
+
+    redacted.blindGrades = (attemptObj.blindGrades || []).filter(bg => sameId(bg.grader, userId));
+    redacted.disagreements = (attemptObj.disagreements || []).map(d => ({
+        questionId: d.questionId,
+        status: d.status
+    }));
+    redacted.sections = (attemptObj.sections || []).map(s => ({
+        sectionId: s.sectionId,
+        title: s.title
+    }));
+
+    return redacted;
+};
+
+module.exports = {
+    isDoubleMarked,
+    isAssignedGrader,
+    canGrade,
+    canModerate,
+    assignGraders,
+    ensureGraderSlot,
+    recordBlindGrade,
+    resolveDisagreement,
+    getOpenDisagreements,
+    getPendingForGrader,
+    redactForGrader,
+    appendHistory
+};
@@ -0,0 +1,327 @@
+// services/performance.service.js
+// A student's own performance across quizzes: score trend, strengths and
+// weaknesses by subject, topic and tag, standing within their cohort and
+// how they fare against pass marks. Only results already released to the
+// student (finalized by a grader, or auto-graded on quizzes that show
+// results immediately) are counted.
+const mongoose = require('mongoose');
+const Quiz = require('../models/Quiz');
+const Question = require('../models/Question');
+const QuizAttempt = require('../models/QuizAttempt');
+const { gradedFilter } = require('../models/QuizAttempt');
+const Subject = require('../models/Subject');
+const User = require('../models/User');
+const { itemScoreStages } = require('./quizStatistics.service');
+
+// Attempt statuses whose results students can see; timed-out attempts
+// count once graded
+const RELEASED_STATUSES = ['auto_graded', 'manually_graded'];
+
+// Profile fields that define a student's cohort
+const COHORT_FIELDS = ['semester', 'department', 'batch'];
+
+// Areas need this many graded questions before they count as a strength or weakness
+const MIN_AREA_QUESTIONS = 3;
+const STRENGTH_PERCENTAGE = 75;
+const WEAKNESS_PERCENTAGE = 50;
+const MAX_LISTED_AREAS = 5;
+
+const round = (value) =>
+    value === null || value === undefined ? value : Math.round(value * 100) / 100;
+
+/**
+ * The user's (or users') released attempts with their quiz joined in
+ */
+const releasedAttemptStages = (match) => [
+    { $match: { ...match, ...gradedFilter(RELEASED_STATUSES) } },
+    {
+        $lookup: {
+            from: Quiz.collection.name,
+            localField: 'quiz',
+            foreignField: '_id',
+            pipeline: [{ $project: { title: 1, subject: 1, passingMarks: 1, showResultsImmediately: 1 } }],
+            as: 'quiz'
+        }
+    },
+    { $unwind: '$quiz' },
+    // Same rule as isResultReleased
+    { $match: { $or: [{ status: 'manually_graded' }, { 'quiz.showResultsImmediately': true }] } }
+];
+
+/**
+ * Every released attempt in submission order, plus monthly averages
+ */
+const getTrend = async (userId, { from, to, subject } = {}) => {
+    const match = { user: userId };
+    if (from || to) {
+        match.endTime = {};
+        if (from) match.endTime.$gte = new Date(from);
+        if (to) match.endTime.$lte = new Date(to);
+    }
+
+    const [result] = await QuizAttempt.aggregate([
+        ...releasedAttemptStages(match),
+        ...(subject ? [{ $match: { 'quiz.subject': new mongoose.Types.ObjectId(subject) } }] : []),
+        {
+            $lookup: {
+                from: Subject.collection.name,
+                localField: 'quiz.subject',
+                foreignField: '_id',
+                pipeline: [{ $project: { name: 1, code: 1 } }],
+                as: 'subject'
+            }
+        },
+        { $unwind: { path: '$subject', preserveNullAndEmptyArrays: true } },
+        { $sort: { endTime: 1 } },
+        {
+            $project: {
+                _id: 0,
+                attemptId: '$_id',
+                quiz: { id: '$quiz._id', title: '$quiz.title' },
+                subject: 1,
+                attemptNumber: 1,
+                submittedAt: '$endTime',
+                totalScore: 1,
+                maxScore: 1,
+                percentage: { $ifNull: ['$percentage', 0] },
+                passed: 1,
+                grade: 1,
+                passMarkPercentage: {
+                    $cond: [
+                        { $gt: ['$maxScore', 0] },
+                        { $multiply: [{ $divide: [{ $ifNull: ['$quiz.passingMarks', 0] }, '$maxScore'] }, 100] },
+                        0
+                    ]
+                }
+            }
+        },
+        {
+            $facet: {
+                attempts: [],
+                byMonth: [
+                    {
+                        $group: {
+                            _id: { $dateToString: { format: '%Y-%m', date: '$submittedAt' } },
+                            attempts: { $sum: 1 },
+                            averagePercentage: { $avg: '$percentage' },
+                            passed: { $sum: { $cond: ['$passed', 1, 0] } }
+                        }
+                    },
+                    { $sort: { _id: 1 } }
+                ]
+            }
+        }
+    ]);
+
+    return {
+        attempts: result.attempts.map(a => ({
+            ...a,
+            percentage: round(a.percentage),
+            passMarkPercentage: round(a.passMarkPercentage),
+            margin: round(a.percentage - a.passMarkPercentage)
+        })),
+        byMonth: result.byMonth.map(m => ({
+            month: m._id,
+            attempts: m.attempts,
+            averagePercentage: round(m.averagePercentage),
+            passed: m.passed
+        }))
+    };
+};
+
+const areaGroup = (key) => ({
+    $group: {
+        _id: key,
+        questions: { $sum: 1 },
+        score: { $sum: '$score' },
+        maxScore: { $sum: '$maxScore' }
+    }
+});
+
+const toArea = (dimension, name, group) => ({
+    dimension,
+    ...(dimension === 'subject' ? { id: group._id } : {}),
+    name,
+    questions: group.questions,
+    score: round(group.score),
+    maxScore: round(group.maxScore),
+    percentage: group.maxScore > 0 ? round(Math.max(0, group.score) / group.maxScore * 100) : 0
+});
+
+/**
+ * Marks earned per subject, topic and tag over the given attempts' questions
+ */
+const getAreaBreakdown = async (attemptIds) => {
+    if (attemptIds.length === 0) {
+        return { bySubject: [], byTopic: [], byTag: [] };
+    }
+
+    const [result] = await QuizAttempt.aggregate([
+        ...itemScoreStages({ _id: { $in: attemptIds } }),
+        {
+            $lookup: {
+                from: Question.collection.name,
+                localField: 'questionId',
+                foreignField: '_id',
+                pipeline: [{ $project: { subject: 1, topic: 1, tags: 1 } }],
+                as: 'question'
+            }
+        },
+        { $unwind: '$question' },
+        {
+            $facet: {
+                bySubject: [
+                    areaGroup('$question.subject'),
+                    {
+                        $lookup: {
+                            from: Subject.collection.name,
+                            localField: '_id',
+                            foreignField: '_id',
+                            pipeline: [{ $project: { name: 1 } }],
+                            as: 'subject'
+                        }
+                    },
+                    { $set: { name: { $first: '$subject.name' } } }
+                ],
+                byTopic: [
+                    { $match: { 'question.topic': { $nin: [null, ''] } } },
+                    areaGroup('$question.topic')
+                ],
+                byTag: [
+                    { $unwind: '$question.tags' },
+                    areaGroup('$question.tags')
+                ]
+            }
+        }
+    ]);
+
+    const byPercentage = (a, b) => b.percentage - a.percentage;
+
+    return {
+        bySubject: result.bySubject.map(g => toArea('subject', g.name || 'Unknown', g)).sort(byPercentage),
+        byTopic: result.byTopic.map(g => toArea('topic', g._id, g)).sort(byPercentage),
+        byTag: result.byTag.map(g => toArea('tag', g._id, g)).sort(byPercentage)
+    };
+};
+
+/**
+ * Best and worst areas across every dimension
+ */
+const pickStrengthsAndWeaknesses = (breakdown) => {
+    const areas = [...breakdown.bySubject, ...breakdown.byTopic, ...breakdown.byTag]
+        .filter(a => a.questions >= MIN_AREA_QUESTIONS);
+
+    return {
+        strengths: areas
+            .filter(a => a.percentage >= STRENGTH_PERCENTAGE)
+            .sort((a, b) => b.percentage - a.percentage)
+            .slice(0, MAX_LISTED_AREAS),
+        weaknesses: areas
+            .filter(a => a.percentage < WEAKNESS_PERCENTAGE)
+            .sort((a, b) => a.percentage - b.percentage)
+            .slice(0, MAX_LISTED_AREAS)
+    };
+};
+
+/**
+ * Percentile of the student's average percentage among students sharing
+ * their semester, department and batch. Null when the profile has none
+ * of those fields.
+ */
+const getCohortStanding = async (user) => {
+    const cohort = {};
+    for (const field of COHORT_FIELDS) {
+        if (user[field] !== undefined && user[field] !== null && user[field] !== '') {
+            cohort[field] = user[field];
+        }
+    }
+
+    if (Object.keys(cohort).length === 0) return null;
+
+    const cohortIds = await User.distinct('_id', { ...cohort, role: 'student', isActive: true });
+
+    const averages = await QuizAttempt.aggregate([
+        ...releasedAttemptStages({ user: { $in: cohortIds } }),
+        { $group: { _id: '$user', average: { $avg: { $ifNull: ['$percentage', 0] } } } }
+    ]);
+
+    const mine = averages.find(a => a._id.toString() === user._id.toString());
+    const cohortAverage = averages.length > 0
+        ? averages.reduce((sum, a) => sum + a.average, 0) / averages.length
+        : null;
+
+    // Students below plus half of those tied (mid-rank percentile)
+    let percentile = null;
+    if (mine) {
+        const below = averages.filter(a => a.average < mine.average).length;
+        const tied = averages.filter(a => a.average === mine.average).length;
+        percentile = round((below + tied / 2) / averages.length * 100);
+    }
+
+    return {
+        cohort,
+        cohortSize: cohortIds.length,
+        rankedStudents: averages.length,
+        averagePercentage: mine ? round(mine.average) : null,
+        cohortAveragePercentage: round(cohortAverage),
+        percentile
+    };
+};
+
+/**
+ * Pass-mark comparison over the released attempts
+ */
+const summarizePassMarks = (attempts) => {
+    const passed = attempts.filter(a => a.passed).length;
+    const margins = attempts.map(a => a.margin);
+
+    return {
+        attempts: attempts.length,
+        passed,
+        failed: attempts.length - passed,
+        passRate: attempts.length > 0 ? round(passed / attempts.length * 100) : 0,
+        // Percentage points above (or below) the pass mark
+        averageMargin: margins.length > 0 ? round(margins.reduce((sum, m) => sum + m, 0) / margins.length) : null,
+        closestMargin: margins.length > 0 ? margins.reduce((min, m) => (Math.abs(m) < Math.abs(min) ? m : min)) : null
+    };
+};
+
+/**
+ * Full performance dashboard for a student
+ */
+const getStudentPerformance = async (user, { from, to, subject } = {}) => {
+    const trend = await getTrend(user._id, { from, to, subject });
+
+    const [breakdown, cohortStanding] = await Promise.all([
+        getAreaBreakdown(trend.attempts.map(a => a.attemptId)),
+        getCohortStanding(user)
+    ]);
+
+    const percentages = trend.attempts.map(a => a.percentage);
+
+    return {
+        overview: {
+            attempts: trend.attempts.length,
+            quizzes: new Set(trend.attempts.map(a => a.quiz.id.toString())).size,
+            averagePercentage: percentages.length > 0
+                ? round(percentages.reduce((sum, p) => sum + p, 0) / percentages.length)
+                : 0,
+            highestPercentage: percentages.length > 0 ? Math.max(...percentages) : 0,
+            lowestPercentage: percentages.length > 0 ? Math.min(...percentages) : 0
+        },
+        trend,
+        passMark: summarizePassMarks(trend.attempts),
+        areas: breakdown,
+        ...pickStrengthsAndWeaknesses(breakdown),
+        cohort: cohortStanding
+    };
+};
+
+module.exports = {
+    RELEASED_STATUSES,
+    COHORT_FIELDS,
+    getTrend,
+    getAreaBreakdown,
+    getCohortStanding,
+    getStudentPerformance
+};
@@ -0,0 +1,216 @@
+// services/proctoring.service.js
+// Live proctoring of a running quiz: the per-attempt rows a trainer sees
+// (who has started, progress, time left, anti-cheat counters and flags),
+// the feed that keeps them current and the actions a trainer can take on
+// an attempt in progress.
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const QuizEnrollment = require('../models/QuizEnrollment');
+const attemptSession = require('./attemptSession.service');
+const adaptiveService = require('./adaptive.service');
+const sectionService = require('./section.service');
+const { finalizeAttempt } = require('../jobs/attemptTimeout.job');
+const logger = require('../config/logger');
+
+const PROCTOR_NAMESPACE = '/proctor';
+
+// Finished attempts stay in the live view this long
+const RECENTLY_FINISHED_MS = 60 * 60 * 1000;
+
+// Quiz fields the live view needs
+const QUIZ_FIELDS = 'title createdBy startTime endTime durationMinutes questionMode adaptiveSettings antiCheatSettings';
+
+const STUDENT_FIELDS = 'name email rollNo';
+
+const quizRoom = (quizId) => `quiz:${quizId}`;
+
+const isAnswered = (ans) =>
+    ans.answer !== null && ans.answer !== undefined && ans.answer !== '' &&
+    !(Array.isArray(ans.answer) && ans.answer.length === 0);
+
+const describeStudent = (user) =>
+    user?.name
+        ? { id: user._id, name: user.name, email: user.email, rollNo: user.rollNo }
+        : { id: user };
+
+/**
+ * One row of the trainer's live view
+ */
+const describeLiveAttempt = (attempt, quiz, now = new Date()) => {
+    const { deadline = null } = attemptSession.resolveDeadline(attempt, quiz) || {};
+    const inProgress = attempt.status === 'in_progress';
+
+    return {
+        attemptId: attempt._id,
+        student: describeStudent(attempt.user),
+        status: attempt.status,
+        startedAt: attempt.startTime,
+        endedAt: attempt.endTime,
+        progress: {
+            answered: (attempt.rawAnswers || []).filter(isAnswered).length,
+            total: adaptiveService.isAdaptive(attempt)
+                ? quiz.adaptiveSettings?.maxQuestions || attempt.selectedQuestions.length
+                : (attempt.selectedQuestions || []).length
+        },
+        deadline: inProgress ? deadline : null,
+        timeRemaining: inProgress ? attemptSession.getTimeRemaining(deadline, now, attempt.pausedAt) : null,
+        paused: !!attempt.pausedAt,
+        extraTimeSeconds: attemptSession.getExtraTimeSeconds(attempt),
+        accommodated: !!attempt.accommodation,
+        tabSwitches: attempt.tabSwitches || 0,
+        ipChanges: Math.max(0, (attempt.resumeIPs || []).length - 1),
+        isFlagged: attempt.isFlagged,
+        flags: (attempt.flaggedReasons || []).map(f => ({
+            reason: f.reason,
+            severity: f.severity,
+            at: f.timestamp,
+            details: f.details
+        })),
+        autoSubmitReason: attempt.autoSubmitReason
+    };
+};
+
+/**
+ * Everything the trainer sees on opening the live view: attempts in
+ * progress and those finished in the last hour
+ */
+const getLiveSnapshot = async (quiz, now = new Date()) => {
+    const [attempts, enrolled] = await Promise.all([
+        QuizAttempt.find({
+            quiz: quiz._id,
+            $or: [
+                { status: 'in_progress' },
+                { endTime: { $gte: new Date(now.getTime() - RECENTLY_FINISHED_MS) } }
+            ]
+        })
+            .populate('user', STUDENT_FIELDS)
+            .sort({ startTime: 1 }),
+        QuizEnrollment.countDocuments({ quiz: quiz._id })
+    ]);
+
+    return {
+        quiz: {
+            id: quiz._id,
+            title: quiz.title,
+            startTime: quiz.startTime,
+            endTime: quiz.endTime,
+            durationMinutes: quiz.durationMinutes
+        },
+        enrolled,
+        inProgress: attempts.filter(a => a.status === 'in_progress').length,
+        attempts: attempts.map(a => describeLiveAttempt(a, quiz, now)),
+        serverTime: now
+    };
+};
+
+/**
+ * Push a changed attempt to the trainers watching its quiz. Fire and
+ * forget: a failure here must never fail the student's request. Pass the
+ * quiz when at hand to save a lookup.
+ */
+const publishAttemptUpdate = (io, attempt, change, { quiz, ...details } = {}) => {
+    if (!io) return;
+
+    (quiz ? Promise.resolve(quiz) : Quiz.findById(attempt.quiz._id || attempt.quiz).select(QUIZ_FIELDS))
+        .then(loaded => {
+            if (!loaded) return;
+
+            const now = new Date();
+            io.of(PROCTOR_NAMESPACE).to(quizRoom(loaded._id)).emit('proctor:attempt', {
+                change,
+                ...details,
+                attempt: describeLiveAttempt(attempt, loaded, now),
+                serverTime: now
+            });
+        })
+        .catch(error => logger.error(`Failed to publish proctor update for attempt ${attempt._id}:`, error));
+};
+
+/**
+ * Student (dis)connected from the attempt channel; needs no lookups
+ */
+const publishPresence = (io, quizId, attemptId, connected) => {
+    if (!io) return;
+    io.of(PROCTOR_NAMESPACE).to(quizRoom(quizId)).emit('proctor:presence', {
+        attemptId,
+        connected,
+        at: new Date()
+    });
+};
+
+// ============================================
+// Trainer actions on an attempt in progress. Those that can be refused
+// return an error message, or null on success.
+// ============================================
+
+const extendTime = async (attempt, { seconds, reason, by }) => {
+    attempt.extraTimeSeconds = (attempt.extraTimeSeconds || 0) + seconds;
+    sectionService.extendOpenSection(attempt, seconds);
+    attempt.proctorActions.push({ action: 'extend_time', by, seconds, message: reason });
+
+    await attempt.save();
+    return null;
+};
+
+const warnStudent = async (attempt, { message, by }) => {
+    attempt.proctorActions.push({ action: 'warn', by, message });
+
+    await attempt.save();
+    return null;
+};
+
+const pauseAttempt = async (attempt, { message, by }) => {
+    if (attempt.pausedAt) return 'Attempt is already paused';
+
+    attempt.pausedAt = new Date();
+    attempt.proctorActions.push({ action: 'pause', by, message });
+
+    await attempt.save();
+    return null;
+};
+
+/**
+ * Restart the clock; the time spent paused is added to the attempt
+ */
+const resumeAttempt = async (attempt, { by }) => {
+    if (!attempt.pausedAt) return 'Attempt is not paused';
+
+    const pausedSeconds = Math.ceil((Date.now() - attempt.pausedAt.getTime()) / 1000);
+
+    attempt.pausedAt = undefined;
+    attempt.extraTimeSeconds = (attempt.extraTimeSeconds || 0) + pausedSeconds;
+    sectionService.extendOpenSection(attempt, pausedSeconds);
+    attempt.proctorActions.push({ action: 'resume', by, seconds: pausedSeconds });
+
+    await attempt.save();
+    return null;
+};
+
+/**
+ * Submit the attempt now with its last autosaved answers. Returns the
+ * finalized attempt, or null when it was no longer in progress.
+ */
+const forceSubmit = async (attempt, { reason, by }) => {
+    const finalized = await finalizeAttempt(attempt._id, { deadline: new Date(), reason: 'force_submitted' });
+    if (!finalized) return null;
+
+    finalized.proctorActions.push({ action: 'force_submit', by, message: reason });
+    await finalized.save();
+
+    return finalized;
+};
+
+module.exports = {
+    PROCTOR_NAMESPACE,
+    QUIZ_FIELDS,
+    quizRoom,
+    describeLiveAttempt,
+    getLiveSnapshot,
+    publishAttemptUpdate,
+    publishPresence,
+    extendTime,
+    warnStudent,
+    pauseAttempt,
+    resumeAttempt,
+    forceSubmit
+};
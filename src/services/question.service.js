@@ -2,6 +2,10 @@
 const Question = require('../models/Question');
 const Quiz = require('../models/Quiz');
 const mongoose = require('mongoose');
+const { compilePattern } = require('./graders/short_answer.grader');
+const { toPairs } = require('./graders/matching.grader');
+const { getPromptBlankIds } = require('./graders/cloze.grader');
+const units = require('../utils/units');
 
 /**
  * List questions with filters and pagination
@@ -106,7 +110,7 @@ const deleteQuestion = async (id) => {
  * Validate question data based on type
  */
 const validateQuestionData = (data) => {
-    const { type, choices, correct } = data;
+    const { type, choices, correct, prompt } = data;
 
     // MCQ validations
     if (type === 'mcq_single' || type === 'mcq_multi') {
@@ -134,8 +138,171 @@ const validateQuestionData = (data) => {
     }
 
     // Numeric validations
-    if (type === 'numeric' && (correct === null || correct === undefined)) {
-        return 'Numeric questions must have a correct answer specified';
+    if (type === 'numeric') {
+        const { numericAnswer = {} } = data;
+        const ranges = numericAnswer.ranges || [];
+        const hasCorrect = correct !== null && correct !== undefined && correct !== '';
+
+        if (!hasCorrect && ranges.length === 0) {
+            return 'Numeric questions must have a correct answer or accepted range specified';
+        }
+
+        if (hasCorrect && !Number.isFinite(Number(correct))) {
+            return 'Numeric correct answer must be a number';
+        }
+
+        if (ranges.some(r => r.min > r.max)) {
+            return 'Accepted range min cannot be greater than max';
+        }
+
+        if (numericAnswer.unit && !units.isKnown(numericAnswer.unit)) {
+            return `Unknown unit '${numericAnswer.unit}'`;
+        }
+
+        if (numericAnswer.requireUnit && !numericAnswer.unit) {
+            return 'A unit must be specified when requireUnit is set';
+        }
+    }
+
+    // Short answer validations
+    if (type === 'short_answer') {
+        const { shortAnswer = {} } = data;
+        const accepted = shortAnswer.acceptedAnswers || [];
+
+        for (const answer of accepted) {
+            if (answer.isRegex && !compilePattern(answer.text, shortAnswer)) {
+                return `Invalid accepted-answer pattern '${answer.text}'`;
+            }
+        }
+
+        if (shortAnswer.reviewEditDistance !== undefined &&
+            shortAnswer.reviewEditDistance !== null &&
+            shortAnswer.reviewEditDistance < (shortAnswer.maxEditDistance || 0)) {
+            return 'reviewEditDistance cannot be less than maxEditDistance';
+        }
+    }
+
+    // Ordering validations
+    if (type === 'ordering') {
+        if (!choices || choices.length < 2) {
+            return 'Ordering questions must have at least 2 items';
+        }
+
+        const itemIds = choices.map(c => c.id);
+        if (new Set(itemIds).size !== itemIds.length) {
+            return 'Ordering item IDs must be unique';
+        }
+
+        if (correct !== undefined && correct !== null) {
+            if (!Array.isArray(correct) || correct.length !== itemIds.length ||
+                !itemIds.every(id => correct.includes(id))) {
+                return 'Ordering correct answer must list every item ID exactly once';
+            }
+        }
+    }
+
+    // Matching validations
+    if (type === 'matching') {
+        const { matchItems = [], matchOptions = [] } = data;
+
+        if (matchItems.length < 2 || matchOptions.length < 2) {
+            return 'Matching questions must have at least 2 items and 2 options';
+        }
+
+        const pairs = toPairs(correct);
+        const optionIds = matchOptions.map(o => o.id);
+
+        for (const item of matchItems) {
+            if (pairs[item.id] === undefined) {
+                return `Matching item '${item.id}' has no correct option`;
+            }
+            if (!optionIds.includes(String(pairs[item.id]))) {
+                return `Option ID '${pairs[item.id]}' for item '${item.id}' not found in options`;
+            }
+        }
+    }
+
+    // Cloze validations
+    if (type === 'cloze') {
+        const { blanks = [] } = data;
+        const blankIds = blanks.map(b => b.id);
+        const promptIds = getPromptBlankIds(prompt);
+
+        if (blanks.length === 0) {
+            return 'Cloze questions must have at least one blank';
+        }
+
+        if (new Set(blankIds).size !== blankIds.length) {
+            return 'Blank IDs must be unique';
+        }
+
+        for (const blank of blanks) {
+            if (!promptIds.includes(blank.id)) {
+                return `Blank '${blank.id}' is not referenced in the prompt as {{${blank.id}}}`;
+            }
+
+            if (!blank.acceptedAnswers || blank.acceptedAnswers.length === 0) {
+                return `Blank '${blank.id}' must have at least one accepted answer`;
+            }
+
+            const optionIds = (blank.options || []).map(o => o.id);
+            if (optionIds.length > 0 && !blank.acceptedAnswers.every(a => optionIds.includes(a))) {
+                return `Accepted answers for drop-down blank '${blank.id}' must be option IDs`;
+            }
+        }
+
+        const unknown = promptIds.find(id => !blankIds.includes(id));
+        if (unknown) {
+            return `Prompt references undefined blank '{{${unknown}}}'`;
+        }
+    }
+
+    // Multi-part validations
+    if (type === 'multi_part') {
+        const { parts = [] } = data;
+
+        if (parts.length === 0) {
+            return 'Multi-part questions must have at least one part';
+        }
+
+        const partIds = parts.map(p => p.id);
+        if (new Set(partIds).size !== partIds.length) {
+            return 'Part IDs must be unique';
+        }
+
+        for (const part of parts) {
+            if (!Question.AUTO_GRADED_TYPES.includes(part.type)) {
+                return `Part '${part.id}' has unsupported type '${part.type}'`;
+            }
+
+            const partError = validateQuestionData(part);
+            if (partError) {
+                return `Part '${part.id}': ${partError}`;
+            }
+        }
+    }
+
+    // Essay validations
+    if (type === 'essay' && data.rubric && (data.rubric.criteria || []).length > 0) {
+        const { criteria } = data.rubric;
+        const criterionIds = criteria.map(c => c.id);
+
+        if (new Set(criterionIds).size !== criterionIds.length) {
+            return 'Rubric criterion IDs must be unique';
+        }
+
+        for (const criterion of criteria) {
+            const levels = criterion.levels || [];
+            const levelIds = levels.map(l => l.id);
+
+            if (levels.length === 0) {
+                return `Rubric criterion '${criterion.title}' must have at least one level`;
+            }
+
+            if (new Set(levelIds).size !== levelIds.length) {
+                return `Level IDs for criterion '${criterion.title}' must be unique`;
+            }
+        }
     }
 
     return null; // No validation errors
@@ -154,6 +321,23 @@ const processChoices = (choices, correct) => {
     }));
 };
 
+/**
+ * Fisher-Yates shuffle (returns a new array)
+ */
+const shuffle = (arr) => {
+    const result = [...arr];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+/**
+ * Copy choices without the isCorrect flag
+ */
+const pickChoices = (choices) => (choices || []).map(c => ({ id: c.id, text: c.text }));
+
 /**
  * Sanitize question for student view
  * Remove correct answers and sensitive data
@@ -163,12 +347,35 @@ const sanitizeForStudent = (question) => {
 
     // Remove correct answers
     delete questionObj.correct;
+    delete questionObj.shortAnswer;
+    delete questionObj.numericAnswer;
 
     // Remove isCorrect flag from choices
     if (questionObj.choices) {
-        questionObj.choices = questionObj.choices.map(choice => ({
-            id: choice.id,
-            text: choice.text
+        questionObj.choices = pickChoices(questionObj.choices);
+
+        // Authored item order may be the answer
+        if (questionObj.type === 'ordering') {
+            questionObj.choices = shuffle(questionObj.choices);
+        }
+    }
+
+    // Keep only drop-down options for blanks
+    if (questionObj.blanks) {
+        questionObj.blanks = questionObj.blanks.map(blank => ({
+            id: blank.id,
+            options: pickChoices(blank.options)
+        }));
+    }
+
+    // Strip answers from sub-questions
+    if (questionObj.parts) {
+        questionObj.parts = questionObj.parts.map(part => ({
+            id: part.id,
+            prompt: part.prompt,
+            type: part.type,
+            marks: part.marks,
+            choices: pickChoices(part.choices)
         }));
     }
 
@@ -178,10 +385,56 @@ const sanitizeForStudent = (question) => {
     // Remove usage stats
     delete questionObj.timesUsed;
     delete questionObj.averageScore;
+    delete questionObj.itemStats;
+    delete questionObj.responseStats;
+    delete questionObj.calibration;
 
     return questionObj;
 };
 
+/**
+ * Build the snapshot of a question stored in QuizAttempt.selectedQuestions.
+ * Carries only what a student needs to answer it.
+ */
+const buildServedQuestion = (question, { shuffleChoices = false } = {}) => {
+    const served = {
+        question: question._id,
+        prompt: question.prompt,
+        type: question.type,
+        marks: question.marks || 1,
+        choices: pickChoices(question.choices)
+    };
+
+    // Ordering items are always shuffled: their authored order may be the answer
+    if (shuffleChoices || question.type === 'ordering') {
+        served.choices = shuffle(served.choices);
+    }
+
+    if (question.type === 'matching') {
+        served.matchItems = pickChoices(question.matchItems);
+        served.matchOptions = shuffle(pickChoices(question.matchOptions));
+    }
+
+    if (question.type === 'cloze') {
+        served.blanks = (question.blanks || []).map(blank => ({
+            id: blank.id,
+            options: shuffleChoices ? shuffle(pickChoices(blank.options)) : pickChoices(blank.options)
+        }));
+    }
+
+    if (question.type === 'multi_part') {
+        served.parts = (question.parts || []).map(part => ({
+            id: part.id,
+            prompt: part.prompt,
+            type: part.type,
+            marks: part.marks ?? 1,
+            choices: shuffleChoices ? shuffle(pickChoices(part.choices)) : pickChoices(part.choices)
+        }));
+    }
+
+    return served;
+};
+
 /**
  * Check if question is used in any active quiz
  */
@@ -257,32 +510,30 @@ const bulkImportQuestions = async (questions, authorId) => {
 };
 
 /**
- * Get question statistics from attempts
+ * Get question statistics: bank-wide item stats and each quiz's item analysis
  */
 const getQuestionStatistics = async (questionId) => {
     try {
-        const QuizAttempt = require('../models/QuizAttempt');
-
-        const stats = await QuizAttempt.aggregate([
-            { $match: { status: { $in: ['auto_graded', 'submitted'] } } },
-            { $unwind: '$rawAnswers' },
-            { $match: { 'rawAnswers.questionId': mongoose.Types.ObjectId(questionId) } },
-            {
-                $group: {
-                    _id: '$rawAnswers.questionId',
-                    totalAttempts: { $sum: 1 },
-                    averageScore: { $avg: '$rawAnswers.score' },
-                    maxScore: { $max: '$rawAnswers.score' },
-                    minScore: { $min: '$rawAnswers.score' }
-                }
-            }
-        ]);
+        const ItemAnalysis = require('../models/ItemAnalysis');
+
+        const question = await Question.findById(questionId)
+            .select('prompt type difficulty marks timesUsed averageScore itemStats responseStats calibration')
+            .lean();
 
-        if (stats.length === 0) {
+        if (!question) {
             return null;
         }
 
-        return stats[0];
+        // Per-quiz item analysis, newest first
+        const byQuiz = await ItemAnalysis.find({ question: questionId })
+            .populate('quiz', 'title endTime')
+            .sort({ computedAt: -1 })
+            .lean();
+
+        return {
+            ...question,
+            byQuiz
+        };
     } catch (error) {
         throw new Error(`Error fetching question statistics: ${error.message}`);
     }
@@ -297,6 +548,8 @@ module.exports = {
     validateQuestionData,
     processChoices,
     sanitizeForStudent,
+    buildServedQuestion,
+    shuffle,
     isQuestionUsedInActiveQuiz,
     bulkImportQuestions,
     getQuestionStatistics
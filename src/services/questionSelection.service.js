@@ -0,0 +1,245 @@
+// services/questionSelection.service.js
+// Picks the questions for a new attempt. Both start paths (quizzes and
+// attempts controllers) go through selectQuestions so fixed lists, pools,
+// blueprints and sections behave the same everywhere.
+const Question = require('../models/Question');
+const blueprintService = require('./blueprint.service');
+const { shuffle, buildServedQuestion } = require('./question.service');
+
+const DEFAULT_POOL_COUNT = 10;
+
+const toId = (ref) => ref?._id || ref;
+
+/**
+ * Mongo query for a pool filter. Difficulty and tags live at the top
+ * level of Question; the pool subject falls back to the quiz subject.
+ */
+const buildPoolQuery = (filter = {}, { subject, excludeIds = [] } = {}) => {
+    const query = { isActive: true };
+    const poolSubject = toId(filter.subject) || toId(subject);
+
+    if (poolSubject) query.subject = poolSubject;
+    if (filter.difficulty?.length) query.difficulty = { $in: filter.difficulty };
+    if (filter.tags?.length) query.tags = { $in: filter.tags };
+    if (excludeIds.length) query._id = { $nin: excludeIds };
+
+    return query;
+};
+
+/**
+ * Draw a paper from a pool: by blueprint when one is set, otherwise
+ * `count` random questions (fewer if the pool is smaller).
+ * Returns { questions } or { error }.
+ */
+const drawFromPool = async (filter, { subject, targetMarks, excludeIds, session } = {}) => {
+    const pool = await Question.find(buildPoolQuery(filter, { subject, excludeIds }))
+        .session(session || null);
+
+    if (pool.length === 0) {
+        return { error: 'No questions available in the question pool' };
+    }
+
+    if (blueprintService.hasBlueprint(filter)) {
+        return blueprintService.selectByBlueprint(pool, {
+            blueprint: filter.blueprint,
+            count: filter.count,
+            targetMarks
+        });
+    }
+
+    return { questions: shuffle(pool).slice(0, filter.count || DEFAULT_POOL_COUNT) };
+};
+
+/**
+ * Active questions of a fixed list, in list order
+ */
+const loadFixedList = async (questionIds, { session } = {}) => {
+    const questions = await Question.find({
+        _id: { $in: questionIds.map(toId) },
+        isActive: true
+    }).session(session || null);
+
+    const byId = new Map(questions.map(q => [q._id.toString(), q]));
+    return questionIds.map(id => byId.get(toId(id).toString())).filter(Boolean);
+};
+
+/**
+ * Pick the questions for a new attempt, shuffled if the quiz asks for it
+ * (within each section for sectioned quizzes).
+ * Returns { questions: [{ question, section }] } or { error }.
+ */
+const selectQuestions = async (quiz, { session } = {}) => {
+    if (quiz.questionMode === 'fixed_list') {
+        if (!quiz.questionIds || quiz.questionIds.length === 0) {
+            return { error: 'Quiz has no questions configured' };
+        }
+
+        const questions = await loadFixedList(quiz.questionIds, { session });
+        if (questions.length === 0) {
+            return { error: 'No active questions available' };
+        }
+
+        return {
+            questions: (quiz.shuffleQuestions ? shuffle(questions) : questions).map(question => ({ question }))
+        };
+    }
+
+    if (quiz.questionMode === 'pool_random') {
+        const draw = await drawFromPool(quiz.questionPoolFilter || {}, {
+            subject: quiz.subject,
+            targetMarks: quiz.totalMarks,
+            session
+        });
+        if (draw.error) return draw;
+
+        return {
+            questions: (quiz.shuffleQuestions ? shuffle(draw.questions) : draw.questions).map(question => ({ question }))
+        };
+    }
+
+    if (quiz.questionMode === 'sectioned') {
+        const selected = [];
+        const usedIds = [];
+
+        for (const section of quiz.sections || []) {
+            let questions;
+
+            if (section.questionMode === 'pool_random') {
+                // Pool sections never repeat a question drawn for an earlier section
+                const draw = await drawFromPool(section.questionPoolFilter || {}, {
+                    subject: quiz.subject,
+                    excludeIds: usedIds,
+                    session
+                });
+                questions = draw.questions || [];
+            } else {
+                questions = await loadFixedList(section.questionIds || [], { session });
+            }
+
+            if (questions.length === 0) {
+                return { error: `Section '${section.title}' has no active questions` };
+            }
+
+            usedIds.push(...questions.map(q => q._id));
+            selected.push(
+                ...(quiz.shuffleQuestions ? shuffle(questions) : questions)
+                    .map(question => ({ question, section: section._id }))
+            );
+        }
+
+        return { questions: selected };
+    }
+
+    if (quiz.questionMode === 'adaptive') {
+        // Served one at a time as the attempt goes (adaptive.service)
+        return { questions: [] };
+    }
+
+    return { error: 'Quiz has no question source configured' };
+};
+
+/**
+ * The snapshot an attempt keeps of its selection: the served questions
+ * (without answer keys), their order and marks, and the attempt's maximum
+ * score. Grading only counts the questions served here.
+ */
+const buildAttemptQuestions = (selection, quiz) => {
+    const selectedQuestions = selection.questions.map(({ question, section }) => ({
+        ...buildServedQuestion(question, { shuffleChoices: quiz.shuffleChoices }),
+        ...(section && { section })
+    }));
+
+    return {
+        selectedQuestions,
+        questionsServed: selectedQuestions.map((q, idx) => ({
+            question: q.question,
+            orderIndex: idx,
+            marks: q.marks
+        })),
+        maxScore: selectedQuestions.reduce((sum, q) => sum + (q.marks || 1), 0)
+    };
+};
+
+/**
+ * Publish-time check that the bank can satisfy a pool quiz's blueprint.
+ * Returns a list of problems (empty when the blueprint can be met).
+ */
+const checkQuizBlueprint = async (quiz) => {
+    const filter = quiz.questionPoolFilter;
+
+    if (!blueprintService.hasBlueprint(filter)) return [];
+
+    const staticError = blueprintService.validateBlueprint(filter.blueprint, filter.count);
+    if (staticError) return [staticError];
+
+    if (filter.blueprint.balanceMarks && !(quiz.totalMarks > 0)) {
+        return ['Total marks must be set to balance marks across papers'];
+    }
+
+    const candidates = await Question.find(buildPoolQuery(filter, { subject: quiz.subject }))
+        .select('marks difficulty topic tags')
+        .lean();
+
+    const result = blueprintService.selectByBlueprint(candidates, {
+        blueprint: filter.blueprint,
+        count: filter.count,
+        targetMarks: quiz.totalMarks
+    });
+
+    return result.error ? [result.error] : [];
+};
+
+/**
+ * What a pool filter matches: totals by difficulty and topic plus a sample
+ * paper drawn the same way startQuiz would
+ */
+const previewPool = async (filter = {}, { subject, targetMarks } = {}) => {
+    const query = buildPoolQuery(filter, { subject });
+
+    const [breakdown] = await Question.aggregate([
+        { $match: query },
+        {
+            $facet: {
+                total: [{ $count: 'count' }],
+                byDifficulty: [
+                    { $group: { _id: '$difficulty', count: { $sum: 1 }, marks: { $sum: '$marks' } } },
+                    { $sort: { _id: 1 } }
+                ],
+                byTopic: [
+                    { $group: { _id: { $ifNull: ['$topic', null] }, count: { $sum: 1 } } },
+                    { $sort: { count: -1 } }
+                ]
+            }
+        }
+    ]);
+
+    const draw = await drawFromPool(filter, { subject, targetMarks });
+    const sample = (draw.questions || []).map(q => ({
+        _id: q._id,
+        prompt: q.prompt,
+        type: q.type,
+        difficulty: q.difficulty,
+        topic: q.topic,
+        tags: q.tags,
+        marks: q.marks
+    }));
+
+    return {
+        matchCount: breakdown.total[0]?.count || 0,
+        paperSize: filter.count || DEFAULT_POOL_COUNT,
+        byDifficulty: breakdown.byDifficulty.map(d => ({ difficulty: d._id, count: d.count, marks: d.marks })),
+        byTopic: breakdown.byTopic.map(t => ({ topic: t._id, count: t.count })),
+        sample,
+        sampleMarks: sample.reduce((sum, q) => sum + (q.marks || 1), 0),
+        ...(draw.error && { sampleError: draw.error })
+    };
+};
+
+module.exports = {
+    buildPoolQuery,
+    drawFromPool,
+    selectQuestions,
+    buildAttemptQuestions,
+    checkQuizBlueprint,
+    previewPool
+};
@@ -0,0 +1,427 @@
+// services/quizStatistics.service.js
+// Quiz statistics and attempt listings computed in MongoDB aggregations,
+// so a quiz with many attempts is never loaded into memory.
+const mongoose = require('mongoose');
+const QuizAttempt = require('../models/QuizAttempt');
+const User = require('../models/User');
+const { gradedFilter } = require('../models/QuizAttempt');
+const { SCORE_RANGES } = require('./attemptStats.service');
+
+// Attempts counted in score statistics
+const COMPLETED_STATUSES = ['submitted', 'auto_graded', 'manually_graded', 'timeout'];
+
+// Attempt fields shown in trainer listings; answers and results stay out
+const ATTEMPT_LIST_FIELDS = {
+    user: 1,
+    attemptNumber: 1,
+    status: 1,
+    startTime: 1,
+    endTime: 1,
+    timeSpentSeconds: 1,
+    totalScore: 1,
+    maxScore: 1,
+    percentage: 1,
+    passed: 1,
+    grade: 1,
+    correctCount: 1,
+    wrongCount: 1,
+    unansweredCount: 1,
+    isAutoSubmit: 1,
+    isFlagged: 1,
+    tabSwitches: 1,
+    grading: 1,
+    createdAt: 1
+};
+
+const toObjectId = (id) => (id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(id));
+
+const PERCENTILES = [10, 25, 50, 75, 90];
+
+const round = (value) =>
+    value === null || value === undefined ? value : Math.round(value * 1000) / 1000;
+
+// Population variance from a running sum and sum of squares
+const variance = (sum, sumSq, n) => (n > 0 ? Math.max(0, sumSq / n - (sum / n) ** 2) : 0);
+
+/**
+ * Graded attempts matching `match` (e.g. one quiz), one document per question
+ * result, carrying the effective score (a manual grade overrides the
+ * automatic one). Voided questions are left out.
+ */
+const itemScoreStages = (match) => [
+    { $match: { ...match, ...gradedFilter() } },
+    { $project: { quiz: 1, user: 1, autoGradeResult: 1, manualGradeResult: 1 } },
+    { $unwind: '$autoGradeResult' },
+    { $match: { 'autoGradeResult.disposition': { $ne: 'void' } } },
+    {
+        $project: {
+            quiz: 1,
+            user: 1,
+            questionId: '$autoGradeResult.questionId',
+            maxScore: { $ifNull: ['$autoGradeResult.maxScore', 1] },
+            score: {
+                $let: {
+                    vars: {
+                        manual: {
+                            $arrayElemAt: [{
+                                $filter: {
+                                    input: { $ifNull: ['$manualGradeResult', []] },
+                                    cond: { $eq: ['$$this.questionId', '$autoGradeResult.questionId'] }
+                                }
+                            }, 0]
+                        }
+                    },
+                    in: { $ifNull: ['$$manual.score', { $ifNull: ['$autoGradeResult.score', 0] }] }
+                }
+            }
+        }
+    }
+];
+
+/**
+ * Per-question score moments and the number of graded attempts
+ */
+const getItemMoments = async (quizId) => {
+    const [result] = await QuizAttempt.aggregate([
+        {
+            $facet: {
+                attempts: [
+                    { $match: { quiz: quizId, ...gradedFilter() } },
+                    { $count: 'count' }
+                ],
+                items: [
+                    ...itemScoreStages({ quiz: quizId }),
+                    {
+                        $group: {
+                            _id: '$questionId',
+                            n: { $sum: 1 },
+                            sum: { $sum: '$score' },
+                            sumSq: { $sum: { $multiply: ['$score', '$score'] } },
+                            // Scored other than 0 or full marks: not a right/wrong item
+                            graded: {
+                                $sum: { $cond: [{ $in: ['$score', [0, '$maxScore']] }, 0, 1] }
+                            }
+                        }
+                    }
+                ]
+            }
+        }
+    ]);
+
+    return {
+        attemptCount: result.attempts[0]?.count || 0,
+        items: result.items
+    };
+};
+
+/**
+ * Mean and variance of each attempt's total over the given questions
+ */
+const getTotalMoments = async (quizId, questionIds) => {
+    const [result] = await QuizAttempt.aggregate([
+        ...itemScoreStages({ quiz: quizId }),
+        { $match: { questionId: { $in: questionIds } } },
+        { $group: { _id: '$_id', total: { $sum: '$score' } } },
+        {
+            $group: {
+                _id: null,
+                n: { $sum: 1 },
+                sum: { $sum: '$total' },
+                sumSq: { $sum: { $multiply: ['$total', '$total'] } }
+            }
+        }
+    ]);
+
+    return result || { n: 0, sum: 0, sumSq: 0 };
+};
+
+/**
+ * Nearest-rank percentiles of attempt percentages
+ */
+const getPercentiles = async (quizId, attemptCount) => {
+    if (attemptCount === 0) return [];
+
+    const ranks = PERCENTILES.map(p => Math.max(1, Math.ceil((p / 100) * attemptCount)));
+
+    const rows = await QuizAttempt.aggregate([
+        { $match: { quiz: quizId, ...gradedFilter() } },
+        {
+            $setWindowFields: {
+                sortBy: { percentage: 1 },
+                output: { rank: { $documentNumber: {} } }
+            }
+        },
+        { $match: { rank: { $in: ranks } } },
+        { $project: { _id: 0, rank: 1, percentage: 1 } }
+    ]);
+
+    const byRank = new Map(rows.map(r => [r.rank, r.percentage]));
+
+    return PERCENTILES.map((p, idx) => ({
+        percentile: p,
+        percentage: round(byRank.get(ranks[idx]) ?? null)
+    }));
+};
+
+/**
+ * Internal-consistency reliability of a quiz: KR-20 when every item is
+ * scored right/wrong, Cronbach's alpha otherwise, with the standard error
+ * of measurement and score percentiles.
+ *
+ * Reliability needs every student to answer the same items, so for pool,
+ * sectioned-pool and adaptive quizzes only the items common to all graded
+ * attempts are used.
+ */
+const getReliability = async (quiz) => {
+    const { attemptCount, items } = await getItemMoments(quiz._id);
+    const common = items.filter(i => i.n === attemptCount);
+
+    const base = {
+        attemptCount,
+        itemCount: common.length,
+        excludedItemCount: items.length - common.length,
+        percentiles: await getPercentiles(quiz._id, attemptCount)
+    };
+
+    if (attemptCount < 2 || common.length < 2) {
+        return {
+            ...base,
+            method: null,
+            reliability: null,
+            reason: attemptCount < 2
+                ? 'At least two graded attempts are needed'
+                : 'At least two questions answered in every attempt are needed'
+        };
+    }
+
+    const totals = await getTotalMoments(quiz._id, common.map(i => i._id));
+    const totalVariance = variance(totals.sum, totals.sumSq, totals.n);
+    const itemVariance = common.reduce((sum, i) => sum + variance(i.sum, i.sumSq, i.n), 0);
+
+    const k = common.length;
+    const dichotomous = common.every(i => i.graded === 0);
+    const reliability = totalVariance > 0
+        ? (k / (k - 1)) * (1 - itemVariance / totalVariance)
+        : null;
+
+    const standardDeviation = Math.sqrt(totalVariance);
+
+    return {
+        ...base,
+        method: dichotomous ? 'kr20' : 'cronbach_alpha',
+        reliability: round(reliability),
+        meanScore: round(totals.sum / totals.n),
+        standardDeviation: round(standardDeviation),
+        // Negative reliability means no consistency; SEM is then the whole spread
+        standardErrorOfMeasurement: reliability === null
+            ? null
+            : round(standardDeviation * Math.sqrt(1 - Math.max(0, Math.min(1, reliability)))),
+        ...(totalVariance === 0 && { reason: 'Every attempt has the same score' })
+    };
+};
+
+/**
+ * Median of a field over matching attempts (mean of the two middle values
+ * for an even count)
+ */
+const getMedian = async (match, field) => {
+    const count = await QuizAttempt.countDocuments(match);
+    if (count === 0) return 0;
+
+    const ranks = [Math.floor((count + 1) / 2), Math.ceil((count + 1) / 2)];
+
+    const rows = await QuizAttempt.aggregate([
+        { $match: match },
+        {
+            $setWindowFields: {
+                sortBy: { [field]: 1 },
+                output: { rank: { $documentNumber: {} } }
+            }
+        },
+        { $match: { rank: { $in: ranks } } },
+        { $project: { _id: 0, value: { $ifNull: [`$${field}`, 0] } } }
+    ]);
+
+    return rows.reduce((sum, r) => sum + r.value, 0) / rows.length;
+};
+
+/**
+ * Enrollment, attempt, score, timing and anti-cheat figures for a quiz
+ * in one $facet pass
+ */
+const getQuizOverview = async (quizId) => {
+    const quiz = toObjectId(quizId);
+
+    const [result] = await QuizAttempt.aggregate([
+        { $match: { quiz } },
+        {
+            $facet: {
+                attempts: [
+                    {
+                        $group: {
+                            _id: null,
+                            total: { $sum: 1 },
+                            inProgress: { $sum: { $cond: [{ $eq: ['$status', 'in_progress'] }, 1, 0] } },
+                            flagged: { $sum: { $cond: ['$isFlagged', 1, 0] } },
+                            averageTabSwitches: { $avg: { $ifNull: ['$tabSwitches', 0] } }
+                        }
+                    }
+                ],
+                students: [
+                    { $group: { _id: '$user' } },
+                    { $count: 'count' }
+                ],
+                completed: [
+                    { $match: { status: { $in: COMPLETED_STATUSES } } },
+                    {
+                        $group: {
+                            _id: null,
+                            count: { $sum: 1 },
+                            averageScore: { $avg: { $ifNull: ['$totalScore', 0] } },
+                            highest: { $max: { $ifNull: ['$totalScore', 0] } },
+                            lowest: { $min: { $ifNull: ['$totalScore', 0] } },
+                            passed: { $sum: { $cond: ['$passed', 1, 0] } },
+                            averagePercentage: { $avg: { $ifNull: ['$percentage', 0] } },
+                            averageTimeSpent: { $avg: { $ifNull: ['$timeSpentSeconds', 0] } }
+                        }
+                    }
+                ],
+                distribution: [
+                    { $match: { status: { $in: COMPLETED_STATUSES }, percentage: { $ne: null } } },
+                    {
+                        $group: {
+                            _id: {
+                                $switch: {
+                                    branches: SCORE_RANGES.filter(r => r.below).map(r => ({
+                                        case: { $lt: ['$percentage', r.below] },
+                                        then: r.label
+                                    })),
+                                    default: SCORE_RANGES[SCORE_RANGES.length - 1].label
+                                }
+                            },
+                            count: { $sum: 1 }
+                        }
+                    }
+                ]
+            }
+        }
+    ]);
+
+    const attempts = result.attempts[0] || { total: 0, inProgress: 0, flagged: 0, averageTabSwitches: 0 };
+    const completed = result.completed[0] || {
+        count: 0, averageScore: 0, highest: 0, lowest: 0, passed: 0, averagePercentage: 0, averageTimeSpent: 0
+    };
+    const buckets = new Map(result.distribution.map(d => [d._id, d.count]));
+
+    return {
+        attemptedStudents: result.students[0]?.count || 0,
+        attempts,
+        completed,
+        median: await getMedian({ quiz, status: { $in: COMPLETED_STATUSES } }, 'totalScore'),
+        distribution: SCORE_RANGES.map(r => ({ label: r.label, count: buckets.get(r.label) || 0 }))
+    };
+};
+
+/**
+ * $facet branches for one page of attempts (with the student joined in)
+ * and the total count of the filter
+ */
+const attemptPageFacet = (filter, { page, limit, userFields }) => ({
+    attempts: [
+        { $match: filter },
+        { $sort: { startTime: -1 } },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        { $project: ATTEMPT_LIST_FIELDS },
+        {
+            $lookup: {
+                from: User.collection.name,
+                localField: 'user',
+                foreignField: '_id',
+                pipeline: [{ $project: userFields }],
+                as: 'user'
+            }
+        },
+        { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } }
+    ],
+    total: [
+        { $match: filter },
+        { $count: 'count' }
+    ]
+});
+
+const buildAttemptFilter = (quizId, { status, userIds }) => {
+    const filter = { quiz: toObjectId(quizId) };
+    if (status) filter.status = status;
+    if (userIds) filter.user = { $in: userIds.map(toObjectId) };
+    return filter;
+};
+
+/**
+ * A page of a quiz's attempts, newest first
+ */
+const listQuizResults = async (quizId, { page = 1, limit = 20, status, userId } = {}) => {
+    const filter = buildAttemptFilter(quizId, { status, userIds: userId ? [userId] : undefined });
+
+    const [result] = await QuizAttempt.aggregate([
+        { $match: filter },
+        { $facet: attemptPageFacet(filter, { page, limit, userFields: { name: 1, email: 1 } }) }
+    ]);
+
+    return {
+        attempts: result.attempts,
+        total: result.total[0]?.count || 0
+    };
+};
+
+/**
+ * A page of a quiz's attempts plus status counts over all of them
+ */
+const listQuizAttempts = async (quizId, { page = 1, limit = 20, status, userIds } = {}) => {
+    const quiz = toObjectId(quizId);
+    const filter = buildAttemptFilter(quizId, { status, userIds });
+
+    const [result] = await QuizAttempt.aggregate([
+        { $match: { quiz } },
+        {
+            $facet: {
+                ...attemptPageFacet(filter, {
+                    page,
+                    limit,
+                    userFields: { name: 1, email: 1, registrationNumber: 1, semester: 1, department: 1 }
+                }),
+                summary: [
+                    {
+                        $group: {
+                            _id: null,
+                            total: { $sum: 1 },
+                            inProgress: { $sum: { $cond: [{ $eq: ['$status', 'in_progress'] }, 1, 0] } },
+                            submitted: { $sum: { $cond: [{ $eq: ['$status', 'submitted'] }, 1, 0] } },
+                            graded: {
+                                $sum: { $cond: [{ $in: ['$status', ['auto_graded', 'manually_graded']] }, 1, 0] }
+                            },
+                            flagged: { $sum: { $cond: [{ $eq: ['$status', 'flagged'] }, 1, 0] } },
+                            averageScore: { $avg: { $ifNull: ['$totalScore', 0] } }
+                        }
+                    },
+                    { $project: { _id: 0 } }
+                ]
+            }
+        }
+    ]);
+
+    return {
+        attempts: result.attempts,
+        total: result.total[0]?.count || 0,
+        summary: result.summary[0] || { total: 0, inProgress: 0, submitted: 0, graded: 0, flagged: 0, averageScore: 0 }
+    };
+};
+
+module.exports = {
+    itemScoreStages,
+    getPercentiles,
+    getReliability,
+    getQuizOverview,
+    listQuizResults,
+    listQuizAttempts
+};
@@ -0,0 +1,291 @@
+// services/regrade.service.js
+// Re-run grading for already graded attempts after an answer-key fix.
+const mongoose = require('mongoose');
+const QuizAttempt = require('../models/QuizAttempt');
+const { gradedFilter } = require('../models/QuizAttempt');
+const gradingService = require('./grading.service');
+const adaptiveService = require('./adaptive.service');
+const { syncAttemptStats } = require('./attemptStats.service');
+const logger = require('../config/logger');
+
+const SNAPSHOT_FIELDS = [
+    'status', 'totalScore', 'maxScore', 'excludedMarks', 'percentage', 'passed',
+    'correctCount', 'wrongCount', 'partialCount', 'unansweredCount'
+];
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Copy of the attempt's current result, kept for audit
+ */
+const snapshotResult = (attempt) => {
+    const snapshot = {};
+    for (const field of SNAPSHOT_FIELDS) {
+        snapshot[field] = attempt[field];
+    }
+    snapshot.autoGradeResult = attempt.autoGradeResult.map(r => r.toObject ? r.toObject() : r);
+    return snapshot;
+};
+
+/**
+ * Status after a regrade: newly pending questions reopen manual review,
+ * flagged attempts stay flagged
+ */
+const resolveRegradeStatus = (attempt, grading) => {
+    if (attempt.status === 'flagged') return 'flagged';
+    if (grading.needsManualReview) return 'needs_manual_review';
+    if (attempt.status === 'timeout') return 'timeout';
+    return attempt.status === 'manually_graded' ? 'manually_graded' : 'auto_graded';
+};
+
+/**
+ * Grade an attempt again from its saved answers.
+ * With `questionId`, only that question's result is replaced.
+ */
+const regradeAttempt = async (attempt, quiz, { questionId } = {}) => {
+    const fresh = await gradingService.gradeAttempt(attempt, quiz);
+
+    const results = questionId
+        ? attempt.autoGradeResult.map(existing => {
+            if (existing.questionId.toString() !== questionId.toString()) {
+                return existing.toObject ? existing.toObject() : existing;
+            }
+            return fresh.results.find(r => r.questionId.toString() === questionId.toString()) || existing.toObject();
+        })
+        : fresh.results;
+
+    const summary = gradingService.summarizeResults(results, attempt.manualGradeResult);
+
+    return {
+        results,
+        ...summary,
+        needsManualReview: summary.pendingCount > 0
+    };
+};
+
+/**
+ * Questions whose score or disposition changed between two result sets
+ */
+const getChangedQuestions = (before, after) => {
+    const previous = new Map(before.map(r => [r.questionId.toString(), r]));
+
+    return after
+        .filter(r => {
+            const old = previous.get(r.questionId.toString());
+            return round(old?.score) !== round(r.score) || (old?.disposition || null) !== (r.disposition || null);
+        })
+        .map(r => ({
+            questionId: r.questionId,
+            previousScore: previous.get(r.questionId.toString())?.score ?? null,
+            newScore: r.score,
+            ...(r.disposition && { disposition: r.disposition })
+        }));
+};
+
+const hasChanged = (entry) =>
+    entry.delta !== 0 ||
+    entry.previousMaxScore !== entry.newMaxScore ||
+    entry.changedQuestions.length > 0;
+
+/**
+ * Save one regraded attempt and its stats change together. Each attempt
+ * commits on its own, so a large cohort never outgrows one transaction.
+ */
+const saveRegradedAttempt = async (attempt) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        await attempt.save({ session });
+        await syncAttemptStats(attempt, { session });
+        await session.commitTransaction();
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * Regrade the matching attempts and build the per-student report.
+ * Dry runs grade in memory only; the attempts are never saved. Otherwise
+ * each changed attempt is saved as it goes; one that fails to save is
+ * reported and left as it was.
+ */
+const regradeAttempts = async (quiz, { questionId, dryRun, regradedBy, reason }) => {
+    const filter = {
+        quiz: quiz._id,
+        $and: [
+            gradedFilter(),
+            // Attempts without a served snapshot cannot be graded again
+            {
+                $or: [
+                    { 'selectedQuestions.0': { $exists: true } },
+                    { 'questionsServed.0': { $exists: true } }
+                ]
+            }
+        ]
+    };
+
+    if (questionId) {
+        filter['autoGradeResult.questionId'] = questionId;
+    }
+
+    const cursor = QuizAttempt.find(filter)
+        .populate('user', 'name email')
+        .cursor();
+
+    const report = [];
+
+    for await (const attempt of cursor) {
+        const grading = await regradeAttempt(attempt, quiz, { questionId });
+        const previous = snapshotResult(attempt);
+
+        gradingService.applyGrading(attempt, quiz, grading);
+        adaptiveService.rescoreHistory(attempt, quiz, grading.results);
+
+        const entry = {
+            attemptId: attempt._id,
+            student: attempt.user,
+            previousScore: previous.totalScore,
+            newScore: attempt.totalScore,
+            delta: round(attempt.totalScore - (previous.totalScore || 0)),
+            previousMaxScore: previous.maxScore,
+            newMaxScore: attempt.maxScore,
+            previousPercentage: previous.percentage,
+            newPercentage: attempt.percentage,
+            previousPassed: previous.passed,
+            newPassed: attempt.passed,
+            changedQuestions: getChangedQuestions(previous.autoGradeResult, grading.results)
+        };
+        report.push(entry);
+
+        if (dryRun || !hasChanged(entry)) {
+            continue;
+        }
+
+        attempt.regradeHistory.push({
+            regradedAt: new Date(),
+            regradedBy,
+            reason,
+            questionId,
+            previous
+        });
+        attempt.status = resolveRegradeStatus(attempt, grading);
+
+        try {
+            await saveRegradedAttempt(attempt);
+        } catch (error) {
+            logger.error(`Regrade of attempt ${attempt._id} failed:`, error);
+            entry.failed = true;
+        }
+    }
+
+    return report;
+};
+
+const summarizeReport = (report, { dryRun, questionId }) => ({
+    dryRun,
+    questionId: questionId || null,
+    attemptsChecked: report.length,
+    attemptsChanged: report.filter(r => hasChanged(r) && !r.failed).length,
+    attemptsFailed: report.filter(r => r.failed).length,
+    passChanges: report.filter(r => r.previousPassed !== r.newPassed).length,
+    report
+});
+
+/**
+ * Regrade every graded attempt of a quiz, or only those containing `questionId`.
+ * A dry run reports each student's score change without saving anything.
+ */
+const regradeQuiz = async (quiz, { questionId, dryRun = false, regradedBy, reason } = {}) => {
+    const report = await regradeAttempts(quiz, { questionId, dryRun, regradedBy, reason });
+    const result = summarizeReport(report, { dryRun, questionId });
+
+    if (!dryRun) {
+        logger.info(`Quiz ${quiz._id} regraded${questionId ? ` for question ${questionId}` : ''}: ${result.attemptsChanged}/${result.attemptsChecked} attempts changed, ${result.attemptsFailed} failed`);
+    }
+
+    return result;
+};
+
+const isExcluded = (disposition) => disposition === 'void' || disposition === 'bonus';
+
+/**
+ * Set (or clear, with a null disposition) how a question counts on a quiz,
+ * then regrade every attempt that was served it.
+ *
+ * Fixed-list quizzes also move the question's marks in or out of totalMarks.
+ * Pool quizzes keep their nominal totalMarks; each attempt's maxScore is
+ * adjusted instead, since not every attempt draws the question.
+ */
+const setQuestionDisposition = async (quiz, question, { disposition, reason, appliedBy, dryRun = false }) => {
+    const questionId = question._id;
+    const index = quiz.questionDispositions.findIndex(d => d.questionId.toString() === questionId.toString());
+    const existing = index >= 0 ? quiz.questionDispositions[index] : null;
+    const previousDisposition = existing ? existing.disposition : null;
+    const marks = question.marks || 1;
+
+    const inFixedList = quiz.questionMode === 'fixed_list' &&
+        quiz.questionIds.some(id => id.toString() === questionId.toString());
+
+    if (inFixedList) {
+        if (isExcluded(previousDisposition) && !isExcluded(disposition)) {
+            quiz.totalMarks = (quiz.totalMarks || 0) + (existing.marks ?? marks);
+        } else if (!isExcluded(previousDisposition) && isExcluded(disposition)) {
+            quiz.totalMarks = Math.max(0, (quiz.totalMarks || 0) - marks);
+        }
+    }
+
+    if (index >= 0) {
+        quiz.questionDispositions.splice(index, 1);
+    }
+
+    if (disposition) {
+        quiz.questionDispositions.push({
+            questionId,
+            disposition,
+            marks: isExcluded(previousDisposition) && isExcluded(disposition) ? (existing.marks ?? marks) : marks,
+            reason,
+            appliedBy,
+            appliedAt: new Date()
+        });
+    }
+
+    const auditReason = reason
+        ? `Question disposition ${disposition || 'cleared'}: ${reason}`
+        : `Question disposition ${disposition || 'cleared'}`;
+
+    // Dry runs grade against the modified quiz in memory; nothing is saved
+    if (dryRun) {
+        const report = await regradeAttempts(quiz, { questionId, dryRun });
+        return {
+            disposition,
+            previousDisposition,
+            totalMarks: quiz.totalMarks,
+            ...summarizeReport(report, { dryRun, questionId })
+        };
+    }
+
+    // The disposition is saved first; a regrade that fails part way can be re-run
+    await quiz.save();
+    const report = await regradeAttempts(quiz, { questionId, dryRun, regradedBy: appliedBy, reason: auditReason });
+
+    const result = summarizeReport(report, { dryRun, questionId });
+
+    logger.info(`Quiz ${quiz._id} question ${questionId} disposition ${previousDisposition || 'none'} -> ${disposition || 'none'}: ${result.attemptsChanged} attempts changed`);
+
+    return {
+        disposition,
+        previousDisposition,
+        totalMarks: quiz.totalMarks,
+        ...result
+    };
+};
+
+module.exports = {
+    regradeAttempt,
+    regradeQuiz,
+    setQuestionDisposition
+};
@@ -0,0 +1,242 @@
+// services/section.service.js
+// Sectioned quizzes: configuration checks and server-side section timing
+// (questions are drawn by questionSelection.service). Sections are taken
+// in order; once a section is locked its answers can no longer change.
+const Question = require('../models/Question');
+
+const GRACE_PERIOD_MS = 30000; // Same grace as quiz submission
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+const isSectioned = (attempt) => (attempt.sections || []).length > 0;
+
+/**
+ * Validate section configuration against the quiz duration.
+ * Returns an error message, or null when valid.
+ */
+const validateSections = (sections, durationMinutes) => {
+    if (!Array.isArray(sections) || sections.length === 0) {
+        return 'Sectioned quizzes need at least one section';
+    }
+
+    const seen = new Set();
+
+    for (const section of sections) {
+        const mode = section.questionMode || 'fixed_list';
+
+        if (mode === 'fixed_list') {
+            if (!section.questionIds || section.questionIds.length === 0) {
+                return `Section '${section.title}' needs at least one question`;
+            }
+
+            for (const id of section.questionIds) {
+                if (seen.has(id.toString())) {
+                    return `Question ${id} appears in more than one section`;
+                }
+                seen.add(id.toString());
+            }
+        }
+
+        if (mode === 'pool_random' && !(section.questionPoolFilter?.count >= 1)) {
+            return `Section '${section.title}' needs a question pool count`;
+        }
+    }
+
+    const timedMinutes = sections.reduce((sum, s) => sum + (s.durationMinutes || 0), 0);
+    if (durationMinutes && timedMinutes > durationMinutes) {
+        return `Section time limits (${timedMinutes} min) exceed the quiz duration (${durationMinutes} min)`;
+    }
+
+    return null;
+};
+
+/**
+ * Check fixed-list section questions exist and work out the quiz's total marks.
+ * Pool sections count one mark per question, as pool quizzes do.
+ * Returns { totalMarks } or { error }.
+ */
+const calculateSectionMarks = async (sections, { session } = {}) => {
+    let totalMarks = 0;
+
+    for (const section of sections) {
+        if ((section.questionMode || 'fixed_list') === 'pool_random') {
+            totalMarks += section.questionPoolFilter?.count || 10;
+            continue;
+        }
+
+        const questions = await Question.find({
+            _id: { $in: section.questionIds }
+        }).select('marks').session(session || null);
+
+        if (questions.length !== section.questionIds.length) {
+            return { error: `Some question IDs in section '${section.title}' are invalid` };
+        }
+
+        totalMarks += questions.reduce((sum, q) => sum + (q.marks || 1), 0);
+    }
+
+    return { totalMarks };
+};
+
+/**
+ * Initial section progress for a new attempt; the first section starts with it
+ */
+const initSectionProgress = (quiz, startTime, timeFactor = 1) =>
+    quiz.sections.map((section, idx) => ({
+        sectionId: section._id,
+        title: section.title,
+        // Stretched for students with extra time
+        durationMinutes: section.durationMinutes && section.durationMinutes * timeFactor,
+        passingMarks: section.passingMarks || 0,
+        startedAt: idx === 0 ? startTime : undefined
+    }));
+
+/**
+ * When the section's own time limit runs out, or null if it is untimed
+ */
+const getSectionDeadline = (progress) => {
+    if (!progress?.startedAt || !progress.durationMinutes) return null;
+    return new Date(new Date(progress.startedAt).getTime() + progress.durationMinutes * 60 * 1000);
+};
+
+const moveToNextSection = (attempt, at) => {
+    attempt.sections[attempt.currentSection].lockedAt = at;
+    attempt.currentSection += 1;
+
+    const next = attempt.sections[attempt.currentSection];
+    if (next) next.startedAt = at;
+};
+
+/**
+ * Lock sections whose time ran out, starting the next one at the moment the
+ * previous expired. Returns true when the attempt changed.
+ */
+const syncSections = (attempt, now = new Date()) => {
+    if (!isSectioned(attempt)) return false;
+
+    // Section clocks stop while the attempt is paused
+    if (attempt.pausedAt && attempt.pausedAt < now) now = attempt.pausedAt;
+
+    let changed = false;
+    let current = attempt.sections[attempt.currentSection];
+
+    while (current && !current.lockedAt) {
+        const deadline = getSectionDeadline(current);
+        if (!deadline || now.getTime() <= deadline.getTime() + GRACE_PERIOD_MS) break;
+
+        moveToNextSection(attempt, deadline);
+        changed = true;
+        current = attempt.sections[attempt.currentSection];
+    }
+
+    return changed;
+};
+
+/**
+ * Student finishes the current section early.
+ * Returns an error message, or null on success.
+ */
+const advanceSection = (attempt, now = new Date()) => {
+    syncSections(attempt, now);
+
+    if (attempt.currentSection >= attempt.sections.length - 1) {
+        return 'This is the last section; submit the quiz to finish';
+    }
+
+    moveToNextSection(attempt, now);
+    return null;
+};
+
+/**
+ * Lock whatever section is still open (on submission)
+ */
+const lockOpenSection = (attempt, now = new Date()) => {
+    const current = (attempt.sections || [])[attempt.currentSection];
+    if (current && !current.lockedAt) current.lockedAt = now;
+};
+
+/**
+ * Give the open section extra time (the trainer extending the attempt, or
+ * time spent paused)
+ */
+const extendOpenSection = (attempt, seconds) => {
+    const current = (attempt.sections || [])[attempt.currentSection];
+    if (current && !current.lockedAt && current.durationMinutes) {
+        current.durationMinutes += seconds / 60;
+    }
+};
+
+const getSectionQuestionIds = (attempt, sectionId) =>
+    (attempt.selectedQuestions || [])
+        .filter(sq => sameId(sq.section, sectionId))
+        .map(sq => sq.question.toString());
+
+/**
+ * Split submitted answers into those for the open section and the rest.
+ * Non-sectioned attempts accept answers to any question they were served.
+ */
+const filterOpenAnswers = (attempt, answers) => {
+    let openIds;
+
+    if (!isSectioned(attempt)) {
+        openIds = new Set((attempt.selectedQuestions || []).map(sq => sq.question.toString()));
+    } else {
+        const current = attempt.sections[attempt.currentSection];
+        openIds = new Set(current && !current.lockedAt ? getSectionQuestionIds(attempt, current.sectionId) : []);
+    }
+
+    return {
+        accepted: answers.filter(a => openIds.has(a.questionId.toString())),
+        rejected: answers.filter(a => !openIds.has(a.questionId.toString())).map(a => a.questionId)
+    };
+};
+
+/**
+ * Questions the student may see: those of sections already started
+ */
+const getVisibleQuestions = (attempt) => {
+    if (!isSectioned(attempt)) return attempt.selectedQuestions || [];
+
+    const started = new Set(
+        attempt.sections.filter(s => s.startedAt).map(s => s.sectionId.toString())
+    );
+    return (attempt.selectedQuestions || []).filter(sq => sq.section && started.has(sq.section.toString()));
+};
+
+/**
+ * Current section summary for the student, or null for non-sectioned attempts
+ */
+const describeCurrentSection = (attempt, now = new Date()) => {
+    if (!isSectioned(attempt)) return null;
+
+    const current = attempt.sections[attempt.currentSection];
+    if (!current) return null;
+
+    const deadline = getSectionDeadline(current);
+
+    return {
+        index: attempt.currentSection,
+        sectionId: current.sectionId,
+        title: current.title,
+        startedAt: current.startedAt,
+        durationMinutes: current.durationMinutes,
+        timeRemaining: deadline ? Math.max(0, Math.floor((deadline - now) / 1000)) : null,
+        isLast: attempt.currentSection === attempt.sections.length - 1,
+        totalSections: attempt.sections.length
+    };
+};
+
+module.exports = {
+    isSectioned,
+    validateSections,
+    calculateSectionMarks,
+    initSectionProgress,
+    getSectionDeadline,
+    syncSections,
+    advanceSection,
+    lockOpenSection,
+    extendOpenSection,
+    filterOpenAnswers,
+    getVisibleQuestions,
+    describeCurrentSection
+};
@@ -0,0 +1,314 @@
+// sockets/attempt.socket.js
+// Live channel for students taking a quiz ('/attempts' namespace). The
+// server clock drives the countdown, and answers and anti-cheat events
+// arrive without HTTP round trips. Each attempt has its own room, so the
+// server can push a forced submission (time up, or the trainer ending the
+// quiz) to every tab the student has open.
+//
+// Client -> server (each takes an ack callback):
+//   attempt:join     { attemptId }             -> the server's view of the attempt
+//   attempt:autosave { answers }               -> savedAt, rejectedQuestionIds
+//   attempt:event    { eventType, meta }       -> tabSwitches
+// Server -> client:
+//   attempt:tick      { timeRemaining, paused, serverTime }
+//   attempt:clock     { change, deadline, timeRemaining, paused, serverTime }
+//   attempt:warning   { message, at }
+//   attempt:submitted { attemptId, reason, submittedAt }
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const attemptSession = require('../services/attemptSession.service');
+const sectionService = require('../services/section.service');
+const proctoringService = require('../services/proctoring.service');
+const { finalizeAttempt, GRACE_PERIOD_MS } = require('../jobs/attemptTimeout.job');
+const { Joi, validationSchemas } = require('../middlewares/validation.middleware');
+const { handle } = require('./handler');
+const config = require('../config');
+const logger = require('../config/logger');
+
+const ATTEMPT_NAMESPACE = '/attempts';
+
+// Anti-cheat events the browser may report; the rest are logged server-side
+const CLIENT_EVENT_TYPES = [
+    'tab_switch',
+    'copy_paste',
+    'fullscreen_exit',
+    'window_blur',
+    'window_focus',
+    'right_click',
+    'keyboard_shortcut',
+    'question_viewed',
+    'page_reload',
+    'network_disconnected',
+    'network_reconnected'
+];
+
+const schemas = {
+    join: Joi.object({
+        attemptId: validationSchemas.objectId.required()
+    }),
+    autosave: Joi.object({
+        answers: Joi.array().items(
+            Joi.object({
+                questionId: validationSchemas.objectId.required(),
+                answer: Joi.alternatives().try(
+                    Joi.string(),
+                    Joi.number(),
+                    Joi.array().items(Joi.string()),
+                    Joi.object()
+                ).allow(null),
+                clientTimestamp: Joi.date().optional()
+            })
+        ).required()
+    }),
+    event: Joi.object({
+        eventType: Joi.string().valid(...CLIENT_EVENT_TYPES).required(),
+        meta: Joi.object().default({})
+    })
+};
+
+const attemptRoom = (attemptId) => `attempt:${attemptId}`;
+
+const clientIP = (socket) =>
+    (socket.handshake.headers['x-forwarded-for'] || socket.handshake.address || '').split(',')[0].trim();
+
+// The attempt this socket has joined, if still in progress
+const loadActiveAttempt = (socket) => {
+    const current = socket.data.attempt;
+    if (!current) return null;
+
+    return QuizAttempt.findOne({
+        _id: current.attemptId,
+        user: socket.data.user._id,
+        status: 'in_progress'
+    });
+};
+
+/**
+ * Tell every tab on the attempt that it has been submitted and stop its
+ * countdown
+ */
+const emitSubmitted = (nsp, attemptId, details) => {
+    const room = attemptRoom(attemptId);
+
+    nsp.to(room).emit('attempt:submitted', { attemptId, ...details });
+    nsp.in(room).socketsLeave(room);
+};
+
+// What the countdown needs, kept on each socket on the attempt
+const clockState = (attempt, quiz) => ({
+    attemptId: attempt._id.toString(),
+    quizId: quiz._id.toString(),
+    pausedAt: attempt.pausedAt || null,
+    ...attemptSession.resolveDeadline(attempt, quiz)
+});
+
+// The notify* helpers are for callers outside the socket layer (the HTTP
+// controllers, the timeout sweep, proctors). They are no-ops when sockets
+// are not running, e.g. in scripts.
+
+/**
+ * The attempt was submitted or closed: stop its tabs and update proctors
+ */
+const notifyAttemptFinalized = (io, attempt) => {
+    if (!io) return;
+
+    emitSubmitted(io.of(ATTEMPT_NAMESPACE), attempt._id.toString(), {
+        reason: attempt.autoSubmitReason || attempt.status,
+        submittedAt: attempt.endTime
+    });
+    proctoringService.publishAttemptUpdate(io, attempt, 'submitted');
+};
+
+/**
+ * The attempt's deadline moved or its clock stopped or restarted
+ */
+const notifyAttemptClock = async (io, attempt, quiz, change) => {
+    if (!io) return;
+
+    const nsp = io.of(ATTEMPT_NAMESPACE);
+    const room = attemptRoom(attempt._id);
+    const state = clockState(attempt, quiz);
+
+    // Sockets on this instance pick up the new deadline for their ticks
+    for (const socket of await nsp.in(room).fetchSockets()) {
+        if (socket.data.attempt) socket.data.attempt = state;
+    }
+
+    const now = new Date();
+    nsp.to(room).emit('attempt:clock', {
+        change,
+        deadline: state.deadline || null,
+        timeRemaining: attemptSession.getTimeRemaining(state.deadline, now, state.pausedAt),
+        paused: !!state.pausedAt,
+        serverTime: now
+    });
+};
+
+const notifyAttemptWarning = (io, attemptId, warning) => {
+    if (!io) return;
+    io.of(ATTEMPT_NAMESPACE).to(attemptRoom(attemptId)).emit('attempt:warning', warning);
+};
+
+const joinAttempt = async (socket, { attemptId }) => {
+    const attempt = await QuizAttempt.findOne({ _id: attemptId, user: socket.data.user._id });
+
+    if (!attempt) {
+        return { success: false, error: 'Attempt not found' };
+    }
+
+    if (attempt.status !== 'in_progress') {
+        return { success: false, error: 'Attempt is no longer in progress', status: attempt.status };
+    }
+
+    const quiz = await Quiz.findById(attempt.quiz);
+    const now = new Date();
+
+    // Lock any sections whose time ran out while disconnected
+    if (sectionService.syncSections(attempt, now)) {
+        await attempt.save();
+    }
+
+    const ipChanged = await attemptSession.recordClientIP(attempt, quiz, {
+        ipAddress: clientIP(socket),
+        userAgent: socket.handshake.headers['user-agent']
+    });
+
+    // One attempt per socket
+    leaveAttempt(socket);
+
+    socket.join(attemptRoom(attempt._id));
+    socket.data.attempt = clockState(attempt, quiz);
+
+    proctoringService.publishPresence(socket.nsp.server, quiz._id, attempt._id, true);
+    if (ipChanged) {
+        proctoringService.publishAttemptUpdate(socket.nsp.server, attempt, 'event', { eventType: 'ip_changed' });
+    }
+
+    return { success: true, data: attemptSession.describeAttemptState(attempt, quiz, now) };
+};
+
+const leaveAttempt = (socket) => {
+    const current = socket.data.attempt;
+    if (!current) return;
+
+    socket.leave(attemptRoom(current.attemptId));
+    socket.data.attempt = null;
+    proctoringService.publishPresence(socket.nsp.server, current.quizId, current.attemptId, false);
+};
+
+const autosave = async (socket, { answers }) => {
+    const attempt = await loadActiveAttempt(socket);
+
+    if (!attempt) {
+        return { success: false, error: 'Active attempt not found' };
+    }
+
+    if (attempt.pausedAt) {
+        return { success: false, error: attemptSession.PAUSED_ERROR, paused: true };
+    }
+
+    // Past the deadline: answers saved now would be graded, so close the attempt instead
+    const quiz = await Quiz.findById(attempt.quiz);
+    const now = new Date();
+
+    if (attemptSession.isPastDeadline(attempt, quiz, now)) {
+        await expireAttempt(socket.nsp, socket, clockState(attempt, quiz));
+        return { success: false, error: 'Time limit exceeded. Attempt auto-submitted.', timeExpired: true };
+    }
+
+    const { rejected, sectionsChanged } = attemptSession.saveAnswers(attempt, answers, now);
+
+    await attempt.save();
+
+    proctoringService.publishAttemptUpdate(socket.nsp.server, attempt, 'progress', { quiz });
+
+    return {
+        success: true,
+        savedAt: now,
+        ...(rejected.length > 0 && { rejectedQuestionIds: rejected }),
+        ...(sectionsChanged && { currentSectionInfo: sectionService.describeCurrentSection(attempt, now) })
+    };
+};
+
+const reportEvent = async (socket, { eventType, meta }) => {
+    const attempt = await loadActiveAttempt(socket);
+
+    if (!attempt) {
+        return { success: false, error: 'Active attempt not found' };
+    }
+
+    await attemptSession.recordAuditEvent(attempt, {
+        eventType,
+        meta,
+        ipAddress: clientIP(socket),
+        userAgent: socket.handshake.headers['user-agent']
+    });
+
+    proctoringService.publishAttemptUpdate(socket.nsp.server, attempt, 'event', { eventType });
+
+    return { success: true, tabSwitches: attempt.tabSwitches };
+};
+
+/**
+ * Past the deadline and its grace: submit what was autosaved. The timeout
+ * sweep would get there too; this just saves the student the wait.
+ */
+const expireAttempt = async (nsp, socket, current) => {
+    socket.data.attempt = null;
+
+    try {
+        const attempt = await finalizeAttempt(current.attemptId, current);
+        if (attempt) {
+            notifyAttemptFinalized(nsp.server, attempt);
+        } else {
+            socket.leave(attemptRoom(current.attemptId));
+        }
+    } catch (error) {
+        logger.error(`Failed to auto-submit attempt ${current.attemptId}:`, error);
+    }
+};
+
+/**
+ * Push the remaining time to every socket on this instance that is on an
+ * attempt
+ */
+const tick = (nsp) => {
+    const now = new Date();
+
+    for (const socket of nsp.sockets.values()) {
+        const current = socket.data.attempt;
+        if (!current || !socket.rooms.has(attemptRoom(current.attemptId))) continue;
+
+        if (current.deadline && !current.pausedAt && now - current.deadline > GRACE_PERIOD_MS) {
+            expireAttempt(nsp, socket, current);
+            continue;
+        }
+
+        socket.emit('attempt:tick', {
+            timeRemaining: attemptSession.getTimeRemaining(current.deadline, now, current.pausedAt),
+            paused: !!current.pausedAt,
+            serverTime: now
+        });
+    }
+};
+
+const registerAttemptHandlers = (nsp) => {
+    nsp.on('connection', (socket) => {
+        handle(socket, 'attempt:join', schemas.join, joinAttempt);
+        handle(socket, 'attempt:autosave', schemas.autosave, autosave);
+        handle(socket, 'attempt:event', schemas.event, reportEvent);
+
+        socket.on('disconnect', () => leaveAttempt(socket));
+    });
+
+    const timer = setInterval(() => tick(nsp), config.sockets.attemptTickMs);
+    timer.unref();
+};
+
+module.exports = {
+    ATTEMPT_NAMESPACE,
+    registerAttemptHandlers,
+    notifyAttemptFinalized,
+    notifyAttemptClock,
+    notifyAttemptWarning
+};
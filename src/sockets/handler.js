@@ -0,0 +1,29 @@
+// sockets/handler.js
+const logger = require('../config/logger');
+
+/**
+ * Validate the payload, run the handler and answer through the ack
+ */
+const handle = (socket, event, schema, handler) => {
+    socket.on(event, async (payload, ack) => {
+        if (typeof payload === 'function') {
+            ack = payload;
+            payload = {};
+        }
+        const reply = typeof ack === 'function' ? ack : () => {};
+
+        const { value, error } = schema.validate(payload || {}, { abortEarly: false });
+        if (error) {
+            return reply({ success: false, error: error.message });
+        }
+
+        try {
+            reply(await handler(socket, value));
+        } catch (err) {
+            logger.error(`Socket ${event} error:`, err);
+            reply({ success: false, error: 'Internal server error' });
+        }
+    });
+};
+
+module.exports = { handle };
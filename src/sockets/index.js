@@ -0,0 +1,56 @@
+// sockets/index.js
+const JWTUtil = require('../utils/jwt');
+const User = require('../models/User');
+const logger = require('../config/logger');
+const { ATTEMPT_NAMESPACE, registerAttemptHandlers } = require('./attempt.socket');
+const { PROCTOR_NAMESPACE, registerProctorHandlers } = require('./proctor.socket');
+
+// Same checks as the HTTP auth middleware; the token comes with the handshake
+const socketAuth = async (socket, next) => {
+    try {
+        const token = socket.handshake.auth?.token ||
+            socket.handshake.headers.authorization?.split(' ')[1];
+
+        if (!token) {
+            return next(new Error('No token provided'));
+        }
+
+        const decoded = JWTUtil.verifyAccessToken(token);
+
+        const user = await User.findById(decoded.userId).select('-passwordHash');
+
+        if (!user || !user.isActive) {
+            return next(new Error('Invalid or inactive user'));
+        }
+
+        socket.data.user = user;
+
+        next();
+    } catch (error) {
+        next(new Error(error.message || 'Invalid token'));
+    }
+};
+
+// Only users with one of the roles may connect
+const socketAuthorize = (...roles) => (socket, next) => {
+    if (!roles.includes(socket.data.user.role)) {
+        return next(new Error('Insufficient permissions'));
+    }
+    next();
+};
+
+const initSocketHandlers = (io) => {
+    const attempts = io.of(ATTEMPT_NAMESPACE);
+    attempts.use(socketAuth);
+    attempts.use(socketAuthorize('student'));
+    registerAttemptHandlers(attempts);
+
+    const proctor = io.of(PROCTOR_NAMESPACE);
+    proctor.use(socketAuth);
+    proctor.use(socketAuthorize('trainer', 'admin'));
+    registerProctorHandlers(proctor);
+
+    logger.info('Socket handlers initialized');
+};
+
+module.exports = initSocketHandlers;
@@ -0,0 +1,179 @@
+// sockets/proctor.socket.js
+// Live view of a running quiz for trainers ('/proctor' namespace). Watching
+// a quiz joins its room, which receives every attempt as it changes: who
+// has started, progress, time left, tab switches, IP changes and flags.
+// Trainers can act on a single attempt in progress: extend its time, warn
+// the student, pause and resume it, or submit it.
+//
+// Client -> server (each takes an ack callback):
+//   proctor:watch        { quizId }                     -> the quiz's live attempts
+//   proctor:unwatch      { quizId }
+//   proctor:extend-time  { attemptId, minutes, reason }  -> the updated attempt
+//   proctor:warn         { attemptId, message }
+//   proctor:pause        { attemptId, message }
+//   proctor:resume       { attemptId }
+//   proctor:force-submit { attemptId, reason }
+// Server -> client:
+//   proctor:attempt  { change, attempt, eventType?, serverTime }
+//   proctor:presence { attemptId, connected, at }
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const proctoringService = require('../services/proctoring.service');
+const { notifyAttemptFinalized, notifyAttemptClock, notifyAttemptWarning } = require('./attempt.socket');
+const { Joi, validationSchemas } = require('../middlewares/validation.middleware');
+const { handle } = require('./handler');
+const logger = require('../config/logger');
+
+const { PROCTOR_NAMESPACE, QUIZ_FIELDS, quizRoom, describeLiveAttempt } = proctoringService;
+
+const attemptRef = { attemptId: validationSchemas.objectId.required() };
+
+const schemas = {
+    watch: Joi.object({
+        quizId: validationSchemas.objectId.required()
+    }),
+    extendTime: Joi.object({
+        ...attemptRef,
+        minutes: Joi.number().integer().min(1).max(600).required(),
+        reason: Joi.string().max(500).optional()
+    }),
+    warn: Joi.object({
+        ...attemptRef,
+        message: Joi.string().trim().min(1).max(500).required()
+    }),
+    pause: Joi.object({
+        ...attemptRef,
+        message: Joi.string().max(500).optional()
+    }),
+    resume: Joi.object(attemptRef),
+    forceSubmit: Joi.object({
+        ...attemptRef,
+        reason: Joi.string().max(500).optional()
+    })
+};
+
+// Admins may proctor any quiz, trainers only their own
+const canProctor = (user, quiz) =>
+    user.role === 'admin' || quiz.createdBy?.toString() === user._id.toString();
+
+const ACCESS_DENIED = 'Access denied: You can only proctor your own quizzes';
+
+const watchQuiz = async (socket, { quizId }) => {
+    const quiz = await Quiz.findById(quizId).select(QUIZ_FIELDS);
+
+    if (!quiz) {
+        return { success: false, error: 'Quiz not found' };
+    }
+
+    if (!canProctor(socket.data.user, quiz)) {
+        return { success: false, error: ACCESS_DENIED };
+    }
+
+    socket.join(quizRoom(quiz._id));
+
+    return { success: true, data: await proctoringService.getLiveSnapshot(quiz) };
+};
+
+const unwatchQuiz = async (socket, { quizId }) => {
+    socket.leave(quizRoom(quizId));
+    return { success: true };
+};
+
+/**
+ * The attempt an action targets, with its quiz, once the trainer may act on it
+ */
+const loadProctoredAttempt = async (socket, attemptId) => {
+    const attempt = await QuizAttempt.findById(attemptId);
+    if (!attempt) return { error: 'Attempt not found' };
+
+    const quiz = await Quiz.findById(attempt.quiz).select(QUIZ_FIELDS);
+    if (!quiz || !canProctor(socket.data.user, quiz)) return { error: ACCESS_DENIED };
+
+    if (attempt.status !== 'in_progress') return { error: 'Attempt is not in progress' };
+
+    return { attempt, quiz };
+};
+
+/**
+ * Wrap a trainer action: load and check the attempt, run it, then tell
+ * the trainers watching and answer with the updated attempt
+ */
+const proctorAction = (change, action) => async (socket, payload) => {
+    const { attempt, quiz, error } = await loadProctoredAttempt(socket, payload.attemptId);
+    if (error) {
+        return { success: false, error };
+    }
+
+    const io = socket.nsp.server;
+    const by = socket.data.user._id;
+
+    const actionError = await action({ io, attempt, quiz, by, payload });
+    if (actionError) {
+        return { success: false, error: actionError };
+    }
+
+    logger.info(`Proctor ${change}: attempt ${attempt._id} by ${socket.data.user.email}`);
+
+    proctoringService.publishAttemptUpdate(io, attempt, change, { quiz });
+
+    return { success: true, data: describeLiveAttempt(attempt, quiz) };
+};
+
+const extendTime = proctorAction('time_extended', async ({ io, attempt, quiz, by, payload }) => {
+    await proctoringService.extendTime(attempt, { seconds: payload.minutes * 60, reason: payload.reason, by });
+    await notifyAttemptClock(io, attempt, quiz, 'time_extended');
+});
+
+const warnStudent = proctorAction('warned', async ({ io, attempt, by, payload }) => {
+    await proctoringService.warnStudent(attempt, { message: payload.message, by });
+    notifyAttemptWarning(io, attempt._id, { message: payload.message, at: new Date() });
+});
+
+const pauseAttempt = proctorAction('paused', async ({ io, attempt, quiz, by, payload }) => {
+    const error = await proctoringService.pauseAttempt(attempt, { message: payload.message, by });
+    if (error) return error;
+
+    await notifyAttemptClock(io, attempt, quiz, 'paused');
+});
+
+const resumeAttempt = proctorAction('resumed', async ({ io, attempt, quiz, by }) => {
+    const error = await proctoringService.resumeAttempt(attempt, { by });
+    if (error) return error;
+
+    await notifyAttemptClock(io, attempt, quiz, 'resumed');
+});
+
+const forceSubmit = async (socket, { attemptId, reason }) => {
+    const { attempt, error } = await loadProctoredAttempt(socket, attemptId);
+    if (error) {
+        return { success: false, error };
+    }
+
+    const finalized = await proctoringService.forceSubmit(attempt, { reason, by: socket.data.user._id });
+    if (!finalized) {
+        return { success: false, error: 'Attempt is not in progress' };
+    }
+
+    logger.info(`Proctor force-submitted attempt ${attemptId} by ${socket.data.user.email}`);
+
+    notifyAttemptFinalized(socket.nsp.server, finalized);
+
+    return { success: true, data: { attemptId, status: finalized.status, submittedAt: finalized.endTime } };
+};
+
+const registerProctorHandlers = (nsp) => {
+    nsp.on('connection', (socket) => {
+        handle(socket, 'proctor:watch', schemas.watch, watchQuiz);
+        handle(socket, 'proctor:unwatch', schemas.watch, unwatchQuiz);
+        handle(socket, 'proctor:extend-time', schemas.extendTime, extendTime);
+        handle(socket, 'proctor:warn', schemas.warn, warnStudent);
+        handle(socket, 'proctor:pause', schemas.pause, pauseAttempt);
+        handle(socket, 'proctor:resume', schemas.resume, resumeAttempt);
+        handle(socket, 'proctor:force-submit', schemas.forceSubmit, forceSubmit);
+    });
+};
+
+module.exports = {
+    PROCTOR_NAMESPACE,
+    registerProctorHandlers
+};
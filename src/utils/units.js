@@ -0,0 +1,162 @@
+// Unit definitions keyed by symbol: factor converts to the dimension's base
+// unit, offset is added after scaling (only temperatures use it). Symbols
+// are case-sensitive: K is kelvin but k is not, mm and Mm differ.
+const UNITS = {
+    // Length (base: m)
+    m: { dimension: 'length', factor: 1 },
+    km: { dimension: 'length', factor: 1000 },
+    cm: { dimension: 'length', factor: 0.01 },
+    mm: { dimension: 'length', factor: 0.001 },
+    um: { dimension: 'length', factor: 1e-6 },
+    nm: { dimension: 'length', factor: 1e-9 },
+    in: { dimension: 'length', factor: 0.0254 },
+    ft: { dimension: 'length', factor: 0.3048 },
+    yd: { dimension: 'length', factor: 0.9144 },
+    mi: { dimension: 'length', factor: 1609.344 },
+
+    // Mass (base: kg)
+    kg: { dimension: 'mass', factor: 1 },
+    g: { dimension: 'mass', factor: 0.001 },
+    mg: { dimension: 'mass', factor: 1e-6 },
+    t: { dimension: 'mass', factor: 1000 },
+    lb: { dimension: 'mass', factor: 0.45359237 },
+    oz: { dimension: 'mass', factor: 0.028349523125 },
+
+    // Time (base: s)
+    s: { dimension: 'time', factor: 1 },
+    ms: { dimension: 'time', factor: 0.001 },
+    min: { dimension: 'time', factor: 60 },
+    h: { dimension: 'time', factor: 3600 },
+    day: { dimension: 'time', factor: 86400 },
+
+    // Volume (base: m3)
+    m3: { dimension: 'volume', factor: 1 },
+    L: { dimension: 'volume', factor: 0.001 },
+    mL: { dimension: 'volume', factor: 1e-6 },
+    cm3: { dimension: 'volume', factor: 1e-6 },
+
+    // Speed (base: m/s)
+    'm/s': { dimension: 'speed', factor: 1 },
+    'km/h': { dimension: 'speed', factor: 1000 / 3600 },
+    mph: { dimension: 'speed', factor: 0.44704 },
+
+    // Force (base: N)
+    N: { dimension: 'force', factor: 1 },
+    kN: { dimension: 'force', factor: 1000 },
+
+    // Pressure (base: Pa)
+    Pa: { dimension: 'pressure', factor: 1 },
+    kPa: { dimension: 'pressure', factor: 1000 },
+    bar: { dimension: 'pressure', factor: 1e5 },
+    atm: { dimension: 'pressure', factor: 101325 },
+
+    // Energy (base: J)
+    J: { dimension: 'energy', factor: 1 },
+    kJ: { dimension: 'energy', factor: 1000 },
+    cal: { dimension: 'energy', factor: 4.184 },
+    kcal: { dimension: 'energy', factor: 4184 },
+    kWh: { dimension: 'energy', factor: 3.6e6 },
+
+    // Power (base: W)
+    W: { dimension: 'power', factor: 1 },
+    kW: { dimension: 'power', factor: 1000 },
+
+    // Temperature (base: K)
+    K: { dimension: 'temperature', factor: 1, offset: 0 },
+    '°C': { dimension: 'temperature', factor: 1, offset: 273.15 },
+    '°F': { dimension: 'temperature', factor: 5 / 9, offset: 273.15 - 32 * 5 / 9 },
+
+    // Angle (base: rad)
+    rad: { dimension: 'angle', factor: 1 },
+    deg: { dimension: 'angle', factor: Math.PI / 180 },
+
+    // Dimensionless
+    '%': { dimension: 'ratio', factor: 0.01 }
+};
+
+// Other ways of writing a symbol, also matched with case
+const SYMBOL_ALIASES = {
+    'µm': 'um', 'μm': 'um',
+    lbs: 'lb', sec: 's', secs: 's', mins: 'min', hr: 'h', hrs: 'h',
+    'm^3': 'm3', 'm³': 'm3', l: 'L', ml: 'mL',
+    cc: 'cm3', 'cm^3': 'cm3', 'cm³': 'cm3',
+    'm s^-1': 'm/s', 'm/sec': 'm/s', kph: 'km/h', 'km/hr': 'km/h',
+    kcals: 'kcal', Cal: 'kcal', // A food Calorie is a kilocalorie
+    C: '°C', degC: '°C', F: '°F', degF: '°F',
+    '°': 'deg'
+};
+
+// Spelled-out unit names, matched without case ("Kelvin", "METRES")
+const NAMES = {
+    meter: 'm', meters: 'm', metre: 'm', metres: 'm',
+    kilometer: 'km', kilometers: 'km', kilometre: 'km', kilometres: 'km',
+    centimeter: 'cm', centimeters: 'cm', centimetre: 'cm', centimetres: 'cm',
+    millimeter: 'mm', millimeters: 'mm', millimetre: 'mm', millimetres: 'mm',
+    micrometer: 'um', micrometers: 'um', micrometre: 'um', micrometres: 'um',
+    inch: 'in', inches: 'in', foot: 'ft', feet: 'ft', yard: 'yd', yards: 'yd',
+    mile: 'mi', miles: 'mi',
+    kilogram: 'kg', kilograms: 'kg', gram: 'g', grams: 'g',
+    milligram: 'mg', milligrams: 'mg', tonne: 't', tonnes: 't',
+    pound: 'lb', pounds: 'lb', ounce: 'oz', ounces: 'oz',
+    second: 's', seconds: 's', millisecond: 'ms', milliseconds: 'ms',
+    minute: 'min', minutes: 'min', hour: 'h', hours: 'h', day: 'day', days: 'day',
+    liter: 'L', liters: 'L', litre: 'L', litres: 'L',
+    milliliter: 'mL', milliliters: 'mL', millilitre: 'mL', millilitres: 'mL',
+    newton: 'N', newtons: 'N', kilonewton: 'kN', kilonewtons: 'kN',
+    pascal: 'Pa', pascals: 'Pa', kilopascal: 'kPa', kilopascals: 'kPa',
+    joule: 'J', joules: 'J', kilojoule: 'kJ', kilojoules: 'kJ',
+    calorie: 'cal', calories: 'cal', kilocalorie: 'kcal', kilocalories: 'kcal',
+    watt: 'W', watts: 'W', kilowatt: 'kW', kilowatts: 'kW',
+    kelvin: 'K', celsius: '°C', fahrenheit: '°F',
+    radian: 'rad', radians: 'rad', degree: 'deg', degrees: 'deg',
+    percent: '%'
+};
+
+class UnitUtil {
+    /**
+     * Resolve a unit string to its canonical key, or null if unknown
+     */
+    resolve(unit) {
+        if (unit === undefined || unit === null) return null;
+
+        const key = String(unit).trim().replace(/\s+/g, ' ');
+        if (!key) return null;
+        if (Object.hasOwn(UNITS, key)) return key;
+        if (Object.hasOwn(SYMBOL_ALIASES, key)) return SYMBOL_ALIASES[key];
+
+        const name = key.toLowerCase();
+        return Object.hasOwn(NAMES, name) ? NAMES[name] : null;
+    }
+
+    /**
+     * Check whether a unit string is recognised
+     */
+    isKnown(unit) {
+        return this.resolve(unit) !== null;
+    }
+
+    /**
+     * Check whether two units measure the same dimension
+     */
+    areCompatible(from, to) {
+        const a = this.resolve(from);
+        const b = this.resolve(to);
+        return !!a && !!b && UNITS[a].dimension === UNITS[b].dimension;
+    }
+
+    /**
+     * Convert a value between compatible units.
+     * Returns null if either unit is unknown or the dimensions differ.
+     */
+    convert(value, from, to) {
+        if (!this.areCompatible(from, to)) return null;
+
+        const source = UNITS[this.resolve(from)];
+        const target = UNITS[this.resolve(to)];
+
+        const base = value * source.factor + (source.offset || 0);
+        return (base - (target.offset || 0)) / target.factor;
+    }
+}
+
+module.exports = new UnitUtil();
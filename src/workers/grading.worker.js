@@ -0,0 +1,109 @@
+// workers/grading.worker.js
+// Consumes the grading queue. Runs inside the API process by default
+// (GRADING_WORKER_INLINE) or standalone: `node src/workers/grading.worker.js`.
+const { Worker } = require('bullmq');
+const config = require('../config');
+const logger = require('../config/logger');
+const {
+    QUEUE_NAMES,
+    initQueues,
+    getDriver,
+    getConnection,
+    getQueue,
+    getFallbackQueue,
+    moveToDeadLetter,
+    closeQueues
+} = require('../jobs/queues');
+const {
+    processGradingJob,
+    markGradingFailed,
+    requeuePendingGrading
+} = require('../jobs/grading.job');
+
+const workers = [];
+
+/**
+ * Called when a job fails; dead-letters it once retries are exhausted
+ */
+const handleFailed = async (job, error) => {
+    if (!job) return;
+
+    const maxAttempts = job.opts?.attempts || 1;
+    if (job.attemptsMade < maxAttempts) {
+        logger.warn(`Grading job ${job.id} failed (attempt ${job.attemptsMade}/${maxAttempts}): ${error.message}`);
+        return;
+    }
+
+    try {
+        await moveToDeadLetter(QUEUE_NAMES.GRADING, job, error);
+        await markGradingFailed(job, error);
+    } catch (dlqError) {
+        logger.error(`Failed to dead-letter grading job ${job.id}:`, dlqError);
+    }
+};
+
+/**
+ * Attach the grading processor to an in-process queue
+ */
+const attachInMemory = (queue) => {
+    queue.process(processGradingJob, { concurrency: config.queue.grading.concurrency });
+    queue.on('failed', handleFailed);
+    workers.push(queue);
+};
+
+/**
+ * Start consuming grading jobs for the active queue driver
+ */
+const startGradingWorker = async () => {
+    await initQueues();
+
+    if (getDriver() === 'redis') {
+        const worker = new Worker(QUEUE_NAMES.GRADING, processGradingJob, {
+            connection: getConnection(),
+            concurrency: config.queue.grading.concurrency
+        });
+        worker.on('failed', handleFailed);
+        worker.on('error', (error) => logger.error('Grading worker error:', error));
+        workers.push(worker);
+
+        // Jobs that fell back to the in-process queue still need a consumer
+        attachInMemory(getFallbackQueue(QUEUE_NAMES.GRADING));
+    } else {
+        attachInMemory(getQueue(QUEUE_NAMES.GRADING));
+    }
+
+    await requeuePendingGrading();
+
+    logger.info(`Grading worker started (${getDriver()})`);
+};
+
+/**
+ * Stop consuming jobs
+ */
+const stopGradingWorker = async () => {
+    await Promise.all(workers.map(w => w.close()));
+    workers.length = 0;
+};
+
+module.exports = { startGradingWorker, stopGradingWorker };
+
+if (require.main === module) {
+    require('dotenv').config();
+    const connectDB = require('../db/mongoose');
+
+    connectDB()
+        .then(startGradingWorker)
+        .catch((error) => {
+            logger.error('Failed to start grading worker:', error);
+            process.exit(1);
+        });
+
+    const shutdown = async () => {
+        await stopGradingWorker();
+        await closeQueues();
+        process.exit(0);
+    };
+
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
+}
@@ -0,0 +1,211 @@
+jest.mock('../../src/services/attemptStats.service', () => ({
+    ...jest.requireActual('../../src/services/attemptStats.service'),
+    syncAttemptStats: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Question = require('../../src/models/Question');
+const Quiz = require('../../src/models/Quiz');
+const QuizAttempt = require('../../src/models/QuizAttempt');
+const gradingService = require('../../src/services/grading.service');
+const attemptsController = require('../../src/controllers/attempts.controller');
+const { syncAttemptStats } = require('../../src/services/attemptStats.service');
+
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+};
+
+describe('AttemptsController.getAttempt', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('reports the stored pass result to the student, including failed sections', async () => {
+        const attempt = {
+            _id: 'attempt1',
+            user: { _id: 'student1' },
+            quiz: { _id: 'quiz1', title: 'Quiz', passingMarks: 3, showResultsImmediately: true },
+            status: 'auto_graded',
+            totalScore: 3,
+            maxScore: 4,
+            passed: false,
+            sections: [{ sectionId: 's1', passed: true }, { sectionId: 's2', passed: false }],
+            manualGradeResult: []
+        };
+        jest.spyOn(QuizAttempt, 'findOne').mockReturnValue({
+            populate: () => ({ populate: jest.fn().mockResolvedValue(attempt) })
+        });
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await attemptsController.getAttempt(
+            { params: { quizId: 'quiz1', attemptId: 'attempt1' }, user: { _id: 'student1', role: 'student' } },
+            res,
+            next
+        );
+
+        expect(next).not.toHaveBeenCalled();
+        const { data } = res.json.mock.calls[0][0];
+        expect(data.totalScore).toBe(3);
+        expect(data.passed).toBe(false);
+        expect(data.sections).toBe(attempt.sections);
+    });
+});
+
+describe('AttemptsController.getAttemptForGrading', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('lists the questions the attempt was served, in the order served', async () => {
+        const attempt = {
+            _id: 'attempt1',
+            user: { _id: 'student1', name: 'Student' },
+            // The quiz has since been edited to use another question
+            quiz: { _id: 'quiz1', questionMode: 'fixed_list', questionIds: ['q3'] },
+            selectedQuestions: [{ question: 'q2', marks: 2 }, { question: 'q1', marks: 1 }],
+            rawAnswers: [{ questionId: 'q1', answer: 'a' }],
+            autoGradeResult: [],
+            manualGradeResult: [],
+            blindGrades: [],
+            graders: []
+        };
+        jest.spyOn(QuizAttempt, 'findById').mockReturnValue({
+            populate: () => ({ populate: jest.fn().mockResolvedValue(attempt) })
+        });
+        const find = jest.spyOn(Question, 'find').mockResolvedValue([{ _id: 'q1' }, { _id: 'q2' }]);
+        const res = mockResponse();
+
+        await attemptsController.getAttemptForGrading(
+            { params: { attemptId: 'attempt1' }, user: { _id: 'trainer1', role: 'trainer' } },
+            res,
+            jest.fn()
+        );
+
+        expect(find).toHaveBeenCalledWith({ _id: { $in: ['q2', 'q1'] } });
+        const { questionsWithAnswers } = res.json.mock.calls[0][0].data;
+        expect(questionsWithAnswers.map(q => q.question._id)).toEqual(['q2', 'q1']);
+        expect(questionsWithAnswers[1].studentAnswer).toBe('a');
+    });
+});
+
+describe('AttemptsController.submitAttempt', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('refuses to submit while the proctor has the attempt paused', async () => {
+        const session = {
+            startTransaction: jest.fn(),
+            abortTransaction: jest.fn().mockResolvedValue(),
+            commitTransaction: jest.fn(),
+            endSession: jest.fn()
+        };
+        jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+        const attempt = { _id: 'attempt1', status: 'in_progress', pausedAt: new Date(), save: jest.fn() };
+        jest.spyOn(QuizAttempt, 'findOne').mockReturnValue({ session: jest.fn().mockResolvedValue(attempt) });
+        const res = mockResponse();
+
+        await attemptsController.submitAttempt(
+            { params: { quizId: 'quiz1' }, body: { attemptId: 'attempt1' }, user: { _id: 'student1' } },
+            res,
+            jest.fn()
+        );
+
+        expect(res.status).toHaveBeenCalledWith(423);
+        expect(res.json.mock.calls[0][0]).toMatchObject({ paused: true });
+        expect(session.abortTransaction).toHaveBeenCalled();
+        expect(attempt.save).not.toHaveBeenCalled();
+    });
+});
+
+describe('AttemptsController manual grading', () => {
+    const ownQuiz = { _id: 'quiz1', createdBy: 'trainer1' };
+    const gradedAttempt = (overrides = {}) => ({
+        _id: 'attempt1',
+        quiz: 'quiz1',
+        status: 'needs_manual_review',
+        autoGradeResult: [{ questionId: 'q1', maxScore: 5, score: 0, needsManualReview: true }],
+        manualGradeResult: [],
+        gradingHistory: [],
+        save: jest.fn().mockResolvedValue(),
+        ...overrides
+    });
+    const gradeRequest = (user) => ({
+        params: { attemptId: 'attempt1' },
+        body: { questionId: 'q1', score: 4, feedback: 'Good' },
+        user
+    });
+
+    beforeEach(() => {
+        jest.spyOn(gradingService, 'resolveManualScore').mockResolvedValue({ score: 4 });
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    describe('gradeAnswer', () => {
+        it('grades an attempt on the trainer\'s own quiz', async () => {
+            const attempt = gradedAttempt();
+            jest.spyOn(QuizAttempt, 'findById').mockResolvedValue(attempt);
+            jest.spyOn(Quiz, 'findById').mockResolvedValue(ownQuiz);
+            const record = jest.spyOn(gradingService, 'recordManualGrade').mockImplementation(() => {});
+            const res = mockResponse();
+
+            await attemptsController.gradeAnswer(gradeRequest({ _id: 'trainer1', role: 'trainer' }), res, jest.fn());
+
+            expect(res.json.mock.calls[0][0]).toMatchObject({ success: true });
+            expect(record).toHaveBeenCalledWith(attempt, ownQuiz, expect.objectContaining({ questionId: 'q1', score: 4 }));
+            expect(syncAttemptStats).toHaveBeenCalledWith(attempt);
+        });
+
+        it('refuses a trainer who does not own the quiz', async () => {
+            const attempt = gradedAttempt();
+            jest.spyOn(QuizAttempt, 'findById').mockResolvedValue(attempt);
+            jest.spyOn(Quiz, 'findById').mockResolvedValue(ownQuiz);
+            const res = mockResponse();
+
+            await attemptsController.gradeAnswer(gradeRequest({ _id: 'trainer2', role: 'trainer' }), res, jest.fn());
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(attempt.save).not.toHaveBeenCalled();
+        });
+
+        it('refuses attempts that have not been submitted and graded', async () => {
+            const attempt = gradedAttempt({ status: 'in_progress', autoGradeResult: [] });
+            jest.spyOn(QuizAttempt, 'findById').mockResolvedValue(attempt);
+            jest.spyOn(Quiz, 'findById').mockResolvedValue(ownQuiz);
+            const res = mockResponse();
+
+            await attemptsController.gradeAnswer(gradeRequest({ _id: 'admin1', role: 'admin' }), res, jest.fn());
+
+            expect(res.status).toHaveBeenCalledWith(409);
+            expect(attempt.save).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('moderateGrade', () => {
+        const doubleMarkedQuiz = { ...ownQuiz, doubleMarking: { enabled: true, moderators: ['moderator1'] } };
+        const loaded = (attempt) => jest.spyOn(QuizAttempt, 'findById').mockReturnValue({
+            populate: jest.fn().mockResolvedValue(attempt)
+        });
+
+        it('refuses a trainer with no part in the quiz', async () => {
+            const attempt = gradedAttempt({ quiz: doubleMarkedQuiz, graders: [] });
+            loaded(attempt);
+            const res = mockResponse();
+
+            await attemptsController.moderateGrade(gradeRequest({ _id: 'trainer2', role: 'trainer' }), res, jest.fn());
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json.mock.calls[0][0].error).toBe('You can only grade attempts on your own quizzes');
+        });
+
+        it('refuses attempts still in progress', async () => {
+            const attempt = gradedAttempt({ quiz: doubleMarkedQuiz, graders: [], status: 'in_progress' });
+            loaded(attempt);
+            const res = mockResponse();
+
+            await attemptsController.moderateGrade(gradeRequest({ _id: 'moderator1', role: 'trainer' }), res, jest.fn());
+
+            expect(res.status).toHaveBeenCalledWith(409);
+            expect(attempt.save).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,196 @@
+jest.mock('../../src/jobs/attemptTimeout.job', () => ({
+    ...jest.requireActual('../../src/jobs/attemptTimeout.job'),
+    finalizeAttempt: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Quiz = require('../../src/models/Quiz');
+const QuizAttempt = require('../../src/models/QuizAttempt');
+const { finalizeAttempt } = require('../../src/jobs/attemptTimeout.job');
+const adaptiveService = require('../../src/services/adaptive.service');
+const quizzesController = require('../../src/controllers/quizzes.controller');
+
+const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+};
+
+const adaptiveAttempt = (overrides = {}) => ({
+    _id: 'attempt1',
+    user: 'student1',
+    status: 'in_progress',
+    startTime: new Date(Date.now() - 10 * 60 * 1000),
+    quiz: { _id: 'quiz1', durationMinutes: 30, adaptiveSettings: { maxQuestions: 10 } },
+    adaptive: { history: [] },
+    selectedQuestions: [{ question: 'q1', prompt: 'First', marks: 1 }],
+    rawAnswers: [],
+    save: jest.fn().mockResolvedValue(),
+    ...overrides
+});
+
+const request = (body) => ({
+    params: { attemptId: 'attempt1' },
+    body,
+    user: { _id: 'student1' },
+    app: { get: () => undefined }
+});
+
+describe('QuizzesController.nextQuestion', () => {
+    let attempt;
+
+    beforeEach(() => {
+        attempt = adaptiveAttempt();
+        jest.spyOn(QuizAttempt, 'findById').mockReturnValue({ populate: jest.fn().mockResolvedValue(attempt) });
+        jest.spyOn(adaptiveService, 'recordAnswer').mockImplementation(async (a) => {
+            a.adaptive.history.push({ question: 'q1', difficulty: 0, correct: true, score: 1 });
+            return { score: 1, isCorrect: true };
+        });
+        jest.spyOn(adaptiveService, 'serveNextQuestion').mockImplementation(async (quiz, a) => {
+            const served = { question: 'q2', prompt: 'Second', marks: 1 };
+            a.selectedQuestions.push(served);
+            return served;
+        });
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('records the answer and serves the next question with the time remaining', async () => {
+        const res = mockResponse();
+        const next = jest.fn();
+
+        await quizzesController.nextQuestion(request({ questionId: 'q1', answer: 'a' }), res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(attempt.rawAnswers).toEqual([expect.objectContaining({ questionId: 'q1', answer: 'a' })]);
+        expect(attempt.save).toHaveBeenCalled();
+
+        const { data } = res.json.mock.calls[0][0];
+        expect(data.question).toMatchObject({ question: 'q2' });
+        expect(data.adaptiveProgress).toMatchObject({ questionNumber: 2, answered: 1 });
+        expect(data.timeRemaining).toBeGreaterThan(19 * 60);
+        expect(data.timeRemaining).toBeLessThanOrEqual(20 * 60);
+    });
+
+    it('rejects an answer to a question other than the pending one', async () => {
+        const res = mockResponse();
+
+        await quizzesController.nextQuestion(request({ questionId: 'q9', answer: 'a' }), res, jest.fn());
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(adaptiveService.recordAnswer).not.toHaveBeenCalled();
+    });
+
+    it('refuses answers while the attempt is paused', async () => {
+        attempt.pausedAt = new Date();
+        const res = mockResponse();
+
+        await quizzesController.nextQuestion(request({ questionId: 'q1', answer: 'a' }), res, jest.fn());
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json.mock.calls[0][0]).toMatchObject({ paused: true });
+    });
+
+    it('refuses answers after the deadline', async () => {
+        attempt.startTime = new Date(Date.now() - 60 * 60 * 1000);
+        const res = mockResponse();
+
+        await quizzesController.nextQuestion(request({ questionId: 'q1', answer: 'a' }), res, jest.fn());
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0]).toMatchObject({ timeExpired: true });
+    });
+});
+
+describe('QuizzesController late writes', () => {
+    const quiz = { _id: 'quiz1', durationMinutes: 30 };
+    const expiredAttempt = () => ({
+        _id: 'attempt1',
+        user: 'student1',
+        quiz: 'quiz1',
+        status: 'in_progress',
+        startTime: new Date(Date.now() - 45 * 60 * 1000),
+        rawAnswers: [],
+        save: jest.fn().mockResolvedValue()
+    });
+
+    beforeEach(() => {
+        finalizeAttempt.mockResolvedValue(null);
+        jest.spyOn(Quiz, 'findById').mockResolvedValue(quiz);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        finalizeAttempt.mockReset();
+    });
+
+    it('autosave past the deadline finalizes the attempt instead of saving', async () => {
+        const attempt = expiredAttempt();
+        jest.spyOn(QuizAttempt, 'findById').mockResolvedValue(attempt);
+        const res = mockResponse();
+
+        await quizzesController.autoSaveAnswers(
+            request({ answers: [{ questionId: 'q1', answer: 'late' }] }),
+            res,
+            jest.fn()
+        );
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(attempt.save).not.toHaveBeenCalled();
+        expect(attempt.rawAnswers).toEqual([]);
+        expect(finalizeAttempt).toHaveBeenCalledWith('attempt1', {
+            deadline: new Date(attempt.startTime.getTime() + 30 * 60 * 1000),
+            reason: 'time_expired'
+        });
+    });
+
+    it('viewing an expired attempt closes it through the timeout claim', async () => {
+        const attempt = { ...expiredAttempt(), quiz };
+        const populate = jest.fn();
+        populate.mockReturnValueOnce({ populate }).mockResolvedValueOnce(attempt);
+        jest.spyOn(QuizAttempt, 'findById').mockReturnValue({ populate });
+        const res = mockResponse();
+
+        await quizzesController.getAttemptById(request(), res, jest.fn());
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(attempt.save).not.toHaveBeenCalled();
+        expect(finalizeAttempt).toHaveBeenCalledWith('attempt1', expect.objectContaining({ reason: 'time_expired' }));
+    });
+});
+
+describe('QuizzesController.submitQuiz', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('refuses to submit while the proctor has the attempt paused', async () => {
+        const session = {
+            startTransaction: jest.fn(),
+            abortTransaction: jest.fn().mockResolvedValue(),
+            commitTransaction: jest.fn(),
+            endSession: jest.fn()
+        };
+        jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+        const attempt = {
+            ...adaptiveAttempt(),
+            _id: '64b000000000000000000001',
+            pausedAt: new Date()
+        };
+        jest.spyOn(QuizAttempt, 'findById').mockReturnValue({
+            populate: () => ({ session: jest.fn().mockResolvedValue(attempt) })
+        });
+        const res = mockResponse();
+
+        await quizzesController.submitQuiz({
+            ...request({ answers: [] }),
+            params: { attemptId: '64b000000000000000000001' },
+            headers: { 'x-forwarded-for': '10.0.0.1' }
+        }, res, jest.fn());
+
+        expect(res.status).toHaveBeenCalledWith(423);
+        expect(res.json.mock.calls[0][0]).toMatchObject({ paused: true });
+        expect(session.abortTransaction).toHaveBeenCalled();
+        expect(attempt.save).not.toHaveBeenCalled();
+        expect(finalizeAttempt).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,115 @@
+jest.mock('../../src/jobs/grading.job', () => ({ enqueueGrading: jest.fn(), requeuePendingGrading: jest.fn() }));
+jest.mock('../../src/services/attemptStats.service', () => ({ countFinishedAttempt: jest.fn() }));
+
+const QuizAttempt = require('../../src/models/QuizAttempt');
+const { enqueueGrading, requeuePendingGrading } = require('../../src/jobs/grading.job');
+const { countFinishedAttempt } = require('../../src/services/attemptStats.service');
+const {
+    finalizeAttempt,
+    sweepExpiredAttempts,
+    startAttemptTimeoutScheduler,
+    stopAttemptTimeoutScheduler
+} = require('../../src/jobs/attemptTimeout.job');
+
+const deadline = new Date('2026-03-01T10:30:00Z');
+
+const claimedAttempt = (id) => ({
+    _id: id,
+    startTime: new Date('2026-03-01T10:00:00Z'),
+    sections: [{ sectionId: 's1' }],
+    currentSection: 0,
+    save: jest.fn().mockResolvedValue()
+});
+
+describe('attempt timeout sweep', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+    });
+
+    describe('finalizeAttempt', () => {
+        it('closes the attempt at its deadline, counts it and queues it for grading', async () => {
+            const attempt = claimedAttempt('a1');
+            const claim = jest.spyOn(QuizAttempt, 'findOneAndUpdate').mockResolvedValue(attempt);
+
+            const result = await finalizeAttempt('a1', { deadline, reason: 'time_expired' });
+
+            expect(result).toBe(attempt);
+            expect(claim).toHaveBeenCalledWith(
+                { _id: 'a1', status: 'in_progress' },
+                expect.objectContaining({
+                    $set: expect.objectContaining({ status: 'timeout', endTime: deadline, autoSubmitReason: 'time_expired' })
+                }),
+                { new: true }
+            );
+            expect(attempt.timeSpentSeconds).toBe(30 * 60);
+            expect(attempt.sections[0].lockedAt).toBe(deadline);
+            expect(attempt.save).toHaveBeenCalled();
+            expect(countFinishedAttempt).toHaveBeenCalledWith(attempt);
+            expect(enqueueGrading).toHaveBeenCalledWith('a1', { reason: 'timeout' });
+        });
+
+        it('records a flag in the same claiming write', async () => {
+            const claim = jest.spyOn(QuizAttempt, 'findOneAndUpdate').mockResolvedValue(claimedAttempt('a1'));
+            const flag = { reason: 'Submission after time limit expired', severity: 'high' };
+
+            await finalizeAttempt('a1', { deadline, reason: 'time_expired' }, { flag });
+
+            expect(claim.mock.calls[0][1]).toMatchObject({
+                $set: { status: 'timeout', isFlagged: true },
+                $push: { flaggedReasons: flag }
+            });
+        });
+
+        it('does nothing when the attempt is no longer in progress', async () => {
+            jest.spyOn(QuizAttempt, 'findOneAndUpdate').mockResolvedValue(null);
+
+            expect(await finalizeAttempt('a1', { deadline, reason: 'time_expired' })).toBeNull();
+            expect(countFinishedAttempt).not.toHaveBeenCalled();
+            expect(enqueueGrading).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('sweepExpiredAttempts', () => {
+        it('finalizes expired attempts in batches until a batch is short', async () => {
+            const expired = (id) => ({ _id: id, deadline, reason: 'time_expired' });
+            jest.spyOn(QuizAttempt, 'aggregate')
+                .mockResolvedValueOnce([expired('a1'), expired('a2')])
+                .mockResolvedValueOnce([expired('a3')]);
+            jest.spyOn(QuizAttempt, 'findOneAndUpdate').mockImplementation(async ({ _id }) => claimedAttempt(_id));
+            const onFinalized = jest.fn();
+
+            const finalized = await sweepExpiredAttempts({ now: new Date(), batchSize: 2, onFinalized });
+
+            expect(finalized).toBe(3);
+            expect(QuizAttempt.aggregate).toHaveBeenCalledTimes(2);
+            expect(onFinalized.mock.calls.map(([attempt]) => attempt._id)).toEqual(['a1', 'a2', 'a3']);
+        });
+
+        it('stops when a full batch makes no progress', async () => {
+            jest.spyOn(QuizAttempt, 'aggregate')
+                .mockResolvedValue([{ _id: 'a1', deadline, reason: 'time_expired' }]);
+            jest.spyOn(QuizAttempt, 'findOneAndUpdate').mockRejectedValue(new Error('write conflict'));
+
+            const finalized = await sweepExpiredAttempts({ now: new Date(), batchSize: 1 });
+
+            expect(finalized).toBe(0);
+            expect(QuizAttempt.aggregate).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('startAttemptTimeoutScheduler', () => {
+        afterEach(() => stopAttemptTimeoutScheduler());
+
+        it('re-queues grading left for recovery after each sweep', async () => {
+            jest.spyOn(QuizAttempt, 'aggregate').mockResolvedValue([]);
+
+            startAttemptTimeoutScheduler({ intervalMs: 60000 });
+            await new Promise(resolve => setImmediate(resolve));
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(QuizAttempt.aggregate).toHaveBeenCalled();
+            expect(requeuePendingGrading).toHaveBeenCalledWith({ unqueuedOnly: true });
+        });
+    });
+});
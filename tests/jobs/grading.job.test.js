@@ -0,0 +1,169 @@
+jest.mock('../../src/jobs/queues', () => {
+    const { InMemoryQueue, QUEUE_NAMES } = jest.requireActual('../../src/jobs/queues');
+    return {
+        InMemoryQueue,
+        QUEUE_NAMES,
+        getQueue: jest.fn(),
+        getFallbackQueue: jest.fn()
+    };
+});
+jest.mock('../../src/services/attemptStats.service', () => ({ syncAttemptStats: jest.fn() }));
+
+const QuizAttempt = require('../../src/models/QuizAttempt');
+const gradingService = require('../../src/services/grading.service');
+const { InMemoryQueue, getQueue, getFallbackQueue } = require('../../src/jobs/queues');
+const { syncAttemptStats } = require('../../src/services/attemptStats.service');
+const gradingJob = require('../../src/jobs/grading.job');
+
+const redisDown = () => ({ add: jest.fn().mockRejectedValue(new Error("Stream isn't writeable")) });
+
+describe('grading job', () => {
+    let updateOne;
+
+    beforeEach(() => {
+        updateOne = jest.spyOn(QuizAttempt, 'updateOne').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+    });
+
+    describe('enqueueGrading', () => {
+        it('marks the attempt queued and adds one job per attempt', async () => {
+            const queue = { add: jest.fn().mockResolvedValue({ id: 'grade-a1' }) };
+            getQueue.mockReturnValue(queue);
+
+            const job = await gradingJob.enqueueGrading('a1');
+
+            expect(job).toEqual({ id: 'grade-a1' });
+            expect(updateOne.mock.calls[0][1].$set).toMatchObject({ 'grading.status': 'queued', 'grading.jobId': 'grade-a1' });
+            expect(queue.add).toHaveBeenCalledWith(
+                gradingJob.JOB_NAME,
+                { attemptId: 'a1', reason: 'submit' },
+                expect.objectContaining({ jobId: 'grade-a1' })
+            );
+        });
+
+        it('uses the in-process queue when Redis is down and this process grades', async () => {
+            const fallback = new InMemoryQueue('grading');
+            fallback.process(async () => ({}));
+            getQueue.mockReturnValue(redisDown());
+            getFallbackQueue.mockReturnValue(fallback);
+
+            const job = await gradingJob.enqueueGrading('a1');
+
+            expect(job).toMatchObject({ id: 'grade-a1' });
+            expect(updateOne).toHaveBeenCalledTimes(1);
+        });
+
+        it('leaves the attempt for recovery when Redis is down and nothing here grades', async () => {
+            getQueue.mockReturnValue(redisDown());
+            getFallbackQueue.mockReturnValue(new InMemoryQueue('grading'));
+
+            const job = await gradingJob.enqueueGrading('a1');
+
+            expect(job).toBeNull();
+            expect(updateOne).toHaveBeenLastCalledWith(
+                { _id: 'a1' },
+                { $unset: { 'grading.status': 1, 'grading.jobId': 1, 'grading.queuedAt': 1 } }
+            );
+        });
+    });
+
+    describe('requeuePendingGrading', () => {
+        const found = (ids) => jest.spyOn(QuizAttempt, 'find').mockReturnValue({
+            select: jest.fn().mockResolvedValue(ids.map(_id => ({ _id })))
+        });
+
+        it('only looks for unqueued submissions finished a while ago when run periodically', async () => {
+            const find = found([]);
+            const now = new Date('2026-03-01T10:00:00Z');
+
+            await gradingJob.requeuePendingGrading({ unqueuedOnly: true, now });
+
+            expect(find.mock.calls[0][0]).toMatchObject({
+                'grading.status': { $exists: false },
+                endTime: { $lt: new Date('2026-03-01T09:59:00Z') }
+            });
+        });
+
+        it('stops at the first attempt that still cannot be queued', async () => {
+            found(['a1', 'a2', 'a3']);
+            const queue = redisDown();
+            getQueue.mockReturnValue(queue);
+            getFallbackQueue.mockReturnValue(new InMemoryQueue('grading'));
+
+            const requeued = await gradingJob.requeuePendingGrading({ unqueuedOnly: true });
+
+            expect(requeued).toBe(0);
+            expect(queue.add).toHaveBeenCalledTimes(1);
+        });
+
+        it('queues every pending attempt once Redis is back', async () => {
+            found(['a1', 'a2']);
+            const queue = { add: jest.fn().mockImplementation(async (name, data) => ({ id: data.attemptId })) };
+            getQueue.mockReturnValue(queue);
+
+            expect(await gradingJob.requeuePendingGrading()).toBe(2);
+            expect(queue.add.mock.calls.map(([, data]) => data)).toEqual([
+                { attemptId: 'a1', reason: 'recovery' },
+                { attemptId: 'a2', reason: 'recovery' }
+            ]);
+        });
+    });
+
+    describe('processGradingJob', () => {
+        const loaded = (attempt) => jest.spyOn(QuizAttempt, 'findById').mockReturnValue({
+            populate: jest.fn().mockResolvedValue(attempt)
+        });
+
+        it('skips attempts that are already graded', async () => {
+            loaded({ _id: 'a1', status: 'auto_graded', grading: {} });
+
+            expect(await gradingJob.processGradingJob({ data: { attemptId: 'a1' } }))
+                .toEqual({ skipped: true, reason: 'auto_graded' });
+        });
+
+        it('grades a submitted attempt and records completion', async () => {
+            const attempt = {
+                _id: 'a1',
+                status: 'submitted',
+                quiz: { _id: 'quiz1' },
+                grading: {},
+                save: jest.fn().mockResolvedValue()
+            };
+            loaded(attempt);
+            jest.spyOn(gradingService, 'gradeAttempt').mockResolvedValue({ needsManualReview: false });
+            jest.spyOn(gradingService, 'applyGrading').mockImplementation((a) => {
+                a.totalScore = 3;
+                a.maxScore = 4;
+            });
+            jest.spyOn(gradingService, 'resolveStatus').mockReturnValue('auto_graded');
+
+            const result = await gradingJob.processGradingJob({ data: { attemptId: 'a1' }, attemptsMade: 0 });
+
+            expect(result).toEqual({ status: 'auto_graded', totalScore: 3, maxScore: 4 });
+            expect(attempt.grading).toMatchObject({ status: 'completed', attempts: 1 });
+            expect(syncAttemptStats).toHaveBeenCalledWith(attempt);
+        });
+
+        it('keeps a timed-out attempt as timeout when nothing needs a grader', async () => {
+            const attempt = {
+                _id: 'a1',
+                status: 'timeout',
+                quiz: { _id: 'quiz1' },
+                grading: { status: 'queued' },
+                save: jest.fn().mockResolvedValue()
+            };
+            loaded(attempt);
+            jest.spyOn(gradingService, 'gradeAttempt').mockResolvedValue({ needsManualReview: false });
+            jest.spyOn(gradingService, 'applyGrading').mockImplementation(() => {});
+
+            await gradingJob.processGradingJob({ data: { attemptId: 'a1' } });
+
+            expect(attempt.status).toBe('timeout');
+            expect(attempt.grading.status).toBe('completed');
+        });
+    });
+});
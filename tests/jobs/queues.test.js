@@ -0,0 +1,52 @@
+jest.mock('ioredis', () => jest.fn().mockImplementation((url, options) => ({
+    options,
+    on: jest.fn(),
+    connect: jest.fn().mockResolvedValue(),
+    ping: jest.fn().mockResolvedValue('PONG'),
+    disconnect: jest.fn(),
+    quit: jest.fn().mockResolvedValue()
+})));
+jest.mock('bullmq', () => ({
+    Queue: jest.fn().mockImplementation((name, options) => ({ name, options, close: jest.fn() }))
+}));
+
+describe('job queues', () => {
+    let queues;
+
+    beforeEach(() => {
+        jest.resetModules();
+        process.env.QUEUE_DRIVER = 'redis';
+        queues = require('../../src/jobs/queues');
+    });
+
+    afterEach(async () => {
+        await queues.closeQueues();
+        delete process.env.QUEUE_DRIVER;
+    });
+
+    it('adds jobs over a connection that fails fast while Redis is down', async () => {
+        await queues.initQueues();
+
+        const queue = queues.getQueue(queues.QUEUE_NAMES.GRADING);
+
+        expect(queue.options.connection.options).toMatchObject({
+            enableOfflineQueue: false,
+            maxRetriesPerRequest: 1
+        });
+        expect(queue.options.connection.connect).toHaveBeenCalled();
+    });
+
+    it('keeps the blocking connection for workers', async () => {
+        await queues.initQueues();
+
+        expect(queues.getConnection().options).toEqual({ maxRetriesPerRequest: null });
+    });
+
+    it('only reports a consumer on an in-process queue once one is attached', () => {
+        const queue = new queues.InMemoryQueue('grading');
+        expect(queue.hasConsumer()).toBe(false);
+
+        queue.process(async () => {});
+        expect(queue.hasConsumer()).toBe(true);
+    });
+});
@@ -0,0 +1,30 @@
+const { isGraded, isResultReleased } = require('../../src/models/QuizAttempt');
+
+describe('QuizAttempt result helpers', () => {
+    describe('isGraded', () => {
+        it('counts timed-out attempts once their grading has completed', () => {
+            expect(isGraded({ status: 'timeout', grading: { status: 'queued' } })).toBe(false);
+            expect(isGraded({ status: 'timeout', grading: { status: 'completed' } })).toBe(true);
+        });
+    });
+
+    describe('isResultReleased', () => {
+        it('releases finalized manual grading whatever the quiz settings', () => {
+            expect(isResultReleased({ status: 'manually_graded' }, { showResultsImmediately: false })).toBe(true);
+        });
+
+        it('releases automatic grading only on quizzes that show results immediately', () => {
+            expect(isResultReleased({ status: 'auto_graded' }, { showResultsImmediately: true })).toBe(true);
+            expect(isResultReleased({ status: 'auto_graded' }, { showResultsImmediately: false })).toBe(false);
+        });
+
+        it('releases graded timed-out attempts like auto-graded ones', () => {
+            const attempt = { status: 'timeout', grading: { status: 'completed' } };
+            expect(isResultReleased(attempt, { showResultsImmediately: true })).toBe(true);
+        });
+
+        it('withholds attempts still waiting for a grader', () => {
+            expect(isResultReleased({ status: 'needs_manual_review' }, { showResultsImmediately: true })).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,83 @@
+const accommodationService = require('../../src/services/accommodation.service');
+
+const quiz = {
+    durationMinutes: 60,
+    attemptsAllowed: 1,
+    startTime: new Date('2026-03-01T09:00:00Z'),
+    endTime: new Date('2026-03-01T12:00:00Z')
+};
+
+describe('accommodation service', () => {
+    describe('getEffectiveSchedule', () => {
+        it("is the quiz's own schedule without accommodations", () => {
+            const schedule = accommodationService.getEffectiveSchedule(quiz, null);
+
+            expect(schedule).toMatchObject({
+                startTime: quiz.startTime,
+                endTime: quiz.endTime,
+                durationMinutes: 60,
+                attemptsAllowed: 1,
+                extraTimeSeconds: 0,
+                isMakeupWindow: false,
+                accommodated: false
+            });
+        });
+
+        it('adds percentage and fixed extra time together', () => {
+            const schedule = accommodationService.getEffectiveSchedule(quiz, {
+                accommodations: { extraTimePercent: 50, extraTimeMinutes: 10 }
+            });
+
+            expect(schedule.extraTimeSeconds).toBe(40 * 60);
+            expect(schedule.durationMinutes).toBe(100);
+        });
+
+        it('adds extra attempts and replaces the window with a makeup window', () => {
+            const makeupEnd = new Date('2026-03-05T12:00:00Z');
+            const schedule = accommodationService.getEffectiveSchedule(quiz, {
+                accommodations: { extraAttempts: 2, startTime: new Date('2026-03-05T09:00:00Z'), endTime: makeupEnd }
+            });
+
+            expect(schedule).toMatchObject({ attemptsAllowed: 3, endTime: makeupEnd, isMakeupWindow: true });
+        });
+
+        it('gives no extra time on untimed quizzes', () => {
+            const schedule = accommodationService.getEffectiveSchedule(
+                { ...quiz, durationMinutes: 0 },
+                { accommodations: { extraTimePercent: 50 } }
+            );
+
+            expect(schedule.extraTimeSeconds).toBe(0);
+        });
+    });
+
+    describe('toAttemptAccommodation', () => {
+        it('is undefined when the timing is the quiz\'s own', () => {
+            const schedule = accommodationService.getEffectiveSchedule(quiz, { accommodations: { extraAttempts: 1 } });
+            expect(accommodationService.toAttemptAccommodation(schedule)).toBeUndefined();
+        });
+
+        it('keeps the extra time, and the end only for a makeup window', () => {
+            const extraTime = accommodationService.getEffectiveSchedule(quiz, {
+                accommodations: { extraTimeMinutes: 15 }
+            });
+            const makeupEnd = new Date('2026-03-05T12:00:00Z');
+            const makeup = accommodationService.getEffectiveSchedule(quiz, {
+                accommodations: { endTime: makeupEnd }
+            });
+
+            expect(accommodationService.toAttemptAccommodation(extraTime)).toEqual({ extraTimeSeconds: 900 });
+            expect(accommodationService.toAttemptAccommodation(makeup)).toEqual({ extraTimeSeconds: 0, endTime: makeupEnd });
+        });
+    });
+
+    describe('getSectionTimeFactor', () => {
+        it('stretches sections in proportion to the duration', () => {
+            const schedule = accommodationService.getEffectiveSchedule(quiz, {
+                accommodations: { extraTimePercent: 25 }
+            });
+
+            expect(accommodationService.getSectionTimeFactor(quiz, schedule)).toBe(1.25);
+        });
+    });
+});
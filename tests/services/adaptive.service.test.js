@@ -0,0 +1,88 @@
+const adaptiveService = require('../../src/services/adaptive.service');
+
+describe('adaptive service', () => {
+    describe('estimateAbility', () => {
+        it('returns the prior with no responses', () => {
+            expect(adaptiveService.estimateAbility([], { prior: 0.5 }).ability).toBeCloseTo(0.5, 2);
+        });
+
+        it('stays finite when every answer is right or wrong', () => {
+            const allRight = adaptiveService.estimateAbility([
+                { difficulty: 0, correct: true },
+                { difficulty: 1, correct: true },
+                { difficulty: 2, correct: true }
+            ]);
+            const allWrong = adaptiveService.estimateAbility([
+                { difficulty: 0, correct: false },
+                { difficulty: -1, correct: false }
+            ]);
+
+            expect(allRight.ability).toBeGreaterThan(0);
+            expect(allRight.ability).toBeLessThan(4);
+            expect(allWrong.ability).toBeLessThan(0);
+            expect(allWrong.ability).toBeGreaterThan(-4);
+        });
+
+        it('narrows the standard error as answers come in', () => {
+            const one = adaptiveService.estimateAbility([{ difficulty: 0, correct: true }]);
+            const four = adaptiveService.estimateAbility([
+                { difficulty: 0, correct: true },
+                { difficulty: 0, correct: false },
+                { difficulty: 0, correct: true },
+                { difficulty: 0, correct: false }
+            ]);
+
+            expect(four.standardError).toBeLessThan(one.standardError);
+        });
+    });
+
+    describe('getItemDifficulty', () => {
+        it('prefers the calibrated difficulty over the label', () => {
+            expect(adaptiveService.getItemDifficulty({ difficulty: 'hard' })).toBe(1);
+            expect(adaptiveService.getItemDifficulty({ difficulty: 'hard', calibration: { difficulty: 0.3 } })).toBe(0.3);
+            expect(adaptiveService.getItemDifficulty({})).toBe(0);
+        });
+    });
+
+    describe('validateAdaptiveSettings', () => {
+        it('rejects minQuestions above maxQuestions', () => {
+            expect(adaptiveService.validateAdaptiveSettings({ minQuestions: 10, maxQuestions: 5 })).toMatch(/cannot exceed/);
+            expect(adaptiveService.validateAdaptiveSettings({ minQuestions: 5, maxQuestions: 10 })).toBeNull();
+        });
+    });
+
+    describe('rescoreHistory', () => {
+        it('replays the running and final estimates from regraded results', () => {
+            const attempt = {
+                adaptive: {
+                    ability: 1,
+                    standardError: 0.5,
+                    history: [
+                        { question: 'q1', difficulty: 0, correct: true, score: 1 },
+                        { question: 'q2', difficulty: 0, correct: true, score: 1 }
+                    ]
+                }
+            };
+
+            adaptiveService.rescoreHistory(attempt, { adaptiveSettings: {} }, [
+                { questionId: 'q2', isCorrect: false, score: 0 }
+            ]);
+
+            const expected = adaptiveService.estimateAbility([
+                { difficulty: 0, correct: true },
+                { difficulty: 0, correct: false }
+            ]);
+
+            expect(attempt.adaptive.history[1]).toMatchObject({ correct: false, score: 0 });
+            expect(attempt.adaptive.history[0].abilityAfter).toBeGreaterThan(0);
+            expect(attempt.adaptive.ability).toBe(expected.ability);
+            expect(attempt.adaptive.standardError).toBe(expected.standardError);
+        });
+
+        it('leaves non-adaptive attempts alone', () => {
+            const attempt = {};
+            adaptiveService.rescoreHistory(attempt, {}, []);
+            expect(attempt).toEqual({});
+        });
+    });
+});
@@ -0,0 +1,74 @@
+const {
+    resolveDeadline,
+    getAttemptTimeRemaining,
+    isPastDeadline
+} = require('../../src/services/attemptSession.service');
+
+const startTime = new Date('2026-03-01T10:00:00Z');
+const minutes = (n) => n * 60 * 1000;
+const at = (ms) => new Date(startTime.getTime() + ms);
+
+describe('attempt deadlines', () => {
+    describe('resolveDeadline', () => {
+        it('is startTime plus the duration when the quiz closes later', () => {
+            const quiz = { durationMinutes: 30, endTime: at(minutes(120)) };
+
+            expect(resolveDeadline({ startTime }, quiz)).toEqual({ deadline: at(minutes(30)), reason: 'time_expired' });
+        });
+
+        it('is the quiz closing when that comes first', () => {
+            const quiz = { durationMinutes: 30, endTime: at(minutes(20)) };
+
+            expect(resolveDeadline({ startTime }, quiz)).toEqual({ deadline: at(minutes(20)), reason: 'quiz_closed' });
+        });
+
+        it('moves both limits by accommodation and proctor extra time', () => {
+            const quiz = { durationMinutes: 30, endTime: at(minutes(35)) };
+            const attempt = { startTime, accommodation: { extraTimeSeconds: 600 }, extraTimeSeconds: 300 };
+
+            expect(resolveDeadline(attempt, quiz)).toEqual({ deadline: at(minutes(45)), reason: 'time_expired' });
+        });
+
+        it('uses the makeup window end in place of the quiz end', () => {
+            const quiz = { durationMinutes: 0, endTime: at(minutes(10)) };
+            const attempt = { startTime, accommodation: { endTime: at(minutes(60)) } };
+
+            expect(resolveDeadline(attempt, quiz)).toEqual({ deadline: at(minutes(60)), reason: 'quiz_closed' });
+        });
+
+        it('is null for an untimed quiz with no end', () => {
+            expect(resolveDeadline({ startTime }, { durationMinutes: 0 })).toBeNull();
+        });
+    });
+
+    describe('getAttemptTimeRemaining', () => {
+        const quiz = { durationMinutes: 30 };
+
+        it('counts down to the deadline and stops at zero', () => {
+            expect(getAttemptTimeRemaining({ startTime }, quiz, at(minutes(10)))).toBe(20 * 60);
+            expect(getAttemptTimeRemaining({ startTime }, quiz, at(minutes(40)))).toBe(0);
+        });
+
+        it('reads a paused clock as of the pause', () => {
+            const attempt = { startTime, pausedAt: at(minutes(5)) };
+            expect(getAttemptTimeRemaining(attempt, quiz, at(minutes(25)))).toBe(25 * 60);
+        });
+
+        it('is null for untimed attempts', () => {
+            expect(getAttemptTimeRemaining({ startTime }, { durationMinutes: 0 })).toBeNull();
+        });
+    });
+
+    describe('isPastDeadline', () => {
+        const quiz = { durationMinutes: 30 };
+
+        it('honours the grace period', () => {
+            expect(isPastDeadline({ startTime }, quiz, at(minutes(30) + 10000), 30000)).toBe(false);
+            expect(isPastDeadline({ startTime }, quiz, at(minutes(30) + 40000), 30000)).toBe(true);
+        });
+
+        it('never expires a paused attempt', () => {
+            expect(isPastDeadline({ startTime, pausedAt: at(minutes(10)) }, quiz, at(minutes(90)))).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,159 @@
+const Quiz = require('../../src/models/Quiz');
+const Question = require('../../src/models/Question');
+const QuizAttempt = require('../../src/models/QuizAttempt');
+const attemptStatsService = require('../../src/services/attemptStats.service');
+
+const gradedAttempt = (overrides = {}) => ({
+    _id: 'attempt1',
+    quiz: { _id: 'quiz1' },
+    status: 'auto_graded',
+    totalScore: 3,
+    percentage: 75,
+    passed: true,
+    autoGradeResult: [
+        { questionId: 'q1', score: 2, maxScore: 2, isCorrect: true },
+        { questionId: 'q2', score: 0, maxScore: 2, needsManualReview: true },
+        { questionId: 'q3', score: 0, maxScore: 1, disposition: 'void' }
+    ],
+    manualGradeResult: [{ questionId: 'q2', score: 1, maxScore: 2 }],
+    ...overrides
+});
+
+const storedContribution = (statsContribution) =>
+    jest.spyOn(QuizAttempt, 'findOneAndUpdate').mockReturnValue({
+        lean: jest.fn().mockResolvedValue(statsContribution ? { statsContribution } : {})
+    });
+
+describe('attempt stats service', () => {
+    beforeEach(() => {
+        jest.spyOn(Quiz, 'updateOne').mockResolvedValue({});
+        jest.spyOn(Question, 'bulkWrite').mockResolvedValue({});
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    describe('buildContribution', () => {
+        it('counts manual grades over automatic ones and leaves out voided questions', () => {
+            expect(attemptStatsService.buildContribution(gradedAttempt())).toEqual({
+                score: 3,
+                percentage: 75,
+                passed: true,
+                bucket: '61-80%',
+                questions: [
+                    { question: 'q1', score: 2, maxScore: 2, isCorrect: true },
+                    { question: 'q2', score: 1, maxScore: 2, isCorrect: false }
+                ]
+            });
+        });
+
+        it('leaves out answers still waiting for a grader', () => {
+            const contribution = attemptStatsService.buildContribution(gradedAttempt({ manualGradeResult: [] }));
+            expect(contribution.questions.map(q => q.question)).toEqual(['q1']);
+        });
+
+        it('is null until the attempt is graded', () => {
+            expect(attemptStatsService.buildContribution(gradedAttempt({ status: 'submitted' }))).toBeNull();
+            expect(attemptStatsService.buildContribution(gradedAttempt({ status: 'timeout', grading: { status: 'completed' } })))
+                .not.toBeNull();
+        });
+    });
+
+    describe('syncAttemptStats', () => {
+        it('adds a newly graded attempt to the quiz and question counters', async () => {
+            storedContribution(null);
+
+            await attemptStatsService.syncAttemptStats(gradedAttempt());
+
+            expect(Quiz.updateOne.mock.calls[0][1].$inc).toEqual({
+                'stats.gradedAttempts': 1,
+                'stats.passCount': 1,
+                'stats.scoreSum': 3,
+                'stats.percentageSum': 75,
+                'stats.histogram.61-80%': 1
+            });
+            expect(Question.bulkWrite.mock.calls[0][0].map(op => op.updateOne.update.$inc)).toEqual([
+                { 'responseStats.responses': 1, 'responseStats.correctCount': 1, 'responseStats.scoreSum': 2, 'responseStats.maxScoreSum': 2 },
+                { 'responseStats.responses': 1, 'responseStats.scoreSum': 1, 'responseStats.maxScoreSum': 2 }
+            ]);
+        });
+
+        it('applies only the difference when an attempt is regraded', async () => {
+            const previous = attemptStatsService.buildContribution(gradedAttempt());
+            storedContribution(previous);
+
+            await attemptStatsService.syncAttemptStats(gradedAttempt({
+                totalScore: 1,
+                percentage: 25,
+                passed: false,
+                manualGradeResult: [{ questionId: 'q2', score: 1, maxScore: 2 }],
+                autoGradeResult: [
+                    { questionId: 'q1', score: 0, maxScore: 2, isCorrect: false },
+                    { questionId: 'q2', score: 0, maxScore: 2, needsManualReview: true }
+                ]
+            }));
+
+            expect(Quiz.updateOne.mock.calls[0][1].$inc).toEqual({
+                'stats.passCount': -1,
+                'stats.scoreSum': -2,
+                'stats.percentageSum': -50,
+                'stats.histogram.61-80%': -1,
+                'stats.histogram.21-40%': 1
+            });
+            expect(Question.bulkWrite.mock.calls[0][0]).toEqual([
+                expect.objectContaining({
+                    updateOne: expect.objectContaining({
+                        filter: { _id: 'q1' },
+                        update: expect.objectContaining({
+                            $inc: { 'responseStats.correctCount': -1, 'responseStats.scoreSum': -2 }
+                        })
+                    })
+                })
+            ]);
+        });
+
+        it('writes nothing when the result has not changed', async () => {
+            storedContribution(attemptStatsService.buildContribution(gradedAttempt()));
+
+            await attemptStatsService.syncAttemptStats(gradedAttempt());
+
+            expect(Quiz.updateOne).not.toHaveBeenCalled();
+            expect(Question.bulkWrite).not.toHaveBeenCalled();
+        });
+
+        it('takes an attempt back out when it is no longer graded', async () => {
+            const swap = storedContribution(attemptStatsService.buildContribution(gradedAttempt()));
+
+            await attemptStatsService.syncAttemptStats(gradedAttempt({ status: 'submitted' }));
+
+            expect(swap.mock.calls[0][1]).toEqual({ $unset: { statsContribution: 1 } });
+            expect(Quiz.updateOne.mock.calls[0][1].$inc).toMatchObject({ 'stats.gradedAttempts': -1, 'stats.passCount': -1 });
+        });
+    });
+
+    describe('countFinishedAttempt', () => {
+        it('counts the attempt once on its quiz', async () => {
+            await attemptStatsService.countFinishedAttempt(gradedAttempt());
+
+            expect(Quiz.updateOne).toHaveBeenCalledWith({ _id: 'quiz1' }, { $inc: { totalAttempts: 1 } }, { session: null });
+        });
+    });
+
+    describe('describeQuizStats', () => {
+        it('derives rates and averages from the counters', () => {
+            const stats = attemptStatsService.describeQuizStats({
+                totalAttempts: 5,
+                stats: { gradedAttempts: 4, passCount: 3, scoreSum: 10, percentageSum: 250, histogram: { '81-100%': 2 } }
+            });
+
+            expect(stats).toMatchObject({
+                totalAttempts: 5,
+                gradedAttempts: 4,
+                passRate: 75,
+                averageScore: 2.5,
+                averagePercentage: 62.5
+            });
+            expect(stats.distribution).toContainEqual({ label: '81-100%', count: 2 });
+            expect(stats.distribution).toContainEqual({ label: '0-20%', count: 0 });
+        });
+    });
+});
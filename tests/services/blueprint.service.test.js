@@ -0,0 +1,105 @@
+const blueprintService = require('../../src/services/blueprint.service');
+
+const bank = (specs) => {
+    let id = 0;
+    return specs.flatMap(({ n, ...fields }) =>
+        Array.from({ length: n }, () => ({ _id: `q${++id}`, marks: 1, tags: [], ...fields })));
+};
+
+const count = (questions, field, value) => questions.filter(q => q[field] === value).length;
+
+describe('blueprint service', () => {
+    describe('validateBlueprint', () => {
+        it('rejects a quota larger than the paper', () => {
+            const error = blueprintService.validateBlueprint(
+                { quotas: [{ dimension: 'difficulty', value: 'hard', count: 6 }] }, 5);
+            expect(error).toMatch(/exceeds the paper size of 5/);
+        });
+
+        it('rejects exact quotas on one dimension adding up past the paper', () => {
+            const error = blueprintService.validateBlueprint({
+                quotas: [
+                    { dimension: 'difficulty', value: 'easy', count: 3 },
+                    { dimension: 'difficulty', value: 'hard', count: 3 }
+                ]
+            }, 5);
+            expect(error).toMatch(/add up to 6/);
+        });
+
+        it('allows overlapping at_least quotas', () => {
+            expect(blueprintService.validateBlueprint({
+                quotas: [
+                    { dimension: 'tag', value: 'algebra', count: 4, mode: 'at_least' },
+                    { dimension: 'tag', value: 'geometry', count: 4, mode: 'at_least' }
+                ]
+            }, 5)).toBeNull();
+        });
+    });
+
+    describe('selectByBlueprint', () => {
+        it('draws a paper meeting every exact quota', () => {
+            const candidates = bank([
+                { n: 10, difficulty: 'easy' },
+                { n: 10, difficulty: 'medium' },
+                { n: 3, difficulty: 'hard' }
+            ]);
+            const blueprint = {
+                quotas: [
+                    { dimension: 'difficulty', value: 'easy', count: 4 },
+                    { dimension: 'difficulty', value: 'hard', count: 2 }
+                ]
+            };
+
+            for (let i = 0; i < 20; i++) {
+                const { questions, error } = blueprintService.selectByBlueprint(candidates, { blueprint, count: 8 });
+
+                expect(error).toBeUndefined();
+                expect(questions).toHaveLength(8);
+                expect(new Set(questions.map(q => q._id)).size).toBe(8);
+                expect(count(questions, 'difficulty', 'easy')).toBe(4);
+                expect(count(questions, 'difficulty', 'hard')).toBe(2);
+            }
+        });
+
+        it('balances marks to the target total', () => {
+            const candidates = bank([
+                { n: 6, difficulty: 'easy', marks: 1 },
+                { n: 6, difficulty: 'hard', marks: 3 }
+            ]);
+            const blueprint = {
+                quotas: [{ dimension: 'difficulty', value: 'hard', count: 1, mode: 'at_least' }],
+                balanceMarks: true
+            };
+
+            const { questions } = blueprintService.selectByBlueprint(candidates, { blueprint, count: 5, targetMarks: 9 });
+
+            expect(questions.reduce((sum, q) => sum + q.marks, 0)).toBe(9);
+        });
+
+        it('reports a quota the pool cannot meet', () => {
+            const candidates = bank([{ n: 10, difficulty: 'easy' }, { n: 1, difficulty: 'hard' }]);
+            const { error } = blueprintService.selectByBlueprint(candidates, {
+                blueprint: { quotas: [{ dimension: 'difficulty', value: 'hard', count: 2 }] },
+                count: 5
+            });
+
+            expect(error).toMatch(/only 1 matching questions/);
+        });
+
+        it('reports a pool smaller than the paper', () => {
+            const { error } = blueprintService.selectByBlueprint(bank([{ n: 3, difficulty: 'easy' }]), { count: 5 });
+            expect(error).toMatch(/has 3 questions but the paper needs 5/);
+        });
+
+        it('reports a marks total no paper can reach', () => {
+            const candidates = bank([{ n: 10, difficulty: 'easy', marks: 2 }]);
+            const { error } = blueprintService.selectByBlueprint(candidates, {
+                blueprint: { balanceMarks: true },
+                count: 5,
+                targetMarks: 11
+            }, { maxTries: 3 });
+
+            expect(error).toMatch(/total of 11 marks/);
+        });
+    });
+});
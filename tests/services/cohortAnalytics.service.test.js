@@ -0,0 +1,102 @@
+const XLSX = require('xlsx');
+const Quiz = require('../../src/models/Quiz');
+const QuizAttempt = require('../../src/models/QuizAttempt');
+const cohortAnalyticsService = require('../../src/services/cohortAnalytics.service');
+
+const semester3 = { semester: 3 };
+const unassigned = { semester: null };
+
+const result = (attemptId, percentage, passed) => ({ attemptId, quiz: 'quiz1', percentage, passed });
+
+const facets = {
+    cohorts: [
+        { _id: semester3, students: ['s1', 's2'], results: 6, mean: 60, passed: 3 },
+        { _id: unassigned, students: ['s3'], results: 1, mean: 40, passed: 0 }
+    ],
+    byQuiz: [
+        { _id: { cohort: semester3, quiz: 'quiz1' }, results: 2, mean: 70, passed: 2 },
+        { _id: { cohort: unassigned, quiz: 'quiz1' }, results: 1, mean: 40, passed: 0 }
+    ],
+    trend: [{ _id: { cohort: semester3, period: '2026-03' }, results: 6, mean: 60, passed: 3 }],
+    students: [
+        // Passing, but the latest result fell well below the earlier ones
+        { _id: 's1', user: { _id: 's1', name: 'Asha' }, cohort: semester3, results: [result('a1', 90, true), result('a2', 85, true), result('a3', 40, false)] },
+        // Failing most quizzes
+        { _id: 's2', user: { _id: 's2', name: 'Ben' }, cohort: semester3, results: [result('a4', 30, false), result('a5', 35, false), result('a6', 80, true)] },
+        { _id: 's3', user: { _id: 's3', name: 'Chen' }, cohort: unassigned, results: [result('a7', 40, false)] }
+    ]
+};
+
+describe('cohort analytics service', () => {
+    let find;
+    let aggregate;
+
+    beforeEach(() => {
+        find = jest.spyOn(Quiz, 'find').mockReturnValue({
+            select: () => ({ sort: () => ({ lean: jest.fn().mockResolvedValue([{ _id: 'quiz1', title: 'Quiz 1' }]) }) })
+        });
+        aggregate = jest.spyOn(QuizAttempt, 'aggregate')
+            .mockResolvedValueOnce([facets])
+            .mockResolvedValueOnce([
+                { _id: { user: 's1', topic: 'Algebra' }, questions: 2, score: 2, maxScore: 2 },
+                { _id: { user: 's2', topic: 'Algebra' }, questions: 2, score: 0, maxScore: 2 }
+            ]);
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    const analyse = () => cohortAnalyticsService.getCohortAnalytics(
+        { _id: 'subject1', name: 'Maths' },
+        { _id: 'trainer1', role: 'trainer' },
+        { groupBy: ['semester'] }
+    );
+
+    it('only covers the trainer\'s own quizzes of the subject', async () => {
+        await analyse();
+
+        expect(find).toHaveBeenCalledWith({ subject: 'subject1', createdBy: 'trainer1' });
+    });
+
+    it('compares cohorts overall and quiz by quiz', async () => {
+        const report = await analyse();
+
+        expect(report.cohorts).toEqual([
+            { cohort: 'Semester 3', profile: semester3, students: 2, results: 6, mean: 60, passRate: 50 },
+            { cohort: 'Unassigned', profile: unassigned, students: 1, results: 1, mean: 40, passRate: 0 }
+        ]);
+        expect(report.comparison[0].cohorts.map(c => [c.cohort, c.passRate])).toEqual([
+            ['Semester 3', 100],
+            ['Unassigned', 0]
+        ]);
+        expect(report.trend).toEqual([{ period: '2026-03', cohort: 'Semester 3', results: 6, mean: 60, passRate: 50 }]);
+    });
+
+    it('works out topic mastery per cohort from the best attempts', async () => {
+        const report = await analyse();
+
+        expect(aggregate.mock.calls[1][0][0].$match._id).toEqual({ $in: ['a1', 'a2', 'a3', 'a4', 'a5', 'a6', 'a7'] });
+        expect(report.topicMastery).toEqual([
+            { cohort: 'Semester 3', topic: 'Algebra', students: 2, questions: 4, mastery: 50 }
+        ]);
+    });
+
+    it('lists students who are failing or declining', async () => {
+        const report = await analyse();
+
+        expect(report.fallingBehind.map(s => [s.student.name, s.reasons])).toEqual([
+            ['Chen', ['failing']],
+            ['Ben', ['failing']],
+            ['Asha', ['declining']]
+        ]);
+        expect(report.fallingBehind[2]).toMatchObject({ mean: 71.67, cohortMean: 60, latest: 40 });
+    });
+
+    it('exports one sheet per view', async () => {
+        const workbook = XLSX.read(cohortAnalyticsService.buildWorkbook(await analyse()));
+
+        expect(workbook.SheetNames).toEqual(['Cohorts', 'By quiz', 'Trend', 'Topic mastery', 'Falling behind']);
+        expect(XLSX.utils.sheet_to_json(workbook.Sheets['Topic mastery'])).toEqual([
+            { 'Topic': 'Algebra', 'Semester 3': 50, 'Unassigned': '' }
+        ]);
+    });
+});
@@ -0,0 +1,51 @@
+const mcqMulti = require('../../../src/services/graders/mcq_multi.grader');
+
+// Choices a and b are correct, c and d are not
+const question = (extra = {}) => ({
+    type: 'mcq_multi',
+    choices: [
+        { id: 'a', isCorrect: true },
+        { id: 'b', isCorrect: true },
+        { id: 'c', isCorrect: false },
+        { id: 'd', isCorrect: false }
+    ],
+    ...extra
+});
+
+const scoreFor = (policy, answer, extra = {}) =>
+    mcqMulti.grade({ question: question({ partialCreditPolicy: policy, ...extra }), answer, marks: 4 });
+
+describe('mcq_multi grader', () => {
+    it('gives full marks for exactly the correct set, in any order', () => {
+        const result = scoreFor('all_or_nothing', ['b', 'a', 'a']);
+        expect(result).toMatchObject({ score: 4, isCorrect: true, scoringPolicy: 'all_or_nothing' });
+    });
+
+    it('all_or_nothing gives nothing for a partial set', () => {
+        expect(scoreFor('all_or_nothing', ['a']).score).toBe(0);
+    });
+
+    it('proportional counts choices classified correctly', () => {
+        // a picked, b missed, c and d left: 3 of 4 right
+        expect(scoreFor('proportional', ['a']).score).toBe(3);
+    });
+
+    it('right_minus_wrong subtracts wrong picks and floors at zero', () => {
+        expect(scoreFor('right_minus_wrong', ['a', 'b', 'c']).score).toBe(2);
+        expect(scoreFor('right_minus_wrong', ['a', 'c', 'd']).score).toBe(0);
+    });
+
+    it('penalize_wrong applies negative marks for any wrong pick', () => {
+        expect(scoreFor('penalize_wrong', ['a', 'c'], { negativeMarks: 1 }).score).toBe(-1);
+        expect(scoreFor('penalize_wrong', ['a']).score).toBe(2);
+    });
+
+    describe('resolvePolicy', () => {
+        it('prefers the question, then the quiz, then the default', () => {
+            expect(mcqMulti.resolvePolicy({ partialCreditPolicy: 'proportional' }, { partialCreditPolicy: 'all_or_nothing' }))
+                .toBe('proportional');
+            expect(mcqMulti.resolvePolicy({}, { partialCreditPolicy: 'all_or_nothing' })).toBe('all_or_nothing');
+            expect(mcqMulti.resolvePolicy({ partialCreditPolicy: 'bogus' }, null)).toBe(mcqMulti.DEFAULT_POLICY);
+        });
+    });
+});
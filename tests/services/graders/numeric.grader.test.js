@@ -0,0 +1,86 @@
+const numeric = require('../../../src/services/graders/numeric.grader');
+
+describe('numeric grader', () => {
+    describe('parseAnswer', () => {
+        it('reads a lone comma as a decimal comma', () => {
+            expect(numeric.parseAnswer('9,81').value).toBe(9.81);
+        });
+
+        it('strips thousands separators', () => {
+            expect(numeric.parseAnswer('1,234.5').value).toBe(1234.5);
+            expect(numeric.parseAnswer('12,345,678').value).toBe(12345678);
+        });
+
+        it('splits the number from its unit', () => {
+            expect(numeric.parseAnswer('9.81 m/s^2')).toMatchObject({ value: 9.81, unit: 'm/s^2' });
+            expect(numeric.parseAnswer({ value: '3', unit: 'kg' })).toMatchObject({ value: 3, unit: 'kg' });
+        });
+
+        it('returns NaN for text that is not a number', () => {
+            expect(numeric.parseAnswer('about ten').value).toBeNaN();
+        });
+    });
+
+    describe('countSignificantFigures', () => {
+        it('treats trailing zeros of an integer as ambiguous', () => {
+            expect(numeric.countSignificantFigures('1200')).toEqual({ min: 2, max: 4 });
+            expect(numeric.countSignificantFigures('0.0120')).toEqual({ min: 3, max: 3 });
+        });
+    });
+
+    describe('grade', () => {
+        it('accepts answers within the default absolute tolerance', () => {
+            const result = numeric.grade({ question: { correct: '3.14' }, answer: '3.145', marks: 1 });
+            expect(result).toMatchObject({ score: 1, isCorrect: true });
+        });
+
+        it('applies a relative tolerance', () => {
+            const question = { correct: '200', numericAnswer: { toleranceType: 'relative', tolerance: 0.05 } };
+
+            expect(numeric.grade({ question, answer: 209, marks: 1 }).isCorrect).toBe(true);
+            expect(numeric.grade({ question, answer: 211, marks: 1 }).isCorrect).toBe(false);
+        });
+
+        it('accepts answers inside an extra range', () => {
+            const question = { correct: '10', numericAnswer: { tolerance: 0, ranges: [{ min: 20, max: 30 }] } };
+            expect(numeric.grade({ question, answer: '25', marks: 1 }).isCorrect).toBe(true);
+        });
+
+        it('converts compatible units before comparing', () => {
+            const question = { correct: '1.5', numericAnswer: { unit: 'm' } };
+            expect(numeric.grade({ question, answer: '150 cm', marks: 1 }).isCorrect).toBe(true);
+        });
+
+        it('reads unit symbols with their case', () => {
+            const question = { correct: '300', numericAnswer: { unit: 'K', tolerance: 0.5 } };
+
+            expect(numeric.grade({ question, answer: '26.85 C', marks: 1 }).isCorrect).toBe(true);
+            expect(numeric.grade({ question, answer: '300 k', marks: 1 }).feedback)
+                .toBe("Unit 'k' is not compatible with K");
+        });
+
+        it('rejects incompatible or missing units when required', () => {
+            const question = { correct: '1.5', numericAnswer: { unit: 'm', requireUnit: true } };
+
+            expect(numeric.grade({ question, answer: '1.5 kg', marks: 1 }).feedback)
+                .toBe("Unit 'kg' is not compatible with m");
+            expect(numeric.grade({ question, answer: '1.5', marks: 1 }).feedback)
+                .toBe('Missing unit (expected m)');
+        });
+
+        it('gives the configured credit for the wrong number of significant figures', () => {
+            const question = {
+                correct: '9.81',
+                numericAnswer: { significantFigures: 3, significantFiguresCredit: 0.5 }
+            };
+            const result = numeric.grade({ question, answer: '9.810', marks: 2 });
+
+            expect(result).toMatchObject({ score: 1, isCorrect: false, isPartial: true });
+        });
+
+        it('applies negative marks to wrong answers', () => {
+            const result = numeric.grade({ question: { correct: '4', negativeMarks: 1 }, answer: '5', marks: 2 });
+            expect(result.score).toBe(-1);
+        });
+    });
+});
@@ -0,0 +1,123 @@
+const shortAnswer = require('../../../src/services/graders/short_answer.grader');
+
+const question = (shortAnswerSettings, extra = {}) => ({
+    type: 'short_answer',
+    shortAnswer: shortAnswerSettings,
+    ...extra
+});
+
+describe('short_answer grader', () => {
+    it('matches literal answers ignoring case, whitespace and punctuation', () => {
+        const result = shortAnswer.grade({
+            question: question({ acceptedAnswers: [{ text: 'Photosynthesis' }] }),
+            answer: '  photosynthesis! ',
+            marks: 2
+        });
+
+        expect(result).toMatchObject({ score: 2, isCorrect: true, feedback: 'Correct' });
+    });
+
+    it('falls back to `correct` for legacy questions', () => {
+        const result = shortAnswer.grade({
+            question: { type: 'short_answer', correct: ['Paris', 'paris, france'] },
+            answer: 'Paris France',
+            marks: 1
+        });
+
+        expect(result.isCorrect).toBe(true);
+    });
+
+    it('anchors regex patterns to the whole answer', () => {
+        const q = question({ acceptedAnswers: [{ text: 'cat', isRegex: true }] });
+
+        expect(shortAnswer.grade({ question: q, answer: 'cat', marks: 1 }).isCorrect).toBe(true);
+        expect(shortAnswer.grade({ question: q, answer: 'concatenate', marks: 1 }).isCorrect).toBe(false);
+    });
+
+    it('never compiles patterns with nested quantifiers', () => {
+        expect(shortAnswer.compilePattern('(a+)+', {})).toBeNull();
+        expect(shortAnswer.compilePattern('(\\w*)*$', {})).toBeNull();
+        expect(shortAnswer.compilePattern('colou?r', {})).toBeInstanceOf(RegExp);
+    });
+
+    it('sends answers to manual review when a pattern backtracks past the time limit', () => {
+        const startedAt = Date.now();
+
+        const result = shortAnswer.grade({
+            question: question({ acceptedAnswers: [{ text: '(a|a)*', isRegex: true }] }),
+            answer: `${'a'.repeat(40)}b`,
+            marks: 1
+        });
+
+        expect(Date.now() - startedAt).toBeLessThan(1000);
+        expect(result).toMatchObject({ score: 0, needsManualReview: true });
+    });
+
+    it('still awards a match from another accepted answer when a pattern times out', () => {
+        const result = shortAnswer.grade({
+            question: question({
+                acceptedAnswers: [
+                    { text: '(a|ab)*c', isRegex: true },
+                    { text: `${'ab'.repeat(20)}x` }
+                ]
+            }),
+            answer: `${'ab'.repeat(20)}x`,
+            marks: 1
+        });
+
+        expect(result).toMatchObject({ score: 1, isCorrect: true });
+    });
+
+    it('keeps symbols when ignoring punctuation', () => {
+        const cpp = question({ acceptedAnswers: [{ text: 'C++' }] });
+
+        expect(shortAnswer.grade({ question: cpp, answer: 'C', marks: 1 }).isCorrect).toBe(false);
+        expect(shortAnswer.grade({ question: cpp, answer: 'c++', marks: 1 }).isCorrect).toBe(true);
+        expect(shortAnswer.normalize('C++, really!', { caseSensitive: true, ignorePunctuation: true, normalizeWhitespace: true })).toBe('C++ really');
+    });
+
+    it('prefers the highest-credit answer among matches', () => {
+        const q = question({
+            acceptedAnswers: [
+                { text: 'mitochondria', credit: 0.5 },
+                { text: 'mitochondria', credit: 1 }
+            ]
+        });
+
+        expect(shortAnswer.grade({ question: q, answer: 'mitochondria', marks: 4 }).score).toBe(4);
+    });
+
+    it('gives partial credit for answers worth less than full marks', () => {
+        const q = question({ acceptedAnswers: [{ text: 'about 100', credit: 0.5 }] });
+        const result = shortAnswer.grade({ question: q, answer: 'about 100', marks: 4 });
+
+        expect(result).toMatchObject({ score: 2, isCorrect: false, isPartial: true });
+    });
+
+    it('tolerates typos within maxEditDistance', () => {
+        const q = question({ acceptedAnswers: [{ text: 'necessary' }], maxEditDistance: 1 });
+        const result = shortAnswer.grade({ question: q, answer: 'neccessary', marks: 1 });
+
+        expect(result).toMatchObject({ isCorrect: true, feedback: 'Correct (minor spelling differences)' });
+    });
+
+    it('sends near misses past maxEditDistance to manual review', () => {
+        const q = question({ acceptedAnswers: [{ text: 'necessary' }], maxEditDistance: 1 });
+        const result = shortAnswer.grade({ question: q, answer: 'neccesary', marks: 1 });
+
+        expect(result).toMatchObject({ score: 0, needsManualReview: true });
+    });
+
+    it('sends over-long answers to manual review', () => {
+        const q = question({ acceptedAnswers: [{ text: 'a+', isRegex: true }] });
+        const result = shortAnswer.grade({ question: q, answer: 'a'.repeat(501), marks: 1 });
+
+        expect(result).toMatchObject({ score: 0, needsManualReview: true });
+    });
+
+    it('applies negative marks to wrong answers', () => {
+        const q = question({ acceptedAnswers: [{ text: 'oxygen' }] }, { negativeMarks: 0.25 });
+
+        expect(shortAnswer.grade({ question: q, answer: 'nitrogen', marks: 1 }).score).toBe(-0.25);
+    });
+});
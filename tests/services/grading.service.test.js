@@ -0,0 +1,135 @@
+const gradingService = require('../../src/services/grading.service');
+
+const mcqSingle = {
+    _id: 'q1',
+    type: 'mcq_single',
+    marks: 2,
+    choices: [{ id: 'a', isCorrect: true }, { id: 'b', isCorrect: false }],
+    correct: 'a'
+};
+
+describe('grading service', () => {
+    describe('gradeQuestion', () => {
+        it('routes question types without a grader to manual review', () => {
+            const result = gradingService.gradeQuestion({ _id: 'q2', type: 'essay', marks: 5 }, 'text');
+            expect(result).toMatchObject({ score: 0, maxScore: 5, needsManualReview: true });
+        });
+
+        it('uses the marks served with the question over the bank marks', () => {
+            const result = gradingService.gradeQuestion(mcqSingle, 'a', { marks: 3 });
+            expect(result).toMatchObject({ score: 3, maxScore: 3, isCorrect: true });
+        });
+
+        it('hides the correct answer when the quiz does not show it', () => {
+            const result = gradingService.gradeQuestion(mcqSingle, 'b', { quiz: { showCorrectAnswers: false } });
+            expect(result.correctAnswer).toBeUndefined();
+        });
+
+        it('scores unanswered questions as zero without calling the grader', () => {
+            const result = gradingService.gradeQuestion({ ...mcqSingle, negativeMarks: 1 }, '');
+            expect(result).toMatchObject({ score: 0, isCorrect: false, feedback: 'Not answered' });
+        });
+
+        it('records a scoring policy only for question types that apply one', () => {
+            const mcqMulti = {
+                _id: 'q3',
+                type: 'mcq_multi',
+                marks: 2,
+                choices: [{ id: 'a', isCorrect: true }, { id: 'b', isCorrect: true }, { id: 'c', isCorrect: false }]
+            };
+
+            expect(gradingService.gradeQuestion(mcqMulti, ['a']).scoringPolicy).toBeDefined();
+            expect(gradingService.gradeQuestion(mcqSingle, 'a')).not.toHaveProperty('scoringPolicy');
+            expect(gradingService.gradeQuestion({ _id: 'q2', type: 'essay', marks: 5 }, 'text')).not.toHaveProperty('scoringPolicy');
+        });
+
+        it('scores voided questions as zero and full-credit ones as full marks', () => {
+            const quiz = {
+                questionDispositions: [{ questionId: 'q1', disposition: 'void' }]
+            };
+
+            expect(gradingService.gradeQuestion(mcqSingle, 'a', { quiz }))
+                .toMatchObject({ score: 0, disposition: 'void', feedback: 'Question voided; not counted' });
+
+            quiz.questionDispositions[0].disposition = 'full_credit';
+            expect(gradingService.gradeQuestion(mcqSingle, 'b', { quiz }))
+                .toMatchObject({ score: 2, isCorrect: true, disposition: 'full_credit' });
+        });
+
+        it('applies negative marks to a wrong single choice', () => {
+            const result = gradingService.gradeQuestion({ ...mcqSingle, negativeMarks: 0.5 }, 'b');
+            expect(result).toMatchObject({ score: -0.5, isCorrect: false });
+        });
+    });
+
+    describe('summarizeResults', () => {
+        it('lets manual grades override the automatic score', () => {
+            const summary = gradingService.summarizeResults(
+                [{ questionId: 'q1', maxScore: 4, score: 0, needsManualReview: true }],
+                [{ questionId: 'q1', score: 2 }]
+            );
+
+            expect(summary).toMatchObject({ totalScore: 2, partialCount: 1, pendingCount: 0 });
+        });
+
+        it('leaves voided and bonus marks out of the maximum, counting bonus scores', () => {
+            const summary = gradingService.summarizeResults([
+                { questionId: 'q1', maxScore: 2, score: 0, disposition: 'void', submittedAnswer: 'a' },
+                { questionId: 'q2', maxScore: 3, score: 3, isCorrect: true, disposition: 'bonus', submittedAnswer: 'a' },
+                { questionId: 'q3', maxScore: 5, score: 5, isCorrect: true, submittedAnswer: 'a' }
+            ]);
+
+            expect(summary).toMatchObject({ totalScore: 8, excludedMarks: 5, correctCount: 2 });
+        });
+
+        it('never takes the total below zero', () => {
+            const summary = gradingService.summarizeResults([
+                { questionId: 'q1', maxScore: 1, score: -1, submittedAnswer: 'b' }
+            ]);
+
+            expect(summary.totalScore).toBe(0);
+        });
+    });
+
+    describe('applyGrading', () => {
+        const sectionedAttempt = () => ({
+            maxScore: 4,
+            selectedQuestions: [
+                { question: 'q1', section: 's1' },
+                { question: 'q2', section: 's2' }
+            ],
+            sections: [
+                { sectionId: 's1', passingMarks: 1 },
+                { sectionId: 's2', passingMarks: 2 }
+            ],
+            manualGradeResult: []
+        });
+
+        it('fails the attempt when a section falls short even if the total passes', () => {
+            const attempt = sectionedAttempt();
+            const results = [
+                { questionId: 'q1', maxScore: 2, score: 2, isCorrect: true, submittedAnswer: 'a' },
+                { questionId: 'q2', maxScore: 2, score: 1, submittedAnswer: 'b' }
+            ];
+
+            gradingService.applyGrading(attempt, { passingMarks: 3 }, { results, ...gradingService.summarizeResults(results) });
+
+            expect(attempt.totalScore).toBe(3);
+            expect(attempt.sections.map(s => s.passed)).toEqual([true, false]);
+            expect(attempt.sections[1]).toMatchObject({ score: 1, maxScore: 2, percentage: 50 });
+            expect(attempt.passed).toBe(false);
+        });
+
+        it('passes when the total and every section reach their marks', () => {
+            const attempt = sectionedAttempt();
+            const results = [
+                { questionId: 'q1', maxScore: 2, score: 1, submittedAnswer: 'a' },
+                { questionId: 'q2', maxScore: 2, score: 2, isCorrect: true, submittedAnswer: 'b' }
+            ];
+
+            gradingService.applyGrading(attempt, { passingMarks: 3 }, { results, ...gradingService.summarizeResults(results) });
+
+            expect(attempt.passed).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,70 @@
+const QuizAttempt = require('../../src/models/QuizAttempt');
+const gradingService = require('../../src/services/grading.service');
+const gradingScaleService = require('../../src/services/gradingScale.service');
+
+const bands = [
+    { label: 'C', minPercentage: 0 },
+    { label: 'A', minPercentage: 80 },
+    { label: 'B', minPercentage: 60 }
+];
+
+describe('grading scale service', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    describe('validateBands', () => {
+        it('accepts bands that cover every score', () => {
+            expect(gradingScaleService.validateBands(bands)).toBeNull();
+        });
+
+        it('rejects duplicate labels, duplicate thresholds and gaps at the bottom', () => {
+            expect(gradingScaleService.validateBands([...bands, { label: ' a ', minPercentage: 90 }]))
+                .toBe('Band labels must be unique');
+            expect(gradingScaleService.validateBands([...bands, { label: 'A+', minPercentage: 80 }]))
+                .toBe('Each band needs a different minPercentage');
+            expect(gradingScaleService.validateBands(bands.slice(1)))
+                .toMatch(/lowest band must start at 0%/);
+        });
+    });
+
+    describe('isAvailableForQuiz', () => {
+        it('limits subject scales to quizzes of that subject', () => {
+            const scale = { scope: 'subject', subject: 'math' };
+
+            expect(gradingScaleService.isAvailableForQuiz(scale, { subject: { _id: 'math' } })).toBe(true);
+            expect(gradingScaleService.isAvailableForQuiz(scale, { subject: 'physics' })).toBe(false);
+            expect(gradingScaleService.isAvailableForQuiz({ scope: 'institution' }, {})).toBe(true);
+        });
+    });
+
+    describe('resolveGrade', () => {
+        it('gives the highest band the percentage reaches', () => {
+            expect(gradingService.resolveGrade(bands, 80)).toBe('A');
+            expect(gradingService.resolveGrade(bands, 79.9)).toBe('B');
+            expect(gradingService.resolveGrade(bands, 0)).toBe('C');
+            expect(gradingService.resolveGrade(undefined, 90)).toBeUndefined();
+        });
+    });
+
+    describe('recomputeGrades', () => {
+        it('updates graded attempts band by band', async () => {
+            const updateMany = jest.spyOn(QuizAttempt, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+            const quiz = { _id: 'quiz1', gradingScale: gradingScaleService.toQuizScale({ _id: 's1', name: 'Letters', bands }) };
+
+            expect(await gradingScaleService.recomputeGrades(quiz)).toBe(6);
+
+            expect(updateMany.mock.calls.map(([filter, update]) => [filter.percentage, update.$set.grade])).toEqual([
+                [{ $gte: 80 }, 'A'],
+                [{ $gte: 60, $lt: 80 }, 'B'],
+                [{ $gte: 0, $lt: 60 }, 'C']
+            ]);
+            expect(updateMany.mock.calls[0][0]).toMatchObject({ quiz: 'quiz1', ...QuizAttempt.gradedFilter() });
+        });
+
+        it('clears grades when the quiz has no scale', async () => {
+            const updateMany = jest.spyOn(QuizAttempt, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+
+            expect(await gradingScaleService.recomputeGrades({ _id: 'quiz1' })).toBe(3);
+            expect(updateMany.mock.calls[0][1]).toEqual({ $unset: { grade: '' } });
+        });
+    });
+});
@@ -0,0 +1,112 @@
+const ItemAnalysis = require('../../src/models/ItemAnalysis');
+const Question = require('../../src/models/Question');
+const QuizAttempt = require('../../src/models/QuizAttempt');
+const itemAnalysisService = require('../../src/services/itemAnalysis.service');
+
+const q1 = {
+    _id: 'q1',
+    type: 'mcq_single',
+    correct: 'a',
+    choices: [{ id: 'a', text: 'A' }, { id: 'b', text: 'B' }, { id: 'c', text: 'C' }]
+};
+
+// Each attempt: [answer to q1, score on q1, score on q2]
+const gradedAttempt = ([answer, q1Score, q2Score]) => ({
+    totalScore: q1Score + q2Score,
+    percentage: (q1Score + q2Score) * 50,
+    rawAnswers: [{ questionId: 'q1', answer }],
+    autoGradeResult: [
+        { questionId: 'q1', score: q1Score, maxScore: 1 },
+        { questionId: 'q2', score: q2Score, maxScore: 1 },
+        { questionId: 'q3', score: 0, maxScore: 1, disposition: 'void' }
+    ],
+    manualGradeResult: []
+});
+
+const chain = (result) => ({ select: () => ({ lean: jest.fn().mockResolvedValue(result) }) });
+
+describe('item analysis service', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    describe('analyzeQuiz', () => {
+        let stored;
+
+        beforeEach(() => {
+            jest.spyOn(QuizAttempt, 'find').mockReturnValue(chain([
+                gradedAttempt(['a', 1, 1]),
+                gradedAttempt(['a', 1, 0]),
+                gradedAttempt(['b', 0, 1]),
+                gradedAttempt(['b', 0, 0])
+            ]));
+            jest.spyOn(Question, 'find').mockReturnValue(chain([q1, { _id: 'q2', type: 'essay' }]));
+            jest.spyOn(ItemAnalysis, 'bulkWrite').mockImplementation(async (ops) => {
+                stored = ops.map(op => op.updateOne.update.$set);
+            });
+            jest.spyOn(ItemAnalysis, 'deleteMany').mockResolvedValue({});
+            jest.spyOn(ItemAnalysis, 'aggregate').mockResolvedValue([]);
+        });
+
+        it('stores difficulty, discrimination and option use for each question', async () => {
+            const result = await itemAnalysisService.analyzeQuiz({ _id: 'quiz1' });
+
+            expect(result.attemptCount).toBe(4);
+            const item = stored.find(i => i.question === 'q1');
+            expect(item).toMatchObject({
+                responses: 4,
+                omitted: 0,
+                pValue: 0.5,
+                discrimination: { pointBiserial: 0, upperLower: 1 },
+                flags: ['low_discrimination', 'unused_distractor']
+            });
+            expect(item.options.map(o => [o.optionId, o.isCorrect, o.count, o.meanPercentage])).toEqual([
+                ['a', true, 2, 75],
+                ['b', false, 2, 25],
+                ['c', false, 0, null]
+            ]);
+        });
+
+        it('leaves voided questions out and drops their stored analysis', async () => {
+            await itemAnalysisService.analyzeQuiz({ _id: 'quiz1' });
+
+            expect(Question.find.mock.calls[0][0]).toEqual({ _id: { $in: ['q1', 'q2'] } });
+            expect(ItemAnalysis.deleteMany).toHaveBeenCalledWith({ quiz: 'quiz1', question: { $nin: ['q1', 'q2'] } });
+        });
+    });
+
+    describe('refreshQuestionStats', () => {
+        it('pools quizzes onto the bank and calibrates well-answered questions', async () => {
+            jest.spyOn(ItemAnalysis, 'aggregate').mockResolvedValue([
+                { _id: 'q1', responses: 40, weightedP: 20, weightedR: 12, correlated: 40, quizCount: 2 },
+                { _id: 'q2', responses: 10, weightedP: 9.5, weightedR: 0, correlated: 0, quizCount: 1 }
+            ]);
+            const bulkWrite = jest.spyOn(Question, 'bulkWrite').mockResolvedValue({});
+
+            expect(await itemAnalysisService.refreshQuestionStats(['q1', 'q2'])).toBe(2);
+
+            const [first, second] = bulkWrite.mock.calls[0][0].map(op => op.updateOne.update.$set);
+            expect(first).toMatchObject({
+                timesUsed: 40,
+                averageScore: 50,
+                itemStats: { pValue: 0.5, discrimination: 0.3, quizCount: 2, flags: [] },
+                calibration: { difficulty: 0, sampleSize: 40 }
+            });
+            expect(second.itemStats).toMatchObject({ pValue: 0.95, discrimination: null, flags: ['too_easy'] });
+            expect(second.calibration).toBeUndefined();
+        });
+    });
+
+    describe('getOptions', () => {
+        it('keys true/false questions from `correct`', () => {
+            expect(itemAnalysisService.getOptions({ type: 'true_false', correct: 'False' }).map(o => o.isCorrect))
+                .toEqual([false, true]);
+            expect(itemAnalysisService.getOptions({ type: 'essay' })).toBeNull();
+        });
+    });
+
+    describe('correlation', () => {
+        it('is null when either side has no variance', () => {
+            expect(itemAnalysisService.correlation([1, 1, 1], [1, 2, 3])).toBeNull();
+            expect(itemAnalysisService.correlation([0, 1, 2], [2, 4, 6])).toBeCloseTo(1);
+        });
+    });
+});
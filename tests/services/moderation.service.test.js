@@ -0,0 +1,36 @@
+const moderationService = require('../../src/services/moderation.service');
+
+const quiz = {
+    createdBy: 'owner1',
+    doubleMarking: { enabled: true, moderators: ['moderator1'] }
+};
+const attempt = { graders: [{ grader: 'grader1' }, { grader: 'grader2' }] };
+const trainer = (_id) => ({ _id, role: 'trainer' });
+
+describe('moderation service', () => {
+    describe('canGrade', () => {
+        it('lets the quiz owner and admins grade', () => {
+            expect(moderationService.canGrade(attempt, quiz, trainer('owner1'))).toBe(true);
+            expect(moderationService.canGrade(attempt, quiz, { _id: 'admin1', role: 'admin' })).toBe(true);
+        });
+
+        it('lets assigned graders and moderators grade double-marked quizzes', () => {
+            expect(moderationService.canGrade(attempt, quiz, trainer('grader1'))).toBe(true);
+            expect(moderationService.canGrade(attempt, quiz, trainer('moderator1'))).toBe(true);
+        });
+
+        it('refuses other trainers', () => {
+            expect(moderationService.canGrade(attempt, quiz, trainer('trainer9'))).toBe(false);
+            expect(moderationService.canGrade(attempt, { ...quiz, doubleMarking: undefined }, trainer('grader1'))).toBe(false);
+        });
+    });
+
+    describe('canModerate', () => {
+        it('never lets one of the attempt\'s graders moderate it', () => {
+            const moderatorGrading = { graders: [{ grader: 'moderator1' }] };
+
+            expect(moderationService.canModerate(moderatorGrading, quiz, trainer('moderator1'))).toBe(false);
+            expect(moderationService.canModerate(attempt, quiz, trainer('moderator1'))).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,121 @@
+const QuizAttempt = require('../../src/models/QuizAttempt');
+const User = require('../../src/models/User');
+const performanceService = require('../../src/services/performance.service');
+
+const trendRow = (overrides) => ({
+    attemptId: 'a1',
+    quiz: { id: 'quiz1', title: 'Quiz' },
+    totalScore: 6,
+    maxScore: 10,
+    percentage: 60,
+    passMarkPercentage: 50,
+    passed: true,
+    ...overrides
+});
+
+describe('performance service', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    describe('getTrend', () => {
+        it('only counts results released to the student', async () => {
+            const aggregate = jest.spyOn(QuizAttempt, 'aggregate').mockResolvedValue([{ attempts: [], byMonth: [] }]);
+
+            await performanceService.getTrend('student1');
+
+            const pipeline = aggregate.mock.calls[0][0];
+            expect(pipeline[0].$match).toMatchObject({
+                user: 'student1',
+                $or: [
+                    { status: { $in: performanceService.RELEASED_STATUSES } },
+                    { status: 'timeout', 'grading.status': 'completed' }
+                ]
+            });
+            expect(pipeline).toContainEqual({
+                $match: { $or: [{ status: 'manually_graded' }, { 'quiz.showResultsImmediately': true }] }
+            });
+        });
+
+        it('reports each attempt against its pass mark', async () => {
+            jest.spyOn(QuizAttempt, 'aggregate').mockResolvedValue([{
+                attempts: [trendRow({ percentage: 62.5, passMarkPercentage: 50 })],
+                byMonth: [{ _id: '2026-03', attempts: 1, averagePercentage: 62.5, passed: 1 }]
+            }]);
+
+            const trend = await performanceService.getTrend('student1');
+
+            expect(trend.attempts[0].margin).toBe(12.5);
+            expect(trend.byMonth).toEqual([{ month: '2026-03', attempts: 1, averagePercentage: 62.5, passed: 1 }]);
+        });
+    });
+
+    describe('getCohortStanding', () => {
+        it('is null for students without cohort fields', async () => {
+            expect(await performanceService.getCohortStanding({ _id: 'student1' })).toBeNull();
+        });
+
+        it('ranks the student by mid-rank percentile within their cohort', async () => {
+            jest.spyOn(User, 'distinct').mockResolvedValue(['s1', 's2', 's3', 's4']);
+            jest.spyOn(QuizAttempt, 'aggregate').mockResolvedValue([
+                { _id: 's1', average: 40 },
+                { _id: 's2', average: 70 },
+                { _id: 's3', average: 70 },
+                { _id: 's4', average: 90 }
+            ]);
+
+            const standing = await performanceService.getCohortStanding({ _id: 's2', semester: 3, department: '' });
+
+            expect(User.distinct).toHaveBeenCalledWith('_id', { semester: 3, role: 'student', isActive: true });
+            expect(standing).toMatchObject({
+                cohort: { semester: 3 },
+                cohortSize: 4,
+                rankedStudents: 4,
+                averagePercentage: 70,
+                cohortAveragePercentage: 67.5,
+                percentile: 50
+            });
+        });
+    });
+
+    describe('getStudentPerformance', () => {
+        it('summarizes the trend, pass marks and areas', async () => {
+            jest.spyOn(QuizAttempt, 'aggregate')
+                .mockResolvedValueOnce([{
+                    attempts: [
+                        trendRow({ attemptId: 'a1', percentage: 80, passMarkPercentage: 50 }),
+                        trendRow({ attemptId: 'a2', quiz: { id: 'quiz2' }, percentage: 40, passMarkPercentage: 50, passed: false })
+                    ],
+                    byMonth: []
+                }])
+                .mockResolvedValueOnce([{
+                    bySubject: [],
+                    byTopic: [
+                        { _id: 'Algebra', questions: 4, score: 4, maxScore: 4 },
+                        { _id: 'Geometry', questions: 3, score: 1, maxScore: 3 },
+                        { _id: 'Calculus', questions: 1, score: 0, maxScore: 1 }
+                    ],
+                    byTag: []
+                }]);
+
+            const performance = await performanceService.getStudentPerformance({ _id: 'student1' });
+
+            expect(performance.overview).toMatchObject({
+                attempts: 2,
+                quizzes: 2,
+                averagePercentage: 60,
+                highestPercentage: 80,
+                lowestPercentage: 40
+            });
+            expect(performance.passMark).toMatchObject({
+                passed: 1,
+                failed: 1,
+                passRate: 50,
+                averageMargin: 10,
+                closestMargin: -10
+            });
+            expect(performance.strengths.map(a => a.name)).toEqual(['Algebra']);
+            // Too few questions on Calculus to call it a weakness
+            expect(performance.weaknesses.map(a => a.name)).toEqual(['Geometry']);
+            expect(performance.cohort).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,86 @@
+jest.mock('../../src/jobs/attemptTimeout.job', () => ({ finalizeAttempt: jest.fn() }));
+
+const { finalizeAttempt } = require('../../src/jobs/attemptTimeout.job');
+const proctoringService = require('../../src/services/proctoring.service');
+
+const runningAttempt = (overrides = {}) => ({
+    _id: 'attempt1',
+    user: 'student1',
+    status: 'in_progress',
+    startTime: new Date(Date.now() - 10 * 60 * 1000),
+    selectedQuestions: [],
+    rawAnswers: [],
+    proctorActions: [],
+    save: jest.fn().mockResolvedValue(),
+    ...overrides
+});
+
+describe('proctoring service', () => {
+    afterEach(() => jest.clearAllMocks());
+
+    describe('pauseAttempt', () => {
+        it('stops the clock and records who paused it', async () => {
+            const attempt = runningAttempt();
+
+            expect(await proctoringService.pauseAttempt(attempt, { message: 'Fire alarm', by: 'trainer1' })).toBeNull();
+
+            expect(attempt.pausedAt).toBeInstanceOf(Date);
+            expect(attempt.proctorActions).toEqual([{ action: 'pause', by: 'trainer1', message: 'Fire alarm' }]);
+            expect(attempt.save).toHaveBeenCalled();
+        });
+
+        it('refuses an attempt that is already paused', async () => {
+            const attempt = runningAttempt({ pausedAt: new Date() });
+
+            expect(await proctoringService.pauseAttempt(attempt, { by: 'trainer1' })).toBe('Attempt is already paused');
+            expect(attempt.save).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('resumeAttempt', () => {
+        it('gives back the time spent paused, to the attempt and its open section', async () => {
+            const attempt = runningAttempt({
+                pausedAt: new Date(Date.now() - 120 * 1000),
+                extraTimeSeconds: 60,
+                currentSection: 0,
+                sections: [{ sectionId: 's1', durationMinutes: 10, startedAt: new Date() }]
+            });
+
+            expect(await proctoringService.resumeAttempt(attempt, { by: 'trainer1' })).toBeNull();
+
+            expect(attempt.pausedAt).toBeUndefined();
+            expect(attempt.extraTimeSeconds).toBeGreaterThanOrEqual(180);
+            expect(attempt.extraTimeSeconds).toBeLessThanOrEqual(181);
+            expect(attempt.sections[0].durationMinutes).toBeCloseTo(12, 1);
+            expect(attempt.proctorActions[0]).toMatchObject({ action: 'resume', by: 'trainer1' });
+        });
+
+        it('refuses an attempt that is not paused', async () => {
+            expect(await proctoringService.resumeAttempt(runningAttempt(), { by: 'trainer1' })).toBe('Attempt is not paused');
+        });
+    });
+
+    describe('describeLiveAttempt', () => {
+        it('shows a paused attempt with its clock frozen at the pause', () => {
+            const attempt = runningAttempt({ pausedAt: new Date(Date.now() - 5 * 60 * 1000) });
+
+            const row = proctoringService.describeLiveAttempt(attempt, { durationMinutes: 30 });
+
+            expect(row.paused).toBe(true);
+            expect(row.timeRemaining).toBe(25 * 60);
+        });
+    });
+
+    describe('forceSubmit', () => {
+        it('closes the attempt now and records the action on it', async () => {
+            const finalized = runningAttempt({ status: 'timeout' });
+            finalizeAttempt.mockResolvedValue(finalized);
+
+            const result = await proctoringService.forceSubmit(runningAttempt(), { reason: 'Cheating', by: 'trainer1' });
+
+            expect(result).toBe(finalized);
+            expect(finalizeAttempt).toHaveBeenCalledWith('attempt1', expect.objectContaining({ reason: 'force_submitted' }));
+            expect(finalized.proctorActions).toEqual([{ action: 'force_submit', by: 'trainer1', message: 'Cheating' }]);
+        });
+    });
+});
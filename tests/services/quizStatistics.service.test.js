@@ -0,0 +1,93 @@
+const QuizAttempt = require('../../src/models/QuizAttempt');
+const quizStatisticsService = require('../../src/services/quizStatistics.service');
+
+// Four students on three right/wrong items: totals 3, 2, 1 and 0
+const item = (_id, sum, extra = {}) => ({ _id, n: 4, sum, sumSq: sum, graded: 0, ...extra });
+
+const percentileRows = [
+    { rank: 1, percentage: 0 },
+    { rank: 2, percentage: 100 / 3 },
+    { rank: 3, percentage: 200 / 3 },
+    { rank: 4, percentage: 100 }
+];
+
+describe('quiz statistics service', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    describe('getReliability', () => {
+        it('uses KR-20 on right/wrong items common to every attempt', async () => {
+            const aggregate = jest.spyOn(QuizAttempt, 'aggregate')
+                .mockResolvedValueOnce([{
+                    attempts: [{ count: 4 }],
+                    // q4 came from a pool and was only served twice
+                    items: [item('q1', 3), item('q2', 2), item('q3', 1), item('q4', 1, { n: 2 })]
+                }])
+                .mockResolvedValueOnce(percentileRows)
+                .mockResolvedValueOnce([{ n: 4, sum: 6, sumSq: 14 }]);
+
+            const result = await quizStatisticsService.getReliability({ _id: 'quiz1' });
+
+            expect(result).toMatchObject({
+                attemptCount: 4,
+                itemCount: 3,
+                excludedItemCount: 1,
+                method: 'kr20',
+                reliability: 0.75,
+                meanScore: 1.5,
+                standardDeviation: 1.118,
+                standardErrorOfMeasurement: 0.559
+            });
+            expect(aggregate.mock.calls[2][0]).toContainEqual({ $match: { questionId: { $in: ['q1', 'q2', 'q3'] } } });
+            expect(result.percentiles).toEqual([
+                { percentile: 10, percentage: 0 },
+                { percentile: 25, percentage: 0 },
+                { percentile: 50, percentage: 33.333 },
+                { percentile: 75, percentage: 66.667 },
+                { percentile: 90, percentage: 100 }
+            ]);
+        });
+
+        it('uses Cronbach\'s alpha once any item has partial scores', async () => {
+            jest.spyOn(QuizAttempt, 'aggregate')
+                .mockResolvedValueOnce([{
+                    attempts: [{ count: 4 }],
+                    items: [item('q1', 3), item('q2', 2, { graded: 1 }), item('q3', 1)]
+                }])
+                .mockResolvedValueOnce(percentileRows)
+                .mockResolvedValueOnce([{ n: 4, sum: 6, sumSq: 14 }]);
+
+            const result = await quizStatisticsService.getReliability({ _id: 'quiz1' });
+
+            expect(result.method).toBe('cronbach_alpha');
+        });
+
+        it('explains why there is no figure with fewer than two attempts', async () => {
+            jest.spyOn(QuizAttempt, 'aggregate')
+                .mockResolvedValueOnce([{ attempts: [{ count: 1 }], items: [item('q1', 1, { n: 1 })] }])
+                .mockResolvedValueOnce([{ rank: 1, percentage: 50 }]);
+
+            const result = await quizStatisticsService.getReliability({ _id: 'quiz1' });
+
+            expect(result).toMatchObject({
+                method: null,
+                reliability: null,
+                reason: 'At least two graded attempts are needed'
+            });
+        });
+
+        it('reports no reliability when every attempt has the same score', async () => {
+            jest.spyOn(QuizAttempt, 'aggregate')
+                .mockResolvedValueOnce([{ attempts: [{ count: 4 }], items: [item('q1', 4), item('q2', 0)] }])
+                .mockResolvedValueOnce(percentileRows)
+                .mockResolvedValueOnce([{ n: 4, sum: 4, sumSq: 4 }]);
+
+            const result = await quizStatisticsService.getReliability({ _id: 'quiz1' });
+
+            expect(result).toMatchObject({
+                reliability: null,
+                standardErrorOfMeasurement: null,
+                reason: 'Every attempt has the same score'
+            });
+        });
+    });
+});
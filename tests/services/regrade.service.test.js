@@ -0,0 +1,210 @@
+jest.mock('../../src/services/attemptStats.service', () => ({ syncAttemptStats: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Question = require('../../src/models/Question');
+const QuizAttempt = require('../../src/models/QuizAttempt');
+const { syncAttemptStats } = require('../../src/services/attemptStats.service');
+const regradeService = require('../../src/services/regrade.service');
+
+// q1's answer key was wrong ('a'); it has been fixed to 'b'
+const questions = [
+    { _id: 'q1', type: 'mcq_single', marks: 2, correct: 'b' },
+    { _id: 'q2', type: 'mcq_single', marks: 2, correct: 'a' }
+];
+
+const quiz = () => ({
+    _id: 'quiz1',
+    questionMode: 'fixed_list',
+    questionIds: ['q1', 'q2'],
+    totalMarks: 4,
+    passingMarks: 2,
+    questionDispositions: [],
+    save: jest.fn().mockResolvedValue()
+});
+
+const gradedAttempt = (overrides = {}) => ({
+    _id: 'attempt1',
+    user: { _id: 'student1', name: 'Student' },
+    status: 'auto_graded',
+    selectedQuestions: [{ question: 'q1', marks: 2 }, { question: 'q2', marks: 2 }],
+    rawAnswers: [{ questionId: 'q1', answer: 'b' }, { questionId: 'q2', answer: 'b' }],
+    autoGradeResult: [
+        { questionId: 'q1', maxScore: 2, score: 0, isCorrect: false, submittedAnswer: 'b' },
+        { questionId: 'q2', maxScore: 2, score: 0, isCorrect: false, submittedAnswer: 'b' }
+    ],
+    manualGradeResult: [],
+    regradeHistory: [],
+    totalScore: 0,
+    maxScore: 4,
+    percentage: 0,
+    passed: false,
+    save: jest.fn().mockResolvedValue(),
+    ...overrides
+});
+
+const served = (attempts) => jest.spyOn(QuizAttempt, 'find').mockReturnValue({
+    populate: () => ({ cursor: () => attempts })
+});
+
+describe('regrade service', () => {
+    let session;
+
+    beforeEach(() => {
+        jest.spyOn(Question, 'find').mockReturnValue({ session: jest.fn().mockResolvedValue(questions) });
+        session = {
+            startTransaction: jest.fn(),
+            commitTransaction: jest.fn().mockResolvedValue(),
+            abortTransaction: jest.fn().mockResolvedValue(),
+            endSession: jest.fn()
+        };
+        jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+    });
+
+    describe('regradeQuiz', () => {
+        it('reports each student\'s change on a dry run without saving', async () => {
+            const attempt = gradedAttempt();
+            served([attempt]);
+
+            const result = await regradeService.regradeQuiz(quiz(), { dryRun: true });
+
+            expect(result).toMatchObject({ dryRun: true, attemptsChecked: 1, attemptsChanged: 1, passChanges: 1 });
+            expect(result.report[0]).toMatchObject({
+                previousScore: 0,
+                newScore: 2,
+                delta: 2,
+                previousPassed: false,
+                newPassed: true,
+                changedQuestions: [{ questionId: 'q1', previousScore: 0, newScore: 2 }]
+            });
+            expect(attempt.save).not.toHaveBeenCalled();
+            expect(mongoose.startSession).not.toHaveBeenCalled();
+            expect(attempt.regradeHistory).toEqual([]);
+        });
+
+        it('saves changed attempts with their previous result and updates stats', async () => {
+            const attempt = gradedAttempt();
+            served([attempt]);
+
+            await regradeService.regradeQuiz(quiz(), { regradedBy: 'trainer1', reason: 'Key fixed' });
+
+            expect(attempt.regradeHistory[0]).toMatchObject({
+                regradedBy: 'trainer1',
+                reason: 'Key fixed',
+                previous: { totalScore: 0, passed: false }
+            });
+            expect(attempt.status).toBe('auto_graded');
+            expect(attempt.save).toHaveBeenCalledWith({ session });
+            expect(syncAttemptStats).toHaveBeenCalledWith(attempt, { session });
+            expect(session.commitTransaction).toHaveBeenCalled();
+        });
+
+        it('leaves unchanged attempts alone', async () => {
+            const attempt = gradedAttempt({
+                rawAnswers: [{ questionId: 'q1', answer: 'a' }, { questionId: 'q2', answer: 'b' }],
+                autoGradeResult: [
+                    { questionId: 'q1', maxScore: 2, score: 0, submittedAnswer: 'a' },
+                    { questionId: 'q2', maxScore: 2, score: 0, submittedAnswer: 'b' }
+                ]
+            });
+            served([attempt]);
+
+            const result = await regradeService.regradeQuiz(quiz(), {});
+
+            expect(result.attemptsChanged).toBe(0);
+            expect(attempt.save).not.toHaveBeenCalled();
+        });
+
+        it('only replaces the named question\'s result', async () => {
+            // q2 was marked right under an older key; regrading q1 must not touch it
+            const attempt = gradedAttempt({
+                autoGradeResult: [
+                    { questionId: 'q1', maxScore: 2, score: 0, submittedAnswer: 'b' },
+                    { questionId: 'q2', maxScore: 2, score: 2, isCorrect: true, submittedAnswer: 'b' }
+                ],
+                totalScore: 2
+            });
+            const find = served([attempt]);
+
+            const result = await regradeService.regradeQuiz(quiz(), { questionId: 'q1', dryRun: true });
+
+            expect(find.mock.calls[0][0]).toMatchObject({ 'autoGradeResult.questionId': 'q1' });
+            expect(attempt.autoGradeResult.map(r => r.score)).toEqual([2, 2]);
+            expect(result.report[0]).toMatchObject({ newScore: 4, delta: 2 });
+        });
+
+        it('reports an attempt that fails to save and carries on', async () => {
+            const failing = gradedAttempt({ _id: 'attempt1', save: jest.fn().mockRejectedValue(new Error('write conflict')) });
+            const saved = gradedAttempt({ _id: 'attempt2' });
+            served([failing, saved]);
+
+            const result = await regradeService.regradeQuiz(quiz(), {});
+
+            expect(result).toMatchObject({ attemptsChecked: 2, attemptsChanged: 1, attemptsFailed: 1 });
+            expect(result.report[0].failed).toBe(true);
+            expect(session.abortTransaction).toHaveBeenCalledTimes(1);
+            expect(saved.save).toHaveBeenCalled();
+        });
+    });
+
+    describe('setQuestionDisposition', () => {
+        it('voids a question: drops its marks from the quiz and every attempt served it', async () => {
+            const attempt = gradedAttempt({
+                autoGradeResult: [
+                    { questionId: 'q1', maxScore: 2, score: 2, isCorrect: true, submittedAnswer: 'b' },
+                    { questionId: 'q2', maxScore: 2, score: 0, submittedAnswer: 'b' }
+                ],
+                totalScore: 2,
+                percentage: 50
+            });
+            served([attempt]);
+            const target = quiz();
+
+            const result = await regradeService.setQuestionDisposition(target, questions[1], {
+                disposition: 'void',
+                reason: 'Ambiguous wording',
+                appliedBy: 'trainer1'
+            });
+
+            expect(result).toMatchObject({ disposition: 'void', previousDisposition: null, totalMarks: 2 });
+            expect(target.questionDispositions).toEqual([
+                expect.objectContaining({ questionId: 'q2', disposition: 'void', marks: 2 })
+            ]);
+            expect(target.save).toHaveBeenCalled();
+            expect(attempt).toMatchObject({ maxScore: 2, excludedMarks: 2, totalScore: 2, percentage: 100 });
+            expect(attempt.regradeHistory[0].reason).toBe('Question disposition void: Ambiguous wording');
+        });
+
+        it('restores the marks when the disposition is cleared', async () => {
+            served([]);
+            const target = quiz();
+            target.totalMarks = 2;
+            target.questionDispositions = [{ questionId: 'q2', disposition: 'void', marks: 2 }];
+
+            const result = await regradeService.setQuestionDisposition(target, questions[1], { disposition: null });
+
+            expect(result).toMatchObject({ previousDisposition: 'void', totalMarks: 4 });
+            expect(target.questionDispositions).toEqual([]);
+        });
+
+        it('gives everyone full credit without changing the total', async () => {
+            const attempt = gradedAttempt();
+            served([attempt]);
+
+            const result = await regradeService.setQuestionDisposition(quiz(), questions[1], {
+                disposition: 'full_credit',
+                dryRun: true
+            });
+
+            expect(result.totalMarks).toBe(4);
+            expect(result.report[0].changedQuestions).toContainEqual(
+                { questionId: 'q2', previousScore: 0, newScore: 2, disposition: 'full_credit' }
+            );
+            expect(attempt.save).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,115 @@
+const sectionService = require('../../src/services/section.service');
+
+const start = new Date('2026-03-01T10:00:00Z');
+const minutes = (n) => new Date(start.getTime() + n * 60 * 1000);
+
+const sectionedAttempt = () => ({
+    currentSection: 0,
+    sections: [
+        { sectionId: 's1', durationMinutes: 10, startedAt: start },
+        { sectionId: 's2', durationMinutes: 10 },
+        { sectionId: 's3' }
+    ],
+    selectedQuestions: [
+        { question: 'q1', section: 's1' },
+        { question: 'q2', section: 's2' },
+        { question: 'q3', section: 's3' }
+    ]
+});
+
+describe('section service', () => {
+    describe('validateSections', () => {
+        it('rejects a question used by two sections', () => {
+            const error = sectionService.validateSections([
+                { title: 'A', questionIds: ['q1'] },
+                { title: 'B', questionIds: ['q1'] }
+            ], 30);
+
+            expect(error).toBe('Question q1 appears in more than one section');
+        });
+
+        it('rejects section time limits longer than the quiz', () => {
+            const error = sectionService.validateSections([
+                { title: 'A', questionIds: ['q1'], durationMinutes: 20 },
+                { title: 'B', questionIds: ['q2'], durationMinutes: 20 }
+            ], 30);
+
+            expect(error).toMatch(/exceed the quiz duration/);
+        });
+
+        it('accepts pool sections with a count', () => {
+            expect(sectionService.validateSections([
+                { title: 'A', questionMode: 'pool_random', questionPoolFilter: { count: 3 } }
+            ], 30)).toBeNull();
+        });
+    });
+
+    describe('syncSections', () => {
+        it('locks expired sections and starts the next one when the previous expired', () => {
+            const attempt = sectionedAttempt();
+
+            expect(sectionService.syncSections(attempt, minutes(25))).toBe(true);
+
+            expect(attempt.currentSection).toBe(2);
+            expect(attempt.sections[0].lockedAt).toEqual(minutes(10));
+            expect(attempt.sections[1]).toMatchObject({ startedAt: minutes(10), lockedAt: minutes(20) });
+            expect(attempt.sections[2].startedAt).toEqual(minutes(20));
+        });
+
+        it('leaves a section open within the grace period', () => {
+            const attempt = sectionedAttempt();
+
+            expect(sectionService.syncSections(attempt, new Date(minutes(10).getTime() + 20000))).toBe(false);
+            expect(attempt.currentSection).toBe(0);
+        });
+
+        it('stops section clocks while the attempt is paused', () => {
+            const attempt = { ...sectionedAttempt(), pausedAt: minutes(5) };
+
+            expect(sectionService.syncSections(attempt, minutes(25))).toBe(false);
+            expect(attempt.sections[0].lockedAt).toBeUndefined();
+        });
+    });
+
+    describe('advanceSection', () => {
+        it('refuses to move past the last section', () => {
+            const attempt = sectionedAttempt();
+            attempt.currentSection = 2;
+
+            expect(sectionService.advanceSection(attempt, minutes(1))).toMatch(/last section/);
+        });
+    });
+
+    describe('lockOpenSection', () => {
+        it('locks the open section on submission', () => {
+            const attempt = sectionedAttempt();
+
+            sectionService.lockOpenSection(attempt, minutes(3));
+
+            expect(attempt.sections[0].lockedAt).toEqual(minutes(3));
+        });
+    });
+
+    describe('filterOpenAnswers', () => {
+        it('only accepts answers for the open section', () => {
+            const attempt = sectionedAttempt();
+
+            const { accepted, rejected } = sectionService.filterOpenAnswers(attempt, [
+                { questionId: 'q1', answer: 'a' },
+                { questionId: 'q2', answer: 'b' }
+            ]);
+
+            expect(accepted).toEqual([{ questionId: 'q1', answer: 'a' }]);
+            expect(rejected).toEqual(['q2']);
+        });
+
+        it('rejects every answer once the open section is locked', () => {
+            const attempt = sectionedAttempt();
+            attempt.sections[0].lockedAt = minutes(10);
+
+            const { accepted } = sectionService.filterOpenAnswers(attempt, [{ questionId: 'q1', answer: 'a' }]);
+
+            expect(accepted).toEqual([]);
+        });
+    });
+});
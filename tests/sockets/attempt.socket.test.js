@@ -0,0 +1,88 @@
+jest.mock('../../src/jobs/attemptTimeout.job', () => ({
+    ...jest.requireActual('../../src/jobs/attemptTimeout.job'),
+    finalizeAttempt: jest.fn()
+}));
+
+const Quiz = require('../../src/models/Quiz');
+const QuizAttempt = require('../../src/models/QuizAttempt');
+const { finalizeAttempt } = require('../../src/jobs/attemptTimeout.job');
+const { registerAttemptHandlers } = require('../../src/sockets/attempt.socket');
+
+const ATTEMPT_ID = '64b000000000000000000001';
+const QUESTION_ID = '64b000000000000000000002';
+
+// A namespace with one connected socket; returns the socket's event handlers
+const connect = (socket) => {
+    const handlers = {};
+    socket.on = (event, fn) => { handlers[event] = fn; };
+
+    const nsp = {
+        sockets: new Map(),
+        on: (event, fn) => fn(socket)
+    };
+    registerAttemptHandlers(nsp);
+    return handlers;
+};
+
+const emit = (handler, payload) => new Promise(resolve => handler(payload, resolve));
+
+describe('attempt socket autosave', () => {
+    const quiz = { _id: 'quiz1', durationMinutes: 30 };
+    let socket;
+    let handlers;
+
+    beforeEach(() => {
+        socket = {
+            data: { user: { _id: 'student1' }, attempt: { attemptId: ATTEMPT_ID, quizId: 'quiz1' } },
+            nsp: { server: undefined },
+            handshake: { headers: {} },
+            leave: jest.fn()
+        };
+        handlers = connect(socket);
+        jest.spyOn(Quiz, 'findById').mockResolvedValue(quiz);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        finalizeAttempt.mockReset();
+    });
+
+    it('closes an attempt past its deadline instead of saving late answers', async () => {
+        const attempt = {
+            _id: ATTEMPT_ID,
+            quiz: 'quiz1',
+            status: 'in_progress',
+            startTime: new Date(Date.now() - 45 * 60 * 1000),
+            rawAnswers: [],
+            save: jest.fn()
+        };
+        jest.spyOn(QuizAttempt, 'findOne').mockResolvedValue(attempt);
+        finalizeAttempt.mockResolvedValue(null);
+
+        const reply = await emit(handlers['attempt:autosave'], { answers: [{ questionId: QUESTION_ID, answer: 'late' }] });
+
+        expect(reply).toMatchObject({ success: false, timeExpired: true });
+        expect(attempt.save).not.toHaveBeenCalled();
+        expect(finalizeAttempt).toHaveBeenCalledWith(ATTEMPT_ID, expect.objectContaining({ reason: 'time_expired' }));
+        expect(socket.data.attempt).toBeNull();
+    });
+
+    it('saves answers while time remains', async () => {
+        const attempt = {
+            _id: ATTEMPT_ID,
+            quiz: 'quiz1',
+            status: 'in_progress',
+            startTime: new Date(Date.now() - 5 * 60 * 1000),
+            selectedQuestions: [{ question: QUESTION_ID }],
+            rawAnswers: [],
+            save: jest.fn().mockResolvedValue()
+        };
+        jest.spyOn(QuizAttempt, 'findOne').mockResolvedValue(attempt);
+
+        const reply = await emit(handlers['attempt:autosave'], { answers: [{ questionId: QUESTION_ID, answer: 'a' }] });
+
+        expect(reply).toMatchObject({ success: true });
+        expect(attempt.save).toHaveBeenCalled();
+        expect(finalizeAttempt).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,49 @@
+const units = require('../../src/utils/units');
+
+describe('units', () => {
+    describe('resolve', () => {
+        it('matches symbols with their case', () => {
+            expect(units.resolve('K')).toBe('K');
+            expect(units.resolve('k')).toBeNull();
+            expect(units.resolve('Pa')).toBe('Pa');
+            expect(units.resolve('pa')).toBeNull();
+            expect(units.resolve('PA')).toBeNull();
+            expect(units.resolve('kPa')).toBe('kPa');
+        });
+
+        it('treats C and F as temperatures but not c and f', () => {
+            expect(units.resolve('C')).toBe('°C');
+            expect(units.resolve('°F')).toBe('°F');
+            expect(units.resolve('c')).toBeNull();
+            expect(units.resolve('f')).toBeNull();
+        });
+
+        it('tells food Calories from calories', () => {
+            expect(units.convert(1, 'Cal', 'cal')).toBe(1000);
+        });
+
+        it('matches spelled-out names without case', () => {
+            expect(units.resolve('Kelvin')).toBe('K');
+            expect(units.resolve('METRES')).toBe('m');
+            expect(units.resolve(' Degrees  ')).toBe('deg');
+        });
+
+        it('ignores names inherited from Object', () => {
+            expect(units.resolve('constructor')).toBeNull();
+            expect(units.resolve('toString')).toBeNull();
+        });
+    });
+
+    describe('convert', () => {
+        it('converts within a dimension, with temperature offsets', () => {
+            expect(units.convert(100, '°C', 'K')).toBeCloseTo(373.15);
+            expect(units.convert(212, 'F', 'celsius')).toBeCloseTo(100);
+            expect(units.convert(2.5, 'kPa', 'Pa')).toBe(2500);
+        });
+
+        it('refuses units of different dimensions', () => {
+            expect(units.convert(1, 'kg', 'm')).toBeNull();
+            expect(units.areCompatible('N', 'Pa')).toBe(false);
+        });
+    });
+});